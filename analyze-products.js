@@ -1,68 +1,32 @@
-#!/usr/bin/env node
-
 /**
  * Product Count Analyzer
  * Analyzes the products.csv file and counts products that match the filtering criteria
  */
 
 const CSVProcessor = require('./src/csvProcessor');
+const FilterEngine = require('./src/filterEngine');
+const QGoldCsvAdapter = require('./src/adapters/qgoldCsvAdapter');
 const logger = require('./src/logger');
-const path = require('path');
 
 class ProductAnalyzer {
-    constructor() {
+    /**
+     * @param {object} options - { filePath } CSV export to analyze (defaults to data/products.csv)
+     */
+    constructor(options = {}) {
+        const { filePath = QGoldCsvAdapter.DEFAULT_FILE_PATH } = options;
+
         this.csvProcessor = new CSVProcessor();
-        this.csvFilePath = path.join(__dirname, 'data', 'products.csv');
+        this.csvFilePath = filePath;
         
-        // Same filtering criteria as the main application
-        this.filterCriteria = {
-            msrpMin: 1000,
-            msrpMax: 2000,
-            productLines: [
-                'Bridal',
-                'Fancy Diamond Hoops', 
-                'Fine Diamond Jewelry',
-                'Wedding Bands USA',
-                'earrings',
-                'bracelets', 
-                'chains',
-                'pendants',
-                'engagement rings',
-                'wedding bands'
-            ]
-        };
+        // Filtering rules come from the qgold-analyze ruleset in config/filter-rules.json
+        this.filterEngine = FilterEngine.load('qgold-analyze');
     }
 
     /**
-     * Filter products based on MSRP and Product Line criteria (same as main app)
+     * Filter products using the shared filter rule engine
      */
     filterProducts(products) {
-        return products.filter(product => {
-            // Check MSRP criteria
-            const msrp = parseFloat(product.ContractPrice);
-            if (isNaN(msrp) || msrp < this.filterCriteria.msrpMin || msrp > this.filterCriteria.msrpMax) {
-                return false;
-            }
-
-            // Check Product Line criteria
-            const productLine = (product.ProductLine || '').toLowerCase().trim();
-            const hasMatchingProductLine = this.filterCriteria.productLines.some(line => {
-                const lineLower = line.toLowerCase();
-                // Exact match or contains the keyword
-                return productLine === lineLower || productLine.includes(lineLower);
-            });
-
-            if (!hasMatchingProductLine) {
-                return false;
-            }
-
-            // Additional quality checks
-            if (!product.Item || !product.Description) {
-                return false;
-            }
-
-            return true;
-        });
+        return this.filterEngine.filter(products);
     }
 
     /**
@@ -72,28 +36,22 @@ class ProductAnalyzer {
         try {
             logger.info('=== PRODUCT COUNT ANALYSIS ===');
             logger.info(`Reading from: ${this.csvFilePath}`);
-            logger.info(`Filter criteria:`);
-            logger.info(`- MSRP range: $${this.filterCriteria.msrpMin} - $${this.filterCriteria.msrpMax}`);
-            logger.info(`- Product lines: ${this.filterCriteria.productLines.join(', ')}`);
+            logger.info(`Filter ruleset: ${this.filterEngine.name} (rules v${this.filterEngine.version})`);
+            this.filterEngine.describeRules().forEach(rule => logger.info(`- ${rule}`));
             logger.info('='.repeat(50));
 
             // Step 1: Get file information
             const fileInfo = await this.csvProcessor.getFileInfo(this.csvFilePath);
             logger.info(`CSV file: ${fileInfo.sizeMB}MB, estimated ${fileInfo.estimatedRows} rows`);
 
-            // Step 2: Process CSV file
-            logger.info('Processing CSV file...');
-            const csvResult = await this.csvProcessor.processFile(this.csvFilePath);
-            logger.info(`✓ CSV processed: ${csvResult.stats.processedRows} total products loaded`);
-
-            // Step 3: Apply filters and analyze
-            logger.info('Applying filters and analyzing...');
-            const filteredProducts = this.filterProducts(csvResult.data);
-
-            // Step 4: Generate detailed analysis
-            const analysis = this.generateAnalysis(csvResult.data, filteredProducts);
+            // Step 2: Apply filters and analyze as the CSV file is read
+            logger.info('Processing CSV file, applying filters and analyzing...');
+            this.filterEngine.resetStats();
+            const analysis = await this.generateAnalysis(this.csvProcessor.streamRows(this.csvFilePath));
+            logger.info(`✓ CSV processed: ${this.csvProcessor.getStats().processedRows} total products read`);
+            this.filterEngine.logSummary();
             
-            // Step 5: Display results
+            // Step 3: Display results
             this.displayResults(analysis);
 
             return analysis;
@@ -105,18 +63,21 @@ class ProductAnalyzer {
     }
 
     /**
-     * Generate detailed analysis of the filtering results
+     * Generate detailed analysis of the filtering results, one row at a time (only the first 10 matching
+     * products and the MSRPs for the median are kept)
+     * @param {AsyncIterable<object>|Iterable<object>} rows - CSV rows (such as CSVProcessor.streamRows)
      */
-    generateAnalysis(allProducts, filteredProducts) {
+    async generateAnalysis(rows) {
         const analysis = {
-            total: allProducts.length,
-            filtered: filteredProducts.length,
-            percentage: ((filteredProducts.length / allProducts.length) * 100).toFixed(2),
+            total: 0,
+            filtered: 0,
+            percentage: '0.00',
             msrpBreakdown: {},
             productLineBreakdown: {},
-            sampleProducts: filteredProducts.slice(0, 10),
+            sampleProducts: [],
             priceStats: {},
-            qualityStats: {}
+            qualityStats: {},
+            filterSummary: null
         };
 
         // MSRP range breakdown
@@ -129,16 +90,30 @@ class ProductAnalyzer {
         };
 
         // Product line breakdown
+        const productLines = this.filterEngine.getRule('product-line').expected;
         const productLineCounts = {};
-        this.filterCriteria.productLines.forEach(line => {
+        productLines.forEach(line => {
             productLineCounts[line] = 0;
         });
 
         // Price statistics
         const prices = [];
 
+        // Quality statistics
+        let hasImages = 0;
+        let hasSpecs = 0;
+        let activeProducts = 0;
+
         // Analyze filtered products
-        filteredProducts.forEach(product => {
+        for await (const product of rows) {
+            analysis.total++;
+            if (!this.filterEngine.matches(product)) continue;
+
+            analysis.filtered++;
+            if (analysis.sampleProducts.length < 10) {
+                analysis.sampleProducts.push(product);
+            }
+
             const msrp = parseFloat(product.MSRP);
             prices.push(msrp);
 
@@ -151,13 +126,20 @@ class ProductAnalyzer {
 
             // Product line breakdown
             const productLine = (product.ProductLine || '').toLowerCase().trim();
-            this.filterCriteria.productLines.forEach(line => {
+            productLines.forEach(line => {
                 const lineLower = line.toLowerCase();
                 if (productLine === lineLower || productLine.includes(lineLower)) {
                     productLineCounts[line]++;
                 }
             });
-        });
+
+            if (product.ImageLink_1000) hasImages++;
+            if (product.ListOfSpecs) hasSpecs++;
+            if (product.Status === 'Active') activeProducts++;
+        }
+
+        analysis.percentage = ((analysis.filtered / analysis.total) * 100).toFixed(2);
+        analysis.filterSummary = this.filterEngine.getSummary();
 
         // Calculate price statistics
         if (prices.length > 0) {
@@ -170,24 +152,13 @@ class ProductAnalyzer {
             };
         }
 
-        // Quality statistics
-        let hasImages = 0;
-        let hasSpecs = 0;
-        let activeProducts = 0;
-
-        filteredProducts.forEach(product => {
-            if (product.ImageLink_1000) hasImages++;
-            if (product.ListOfSpecs) hasSpecs++;
-            if (product.Status === 'Active') activeProducts++;
-        });
-
         analysis.qualityStats = {
             hasImages: hasImages,
-            hasImagesPercentage: ((hasImages / filteredProducts.length) * 100).toFixed(1),
+            hasImagesPercentage: ((hasImages / analysis.filtered) * 100).toFixed(1),
             hasSpecs: hasSpecs,
-            hasSpecsPercentage: ((hasSpecs / filteredProducts.length) * 100).toFixed(1),
+            hasSpecsPercentage: ((hasSpecs / analysis.filtered) * 100).toFixed(1),
             activeProducts: activeProducts,
-            activePercentage: ((activeProducts / filteredProducts.length) * 100).toFixed(1)
+            activePercentage: ((activeProducts / analysis.filtered) * 100).toFixed(1)
         };
 
         analysis.msrpBreakdown = msrpRanges;
@@ -273,30 +244,4 @@ class ProductAnalyzer {
     }
 }
 
-/**
- * Main execution function
- */
-async function main() {
-    try {
-        const analyzer = new ProductAnalyzer();
-        const analysis = await analyzer.analyzeProducts();
-        
-        // Optionally save results to file
-        const fs = require('fs');
-        const resultsFile = 'analysis-results.json';
-        fs.writeFileSync(resultsFile, JSON.stringify(analysis, null, 2));
-        logger.info(`\n📄 Detailed results saved to: ${resultsFile}`);
-        
-    } catch (error) {
-        logger.error('❌ Analysis failed:', error.message);
-        process.exit(1);
-    }
-}
-
-// Export for use in other modules
 module.exports = ProductAnalyzer;
-
-// Run if called directly
-if (require.main === module) {
-    main();
-}
\ No newline at end of file
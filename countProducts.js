@@ -1,9 +1,11 @@
 const CSVProcessor = require('./src/csvProcessor');
+const FilterEngine = require('./src/filterEngine');
 const logger = require('./src/logger');
 
 class ProductAnalyzer {
   constructor() {
     this.csvProcessor = new CSVProcessor();
+    this.filterEngine = FilterEngine.load('qgold-count');
   }
 
   /**
@@ -12,44 +14,33 @@ class ProductAnalyzer {
    * @param {object} options - Analysis options
    */
   async analyzeProductsFromCSV(csvFilePath, options = {}) {
-    const {
-      msrpMin = 1000,
-      msrpMax = 2000,
-      productLines = [
-        'BRACELET',
-        'EARRINGS',
-        'NECKLACE',
-        'PENDANT',
-        'RING',
-        'CHARM',
-        'ANKLET',
-        'CHAIN',
-        'SET'
-      ]
-    } = options;
+    const { msrpMin, msrpMax } = options;
+
+    // --min/--max override the MSRP bounds from the rules file
+    const msrpBounds = {};
+    if (msrpMin !== undefined) msrpBounds.min = msrpMin;
+    if (msrpMax !== undefined) msrpBounds.max = msrpMax;
+    if (Object.keys(msrpBounds).length > 0) {
+      this.filterEngine.setRange('msrp-range', msrpBounds);
+    }
 
     logger.info(`=== PRODUCT ANALYSIS ===`);
     logger.info(`CSV File: ${csvFilePath}`);
-    logger.info(`MSRP Range: $${msrpMin} - $${msrpMax}`);
-    logger.info(`Product Lines: ${productLines.join(', ')}`);
+    logger.info(`Filter ruleset: ${this.filterEngine.name} (rules v${this.filterEngine.version})`);
+    this.filterEngine.describeRules().forEach(rule => logger.info(`  ${rule}`));
     logger.info('='.repeat(50));
 
     try {
       // Get file information
       const fileInfo = await this.csvProcessor.getFileInfo(csvFilePath);
-      logger.info(`✓ CSV file found: ${fileInfo.exists ? 'Yes' : 'No'}`);
-      if (fileInfo.exists) {
-        logger.info(`  File size: ${(fileInfo.sizeInBytes / 1024 / 1024).toFixed(2)} MB`);
-        logger.info(`  Estimated rows: ~${fileInfo.estimatedRowCount}`);
-      }
+      logger.info(`✓ CSV file found`);
+      logger.info(`  File size: ${fileInfo.sizeMB} MB`);
+      logger.info(`  Estimated rows: ~${fileInfo.estimatedRows}`);
 
-      // Process CSV file
+      // Analyze all products as the CSV file is read
       logger.info('\nProcessing CSV file...');
-      const csvData = await this.csvProcessor.processFile(csvFilePath);
-      logger.info(`✓ Loaded ${csvData.length} total products from CSV`);
-
-      // Analyze all products
-      const analysis = this.performAnalysis(csvData, { msrpMin, msrpMax, productLines });
+      const analysis = await this.performAnalysis(this.csvProcessor.streamRows(csvFilePath));
+      logger.info(`✓ Read ${analysis.total} total products from CSV`);
 
       // Log results
       this.logAnalysisResults(analysis);
@@ -63,13 +54,12 @@ class ProductAnalyzer {
   }
 
   /**
-   * Perform detailed analysis on the CSV data
+   * Perform detailed analysis on the CSV rows, one row at a time
+   * @param {AsyncIterable<object>|Iterable<object>} rows - CSV rows (such as CSVProcessor.streamRows)
    */
-  performAnalysis(csvData, criteria) {
-    const { msrpMin, msrpMax, productLines } = criteria;
-
+  async performAnalysis(rows) {
     const analysis = {
-      total: csvData.length,
+      total: 0,
       matching: 0,
       rejected: 0,
       rejectionReasons: {},
@@ -80,18 +70,16 @@ class ProductAnalyzer {
       errors: []
     };
 
-    // Initialize rejection reasons
-    analysis.rejectionReasons = {
-      'No MSRP data': 0,
-      'MSRP below minimum': 0,
-      'MSRP above maximum': 0,
-      'Product line not in criteria': 0,
-      'Multiple criteria failed': 0
-    };
+    // One rejection reason per filter rule
+    this.filterEngine.rules.forEach(rule => {
+      analysis.rejectionReasons[rule.description] = 0;
+    });
+    analysis.rejectionReasons['Multiple criteria failed'] = 0;
 
-    csvData.forEach((item, index) => {
+    for await (const item of rows) {
+      const index = analysis.total++;
       try {
-        const result = this.evaluateProduct(item, criteria);
+        const result = this.evaluateProduct(item);
         
         if (result.matches) {
           analysis.matching++;
@@ -128,40 +116,24 @@ class ProductAnalyzer {
           error: error.message
         });
       }
-    });
+    }
 
     return analysis;
   }
 
   /**
-   * Evaluate if a single product matches the criteria
+   * Evaluate a single product against every rule in the ruleset
    */
-  evaluateProduct(item, criteria) {
-    const { msrpMin, msrpMax, productLines } = criteria;
-    const reasons = [];
-    let matches = true;
-
-    // Check MSRP
-    const msrpValue = this.parsePrice(item.MSRP);
-    if (msrpValue === null) {
-      reasons.push('No MSRP data');
-      matches = false;
-    } else if (msrpValue < msrpMin) {
-      reasons.push('MSRP below minimum');
-      matches = false;
-    } else if (msrpValue > msrpMax) {
-      reasons.push('MSRP above maximum');
-      matches = false;
-    }
-
-    // Check product line
-    const productLine = (item.ProductLine || '').toUpperCase().trim();
-    if (!productLine || !productLines.includes(productLine)) {
-      reasons.push('Product line not in criteria');
-      matches = false;
-    }
-
-    return { matches, reasons, msrp: msrpValue, productLine };
+  evaluateProduct(item) {
+    const { accepted, checks } = this.filterEngine.evaluate(item);
+    const reasons = checks.filter(check => !check.passed).map(check => check.description);
+
+    return {
+      matches: accepted,
+      reasons,
+      msrp: this.parsePrice(item.MSRP),
+      productLine: (item.ProductLine || '').toUpperCase().trim()
+    };
   }
 
   /**
@@ -283,66 +255,4 @@ class ProductAnalyzer {
   }
 }
 
-// Main execution function
-async function main() {
-  const analyzer = new ProductAnalyzer();
-
-  try {
-    // Configuration - same filtering criteria as the main processing script
-    const csvFilePath = './data/products.csv';
-    const filteringCriteria = {
-      msrpMin: 1000,
-      msrpMax: 2000,
-      productLines: [
-        'BRACELET',
-        'EARRINGS', 
-        'NECKLACE',
-        'PENDANT',
-        'RING',
-        'CHARM',
-        'ANKLET',
-        'CHAIN',
-        'SET'
-      ]
-    };
-
-    // Process command line arguments for custom criteria
-    const args = process.argv.slice(2);
-    
-    // Custom MSRP range
-    const minIndex = args.indexOf('--min');
-    if (minIndex !== -1 && args[minIndex + 1]) {
-      filteringCriteria.msrpMin = parseFloat(args[minIndex + 1]);
-    }
-    
-    const maxIndex = args.indexOf('--max');
-    if (maxIndex !== -1 && args[maxIndex + 1]) {
-      filteringCriteria.msrpMax = parseFloat(args[maxIndex + 1]);
-    }
-
-    // Custom CSV file
-    const fileIndex = args.indexOf('--file');
-    if (fileIndex !== -1 && args[fileIndex + 1]) {
-      csvFilePath = args[fileIndex + 1];
-    }
-
-    // Execute analysis
-    const results = await analyzer.analyzeProductsFromCSV(csvFilePath, filteringCriteria);
-
-    // Summary for quick reference
-    logger.info(`\n🎯 SUMMARY: ${results.matching} products match your criteria out of ${results.total} total products`);
-    
-    process.exit(0);
-
-  } catch (error) {
-    logger.error('Analysis failed:', error.message);
-    process.exit(1);
-  }
-}
-
-// Run if this file is executed directly
-if (require.main === module) {
-  main();
-}
-
-module.exports = ProductAnalyzer;
\ No newline at end of file
+module.exports = ProductAnalyzer;
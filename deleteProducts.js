@@ -0,0 +1,603 @@
+const fs = require('fs');
+const readline = require('readline/promises');
+const ShopifyClient = require('./src/shopifyClient');
+const QGoldCsvAdapter = require('./src/adapters/qgoldCsvAdapter');
+const OvernightMountingsAdapter = require('./src/adapters/overnightMountingsAdapter');
+const ProductSnapshot = require('./src/productSnapshot');
+const RunReport = require('./src/runReport');
+const logger = require('./src/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Suppliers whose current feed --not-in-feed can compare against
+const FEED_ADAPTERS = {
+  qgold: () => new QGoldCsvAdapter(),
+  overnight: () => new OvernightMountingsAdapter()
+};
+
+/**
+ * Deletes (or archives) the Shopify products matching a query. Every criterion
+ * given must match:
+ *
+ * - createdFrom/createdTo, updatedFrom/updatedTo: inclusive YYYY-MM-DD bounds,
+ *   compared against the product's local date in timeZone
+ * - vendors, tags, statuses, productTypes: lists, any entry matches (case-insensitive)
+ * - skus: products with at least one listed variant SKU
+ * - notInFeed: supplier (qgold, overnight) - products of its vendor whose SKUs
+ *   are all missing from the supplier's current feed
+ *
+ * Every selected product is snapshotted to data/snapshots/<runId>.jsonl (see
+ * ProductSnapshot) before anything is deleted or archived; restoreProducts.js
+ * brings them back from there.
+ */
+class ProductDeleter {
+  constructor() {
+    this.shopifyClient = new ShopifyClient();
+  }
+
+  /**
+   * Delete or archive the products matching a query
+   * @param {object} query - Selection criteria (see class comment)
+   * @param {object} options - { dryRun, archive, yes, batchSize, delayBetweenBatches }
+   */
+  async deleteProducts(query, options = {}) {
+    const {
+      dryRun = false,
+      archive = false,
+      yes = false,
+      batchSize = 10,
+      delayBetweenBatches = 1000
+    } = options;
+
+    const criteria = this.normalizeQuery(query);
+    const verb = archive ? 'archive' : 'delete';
+    const description = this.describeQuery(criteria);
+
+    logger.info(`=== PRODUCT ${archive ? 'ARCHIVE' : 'DELETION'} SCRIPT ===`);
+    logger.info(`Query: ${description}`);
+    logger.info(`Action: ${verb}`);
+    logger.info(`Dry run: ${dryRun}`);
+    logger.info(`Batch size: ${batchSize}`);
+    logger.info(`Delay between batches: ${delayBetweenBatches}ms`);
+    logger.info('='.repeat(50));
+
+    // Report bundle of the run (reports/<runId>/); the snapshot shares its run ID
+    const report = new RunReport(RunReport.newRunId(archive ? 'archive' : 'delete'), {
+      kind: verb,
+      title: `${archive ? 'Archive' : 'Delete'} products where ${description}${dryRun ? ' (dry run)' : ''}`,
+      dryRun
+    });
+    const emptyResults = () => ({
+      runId: report.runId,
+      total: 0,
+      deleted: 0,
+      archived: 0,
+      wouldDelete: 0, // Dry runs count the products they would have changed here
+      wouldArchive: 0,
+      errors: 0,
+      skipped: 0
+    });
+
+    try {
+      // Initialize Shopify client
+      await this.shopifyClient.initialize();
+      logger.info('✓ Shopify client initialized');
+
+      // Load the feed first - a feed that cannot be read completely must not select anything
+      if (criteria.notInFeed) {
+        criteria.feedSkus = await this.loadFeedSkus(criteria.notInFeed);
+      }
+
+      // Fetch all products
+      logger.info('Fetching all products from Shopify...');
+      const allProducts = await this.shopifyClient.getAllProducts();
+      logger.info(`✓ Fetched ${allProducts.length} total products`);
+
+      const targetProducts = this.filterProducts(allProducts, criteria);
+      logger.info(`✓ Found ${targetProducts.length} products where ${description}`);
+
+      if (targetProducts.length === 0) {
+        logger.info('No products match the query. Exiting.');
+        const results = emptyResults();
+        report.write('completed', results);
+        return results;
+      }
+
+      // Log sample products for review
+      this.logProductSample(targetProducts, verb);
+
+      if (!dryRun) {
+        const confirmed = yes || await this.confirmDeletion(targetProducts.length, verb);
+        if (!confirmed) {
+          logger.info(`${archive ? 'Archiving' : 'Deletion'} cancelled by user.`);
+          const results = {
+            ...emptyResults(),
+            total: targetProducts.length,
+            skipped: targetProducts.length,
+            cancelled: true
+          };
+          this.addReportItems(report, targetProducts.map(product => ({ product, action: 'skipped' })));
+          report.write('cancelled', results);
+          return results;
+        }
+      }
+
+      // Snapshot every selected product before touching any of them
+      let snapshotPath = null;
+      if (!dryRun) {
+        const snapshot = new ProductSnapshot(this.shopifyClient, report.runId);
+        await snapshot.capture(targetProducts.map(product => product.id), verb);
+        snapshotPath = snapshot.filePath;
+      }
+
+      // Process deletions in batches
+      const results = await this.processProductDeletions(targetProducts, {
+        dryRun,
+        archive,
+        batchSize,
+        delayBetweenBatches
+      });
+      results.runId = report.runId;
+      results.snapshotPath = snapshotPath;
+
+      this.addReportItems(report, results.outcomes);
+      results.reportDir = report.write(results.errors > 0 ? 'completed_with_errors' : 'completed', results);
+
+      // Log final results
+      this.logFinalResults(results, dryRun);
+
+      return results;
+
+    } catch (error) {
+      logger.error('Error in deleteProducts:', error.message);
+      report.write('failed', { ...emptyResults(), error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a query and normalize its lists; at least one criterion is required
+   */
+  normalizeQuery(query = {}) {
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(item => String(item).trim().toLowerCase())
+      .filter(item => item);
+
+    const criteria = {
+      createdFrom: query.createdFrom || null,
+      createdTo: query.createdTo || null,
+      updatedFrom: query.updatedFrom || null,
+      updatedTo: query.updatedTo || null,
+      timeZone: query.timeZone || 'UTC',
+      vendors: list(query.vendors),
+      tags: list(query.tags),
+      statuses: list(query.statuses),
+      productTypes: list(query.productTypes),
+      skus: query.skus ? new Set(list(query.skus)) : null,
+      notInFeed: query.notInFeed || null
+    };
+
+    ['createdFrom', 'createdTo', 'updatedFrom', 'updatedTo'].forEach(field => {
+      if (criteria[field] && !DATE_PATTERN.test(criteria[field])) {
+        throw new Error(`Invalid ${field} date "${criteria[field]}" (expected YYYY-MM-DD)`);
+      }
+    });
+
+    try {
+      new Intl.DateTimeFormat('en-CA', { timeZone: criteria.timeZone });
+    } catch (error) {
+      throw new Error(`Invalid time zone "${criteria.timeZone}"`);
+    }
+
+    if (criteria.notInFeed && !FEED_ADAPTERS[criteria.notInFeed]) {
+      throw new Error(`Unknown feed "${criteria.notInFeed}" (expected ${Object.keys(FEED_ADAPTERS).join(', ')})`);
+    }
+
+    if (criteria.skus && criteria.skus.size === 0) {
+      throw new Error('The SKU list is empty');
+    }
+
+    const hasCriterion = criteria.createdFrom || criteria.createdTo || criteria.updatedFrom || criteria.updatedTo ||
+      criteria.vendors.length > 0 || criteria.tags.length > 0 || criteria.statuses.length > 0 ||
+      criteria.productTypes.length > 0 || criteria.skus || criteria.notInFeed;
+    if (!hasCriterion) {
+      throw new Error('No selection criteria given - refusing to select every product');
+    }
+
+    return criteria;
+  }
+
+  /**
+   * Human-readable summary of a normalized query
+   */
+  describeQuery(criteria) {
+    const range = (label, from, to) => {
+      if (from && to) return from === to ? `${label} on ${from}` : `${label} ${from}..${to}`;
+      return from ? `${label} on/after ${from}` : `${label} on/before ${to}`;
+    };
+
+    const parts = [];
+    if (criteria.createdFrom || criteria.createdTo) parts.push(range('created', criteria.createdFrom, criteria.createdTo));
+    if (criteria.updatedFrom || criteria.updatedTo) parts.push(range('updated', criteria.updatedFrom, criteria.updatedTo));
+    if (parts.length > 0) parts.push(`(${criteria.timeZone})`);
+    if (criteria.vendors.length > 0) parts.push(`vendor in [${criteria.vendors.join(', ')}]`);
+    if (criteria.tags.length > 0) parts.push(`tag in [${criteria.tags.join(', ')}]`);
+    if (criteria.statuses.length > 0) parts.push(`status in [${criteria.statuses.join(', ')}]`);
+    if (criteria.productTypes.length > 0) parts.push(`product type in [${criteria.productTypes.join(', ')}]`);
+    if (criteria.skus) parts.push(`SKU in list (${criteria.skus.size} SKUs)`);
+    if (criteria.notInFeed) parts.push(`not in ${criteria.notInFeed} feed`);
+    return parts.join(' ');
+  }
+
+  /**
+   * SKUs of the supplier's current feed (unfiltered - a SKU the filters skip is still in the feed)
+   * @param {string} supplier - Key of FEED_ADAPTERS
+   */
+  async loadFeedSkus(supplier) {
+    const adapter = FEED_ADAPTERS[supplier]();
+    const skus = new Set();
+
+    logger.info(`Loading current ${adapter.name} feed...`);
+    for await (const page of adapter.fetchPages()) {
+      if (page.error) {
+        throw new Error(`Feed ${page.label} failed (${page.error.message}) - cannot tell which products left the feed`);
+      }
+      page.records.forEach(record => {
+        const sku = adapter.skuOf(record);
+        if (sku) skus.add(sku.trim().toLowerCase());
+      });
+    }
+
+    if (skus.size === 0) {
+      throw new Error(`The ${adapter.name} feed has no SKUs - refusing to treat every product as missing`);
+    }
+
+    logger.info(`✓ Loaded ${skus.size} SKUs from the ${adapter.name} feed`);
+    return { vendor: String(adapter.productMapper.vendor || '').toLowerCase(), skus };
+  }
+
+  /**
+   * Products matching every criterion of a normalized query
+   * @param {Array} products - Array of Shopify products
+   * @param {object} criteria - Query from normalizeQuery() (with feedSkus for notInFeed)
+   */
+  filterProducts(products, criteria) {
+    const inRange = (timestamp, from, to) => {
+      if (!from && !to) return true;
+      if (!timestamp) return false;
+
+      // Example: "2025-10-14T21:04:49-04:00" in America/New_York -> "2025-10-14"
+      const date = this.localDate(timestamp, criteria.timeZone);
+      return (!from || date >= from) && (!to || date <= to);
+    };
+    const matchesList = (list, value) => list.length === 0 || list.includes(String(value || '').toLowerCase());
+    const skusOf = product => (product.variants || [])
+      .map(variant => variant.sku)
+      .filter(sku => sku)
+      .map(sku => String(sku).trim().toLowerCase());
+
+    return products.filter(product => {
+      if (!inRange(product.created_at, criteria.createdFrom, criteria.createdTo)) return false;
+      if (!inRange(product.updated_at, criteria.updatedFrom, criteria.updatedTo)) return false;
+      if (!matchesList(criteria.vendors, product.vendor)) return false;
+      if (!matchesList(criteria.statuses, product.status)) return false;
+      if (!matchesList(criteria.productTypes, product.product_type)) return false;
+
+      if (criteria.tags.length > 0) {
+        const tags = (Array.isArray(product.tags) ? product.tags : String(product.tags || '').split(','))
+          .map(tag => String(tag).trim().toLowerCase());
+        if (!criteria.tags.some(tag => tags.includes(tag))) return false;
+      }
+
+      if (criteria.skus && !skusOf(product).some(sku => criteria.skus.has(sku))) return false;
+
+      if (criteria.feedSkus) {
+        // Only the supplier's own products can leave its feed; products without SKUs are never matched
+        const skus = skusOf(product);
+        if (String(product.vendor || '').toLowerCase() !== criteria.feedSkus.vendor) return false;
+        if (skus.length === 0 || skus.some(sku => criteria.feedSkus.skus.has(sku))) return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Calendar date (YYYY-MM-DD) of a timestamp in a time zone
+   */
+  localDate(timestamp, timeZone) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(new Date(timestamp));
+  }
+
+  /**
+   * Add one report item per variant SKU of each product ({ product, action, error })
+   */
+  addReportItems(report, outcomes) {
+    report.addItems(outcomes.flatMap(({ product, action, error }) => {
+      const skus = (product.variants || []).map(variant => variant.sku).filter(sku => sku);
+      return (skus.length > 0 ? skus : [null]).map(sku => ({
+        sku,
+        title: product.title,
+        action,
+        productId: product.id,
+        error
+      }));
+    }));
+  }
+
+  /**
+   * Log a sample of products that will be deleted or archived
+   */
+  logProductSample(products, verb = 'delete') {
+    const sampleSize = Math.min(5, products.length);
+    logger.info(`\nSample of products to ${verb} (showing ${sampleSize} of ${products.length}):`);
+    
+    for (let i = 0; i < sampleSize; i++) {
+      const product = products[i];
+      logger.info(`${i + 1}. ${product.title} (ID: ${product.id})`);
+      logger.info(`   Created: ${product.created_at} | Updated: ${product.updated_at}`);
+      logger.info(`   Vendor: ${product.vendor} | Status: ${product.status}`);
+      logger.info(`   Handle: ${product.handle}`);
+      logger.info('   ---');
+    }
+    
+    if (products.length > sampleSize) {
+      logger.info(`... and ${products.length - sampleSize} more products`);
+    }
+  }
+
+  /**
+   * Ask the operator to type the product count back; anything else cancels.
+   * Without a terminal there is nobody to ask, so the run is cancelled (pass --yes instead).
+   */
+  async confirmDeletion(productCount, verb = 'delete') {
+    logger.warn(`⚠️  About to ${verb} ${productCount} products.${verb === 'delete' ? ' This action cannot be undone!' : ''}`);
+
+    if (!process.stdin.isTTY) {
+      logger.error('✗ No terminal to confirm on - rerun with --yes to proceed without a prompt');
+      return false;
+    }
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+      const answer = await prompt.question(`Type ${productCount} to ${verb} these products: `);
+      return answer.trim() === String(productCount);
+    } finally {
+      prompt.close();
+    }
+  }
+
+  /**
+   * Process product deletions in batches
+   */
+  async processProductDeletions(products, options) {
+    const { dryRun, archive = false, batchSize, delayBetweenBatches } = options;
+
+    const results = {
+      total: products.length,
+      deleted: 0,
+      archived: 0,
+      wouldDelete: 0,
+      wouldArchive: 0,
+      errors: 0,
+      skipped: 0,
+      errorDetails: [],
+      outcomes: [] // Per-product { product, action, error } for the run report
+    };
+
+    // Process in batches
+    for (let i = 0; i < products.length; i += batchSize) {
+      const batch = products.slice(i, i + batchSize);
+      const batchNumber = Math.floor(i / batchSize) + 1;
+      const totalBatches = Math.ceil(products.length / batchSize);
+
+      logger.info(`Processing batch ${batchNumber}/${totalBatches} (${batch.length} products)`);
+
+      try {
+        await this.processBatchDeletion(batch, results, dryRun, archive);
+      } catch (error) {
+        logger.error(`Batch ${batchNumber} failed:`, error.message);
+        results.errors += batch.length;
+        batch.forEach(product => {
+          results.errorDetails.push({
+            productId: product.id,
+            title: product.title,
+            error: `Batch failure: ${error.message}`
+          });
+          results.outcomes.push({ product, action: 'error', error: `Batch failure: ${error.message}` });
+        });
+      }
+
+      // Delay between batches (except for the last batch)
+      if (i + batchSize < products.length) {
+        logger.info(`Waiting ${delayBetweenBatches}ms before next batch...`);
+        await this.delay(delayBetweenBatches);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Process a single batch of product deletions (or archivals)
+   */
+  async processBatchDeletion(batch, results, dryRun, archive = false) {
+    const verb = archive ? 'archive' : 'delete';
+
+    const promises = batch.map(async (product) => {
+      try {
+        if (dryRun) {
+          logger.debug(`[DRY RUN] Would ${verb}: ${product.title} (ID: ${product.id})`);
+          return { success: true, type: `dry-run-${verb}`, product };
+        } else if (archive) {
+          await this.archiveProduct(product.id);
+          logger.debug(`✓ Archived: ${product.title} (ID: ${product.id})`);
+          return { success: true, type: 'archived', product };
+        } else {
+          await this.deleteProduct(product.id);
+          logger.debug(`✓ Deleted: ${product.title} (ID: ${product.id})`);
+          return { success: true, type: 'deleted', product };
+        }
+      } catch (error) {
+        logger.error(`✗ Failed to ${verb} product ${product.id} (${product.title}):`, error.message);
+        return {
+          success: false,
+          error: error.message,
+          product
+        };
+      }
+    });
+
+    // Execute all promises in parallel
+    const batchResults = await Promise.allSettled(promises);
+
+    // Process results
+    let batchDone = 0;
+    let batchErrors = 0;
+
+    batchResults.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        const value = result.value;
+        if (value.success) {
+          if (dryRun) {
+            results[archive ? 'wouldArchive' : 'wouldDelete']++;
+          } else if (archive) {
+            results.archived++;
+          } else {
+            results.deleted++;
+          }
+          batchDone++;
+          results.outcomes.push({ product: value.product, action: value.type });
+        } else {
+          results.errors++;
+          batchErrors++;
+          results.errorDetails.push({
+            productId: value.product.id,
+            title: value.product.title,
+            error: value.error
+          });
+          results.outcomes.push({ product: value.product, action: 'error', error: value.error });
+        }
+      } else {
+        results.errors++;
+        batchErrors++;
+        results.errorDetails.push({
+          productId: batch[index]?.id || 'Unknown',
+          title: batch[index]?.title || 'Unknown',
+          error: result.reason?.message || 'Promise rejected'
+        });
+        results.outcomes.push({ product: batch[index] || {}, action: 'error', error: result.reason?.message || 'Promise rejected' });
+      }
+    });
+
+    logger.info(`  Batch completed: ${batchDone} ${archive ? 'archived' : 'deleted'}, ${batchErrors} errors`);
+  }
+
+  /**
+   * Delete a single product by ID
+   */
+  async deleteProduct(productId) {
+    try {
+      const response = await this.shopifyClient.api.delete(`/products/${productId}.json`);
+
+      if (response.status === 200) {
+        this.shopifyClient.productStore.removeByProductId(productId);
+        return true;
+      } else {
+        throw new Error(`Unexpected response status: ${response.status}`);
+      }
+    } catch (error) {
+      if (error.response) {
+        const status = error.response.status;
+        const data = error.response.data;
+        
+        if (status === 404) {
+          throw new Error('Product not found (may have been deleted already)');
+        } else if (status === 422) {
+          throw new Error(`Unprocessable entity: ${JSON.stringify(data.errors || data)}`);
+        } else if (status === 429) {
+          throw new Error('Rate limited - retries exhausted');
+        } else {
+          throw new Error(`API Error ${status}: ${JSON.stringify(data || error.response.statusText)}`);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a single product by ID (kept in Shopify, hidden from every sales channel).
+   * updateProduct returns the updated product and throws when Shopify refuses the update
+   */
+  async archiveProduct(productId) {
+    await this.shopifyClient.updateProduct(productId, { id: productId, status: 'archived' });
+    return true;
+  }
+
+  /**
+   * Log final results (a dry run lists what it would have done instead)
+   */
+  logFinalResults(results, dryRun = false) {
+    logger.info('='.repeat(50));
+    logger.info(dryRun ? '=== DRY RUN COMPLETE (nothing was changed) ===' : '=== DELETION COMPLETE ===');
+    logger.info(`Total products processed: ${results.total}`);
+    if (dryRun) {
+      logger.info(`Would delete: ${results.wouldDelete}`);
+      logger.info(`Would archive: ${results.wouldArchive}`);
+    } else {
+      logger.info(`Successfully deleted: ${results.deleted}`);
+      logger.info(`Archived: ${results.archived}`);
+    }
+    logger.info(`Errors: ${results.errors}`);
+    logger.info(`Skipped: ${results.skipped}`);
+
+    if (results.errors > 0) {
+      logger.info('\nError details:');
+      results.errorDetails.slice(0, 10).forEach((detail, index) => {
+        logger.error(`${index + 1}. Product ${detail.productId} (${detail.title}): ${detail.error}`);
+      });
+      if (results.errorDetails.length > 10) {
+        logger.info(`... and ${results.errorDetails.length - 10} more errors${results.reportDir ? ` (all listed in ${results.reportDir}/summary.json)` : ''}`);
+      }
+    }
+
+    if (results.snapshotPath) {
+      logger.info(`Snapshot: ${results.snapshotPath} (restore with: treasures restore ${results.runId})`);
+    }
+    if (results.reportDir) {
+      logger.info(`Report: ${results.reportDir}/report.html`);
+    }
+
+    if (!dryRun) {
+      const successRate = results.total > 0 ? (((results.deleted + results.archived) / results.total) * 100).toFixed(1) : 0;
+      logger.info(`Success rate: ${successRate}%`);
+    }
+    logger.info('='.repeat(50));
+  }
+
+  /**
+   * Helper method to add delay
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Read a SKU list: one SKU per line, or the first column of a CSV (a "sku" header row is skipped)
+ */
+function readSkuFile(filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.split(',')[0].replace(/^"|"$/g, '').trim())
+    .filter((sku, index) => sku && !(index === 0 && sku.toLowerCase() === 'sku'));
+}
+
+ProductDeleter.readSkuFile = readSkuFile;
+
+module.exports = ProductDeleter;
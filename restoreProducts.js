@@ -0,0 +1,310 @@
+const ShopifyClient = require('./src/shopifyClient');
+const ProductSnapshot = require('./src/productSnapshot');
+const RunReport = require('./src/runReport');
+const logger = require('./src/logger');
+
+/**
+ * Restores products from a snapshot (see ProductSnapshot) to the state they
+ * were in before the run that captured them.
+ *
+ * Snapshot products are matched to the live catalog by variant SKU: a product
+ * whose SKUs are gone is recreated (variants, images, metafields, category,
+ * inventory), a product still holding its SKUs is reverted in place with
+ * productSet. Products without SKUs, or whose SKUs are now spread over several
+ * live products, cannot be matched and are reported instead. Live products are
+ * snapshotted under the restore's own run ID before they are reverted.
+ */
+class ProductRestorer {
+  constructor() {
+    this.shopifyClient = new ShopifyClient();
+  }
+
+  /**
+   * Restore every product of a snapshot (or the ones holding the given SKUs)
+   * @param {string} snapshotId - Run ID of the snapshot, or the path of its file
+   * @param {object} options - { dryRun, skus }
+   */
+  async restoreProducts(snapshotId, options = {}) {
+    const { dryRun = false, skus = null } = options;
+
+    // The first capture of a product is its state before the run
+    const products = [];
+    const seen = new Set();
+    ProductSnapshot.read(snapshotId).forEach(entry => {
+      if (seen.has(entry.product.id)) return;
+      seen.add(entry.product.id);
+      products.push(entry.product);
+    });
+
+    const wanted = skus ? new Set(skus.map(sku => sku.trim().toLowerCase())) : null;
+    const selected = wanted
+      ? products.filter(product => this.skusOf(product).some(sku => wanted.has(sku)))
+      : products;
+
+    logger.info(`=== PRODUCT RESTORE SCRIPT ===`);
+    logger.info(`Snapshot: ${snapshotId} (${products.length} products)`);
+    if (wanted) {
+      logger.info(`SKU filter: ${wanted.size} SKUs -> ${selected.length} products`);
+    }
+    logger.info(`Dry run: ${dryRun}`);
+    logger.info('='.repeat(50));
+
+    const report = new RunReport(RunReport.newRunId('restore'), {
+      kind: 'restore',
+      title: `Restore products from snapshot ${snapshotId}${dryRun ? ' (dry run)' : ''}`,
+      dryRun
+    });
+
+    const results = {
+      runId: report.runId,
+      snapshot: snapshotId,
+      total: selected.length,
+      recreated: 0,
+      reverted: 0,
+      errors: 0,
+      errorDetails: [],
+      outcomes: [] // Per-product { product, action, productId, error } for the run report
+    };
+
+    try {
+      await this.shopifyClient.initialize();
+      logger.info('✓ Shopify client initialized');
+
+      logger.info('Fetching all products from Shopify...');
+      const liveProducts = await this.shopifyClient.getAllProducts();
+      logger.info(`✓ Fetched ${liveProducts.length} total products`);
+
+      const plans = this.planRestore(selected, liveProducts);
+      const count = action => plans.filter(plan => plan.action === action).length;
+      logger.info(`Restore plan: ${count('recreate')} to recreate, ${count('revert')} to revert, ${count('unmatched')} cannot be matched`);
+
+      // Live products are captured before they are overwritten, so the restore can be undone too
+      let currentById = new Map();
+      const revertIds = plans.filter(plan => plan.action === 'revert').map(plan => plan.liveId);
+      if (!dryRun && revertIds.length > 0) {
+        const snapshot = new ProductSnapshot(this.shopifyClient, report.runId);
+        const captured = await snapshot.capture(revertIds, 'restore');
+        currentById = new Map(captured.products.map(product => [product.id, product]));
+        results.snapshotPath = snapshot.filePath;
+      }
+
+      for (const plan of plans) {
+        const { product } = plan;
+
+        if (plan.action === 'unmatched') {
+          this.recordError(results, product, plan.error);
+          continue;
+        }
+
+        if (dryRun) {
+          logger.info(`[DRY RUN] Would ${plan.action} ${product.title} (${this.skusOf(product).join(', ')})${plan.liveId ? ` as product ${plan.liveId}` : ''}`);
+          results[plan.action === 'recreate' ? 'recreated' : 'reverted']++;
+          results.outcomes.push({ product, action: `dry-run-${plan.action}`, productId: plan.liveId });
+          continue;
+        }
+
+        try {
+          const restored = plan.action === 'recreate'
+            ? await this.recreateProduct(product)
+            : await this.revertProduct(product, currentById.get(plan.liveId), plan.liveId);
+
+          results[plan.action === 'recreate' ? 'recreated' : 'reverted']++;
+          logger.info(`✓ ${plan.action === 'recreate' ? 'Recreated' : 'Reverted'}: ${product.title} (ID: ${restored.id})`);
+          results.outcomes.push({ product, action: plan.action === 'recreate' ? 'recreated' : 'reverted', productId: restored.id, error: restored.warning });
+
+          if (restored.warning) {
+            results.errors++;
+            results.errorDetails.push({ productId: restored.id, title: product.title, error: restored.warning });
+          }
+        } catch (error) {
+          logger.error(`✗ Failed to ${plan.action} ${product.title}:`, error.message);
+          this.recordError(results, product, `${plan.action} failed: ${error.message}`);
+        }
+      }
+
+      this.addReportItems(report, results.outcomes);
+      results.reportDir = report.write(results.errors > 0 ? 'completed_with_errors' : 'completed', results);
+
+      this.logFinalResults(results);
+      return results;
+
+    } catch (error) {
+      logger.error('Error in restoreProducts:', error.message);
+      this.addReportItems(report, results.outcomes);
+      report.write('failed', { ...results, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Match each snapshot product to the live catalog by variant SKU
+   * @returns {Array<{product, action: 'recreate'|'revert'|'unmatched', liveId, error}>}
+   */
+  planRestore(products, liveProducts) {
+    const liveBySku = new Map();
+    liveProducts.forEach(liveProduct => {
+      (liveProduct.variants || []).forEach(variant => {
+        if (variant.sku) liveBySku.set(variant.sku.trim().toLowerCase(), liveProduct.id);
+      });
+    });
+
+    return products.map(product => {
+      const skus = this.skusOf(product);
+      if (skus.length === 0) {
+        return { product, action: 'unmatched', error: 'Snapshot product has no SKUs to match by' };
+      }
+
+      const liveIds = Array.from(new Set(skus.map(sku => liveBySku.get(sku)).filter(id => id)));
+      if (liveIds.length > 1) {
+        return { product, action: 'unmatched', error: `SKUs now belong to several products (${liveIds.join(', ')})` };
+      }
+
+      return liveIds.length === 1
+        ? { product, action: 'revert', liveId: liveIds[0] }
+        : { product, action: 'recreate', liveId: null };
+    });
+  }
+
+  /**
+   * Create the product again from its snapshot (inventory quantities are part of the productSet)
+   */
+  async recreateProduct(product) {
+    const restored = await this.shopifyClient.productSet(this.payloadFor(product), null, this.storeOptionsFor(product));
+    this.forgetFieldHashes(restored);
+    return restored;
+  }
+
+  /**
+   * Overwrite the live product with its snapshot, then set the snapshot's inventory quantities
+   * @param {object} current - Live product as captured before the revert
+   */
+  async revertProduct(product, current, liveId) {
+    if (!current) {
+      throw new Error(`Product ${liveId} no longer exists`);
+    }
+
+    // Media still on the product is kept by ID; media deleted since the snapshot is uploaded again from its URL
+    const currentMedia = new Set(current.images.map(image => image.admin_graphql_api_id));
+    const imageIds = new Map(product.images
+      .filter(image => currentMedia.has(image.admin_graphql_api_id))
+      .map(image => [this.shopifyClient.imagePipeline.normalizeUrl(image.src), image.admin_graphql_api_id]));
+
+    // Variants are matched to the live ones by SKU, so the first variant of a single-variant product is the right one
+    const existing = {
+      ...current,
+      variants: product.variants
+        .map(variant => this.shopifyClient.findVariantBySku(current, variant.sku))
+        .filter(variant => variant)
+    };
+
+    const restored = await this.shopifyClient.productSet(this.payloadFor(product), existing, {
+      ...this.storeOptionsFor(product),
+      imageIds
+    });
+    this.forgetFieldHashes(restored);
+
+    const quantities = product.variants.flatMap(variant => {
+      const itemId = this.shopifyClient.findVariantBySku(restored, variant.sku)?.inventory_item_id;
+      return itemId
+        ? (variant.inventory_levels || []).map(level => ({
+          inventoryItemId: `gid://shopify/InventoryItem/${itemId}`,
+          locationId: `gid://shopify/Location/${level.location_id}`,
+          quantity: level.available
+        }))
+        : [];
+    });
+
+    if (quantities.length > 0) {
+      try {
+        await this.shopifyClient.inventorySync.setQuantities(quantities);
+      } catch (error) {
+        return { ...restored, warning: `Reverted, but inventory could not be set: ${error.message}` };
+      }
+    }
+
+    return restored;
+  }
+
+  // REST-style productSet payload of a snapshot product (see ShopifyClient.buildProductSetInput)
+  payloadFor(product) {
+    return {
+      ...product,
+      images: product.images.map(image => ({ src: image.src, alt: image.alt }))
+    };
+  }
+
+  // The next sync compares the restored product live instead of trusting the hashes of what it last wrote
+  storeOptionsFor(product) {
+    return {
+      source: this.shopifyClient.sourceFromVendor(product.vendor) || undefined,
+      contentHash: null
+    };
+  }
+
+  forgetFieldHashes(product) {
+    (product.variants || []).filter(variant => variant.sku).forEach(variant => {
+      this.shopifyClient.productStore.upsert({ sku: variant.sku, fieldHashes: null });
+    });
+  }
+
+  skusOf(product) {
+    return (product.variants || [])
+      .map(variant => variant.sku)
+      .filter(sku => sku)
+      .map(sku => String(sku).trim().toLowerCase());
+  }
+
+  recordError(results, product, error) {
+    results.errors++;
+    results.errorDetails.push({ productId: product.id, title: product.title, error });
+    results.outcomes.push({ product, action: 'error', productId: product.id, error });
+  }
+
+  /**
+   * Add one report item per variant SKU of each product ({ product, action, productId, error })
+   */
+  addReportItems(report, outcomes) {
+    report.addItems(outcomes.flatMap(({ product, action, productId, error }) => {
+      const skus = (product.variants || []).map(variant => variant.sku).filter(sku => sku);
+      return (skus.length > 0 ? skus : [null]).map(sku => ({
+        sku,
+        title: product.title,
+        action,
+        productId,
+        error
+      }));
+    }));
+  }
+
+  /**
+   * Log final results, listing what could not be restored
+   */
+  logFinalResults(results) {
+    logger.info('='.repeat(50));
+    logger.info(`=== RESTORE COMPLETE ===`);
+    logger.info(`Products in snapshot selection: ${results.total}`);
+    logger.info(`Recreated: ${results.recreated}`);
+    logger.info(`Reverted: ${results.reverted}`);
+    logger.info(`Errors: ${results.errors}`);
+
+    if (results.errors > 0) {
+      logger.info('\nNot restored:');
+      results.errorDetails.slice(0, 10).forEach((detail, index) => {
+        logger.error(`${index + 1}. Product ${detail.productId} (${detail.title}): ${detail.error}`);
+      });
+      if (results.errorDetails.length > 10) {
+        logger.info(`... and ${results.errorDetails.length - 10} more${results.reportDir ? ` (all listed in ${results.reportDir}/summary.json)` : ''}`);
+      }
+    }
+
+    if (results.snapshotPath) {
+      logger.info(`Snapshot of the overwritten products: ${results.snapshotPath}`);
+    }
+    if (results.reportDir) {
+      logger.info(`Report: ${results.reportDir}/report.html`);
+    }
+    logger.info('='.repeat(50));
+  }
+}
+
+module.exports = ProductRestorer;
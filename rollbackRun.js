@@ -0,0 +1,426 @@
+const readline = require('readline/promises');
+const ShopifyClient = require('./src/shopifyClient');
+const RunCheckpoint = require('./src/runCheckpoint');
+const ProductSnapshot = require('./src/productSnapshot');
+const RunReport = require('./src/runReport');
+const logger = require('./src/logger');
+
+const { RUN_ID_METAFIELD } = ShopifyClient;
+
+// Field groups a discontinued action changed (see DiscontinuedHandler)
+const DISCONTINUED_CHANGES = {
+  draft: ['status'],
+  archive: ['status'],
+  tag: ['tags'],
+  zero_inventory: []
+};
+
+/**
+ * Undoes a sync run from its checkpoint (data/runs/<runId>.json) and snapshot
+ * (data/snapshots/<runId>.jsonl, see ProductSnapshot):
+ *
+ * - products the run created are deleted
+ * - field groups the run updated are set back to their values in the snapshot
+ * - discontinued actions of the run (draft, archive, tag, zero_inventory) are reverted
+ *
+ * Created and updated products carry the run ID metafield; one stamped with a
+ * different run ID was written again after the run and is left alone (reported
+ * as skipped) unless forced. Every product is snapshotted under the rollback's
+ * own run ID before it is deleted or changed.
+ */
+class RunRollback {
+  constructor() {
+    this.shopifyClient = new ShopifyClient();
+  }
+
+  /**
+   * Roll back a sync run
+   * @param {string} runId - Run ID of the sync (see RunCheckpoint)
+   * @param {object} options - { dryRun, force, yes }
+   */
+  async rollback(runId, options = {}) {
+    const { dryRun = false, force = false, yes = false } = options;
+
+    const checkpoint = RunCheckpoint.load(runId);
+    const { status } = checkpoint.data;
+    if (status === 'rolled_back' && !force) {
+      throw new Error(`Run ${runId} was already rolled back by ${checkpoint.data.rolledBackBy} (--force to roll back again)`);
+    }
+    if (status === 'running' && !force) {
+      throw new Error(`Run ${runId} is still running or crashed mid-run (--force to roll back anyway)`);
+    }
+
+    const history = this.readSnapshot(runId);
+    const plans = this.planRollback(checkpoint, history);
+    const count = action => plans.filter(plan => plan.action === action).length;
+
+    logger.info(`=== RUN ROLLBACK SCRIPT ===`);
+    logger.info(`Run: ${runId} (${status}, ${checkpoint.data.supplier})`);
+    logger.info(`Plan: ${count('delete')} created products to delete, ${count('revert')} products to revert`);
+    logger.info(`Dry run: ${dryRun}`);
+    logger.info('='.repeat(50));
+
+    const report = new RunReport(RunReport.newRunId(`rollback-${runId}`), {
+      kind: 'rollback',
+      title: `Roll back run ${runId}${dryRun ? ' (dry run)' : ''}`,
+      dryRun
+    });
+
+    const results = {
+      runId: report.runId,
+      rolledBackRun: runId,
+      total: plans.length,
+      deleted: 0,
+      reverted: 0,
+      skipped: 0,
+      errors: 0,
+      errorDetails: [],
+      outcomes: [] // Per-product { plan, action, error } for the run report
+    };
+
+    try {
+      if (plans.length === 0) {
+        logger.info('The run created, updated and actioned no products. Nothing to roll back.');
+        report.write('completed', results);
+        return results;
+      }
+
+      await this.shopifyClient.initialize();
+      logger.info('✓ Shopify client initialized');
+
+      if (!dryRun && !yes && !await this.confirmRollback(plans.length, runId)) {
+        logger.info('Rollback cancelled by user.');
+        results.skipped = plans.length;
+        results.cancelled = true;
+        plans.forEach(plan => results.outcomes.push({ plan, action: 'skipped', error: 'Cancelled' }));
+        this.addReportItems(report, results.outcomes);
+        report.write('cancelled', results);
+        return results;
+      }
+
+      // Current state of every product (with its run stamp); a real rollback keeps it as its own snapshot
+      const snapshot = new ProductSnapshot(this.shopifyClient, report.runId);
+      const ids = plans.map(plan => plan.productId);
+      const current = dryRun
+        ? await snapshot.fetchProducts(ids)
+        : (await snapshot.capture(ids, 'rollback')).products;
+      const currentById = new Map(current.map(product => [product.id, product]));
+      if (!dryRun && snapshot.captured > 0) {
+        results.snapshotPath = snapshot.filePath;
+      }
+
+      for (const plan of plans) {
+        const product = currentById.get(plan.productId);
+        const label = `product ${plan.productId} (${plan.skus.join(', ') || plan.title})`;
+
+        if (!product) {
+          if (plan.action === 'delete') {
+            this.recordSkip(results, plan, 'Already deleted');
+          } else {
+            this.recordError(results, plan, 'Product no longer exists');
+          }
+          continue;
+        }
+
+        // A stamp from another run means the product was written again since - undoing this run would undo that one too
+        const stamp = this.stampOf(product);
+        if (plan.stamped && stamp !== runId && !force) {
+          this.recordSkip(results, plan, `Written again by ${stamp || 'another process'} since the run`);
+          logger.warn(`Skipping ${label}: written again by ${stamp || 'another process'} since the run`);
+          continue;
+        }
+
+        if (dryRun) {
+          logger.info(`[DRY RUN] Would ${plan.action} ${label}${plan.action === 'revert' ? `: ${plan.changes.join(', ') || 'inventory'}` : ''}`);
+          results[plan.action === 'delete' ? 'deleted' : 'reverted']++;
+          results.outcomes.push({ plan, action: `dry-run-${plan.action}` });
+          continue;
+        }
+
+        try {
+          if (plan.action === 'delete') {
+            await this.deleteProduct(plan.productId);
+            results.deleted++;
+            results.outcomes.push({ plan, action: 'deleted' });
+            logger.info(`✓ Deleted ${label}`);
+          } else {
+            await this.revertProduct(plan, product, history.previousById.get(plan.productId));
+            results.reverted++;
+            results.outcomes.push({ plan, action: 'reverted' });
+            logger.info(`✓ Reverted ${label}: ${plan.changes.join(', ') || 'inventory'}`);
+          }
+        } catch (error) {
+          logger.error(`✗ Failed to ${plan.action} ${label}:`, error.message);
+          this.recordError(results, plan, `${plan.action} failed: ${error.message}`);
+        }
+      }
+
+      // A run with failures stays open, so the same command picks up what is left
+      if (!dryRun && results.errors === 0) {
+        checkpoint.markRolledBack(report.runId);
+      }
+
+      this.addReportItems(report, results.outcomes);
+      results.reportDir = report.write(results.errors > 0 ? 'completed_with_errors' : 'completed', results);
+
+      this.logFinalResults(results);
+      return results;
+
+    } catch (error) {
+      logger.error('Error in rollback:', error.message);
+      this.addReportItems(report, results.outcomes);
+      report.write('failed', { ...results, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * The run's snapshot: the first capture of each product (its state before the run) and the
+   * discontinued action taken on it
+   */
+  readSnapshot(runId) {
+    const previousById = new Map();
+    const discontinuedById = new Map();
+
+    let entries = [];
+    try {
+      entries = ProductSnapshot.read(runId);
+    } catch (error) {
+      logger.warn(`${error.message} - updated products cannot be reverted`);
+    }
+
+    entries.forEach(entry => {
+      if (!previousById.has(entry.product.id)) {
+        previousById.set(entry.product.id, entry.product);
+      }
+      if (entry.reason.startsWith('discontinued:')) {
+        discontinuedById.set(entry.product.id, entry.reason.split(':')[1]);
+      }
+    });
+
+    return { previousById, discontinuedById };
+  }
+
+  /**
+   * One plan per product: delete what the run created, revert what it updated or actioned
+   * @returns {Array<{productId, action: 'delete'|'revert', skus, title, changes, inventory, stamped}>}
+   */
+  planRollback(checkpoint, history) {
+    const plans = new Map();
+    const planFor = (productId, action, stamped) => {
+      if (!plans.has(productId)) {
+        plans.set(productId, { productId, action, skus: [], title: '', changes: [], inventory: false, stamped });
+      }
+      return plans.get(productId);
+    };
+    const addChanges = (plan, changes) => {
+      changes.forEach(change => {
+        if (!plan.changes.includes(change)) plan.changes.push(change);
+      });
+    };
+
+    checkpoint.readItems().forEach(item => {
+      if (!item.productId || !['created', 'updated'].includes(item.outcome)) return;
+
+      const plan = planFor(item.productId, item.outcome === 'created' ? 'delete' : 'revert', true);
+      plan.skus.push(item.sku);
+      plan.title = plan.title || history.previousById.get(item.productId)?.title || '';
+      if (plan.action === 'revert') {
+        addChanges(plan, item.changes || []);
+      }
+    });
+
+    // Discontinued actions are not stamped - their product may be one the run never wrote
+    history.discontinuedById.forEach((action, productId) => {
+      const plan = planFor(productId, 'revert', false);
+      if (plan.action !== 'revert') return;
+
+      const previous = history.previousById.get(productId);
+      if (plan.skus.length === 0) {
+        plan.skus = (previous?.variants || []).map(variant => variant.sku).filter(sku => sku);
+        plan.title = previous?.title || '';
+      }
+      addChanges(plan, DISCONTINUED_CHANGES[action] || []);
+      plan.inventory = plan.inventory || action === 'zero_inventory';
+    });
+
+    return Array.from(plans.values());
+  }
+
+  /**
+   * Set the changed field groups (and inventory after zero_inventory) back to the snapshot values
+   * @param {object} plan - Plan from planRollback()
+   * @param {object} current - Live product as captured before the rollback
+   * @param {object} previous - Product as it was before the run
+   */
+  async revertProduct(plan, current, previous) {
+    if (!previous) {
+      throw new Error('No snapshot of the product from before the run');
+    }
+    if (plan.changes.length === 0 && !plan.inventory) {
+      throw new Error('The run recorded no changed fields for this product');
+    }
+
+    const client = this.shopifyClient;
+    const productId = plan.productId;
+
+    // Snapshot variants as a REST payload: IDs of variants removed since are not sent back
+    const productData = {
+      ...previous,
+      variants: previous.variants.map(variant => ({
+        sku: variant.sku,
+        option1: variant.option1,
+        price: variant.price,
+        compare_at_price: variant.compare_at_price,
+        barcode: variant.barcode,
+        weight: variant.weight,
+        weight_unit: variant.weight_unit,
+        inventory_management: variant.inventory_management
+      })),
+      images: previous.images.map(image => ({ src: image.src, alt: image.alt }))
+    };
+
+    if (plan.changes.includes('metafields')) {
+      const metafields = productData.metafields.filter(metafield => !this.isStamp(metafield));
+      if (metafields.length > 0) {
+        await client.setProductMetafields(productId, metafields);
+      }
+    }
+    if (plan.changes.includes('category') && previous.category) {
+      await client.updateProductCategory(productId, previous.category);
+    }
+
+    const updateData = client.buildUpdateData({ title: previous.title, status: previous.status, shopifyProduct: productData }, current, plan.changes);
+    const storeOptions = { source: client.sourceFromVendor(previous.vendor) || undefined, contentHash: null };
+    const updated = Object.keys(updateData).length > 1
+      ? await client.updateProduct(productId, updateData, storeOptions)
+      : current;
+
+    if (plan.inventory) {
+      const quantities = previous.variants.flatMap(variant => {
+        const itemId = client.findVariantBySku(updated, variant.sku)?.inventory_item_id || client.findVariantBySku(current, variant.sku)?.inventory_item_id;
+        return itemId
+          ? (variant.inventory_levels || []).map(level => ({
+            inventoryItemId: `gid://shopify/InventoryItem/${itemId}`,
+            locationId: `gid://shopify/Location/${level.location_id}`,
+            quantity: level.available
+          }))
+          : [];
+      });
+      if (quantities.length > 0) {
+        await client.inventorySync.setQuantities(quantities);
+      }
+    }
+
+    // Put back the stamp of the run that wrote the product before, or none
+    if (plan.stamped) {
+      const previousStamp = this.stampOf(previous);
+      if (previousStamp) {
+        await client.setProductMetafields(productId, [{ ...RUN_ID_METAFIELD, value: previousStamp }]);
+      } else {
+        await client.deleteProductMetafields(productId, [RUN_ID_METAFIELD]);
+      }
+    }
+
+    // The next sync compares the product live instead of trusting the hashes of what the run wrote
+    (current.variants || []).filter(variant => variant.sku).forEach(variant => {
+      client.productStore.upsert({ sku: variant.sku, contentHash: null, fieldHashes: null });
+    });
+  }
+
+  /**
+   * Delete a product the run created
+   */
+  async deleteProduct(productId) {
+    await this.shopifyClient.api.delete(`/products/${productId}.json`);
+    this.shopifyClient.productStore.removeByProductId(productId);
+  }
+
+  isStamp(metafield) {
+    return metafield.namespace === RUN_ID_METAFIELD.namespace && metafield.key === RUN_ID_METAFIELD.key;
+  }
+
+  stampOf(product) {
+    return (product.metafields || []).find(metafield => this.isStamp(metafield))?.value || null;
+  }
+
+  /**
+   * Ask the operator to type the run ID back; anything else cancels (pass --yes when there is no terminal)
+   */
+  async confirmRollback(productCount, runId) {
+    logger.warn(`⚠️  About to roll back ${productCount} products of run ${runId}. Created products are deleted!`);
+
+    if (!process.stdin.isTTY) {
+      logger.error('✗ No terminal to confirm on - rerun with --yes to proceed without a prompt');
+      return false;
+    }
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+      const answer = await prompt.question(`Type the run ID to roll it back: `);
+      return answer.trim() === runId;
+    } finally {
+      prompt.close();
+    }
+  }
+
+  recordSkip(results, plan, reason) {
+    results.skipped++;
+    results.outcomes.push({ plan, action: 'skipped', error: reason });
+  }
+
+  recordError(results, plan, error) {
+    results.errors++;
+    results.errorDetails.push({ productId: plan.productId, title: plan.skus.join(', '), error });
+    results.outcomes.push({ plan, action: 'error', error });
+  }
+
+  /**
+   * Add one report item per SKU of each plan ({ plan, action, error })
+   */
+  addReportItems(report, outcomes) {
+    report.addItems(outcomes.flatMap(({ plan, action, error }) =>
+      (plan.skus.length > 0 ? plan.skus : [null]).map(sku => ({
+        sku,
+        title: plan.title,
+        action,
+        productId: plan.productId,
+        changes: plan.action === 'revert' ? plan.changes : [],
+        error
+      }))
+    ));
+  }
+
+  /**
+   * Log final results
+   */
+  logFinalResults(results) {
+    logger.info('='.repeat(50));
+    logger.info(`=== ROLLBACK COMPLETE (${results.rolledBackRun}) ===`);
+    logger.info(`Products in run: ${results.total}`);
+    logger.info(`Deleted (created by the run): ${results.deleted}`);
+    logger.info(`Reverted: ${results.reverted}`);
+    logger.info(`Skipped: ${results.skipped}`);
+    logger.info(`Errors: ${results.errors}`);
+
+    if (results.errors > 0) {
+      logger.info('\nError details:');
+      results.errorDetails.slice(0, 10).forEach((detail, index) => {
+        logger.error(`${index + 1}. Product ${detail.productId} (${detail.title}): ${detail.error}`);
+      });
+      if (results.errorDetails.length > 10) {
+        logger.info(`... and ${results.errorDetails.length - 10} more errors${results.reportDir ? ` (all listed in ${results.reportDir}/summary.json)` : ''}`);
+      }
+    }
+
+    if (results.snapshotPath) {
+      logger.info(`Snapshot before rollback: ${results.snapshotPath}`);
+    }
+    if (results.reportDir) {
+      logger.info(`Report: ${results.reportDir}/report.html`);
+    }
+    logger.info('='.repeat(50));
+  }
+}
+
+module.exports = RunRollback;
@@ -1,15 +1,22 @@
 const express = require('express');
 const cors = require('cors');
 const ShopifyClient = require('./src/shopifyClient');
+const Scheduler = require('./src/scheduler');
 const logger = require('./src/logger');
 require('dotenv').config();
 
 class ShopifyStatsServer {
-    constructor() {
+    /**
+     * @param {object} options - { port } (defaults to STATS_PORT or 3001)
+     */
+    constructor(options = {}) {
+        const { port = process.env.STATS_PORT || 3001 } = options;
+
         this.app = express();
-        this.port = 3001;
+        this.port = port;
         this.shopifyClient = new ShopifyClient();
         this.cache = new Map();
+        this.productsFetch = null;
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes cache
         
         this.setupMiddleware();
@@ -201,6 +208,22 @@ class ShopifyStatsServer {
             }
         });
 
+        // Scheduled jobs with next runs, running jobs and recent run history (from the scheduler state)
+        this.app.get('/api/schedule', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    data: Scheduler.describe()
+                });
+            } catch (error) {
+                logger.error('Error reading schedule:', error.message);
+                res.status(500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        });
+
         // Clear cache endpoint
         this.app.post('/api/cache/clear', (req, res) => {
             this.cache.clear();
@@ -227,6 +250,7 @@ class ShopifyStatsServer {
                     '/api/categories/stats': 'Get categories/product types statistics',
                     '/api/inventory/stats': 'Get inventory statistics',
                     '/api/pricing/stats': 'Get pricing statistics',
+                    '/api/schedule': 'Get scheduled jobs, next runs and recent run history',
                     '/api/cache/clear': 'Clear server cache (POST)'
                 },
                 parameters: {
@@ -264,6 +288,27 @@ class ShopifyStatsServer {
         logger.debug(`Cache set for key: ${key}`);
     }
 
+    // Catalog shared by all routes: cached, and concurrent requests share one in-flight fetch
+    // (set SHOPIFY_CATALOG_FETCH_MODE=bulk to export it with a single bulk operation)
+    async getAllProducts() {
+        const cacheKey = 'all_products';
+        let cached = this.getCachedData(cacheKey);
+        if (cached) return cached;
+
+        if (!this.productsFetch) {
+            this.productsFetch = this.shopifyClient.getAllProducts()
+                .then(products => {
+                    this.setCachedData(cacheKey, products);
+                    return products;
+                })
+                .finally(() => {
+                    this.productsFetch = null;
+                });
+        }
+
+        return this.productsFetch;
+    }
+
     // Shop information
     async getShopInfo() {
         const cacheKey = 'shop_info';
@@ -284,7 +329,7 @@ class ShopifyStatsServer {
         if (cached) return cached;
 
         logger.info('Fetching products statistics...');
-        const products = await this.shopifyClient.getAllProducts();
+        const products = await this.getAllProducts();
         
         const stats = {
             total: products.length,
@@ -308,10 +353,10 @@ class ShopifyStatsServer {
     async getProductsList(page = 1, limit = 20, status = null) {
         logger.info(`Fetching products list - Page: ${page}, Limit: ${limit}, Status: ${status}`);
         
-        const products = await this.shopifyClient.getAllProducts();
+        const products = await this.getAllProducts();
         
         // Filter by status if provided
-        let filteredProducts = products;
+        let filteredProducts = [...products];
         if (status) {
             filteredProducts = products.filter(p => p.status === status);
         }
@@ -362,7 +407,7 @@ class ShopifyStatsServer {
         if (cached) return cached;
 
         logger.info('Fetching categories statistics...');
-        const products = await this.shopifyClient.getAllProducts();
+        const products = await this.getAllProducts();
         
         const productTypes = {};
         const vendors = {};
@@ -409,7 +454,7 @@ class ShopifyStatsServer {
         if (cached) return cached;
 
         logger.info('Fetching inventory statistics...');
-        const products = await this.shopifyClient.getAllProducts();
+        const products = await this.getAllProducts();
         
         let totalInventory = 0;
         let outOfStock = 0;
@@ -462,7 +507,7 @@ class ShopifyStatsServer {
         if (cached) return cached;
 
         logger.info('Fetching pricing statistics...');
-        const products = await this.shopifyClient.getAllProducts();
+        const products = await this.getAllProducts();
         
         const prices = [];
         let withCompareAtPrice = 0;
@@ -508,7 +553,7 @@ class ShopifyStatsServer {
     // Recent products
     async getRecentProducts(days = 7) {
         logger.info(`Fetching products created in last ${days} days...`);
-        const products = await this.shopifyClient.getAllProducts();
+        const products = await this.getAllProducts();
         
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - days);
@@ -541,7 +586,7 @@ class ShopifyStatsServer {
         if (cached) return cached;
 
         logger.info('Fetching products by vendor...');
-        const products = await this.shopifyClient.getAllProducts();
+        const products = await this.getAllProducts();
         
         const vendorStats = {};
         
@@ -585,7 +630,7 @@ class ShopifyStatsServer {
     // Search products
     async searchProducts(query, limit = 10) {
         logger.info(`Searching products for: "${query}"`);
-        const products = await this.shopifyClient.getAllProducts();
+        const products = await this.getAllProducts();
         
         const searchQuery = query.toLowerCase();
         const matchingProducts = products
@@ -632,45 +677,19 @@ class ShopifyStatsServer {
         };
     }
 
-    // Start the server
+    // Start the server (resolves once it is listening)
     async start() {
-        try {
-            // Test Shopify connection on startup
-            await this.shopifyClient.initialize();
-            logger.info('Shopify connection verified');
-
-            this.app.listen(this.port, () => {
-                logger.info(`🚀 Shopify Stats Server running on port ${this.port}`);
-                logger.info(`📊 Dashboard available at: http://localhost:${this.port}`);
-                logger.info(`🔗 API endpoints available at: http://localhost:${this.port}/api/*`);
-            });
-        } catch (error) {
-            logger.error('Failed to start server:', error.message);
-            process.exit(1);
-        }
-    }
-}
+        // Test Shopify connection on startup
+        await this.shopifyClient.initialize();
+        logger.info('Shopify connection verified');
 
-// Create and start the server
-const server = new ShopifyStatsServer();
-
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-    logger.info('Shutting down server...');
-    process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-    logger.info('Shutting down server...');
-    process.exit(0);
-});
-
-// Start the server
-if (require.main === module) {
-    server.start().catch(error => {
-        logger.error('Failed to start server:', error);
-        process.exit(1);
-    });
+        await new Promise((resolve, reject) => {
+            this.app.listen(this.port, error => (error ? reject(error) : resolve()));
+        });
+        logger.info(`🚀 Shopify Stats Server running on port ${this.port}`);
+        logger.info(`📊 Dashboard available at: http://localhost:${this.port}`);
+        logger.info(`🔗 API endpoints available at: http://localhost:${this.port}/api/*`);
+    }
 }
 
-module.exports = ShopifyStatsServer;
\ No newline at end of file
+module.exports = ShopifyStatsServer;
@@ -0,0 +1,166 @@
+const axios = require('axios');
+const ProductStore = require('../productStore');
+const SupplierAdapter = require('./supplierAdapter');
+const logger = require('../logger');
+
+/**
+ * Overnight Mountings in-stock item API (paginated JSON)
+ */
+class OvernightMountingsAdapter extends SupplierAdapter {
+  constructor(options = {}) {
+    const {
+      baseApiUrl = 'https://connect.overnightmountings.com/api/rest/instockitem',
+      defaultParams = {
+        number_of_items: 30,
+        category_id: 1200
+      },
+      filterRuleset = 'overnight-api',
+      mapping = 'overnight-mountings'
+    } = options;
+
+    super({
+      name: 'overnight-mountings',
+      source: ProductStore.SOURCES.OVERNIGHT_API,
+      filterRuleset,
+      mapping
+    });
+
+    this.baseApiUrl = baseApiUrl;
+    this.defaultParams = defaultParams;
+  }
+
+  /**
+   * Page through the API until 3 consecutive empty pages, maxPages, or a critical error
+   * @param {object} options - { startPage, maxPages, delayBetweenPages, skipPages }
+   */
+  async *fetchPages(options = {}) {
+    const {
+      startPage = 1,
+      maxPages = null,
+      delayBetweenPages = 1000,
+      skipPages = []
+    } = options;
+
+    let currentPage = startPage;
+    let consecutiveEmptyPages = 0;
+
+    for (;;) {
+      const label = `page ${currentPage}`;
+
+      // Pages a resumed run already completed are not fetched again
+      if (skipPages.includes(currentPage)) {
+        logger.info(`Skipping ${label} (completed in checkpoint)`);
+        consecutiveEmptyPages = 0;
+        currentPage++;
+        if (maxPages && (currentPage - startPage) >= maxPages) {
+          logger.info(`Reached maximum pages limit (${maxPages})`);
+          return;
+        }
+        continue;
+      }
+
+      logger.info(`\n--- Fetching ${label} ---`);
+
+      try {
+        const pageData = await this.fetchPageFromAPI(currentPage);
+
+        if (!pageData || Object.keys(pageData).length === 0) {
+          consecutiveEmptyPages++;
+          logger.warn(`Page ${currentPage} is empty (${consecutiveEmptyPages} consecutive empty pages)`);
+
+          // Stop if we hit 3 consecutive empty pages
+          if (consecutiveEmptyPages >= 3) {
+            logger.info('Reached 3 consecutive empty pages, stopping pagination');
+            return;
+          }
+        } else {
+          consecutiveEmptyPages = 0;
+          yield { page: currentPage, label, records: Object.values(pageData) };
+        }
+      } catch (pageError) {
+        yield { page: currentPage, label, error: pageError };
+
+        // Continue to next page unless it's a critical error
+        if (pageError.message.includes('404') || pageError.message.includes('unauthorized')) {
+          logger.error('Critical API error, stopping pagination');
+          return;
+        }
+      }
+
+      currentPage++;
+      if (maxPages && (currentPage - startPage) >= maxPages) {
+        logger.info(`Reached maximum pages limit (${maxPages})`);
+        return;
+      }
+
+      // Delay between pages to respect API rate limits
+      if (delayBetweenPages > 0) {
+        logger.debug(`Waiting ${delayBetweenPages}ms before next page...`);
+        await new Promise(resolve => setTimeout(resolve, delayBetweenPages));
+      }
+    }
+  }
+
+  // A run starting past page 1 or capped by maxPages only sees part of the feed
+  isFullFeed(options = {}) {
+    const { startPage = 1, maxPages = null } = options;
+    return startPage === 1 && !maxPages;
+  }
+
+  /**
+   * The API feed has no file to hash, so the fingerprint covers the endpoint and paging options
+   */
+  async inputHash(options = {}) {
+    const { startPage = 1, maxPages = null } = options;
+    return ProductStore.hashContent({
+      supplier: this.name,
+      baseApiUrl: this.baseApiUrl,
+      defaultParams: this.defaultParams,
+      startPage,
+      maxPages
+    });
+  }
+
+  /**
+   * Fetch a single page of products from the API
+   */
+  async fetchPageFromAPI(pageNumber) {
+    try {
+      const params = {
+        ...this.defaultParams,
+        page_number: pageNumber
+      };
+
+      logger.debug(`Fetching: ${this.baseApiUrl} with params:`, params);
+
+      const response = await axios.get(this.baseApiUrl, {
+        params,
+        timeout: 30000, // 30 second timeout
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'Shopify-Integration-Script/1.0'
+        }
+      });
+
+      if (response.status !== 200) {
+        throw new Error(`API returned status ${response.status}: ${response.statusText}`);
+      }
+
+      return response.data;
+
+    } catch (error) {
+      if (error.response) {
+        const status = error.response.status;
+        const statusText = error.response.statusText;
+        throw new Error(`API Error ${status}: ${statusText}`);
+      } else if (error.code === 'ECONNABORTED') {
+        throw new Error('API request timeout');
+      } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+        throw new Error('Cannot connect to API - check network connection');
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = OvernightMountingsAdapter;
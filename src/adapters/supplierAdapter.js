@@ -0,0 +1,141 @@
+const FilterEngine = require('../filterEngine');
+const ProductMapper = require('../productMapper');
+const ProductStore = require('../productStore');
+
+/**
+ * Base class for supplier adapters. An adapter fetches raw supplier records,
+ * filters them with its filter ruleset, groups them (sizes/lengths of one
+ * style become one product) and turns each group into the normalized product
+ * model the sync engine and ShopifyClient work with:
+ *
+ *   {
+ *     sku, title, price, compareAtPrice, status, // sku and prices of the first variant
+ *     inventoryQuantity, unitCost, // written by InventorySync, not the product payload
+ *     skus,            // every variant SKU
+ *     variants,        // [{ sku, price, compareAtPrice, inventoryQuantity, unitCost, option1 }]
+ *     groupKey,        // grouping key (null for a single row)
+ *     supplier,        // adapter name
+ *     source,          // ProductStore source
+ *     contentHash,     // hash of the raw record(s), used to skip unchanged products
+ *     shopifyProduct,  // REST product payload from the supplier mapping
+ *     record,          // the first raw record of the group
+ *     records          // every raw record of the group
+ *   }
+ *
+ * Subclasses implement fetchPages().
+ */
+class SupplierAdapter {
+  constructor(options = {}) {
+    const { name, source, filterRuleset, mapping } = options;
+
+    this.name = name;
+    this.source = source;
+    this.filterEngine = FilterEngine.load(filterRuleset);
+    this.productMapper = ProductMapper.load(mapping);
+  }
+
+  /**
+   * Yield pages of raw records: { page, label, records } or { page, label, error } when a page failed
+   * @param {object} options - Adapter specific fetch options (skipPages lists page numbers a resumed run already completed)
+   */
+  async *fetchPages(options = {}) {
+    throw new Error(`${this.constructor.name} must implement fetchPages()`);
+  }
+
+  /**
+   * Fingerprint of the run input, kept in run checkpoints so a resume can tell the input changed
+   * @param {object} options - The fetch options of the run
+   */
+  async inputHash(options = {}) {
+    const { skipPages, ...fetchOptions } = options;
+    return ProductStore.hashContent({ supplier: this.name, ...fetchOptions });
+  }
+
+  /**
+   * Row counts of the last fetchPages() for adapters that read a file: { totalRows, processedRows, errors },
+   * or null for adapters without rows of their own
+   */
+  feedStats() {
+    return null;
+  }
+
+  filter(records) {
+    return this.filterEngine.filter(records);
+  }
+
+  /**
+   * Whether fetchPages() with these options walks the whole feed, so SKUs missing from it have vanished
+   */
+  isFullFeed(options = {}) {
+    return true;
+  }
+
+  /**
+   * SKU of a raw record (the mapping's "sku" field)
+   */
+  skuOf(record) {
+    const sku = this.productMapper.field(record, 'sku');
+    return sku ? String(sku) : null;
+  }
+
+  /**
+   * Group raw records into products (one group per record without a "grouping" mapping section)
+   */
+  group(records) {
+    return this.productMapper.group(records);
+  }
+
+  /**
+   * Turn a raw supplier record into the normalized product model
+   */
+  normalize(record) {
+    return this.normalizeGroup([record]);
+  }
+
+  /**
+   * Turn a group of raw records into one normalized product with a variant per record
+   */
+  normalizeGroup(records) {
+    const shopifyProduct = this.productMapper.mapGroup(records);
+    const inventoryBySku = new Map(records.map(record => [this.skuOf(record), this.productMapper.mapInventory(record)]));
+
+    const variants = shopifyProduct.variants.map(variant => {
+      const inventory = inventoryBySku.get(variant.sku) || this.productMapper.mapInventory(records[0]);
+      return {
+        sku: variant.sku || null,
+        price: variant.price,
+        compareAtPrice: variant.compare_at_price,
+        inventoryQuantity: inventory.quantity,
+        unitCost: inventory.unitCost,
+        option1: variant.option1 || null
+      };
+    });
+    const first = variants[0] || {};
+
+    // A single row keeps its plain record hash; a group hashes its rows independent of their order
+    const contentHash = records.length === 1
+      ? ProductStore.hashContent(records[0])
+      : ProductStore.hashContent({ rows: records.map(record => ProductStore.hashContent(record)).sort() });
+
+    return {
+      sku: first.sku || null,
+      title: shopifyProduct.title,
+      price: first.price,
+      compareAtPrice: first.compareAtPrice,
+      inventoryQuantity: first.inventoryQuantity,
+      unitCost: first.unitCost,
+      status: shopifyProduct.status,
+      skus: variants.map(variant => variant.sku).filter(sku => sku),
+      variants,
+      groupKey: records.length > 1 ? this.productMapper.groupKey(records[0]) : null,
+      supplier: this.name,
+      source: this.source,
+      contentHash,
+      shopifyProduct,
+      record: records[0],
+      records
+    };
+  }
+}
+
+module.exports = SupplierAdapter;
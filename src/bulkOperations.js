@@ -0,0 +1,240 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+/**
+ * Runs Shopify GraphQL bulk operations (bulkOperationRunMutation /
+ * bulkOperationRunQuery) on top of an initialized ShopifyClient and its
+ * request layer, and downloads the JSONL results.
+ */
+class BulkOperations {
+  constructor(shopifyClient, options = {}) {
+    const {
+      pollInterval = 5000, // 5 seconds
+      timeout = 4 * 60 * 60 * 1000 // 4 hours
+    } = options;
+
+    this.shopifyClient = shopifyClient;
+    this.pollInterval = pollInterval;
+    this.timeout = timeout;
+  }
+
+  get api() {
+    return this.shopifyClient.api;
+  }
+
+  /**
+   * Run a mutation once per line of variables via a staged JSONL upload
+   * @param {string} mutation - GraphQL mutation taking the variables of one line
+   * @param {Array<object>} variablesList - One variables object per line
+   * @returns {Promise<{operation: object, results: Array<object>}>} results indexed by input line
+   */
+  async runMutation(mutation, variablesList) {
+    const jsonl = variablesList.map(variables => JSON.stringify(variables)).join('\n');
+    logger.info(`Staging bulk mutation input: ${variablesList.length} lines (${(Buffer.byteLength(jsonl) / 1024).toFixed(1)}KB)`);
+
+    const stagedUploadPath = await this.stageUpload(jsonl, 'bulk-mutation.jsonl');
+
+    const response = await this.api.graphql(`
+      mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+        bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, { mutation, stagedUploadPath });
+
+    const result = this.unwrap(response, 'bulkOperationRunMutation');
+    logger.info(`✓ Bulk mutation started: ${result.bulkOperation.id}`);
+
+    const operation = await this.waitForCompletion(result.bulkOperation.id);
+
+    // Results come back unordered; __lineNumber points at the input line
+    const results = new Array(variablesList.length).fill(null);
+    if (operation.url) {
+      for await (const line of this.streamResults(operation.url)) {
+        if (typeof line.__lineNumber === 'number') {
+          results[line.__lineNumber] = line;
+        }
+      }
+    }
+
+    return { operation, results };
+  }
+
+  /**
+   * Run a bulk query and return the finished operation (its url points at the JSONL result)
+   * @param {string} query - Bulk query using edges/node connections
+   */
+  async runQuery(query) {
+    const response = await this.api.graphql(`
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, { query });
+
+    const result = this.unwrap(response, 'bulkOperationRunQuery');
+    logger.info(`✓ Bulk query started: ${result.bulkOperation.id}`);
+
+    return this.waitForCompletion(result.bulkOperation.id);
+  }
+
+  /**
+   * Create a staged upload target and upload the JSONL content to it
+   * @returns {Promise<string>} the stagedUploadPath to pass to bulkOperationRunMutation
+   */
+  async stageUpload(content, filename) {
+    const response = await this.api.graphql(`
+      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            resourceUrl
+            parameters {
+              name
+              value
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `, {
+      input: [{
+        resource: 'BULK_MUTATION_VARIABLES',
+        filename,
+        mimeType: 'text/jsonl',
+        httpMethod: 'POST'
+      }]
+    });
+
+    const target = this.unwrap(response, 'stagedUploadsCreate').stagedTargets[0];
+
+    const form = new FormData();
+    target.parameters.forEach(parameter => form.append(parameter.name, parameter.value));
+    form.append('file', new Blob([content], { type: 'text/jsonl' }), filename);
+
+    // The staged target is cloud storage, not the Admin API - no Shopify headers or rate limits
+    await axios.post(target.url, form, { maxBodyLength: Infinity, timeout: 5 * 60 * 1000 });
+
+    const keyParameter = target.parameters.find(parameter => parameter.name === 'key');
+    if (!keyParameter) {
+      throw new Error('Staged upload target did not return a key parameter');
+    }
+
+    logger.debug(`Uploaded bulk input to staged path: ${keyParameter.value}`);
+    return keyParameter.value;
+  }
+
+  /**
+   * Poll a bulk operation until it reaches a final status
+   */
+  async waitForCompletion(operationId) {
+    const startTime = Date.now();
+    let lastObjectCount = null;
+
+    for (;;) {
+      const response = await this.api.graphql(`
+        query bulkOperation($id: ID!) {
+          node(id: $id) {
+            ... on BulkOperation {
+              id
+              status
+              errorCode
+              objectCount
+              fileSize
+              url
+              partialDataUrl
+            }
+          }
+        }
+      `, { id: operationId }, { estimatedCost: 1 });
+
+      if (response.data.errors) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+      }
+
+      const operation = response.data.data.node;
+
+      if (operation.objectCount !== lastObjectCount) {
+        const elapsed = ((Date.now() - startTime) / 1000).toFixed(0);
+        logger.info(`Bulk operation ${operation.status.toLowerCase()}: ${operation.objectCount} objects (${elapsed}s elapsed)`);
+        lastObjectCount = operation.objectCount;
+      }
+
+      if (operation.status === 'COMPLETED') {
+        return operation;
+      }
+
+      if (['FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+        const error = new Error(`Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? `: ${operation.errorCode}` : ''}`);
+        error.operation = operation;
+        throw error;
+      }
+
+      if (Date.now() - startTime > this.timeout) {
+        throw new Error(`Bulk operation ${operationId} did not finish within ${this.timeout / 1000}s`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.pollInterval));
+    }
+  }
+
+  /**
+   * Stream a JSONL result file line by line as parsed objects
+   */
+  async *streamResults(url) {
+    const response = await axios.get(url, { responseType: 'stream', timeout: 0 });
+    response.data.setEncoding('utf8');
+    let buffer = '';
+
+    for await (const chunk of response.data) {
+      buffer += chunk;
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) {
+          yield JSON.parse(line);
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      yield JSON.parse(buffer.trim());
+    }
+  }
+
+  // Return the payload of a top-level mutation field, throwing on GraphQL or user errors
+  unwrap(response, field) {
+    if (response.data.errors) {
+      throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+    }
+
+    const result = response.data.data[field];
+    if (result.userErrors && result.userErrors.length > 0) {
+      const errors = result.userErrors.map(error => `${error.field}: ${error.message}`).join(', ');
+      throw new Error(`User errors: ${errors}`);
+    }
+
+    return result;
+  }
+}
+
+module.exports = BulkOperations;
@@ -0,0 +1,161 @@
+const logger = require('./logger');
+
+/**
+ * Keyword lookup from supplier category paths to Shopify's standard product
+ * taxonomy (Jewelry branch). Shared by every supplier mapping.
+ */
+class CategoryTaxonomy {
+  constructor() {
+    // Shopify category mapping using proper GID format for GraphQL
+    this.categoryMap = new Map([
+      // Jewelry > Anklets
+      ['anklets', 'gid://shopify/TaxonomyCategory/aa-6-1'],
+      ['anklet', 'gid://shopify/TaxonomyCategory/aa-6-1'],
+
+      // Jewelry > Body Jewelry
+      ['body jewelry', 'gid://shopify/TaxonomyCategory/aa-6-2'],
+      ['body', 'gid://shopify/TaxonomyCategory/aa-6-2'],
+
+      // Jewelry > Bracelets
+      ['bracelets', 'gid://shopify/TaxonomyCategory/aa-6-3'],
+      ['bracelet', 'gid://shopify/TaxonomyCategory/aa-6-3'],
+
+      // Jewelry > Brooches & Lapel Pins
+      ['brooches', 'gid://shopify/TaxonomyCategory/aa-6-4'],
+      ['brooch', 'gid://shopify/TaxonomyCategory/aa-6-4'],
+      ['lapel pins', 'gid://shopify/TaxonomyCategory/aa-6-4'],
+      ['lapel pin', 'gid://shopify/TaxonomyCategory/aa-6-4'],
+
+      // Jewelry > Charms & Pendants
+      ['charms', 'gid://shopify/TaxonomyCategory/aa-6-5'],
+      ['charm', 'gid://shopify/TaxonomyCategory/aa-6-5'],
+      ['pendants', 'gid://shopify/TaxonomyCategory/aa-6-5'],
+      ['pendant', 'gid://shopify/TaxonomyCategory/aa-6-5'],
+
+      // Jewelry > Earrings
+      ['earrings', 'gid://shopify/TaxonomyCategory/aa-6-6'],
+      ['earring', 'gid://shopify/TaxonomyCategory/aa-6-6'],
+
+      // Jewelry > Jewelry Sets
+      ['jewelry sets', 'gid://shopify/TaxonomyCategory/aa-6-7'],
+      ['jewelry set', 'gid://shopify/TaxonomyCategory/aa-6-7'],
+      ['sets', 'gid://shopify/TaxonomyCategory/aa-6-7'],
+      ['set', 'gid://shopify/TaxonomyCategory/aa-6-7'],
+
+      // Jewelry > Necklaces
+      ['necklaces', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['necklace', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['chain necklaces', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['chain necklace', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+
+      // Jewelry > Rings
+      ['rings', 'gid://shopify/TaxonomyCategory/aa-6-9'],
+      ['ring', 'gid://shopify/TaxonomyCategory/aa-6-9'],
+
+      // Jewelry > Smart Watches
+      ['smart watches', 'gid://shopify/TaxonomyCategory/aa-6-12'],
+      ['smart watch', 'gid://shopify/TaxonomyCategory/aa-6-12'],
+
+      // Jewelry > Watch Accessories
+      ['watch accessories', 'gid://shopify/TaxonomyCategory/aa-6-10'],
+      ['watch accessory', 'gid://shopify/TaxonomyCategory/aa-6-10'],
+
+      // Jewelry > Watch Accessories > Watch Bands
+      ['watch bands', 'gid://shopify/TaxonomyCategory/aa-6-10-1'],
+      ['watch band', 'gid://shopify/TaxonomyCategory/aa-6-10-1'],
+
+      // Jewelry > Watch Accessories > Watch Stickers & Decals
+      ['watch stickers', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
+      ['watch decals', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
+      ['watch stickers & decals', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
+
+      // Jewelry > Watch Accessories > Watch Winders
+      ['watch winders', 'gid://shopify/TaxonomyCategory/aa-6-10-3'],
+      ['watch winder', 'gid://shopify/TaxonomyCategory/aa-6-10-3'],
+
+      // Jewelry > Watches
+      ['watches', 'gid://shopify/TaxonomyCategory/aa-6-11'],
+      ['watch', 'gid://shopify/TaxonomyCategory/aa-6-11'],
+
+      // Additional mappings for chain types that should be under necklaces
+      ['chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['rope chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['rope chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['curb chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['curb chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['cable chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
+      ['cable chain', 'gid://shopify/TaxonomyCategory/aa-6-8']
+    ]);
+    
+    // Default category for jewelry if no specific match is found
+    this.defaultCategory = 'gid://shopify/TaxonomyCategory/aa-6-8'; // Necklaces as default
+  }
+
+  /**
+   * Map a supplier category value to a Shopify taxonomy category ID
+   * @param {string} categoriesValue - One or more category paths
+   * @param {string} sku - Used in log messages only
+   * @param {string} separator - Separator between category paths
+   */
+  resolve(categoriesValue, sku, separator = ';') {
+    if (!categoriesValue) {
+      logger.debug(`No categories found for ${sku}, using default jewelry category`);
+      return this.defaultCategory;
+    }
+
+    // Split categories and process each one
+    const categories = String(categoriesValue).split(separator);
+    logger.debug(`Processing categories for ${sku}: ${categories.join(' | ')}`);
+
+    for (const categoryPath of categories) {
+      const categoryId = this.findBestCategoryMatch(categoryPath);
+      if (categoryId) {
+        logger.info(`Category mapped for ${sku}: ${categoryPath.trim()} -> ${categoryId}`);
+        return categoryId;
+      }
+    }
+
+    logger.warn(`No category match found for ${sku}, using default jewelry category`);
+    return this.defaultCategory;
+  }
+
+  // Find the best category match from a category path
+  findBestCategoryMatch(categoryPath) {
+    if (!categoryPath) return null;
+
+    // Clean up the category path and convert to lowercase
+    const cleanPath = categoryPath.trim().toLowerCase().replace(/\\/g, '');
+
+    // Split by common separators and get individual category terms
+    const categoryTerms = cleanPath.split(/[\\\/\>\|]/).map(term => term.trim()).filter(term => term);
+
+    logger.debug(`Analyzing category terms: ${categoryTerms.join(', ')}`);
+
+    // Check for specific matches in order of preference (most specific first)
+    for (const term of categoryTerms.reverse()) { // Start from most specific (end of path)
+      // Direct match
+      if (this.categoryMap.has(term)) {
+        return this.categoryMap.get(term);
+      }
+
+      // Check if term contains any of our category keywords
+      for (const [keyword, categoryId] of this.categoryMap.entries()) {
+        if (term.includes(keyword) || keyword.includes(term)) {
+          return categoryId;
+        }
+      }
+    }
+
+    // If no match found, try looking for partial matches in the full path
+    for (const [keyword, categoryId] of this.categoryMap.entries()) {
+      if (cleanPath.includes(keyword)) {
+        return categoryId;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = CategoryTaxonomy;
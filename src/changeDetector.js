@@ -0,0 +1,213 @@
+const ProductStore = require('./productStore');
+const PricingEngine = require('./pricingEngine');
+
+// Grams per live variant weight_unit
+const WEIGHT_TO_GRAMS = {
+  g: 1,
+  kg: 1000,
+  oz: 28.3495,
+  lb: 453.592
+};
+
+/**
+ * Field groups of a mapped product payload. Each group is hashed on its own so a
+ * change can be traced to the fields that need writing; images and the variant
+ * set are compared by ShopifyClient (they depend on image checks and SKU matching).
+ */
+const FIELD_GROUPS = {
+  title: product => product.title || null,
+  description: product => product.body_html || null,
+  vendor: product => product.vendor || null,
+  product_type: product => product.product_type || null,
+  status: product => product.status || null,
+  tags: product => splitTags(product.tags).sort(),
+  seo: product => ({ title: product.seo_title || null, description: product.seo_description || null }),
+  metafields: product => (product.metafields || [])
+    .map(metafield => `${metafield.namespace}.${metafield.key}:${metafield.type}=${metafield.value}`)
+    .sort(),
+  category: product => product.category || null,
+  variants: product => ({
+    options: (product.options || []).map(option => option.name),
+    variants: (product.variants || []).map(variant => [lower(variant.sku), variant.option1 || null])
+  }),
+  price: product => (product.variants || []).map(variant => [lower(variant.sku), cents(variant.price), cents(variant.compare_at_price)]),
+  variant_details: product => (product.variants || []).map(variant => [lower(variant.sku), variant.barcode || null, Math.round(variant.weight || 0)])
+};
+
+/**
+ * Field-level change detection for mapped products.
+ *
+ * fieldHashes() hashes every field group of the mapped payload; the hashes are
+ * stored per SKU in the product store when a product is written, so later runs
+ * compare against what was last synced (diffHashes). Products without stored
+ * hashes are compared against the live product instead (diffLive), where any
+ * group the live product does not carry (metafields and SEO in REST listings)
+ * counts as changed so it is written once.
+ */
+class ChangeDetector {
+  get groups() {
+    return Object.keys(FIELD_GROUPS);
+  }
+
+  /**
+   * Hash of each field group: { title: 'sha1', description: 'sha1', ... }
+   */
+  fieldHashes(shopifyProduct) {
+    const hashes = {};
+    Object.entries(FIELD_GROUPS).forEach(([group, extract]) => {
+      hashes[group] = ProductStore.hashContent({ value: extract(shopifyProduct) });
+    });
+    return hashes;
+  }
+
+  /**
+   * Field groups whose hash differs from the last synced hashes (groups missing there count as changed)
+   */
+  diffHashes(currentHashes, syncedHashes) {
+    return this.groups.filter(group => currentHashes[group] !== syncedHashes?.[group]);
+  }
+
+  /**
+   * Field groups of the mapped payload that differ from a live REST-shaped product
+   * (variants matched by SKU; the variant set itself is left to the caller)
+   */
+  diffLive(shopifyProduct, liveProduct) {
+    const changes = [];
+    const changed = (group, isChanged) => {
+      if (isChanged) changes.push(group);
+    };
+
+    changed('title', (liveProduct.title || null) !== (shopifyProduct.title || null));
+    changed('description', normalizeHtml(liveProduct.body_html) !== normalizeHtml(shopifyProduct.body_html));
+    changed('vendor', liveProduct.vendor !== undefined && (liveProduct.vendor || null) !== (shopifyProduct.vendor || null));
+    changed('product_type', (liveProduct.product_type || null) !== (shopifyProduct.product_type || null));
+    changed('status', liveProduct.status !== shopifyProduct.status);
+    changed('tags', splitTags(liveProduct.tags).sort().join('\n') !== splitTags(shopifyProduct.tags).sort().join('\n'));
+
+    // REST listings carry neither SEO fields nor metafields - write them once
+    changed('seo', Boolean(shopifyProduct.seo_title || shopifyProduct.seo_description) && (
+      liveProduct.seo_title === undefined ||
+      (liveProduct.seo_title || null) !== (shopifyProduct.seo_title || null) ||
+      (liveProduct.seo_description || null) !== (shopifyProduct.seo_description || null)
+    ));
+    changed('metafields', (shopifyProduct.metafields || []).length > 0 && (
+      !liveProduct.metafields ||
+      shopifyProduct.metafields.some(metafield => !liveProduct.metafields.some(live =>
+        live.namespace === metafield.namespace && live.key === metafield.key && String(live.value) === String(metafield.value)
+      ))
+    ));
+    changed('category', Boolean(shopifyProduct.category) && (liveProduct.category || null) !== shopifyProduct.category);
+
+    const variants = shopifyProduct.variants || [];
+    const liveVariantFor = (variant) => {
+      const match = (liveProduct.variants || []).find(live => live.sku && lower(live.sku) === lower(variant.sku));
+      // A single-variant product found by title is compared through its first variant
+      return match || (variants.length === 1 ? liveProduct.variants?.[0] : null);
+    };
+
+    changed('price', variants.some(variant => {
+      const live = liveVariantFor(variant);
+      return live?.price && (!PricingEngine.samePrice(live.price, variant.price) || !PricingEngine.samePrice(live.compare_at_price, variant.compare_at_price));
+    }));
+    changed('variant_details', variants.some(variant => {
+      const live = liveVariantFor(variant);
+      if (!live) return false;
+      const liveWeight = live.weight === undefined ? null : Math.round(live.weight * (WEIGHT_TO_GRAMS[live.weight_unit] || 1));
+      return (live.barcode || null) !== (variant.barcode || null) ||
+        (liveWeight !== null && liveWeight !== Math.round(variant.weight || 0));
+    }));
+
+    return changes;
+  }
+
+  /**
+   * Field-by-field differences between the mapped payload and a live REST-shaped product, compared the way
+   * diffLive compares them: [{ group, field, before, after }] (variants matched by SKU, weights in grams)
+   */
+  fieldDiff(shopifyProduct, liveProduct) {
+    const differences = [];
+    const differ = (group, field, before, after, isDifferent = before !== after) => {
+      if (isDifferent) differences.push({ group, field, before, after });
+    };
+
+    differ('title', 'title', liveProduct.title || null, shopifyProduct.title || null);
+    differ('description', 'body_html', liveProduct.body_html || null, shopifyProduct.body_html || null,
+      normalizeHtml(liveProduct.body_html) !== normalizeHtml(shopifyProduct.body_html));
+    differ('vendor', 'vendor', liveProduct.vendor || null, shopifyProduct.vendor || null);
+    differ('product_type', 'product_type', liveProduct.product_type || null, shopifyProduct.product_type || null);
+    differ('status', 'status', liveProduct.status || null, shopifyProduct.status || null);
+    differ('tags', 'tags', splitTags(liveProduct.tags).sort().join(', '), splitTags(shopifyProduct.tags).sort().join(', '));
+
+    if (shopifyProduct.seo_title || shopifyProduct.seo_description) {
+      differ('seo', 'seo_title', liveProduct.seo_title || null, shopifyProduct.seo_title || null);
+      differ('seo', 'seo_description', liveProduct.seo_description || null, shopifyProduct.seo_description || null);
+    }
+    (shopifyProduct.metafields || []).forEach(metafield => {
+      const live = (liveProduct.metafields || []).find(candidate => candidate.namespace === metafield.namespace && candidate.key === metafield.key);
+      differ('metafields', `metafields.${metafield.namespace}.${metafield.key}`, live ? String(live.value) : null, String(metafield.value));
+    });
+    if (shopifyProduct.category) {
+      differ('category', 'category', liveProduct.category || null, shopifyProduct.category);
+    }
+
+    differ('variants', 'options',
+      (liveProduct.options || []).map(option => option.name).join(', '),
+      (shopifyProduct.options || []).map(option => option.name).join(', '),
+      Boolean(shopifyProduct.options) && (liveProduct.options || []).map(option => option.name).join('\n') !== shopifyProduct.options.map(option => option.name).join('\n'));
+
+    const variants = shopifyProduct.variants || [];
+    const liveVariants = liveProduct.variants || [];
+    const matched = new Set();
+    variants.forEach(variant => {
+      const field = `variants[${variant.sku}]`;
+      // A single-variant product found by title is compared through its only variant
+      const live = liveVariants.find(candidate => candidate.sku && lower(candidate.sku) === lower(variant.sku)) ||
+        (variants.length === 1 && liveVariants.length === 1 ? liveVariants[0] : null);
+      if (!live) {
+        differ('variants', field, null, 'added');
+        return;
+      }
+      matched.add(live);
+
+      differ('variants', `${field}.option1`, live.option1 || null, variant.option1 || null,
+        Boolean(variant.option1) && (live.option1 || null) !== variant.option1);
+      differ('price', `${field}.price`, live.price ?? null, variant.price ?? null, !PricingEngine.samePrice(live.price, variant.price));
+      differ('price', `${field}.compare_at_price`, live.compare_at_price ?? null, variant.compare_at_price ?? null,
+        !PricingEngine.samePrice(live.compare_at_price, variant.compare_at_price));
+      differ('variant_details', `${field}.barcode`, live.barcode || null, variant.barcode || null);
+
+      const liveWeight = live.weight === undefined || live.weight === null ? null : Math.round(live.weight * (WEIGHT_TO_GRAMS[live.weight_unit] || 1));
+      differ('variant_details', `${field}.weight_grams`, liveWeight, Math.round(variant.weight || 0),
+        liveWeight !== null && liveWeight !== Math.round(variant.weight || 0));
+    });
+    liveVariants
+      .filter(live => !matched.has(live))
+      .forEach(live => differ('variants', `variants[${live.sku || live.id}]`, 'present', 'removed'));
+
+    return differences;
+  }
+}
+
+function splitTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(tag => String(tag).trim()).filter(tag => tag);
+}
+
+function lower(value) {
+  return value ? String(value).toLowerCase() : null;
+}
+
+function cents(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(value);
+  return isNaN(number) ? null : Math.round(number * 100);
+}
+
+// Shopify reformats whitespace in body_html, so compare without it
+function normalizeHtml(html) {
+  return String(html || '').replace(/\s+/g, ' ').replace(/>\s+</g, '><').trim();
+}
+
+ChangeDetector.FIELD_GROUPS = FIELD_GROUPS;
+
+module.exports = ChangeDetector;
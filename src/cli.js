@@ -0,0 +1,744 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const ProductProcessor = require('./index');
+const ProductMapper = require('./productMapper');
+const QGoldCsvAdapter = require('./adapters/qgoldCsvAdapter');
+const OvernightMountingsAdapter = require('./adapters/overnightMountingsAdapter');
+const FilterEngine = require('./filterEngine');
+const CSVProcessor = require('./csvProcessor');
+const ShopifyClient = require('./shopifyClient');
+const DiscontinuedHandler = require('./discontinuedHandler');
+const ProductSnapshot = require('./productSnapshot');
+const RunCheckpoint = require('./runCheckpoint');
+const RunReport = require('./runReport');
+const Notifier = require('./notifier');
+const Scheduler = require('./scheduler');
+const logger = require('./logger');
+const OvernightMountingsAPIProcessor = require('../processAPIProducts');
+const ProductDeleter = require('../deleteProducts');
+const ProductRestorer = require('../restoreProducts');
+const RunRollback = require('../rollbackRun');
+const ProductAnalyzer = require('../analyze-products');
+const ProductCountAnalyzer = require('../countProducts');
+const ShopifyStatsServer = require('../shopify-stats-server');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+const EXIT_CODES = {
+  OK: 0,
+  FAILED: 1, // The command threw, or doctor found a failing check
+  USAGE: 2, // Unknown command, option or missing argument
+  PARTIAL: 3, // The run finished but some items failed (results.errors > 0)
+  CANCELLED: 4 // The operator declined the confirmation prompt
+};
+
+// Config files --config <dir> can replace, by the variable each loader reads
+const CONFIG_FILES = {
+  FILTER_RULES_PATH: 'filter-rules.json',
+  PRICING_RULES_PATH: 'pricing-rules.json',
+  DISCONTINUED_CONFIG_PATH: 'discontinued.json',
+  NOTIFICATIONS_CONFIG_PATH: 'notifications.json',
+  SCHEDULE_CONFIG_PATH: 'schedule.json'
+};
+
+// Flags with the same meaning in every command that takes them
+const SHARED_OPTIONS = {
+  'dry-run': { type: 'boolean', description: 'Show what would change without writing to Shopify' },
+  limit: { type: 'integer', value: 'N', description: 'Stop after N products' },
+  file: { type: 'string', value: 'PATH', description: 'Input CSV file (default data/products.csv)' }
+};
+
+// Accepted by every command
+const GLOBAL_OPTIONS = {
+  config: { type: 'string', value: 'DIR', description: 'Read config files from DIR (files it does not have come from config/)' },
+  json: { type: 'boolean', description: 'Print the results as JSON on stdout (logs go to stderr)' },
+  help: { type: 'boolean', description: 'Show help for the command' }
+};
+
+class UsageError extends Error {}
+
+const shared = (...names) => Object.fromEntries(names.map(name => [name, SHARED_OPTIONS[name]]));
+const splitList = value => (value ? value.split(',').map(item => item.trim()).filter(item => item) : null);
+
+/**
+ * Run a sync and notify the configured channels of its results or failure
+ */
+async function notifying(script, work) {
+  try {
+    const results = await work();
+    await Notifier.notifyRun({ script, results });
+    return results;
+  } catch (error) {
+    await Notifier.notifyRun({ script, error });
+    throw error;
+  }
+}
+
+// Subcommands: usage line, positional argument count, options, and run(options, args) returning the results
+// (exitCode(results) replaces the default errors/cancelled mapping)
+const COMMANDS = {
+  'sync csv': {
+    description: 'Sync the QGold CSV export into Shopify',
+    options: {
+      ...shared('dry-run', 'limit', 'file'),
+      'write-mode': { type: 'string', value: 'MODE', description: 'rest (default), graphql (productSet per product) or bulk' },
+      'page-size': { type: 'integer', value: 'N', description: 'CSV rows read and synced at a time (default 1000)' },
+      mapping: { type: 'string', value: 'NAME', description: 'Supplier mapping in config/mappings (default SUPPLIER_MAPPING or qgold)' },
+      resume: { type: 'string', value: 'RUN_ID', description: 'Resume an interrupted run from its checkpoint' },
+      'inventory-only': { type: 'boolean', description: 'Only reconcile inventory levels, without writing product data' }
+    },
+    run: options => {
+      const processor = new ProductProcessor({ filePath: options.file });
+      if (options.writeMode) {
+        if (!['rest', 'graphql', 'bulk'].includes(options.writeMode)) {
+          throw new UsageError(`Unknown write mode: ${options.writeMode} (expected rest, graphql or bulk)`);
+        }
+        processor.shopifyClient.writeMode = options.writeMode;
+      }
+      if (options.pageSize) {
+        processor.adapter.pageSize = options.pageSize;
+      }
+      if (options.mapping) {
+        const productMapper = ProductMapper.load(options.mapping);
+        processor.adapter.productMapper = productMapper;
+        processor.shopifyClient.productMapper = productMapper;
+      }
+
+      return notifying('qgold-batch', () => processor.run({
+        dryRun: options.dryRun,
+        limit: options.limit,
+        resumeRunId: options.resume,
+        inventoryOnly: options.inventoryOnly
+      }));
+    }
+  },
+
+  'sync api': {
+    description: 'Sync the Overnight Mountings API into Shopify',
+    options: {
+      ...shared('dry-run', 'limit'),
+      'start-page': { type: 'integer', value: 'N', description: 'First API page (default 1)' },
+      'max-pages': { type: 'integer', value: 'N', description: 'Stop after N pages' },
+      'no-filter': { type: 'boolean', description: 'Sync every product, ignoring the overnight-api filter rules' },
+      resume: { type: 'string', value: 'RUN_ID', description: 'Resume an interrupted run from its checkpoint' },
+      'inventory-only': { type: 'boolean', description: 'Only reconcile inventory levels, without writing product data' }
+    },
+    run: options => {
+      const processor = new OvernightMountingsAPIProcessor();
+      return notifying('overnight-api', () => processor.processProductsFromAPI({
+        startPage: options.startPage,
+        maxPages: options.maxPages,
+        limit: options.limit,
+        dryRun: options.dryRun,
+        enableFiltering: !options.noFilter,
+        resumeRunId: options.resume,
+        inventoryOnly: options.inventoryOnly
+      }));
+    }
+  },
+
+  delete: {
+    description: 'Delete or archive the products matching a query',
+    options: {
+      ...shared('dry-run'),
+      date: { type: 'string', value: 'YYYY-MM-DD', description: 'Created on this date (same as --created-from and --created-to)' },
+      'created-from': { type: 'string', value: 'YYYY-MM-DD', description: 'Created on or after this date' },
+      'created-to': { type: 'string', value: 'YYYY-MM-DD', description: 'Created on or before this date' },
+      'updated-from': { type: 'string', value: 'YYYY-MM-DD', description: 'Updated on or after this date' },
+      'updated-to': { type: 'string', value: 'YYYY-MM-DD', description: 'Updated on or before this date' },
+      timezone: { type: 'string', value: 'TZ', description: 'Time zone of the dates (default SHOP_TIMEZONE or America/New_York)' },
+      vendor: { type: 'string', value: 'LIST', description: 'Comma-separated vendors' },
+      tag: { type: 'string', value: 'LIST', description: 'Comma-separated tags (any of them)' },
+      status: { type: 'string', value: 'LIST', description: 'Comma-separated statuses (active, draft, archived)' },
+      'product-type': { type: 'string', value: 'LIST', description: 'Comma-separated product types' },
+      'skus-file': { type: 'string', value: 'PATH', description: 'File with one SKU per line (or a CSV with the SKU first)' },
+      'not-in-feed': { type: 'string', value: 'SUPPLIER', description: 'Products of the supplier whose SKUs are all missing from its feed (qgold or overnight)' },
+      archive: { type: 'boolean', description: 'Archive instead of deleting' },
+      yes: { type: 'boolean', description: 'Skip the confirmation prompt' },
+      'batch-size': { type: 'integer', value: 'N', description: 'Products per batch (default 5)' }
+    },
+    run: options => {
+      const query = {
+        createdFrom: options.createdFrom || options.date,
+        createdTo: options.createdTo || options.date,
+        updatedFrom: options.updatedFrom,
+        updatedTo: options.updatedTo,
+        timeZone: options.timezone || process.env.SHOP_TIMEZONE || 'America/New_York',
+        vendors: options.vendor,
+        tags: options.tag,
+        statuses: options.status,
+        productTypes: options.productType,
+        skus: options.skusFile ? ProductDeleter.readSkuFile(options.skusFile) : null,
+        notInFeed: options.notInFeed
+      };
+
+      if (options.dryRun) {
+        logger.info('Running in DRY RUN mode - no products will be changed');
+      }
+
+      return notifying('delete-products', () => new ProductDeleter().deleteProducts(query, {
+        dryRun: options.dryRun,
+        archive: options.archive,
+        yes: options.yes,
+        batchSize: options.batchSize || 5, // Smaller batches for deletion to be safer
+        delayBetweenBatches: 2000 // 2 seconds between batches
+      }));
+    }
+  },
+
+  restore: {
+    usage: '<snapshot> | --list',
+    args: [0, 1],
+    description: 'Recreate or revert products from a snapshot (a run ID or snapshot file)',
+    options: {
+      ...shared('dry-run'),
+      sku: { type: 'string', value: 'LIST', description: 'Only restore these comma-separated SKUs' },
+      list: { type: 'boolean', description: 'List the snapshots' }
+    },
+    run: (options, [snapshotId]) => {
+      if (options.list) {
+        const snapshots = ProductSnapshot.list();
+        if (snapshots.length === 0) {
+          logger.info('No snapshots found');
+        }
+        snapshots.forEach(snapshot => {
+          logger.info(`${snapshot.runId}: ${snapshot.products} products (${snapshot.reasons.join(', ')}) captured ${snapshot.capturedAt}`);
+        });
+        return { snapshots };
+      }
+      if (!snapshotId) {
+        throw new UsageError('Missing the snapshot to restore');
+      }
+
+      if (options.dryRun) {
+        logger.info('Running in DRY RUN mode - no products will be changed');
+      }
+      return notifying('restore-products', () => new ProductRestorer().restoreProducts(snapshotId, {
+        dryRun: options.dryRun,
+        skus: splitList(options.sku)
+      }));
+    }
+  },
+
+  rollback: {
+    usage: '<runId>',
+    args: [1, 1],
+    description: 'Undo a sync run: delete the products it created and revert the ones it changed',
+    options: {
+      ...shared('dry-run'),
+      yes: { type: 'boolean', description: 'Skip the confirmation prompt' },
+      force: { type: 'boolean', description: 'Also revert products written again since the run, and runs already rolled back' }
+    },
+    run: (options, [runId]) => {
+      if (options.dryRun) {
+        logger.info('Running in DRY RUN mode - no products will be changed');
+      }
+      return notifying('rollback-run', () => new RunRollback().rollback(runId, {
+        dryRun: options.dryRun,
+        yes: options.yes,
+        force: options.force
+      }));
+    }
+  },
+
+  analyze: {
+    description: 'Break down the CSV export by the qgold-analyze filter rules',
+    options: {
+      ...shared('file'),
+      output: { type: 'string', value: 'PATH', description: 'Where to save the analysis (default analysis-results.json)' }
+    },
+    run: async options => {
+      const analysis = await new ProductAnalyzer({ filePath: options.file }).analyzeProducts();
+
+      const outputPath = options.output || path.join(ROOT_DIR, 'analysis-results.json');
+      fs.writeFileSync(outputPath, JSON.stringify(analysis, null, 2));
+      logger.info(`\n📄 Detailed results saved to: ${outputPath}`);
+      return analysis;
+    }
+  },
+
+  count: {
+    description: 'Count the CSV products matching the qgold-count filter rules',
+    options: {
+      ...shared('file'),
+      min: { type: 'number', value: 'PRICE', description: 'Minimum MSRP (overrides the rules file)' },
+      max: { type: 'number', value: 'PRICE', description: 'Maximum MSRP (overrides the rules file)' }
+    },
+    run: async options => {
+      const analysis = await new ProductCountAnalyzer().analyzeProductsFromCSV(options.file || QGoldCsvAdapter.DEFAULT_FILE_PATH, {
+        msrpMin: options.min,
+        msrpMax: options.max
+      });
+      logger.info(`\n🎯 SUMMARY: ${analysis.matching} products match your criteria out of ${analysis.total} total products`);
+      return analysis;
+    }
+  },
+
+  preview: {
+    description: 'Show the filter summary and the Shopify payload of the first accepted CSV row',
+    options: shared('file'),
+    run: options => new ProductProcessor({ filePath: options.file }).previewProduct()
+  },
+
+  explain: {
+    usage: '<SKU...> | --all',
+    args: [0, Infinity],
+    description: 'Explain why CSV rows were accepted or rejected by the qgold-batch filter rules',
+    options: {
+      ...shared('file'),
+      all: { type: 'boolean', description: 'Write the result of every row to a CSV file instead' },
+      output: { type: 'string', value: 'PATH', description: 'CSV file for --all (default data/filter-explain.csv)' }
+    },
+    run: (options, skus) => {
+      const processor = new ProductProcessor({ filePath: options.file });
+      if (options.all) {
+        return processor.explainAll(options.output);
+      }
+      if (skus.length === 0) {
+        throw new UsageError('Pass the SKUs to explain, or --all');
+      }
+      return processor.explainProducts(skus);
+    }
+  },
+
+  'stats-server': {
+    description: 'Serve the store stats dashboard and API',
+    longRunning: true,
+    options: {
+      port: { type: 'integer', value: 'N', description: 'Port to listen on (default STATS_PORT or 3001)' }
+    },
+    run: async options => {
+      const server = new ShopifyStatsServer({ port: options.port });
+      const shutdown = () => {
+        logger.info('Shutting down server...');
+        process.exit(EXIT_CODES.OK);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+
+      await server.start();
+    }
+  },
+
+  scheduler: {
+    description: 'Run the job scheduler (config/schedule.json), list its jobs or run one now',
+    longRunning: options => !options.list && !options.run,
+    exitCode: results => {
+      if (!results?.status || results.status === 'succeeded') return EXIT_CODES.OK;
+      return results.status === 'partial' ? EXIT_CODES.PARTIAL : EXIT_CODES.FAILED;
+    },
+    options: {
+      list: { type: 'boolean', description: 'List the jobs with their next and last runs' },
+      run: { type: 'string', value: 'JOB', description: 'Run one job now (with its lock and max run time) and exit' }
+    },
+    run: async options => {
+      if (options.list) {
+        const schedule = Scheduler.describe();
+        logger.info(`Scheduler: ${schedule.daemon?.alive ? `running (pid ${schedule.daemon.pid})` : 'not running'}`);
+        schedule.jobs.forEach(job => {
+          logger.info(`${job.name}: ${job.cron} ${job.command}${job.enabled ? '' : ' (disabled)'}`);
+          logger.info(`  Next run: ${job.nextRunAt || '-'}`);
+          logger.info(`  Last run: ${job.lastRun ? `${job.lastRun.status} at ${job.lastRun.startedAt}` : '-'}`);
+        });
+        return schedule;
+      }
+
+      const scheduler = new Scheduler();
+
+      if (options.run) {
+        const job = scheduler.jobs.find(candidate => candidate.name === options.run);
+        if (!job) {
+          throw new UsageError(`Unknown job ${options.run} (jobs: ${scheduler.jobs.map(candidate => candidate.name).join(', ')})`);
+        }
+        return scheduler.runJob(job);
+      }
+
+      scheduler.start();
+
+      const shutdown = async () => {
+        await scheduler.stop();
+        process.exit(EXIT_CODES.OK);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    }
+  },
+
+  'test-notify': {
+    description: 'Send a sample run summary to every configured notification channel',
+    options: {},
+    run: async () => {
+      // Ignores notifyWhen, so every channel gets it
+      const notification = await Notifier.notifyRun({
+        script: 'test-notify',
+        results: { created: 1, updated: 2, skipped: 3, errors: 1, errorDetails: [{ item: 'TEST-SKU', error: 'Sample error' }] }
+      }, { force: true });
+      if (!notification || notification.sent === 0) {
+        logger.warn('No notification sent - set NOTIFY_WEBHOOK_URLS and/or SMTP_HOST and NOTIFY_EMAIL_TO');
+      }
+      return notification;
+    }
+  },
+
+  doctor: {
+    description: 'Check the environment, config files, input file, data directories and Shopify connection',
+    options: {
+      ...shared('file'),
+      offline: { type: 'boolean', description: 'Skip the Shopify connection check' }
+    },
+    run: options => doctor(options),
+    exitCode: results => (results.failed > 0 ? EXIT_CODES.FAILED : EXIT_CODES.OK)
+  }
+};
+
+/**
+ * Check everything a sync needs, one ✓/✗ line per check
+ * @returns {Promise<{checks: Array, passed: number, failed: number}>} Doctor exits with FAILED when any check failed
+ */
+async function doctor(options = {}) {
+  const { file = QGoldCsvAdapter.DEFAULT_FILE_PATH, offline = false } = options;
+  const checks = [];
+
+  const check = async (name, test) => {
+    try {
+      const detail = await test();
+      checks.push({ name, ok: true, detail: detail || null });
+      logger.info(`✓ ${name}${detail ? `: ${detail}` : ''}`);
+    } catch (error) {
+      checks.push({ name, ok: false, detail: error.message });
+      logger.error(`✗ ${name}: ${error.message}`);
+    }
+  };
+
+  logger.info('=== TREASURES DOCTOR ===');
+  logger.info('='.repeat(50));
+
+  await check('Environment', () => {
+    const missing = ['SHOPIFY_STORE_URL', 'SHOPIFY_ACCESS_TOKEN'].filter(name => !process.env[name]);
+    if (missing.length > 0) {
+      throw new Error(`${missing.join(' and ')} not set (see .env)`);
+    }
+    return 'SHOPIFY_STORE_URL and SHOPIFY_ACCESS_TOKEN set';
+  });
+
+  for (const Adapter of [QGoldCsvAdapter, OvernightMountingsAdapter]) {
+    await check(`${Adapter.name} config`, () => {
+      const adapter = new Adapter();
+      const pricing = adapter.productMapper.pricingEngine;
+      return `filter rules ${adapter.filterEngine.name} v${adapter.filterEngine.version}, mapping ${adapter.productMapper.name}` +
+        (pricing ? `, pricing ${pricing.name}` : '');
+    });
+  }
+
+  await check('Analyze and count filter rules', () => {
+    ['qgold-analyze', 'qgold-count'].forEach(ruleset => FilterEngine.load(ruleset));
+    return 'qgold-analyze, qgold-count';
+  });
+
+  await check('Discontinued config', () => {
+    new DiscontinuedHandler(null);
+  });
+
+  await check('Notifications config', () => {
+    const notifier = new Notifier();
+    return `${notifier.webhooks.length} webhooks, ${notifier.email ? 'email on' : 'no email'}`;
+  });
+
+  await check('Schedule config', () => {
+    const config = Scheduler.loadConfig(process.env.SCHEDULE_CONFIG_PATH || Scheduler.DEFAULT_CONFIG_PATH);
+    return `${config.jobs.length} jobs`;
+  });
+
+  await check('CSV export', async () => {
+    if (!fs.existsSync(file)) {
+      throw new Error(`${file} not found`);
+    }
+    const fileInfo = await new CSVProcessor().getFileInfo(file);
+    return `${file} (${fileInfo.sizeMB}MB, ~${fileInfo.estimatedRows} rows, modified ${fileInfo.lastModified.toISOString()})`;
+  });
+
+  await check('Data directories', () => {
+    const dirs = [
+      process.env.RUNS_DIR || RunCheckpoint.DEFAULT_RUNS_DIR,
+      process.env.SNAPSHOTS_DIR || ProductSnapshot.DEFAULT_SNAPSHOTS_DIR,
+      process.env.REPORTS_DIR || RunReport.DEFAULT_REPORTS_DIR
+    ];
+    dirs.forEach(dir => {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.accessSync(dir, fs.constants.W_OK);
+    });
+    return `${dirs.map(dir => path.relative(ROOT_DIR, dir) || dir).join(', ')} writable`;
+  });
+
+  if (!offline) {
+    await check('Shopify connection', async () => {
+      const client = new ShopifyClient();
+      await client.initialize();
+      const shop = await client.testConnection();
+      return `${shop.name} (${shop.myshopify_domain})`;
+    });
+  }
+
+  const failed = checks.filter(result => !result.ok).length;
+  logger.info('='.repeat(50));
+  logger.info(failed === 0 ? `All ${checks.length} checks passed` : `${failed} of ${checks.length} checks failed`);
+
+  return { checks, passed: checks.length - failed, failed };
+}
+
+/**
+ * Parse flags against the options a command takes: --name value, --name=value and boolean --name.
+ * Option names become camelCase keys (--dry-run -> dryRun); anything else is a positional argument.
+ */
+function parseArgs(args, specs) {
+  const options = {};
+  const positionals = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const equals = arg.indexOf('=');
+    const name = equals === -1 ? arg.slice(2) : arg.slice(2, equals);
+    const spec = specs[name];
+    if (!spec) {
+      throw new UsageError(`Unknown option --${name}`);
+    }
+
+    const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    if (spec.type === 'boolean') {
+      if (equals !== -1) {
+        throw new UsageError(`--${name} does not take a value`);
+      }
+      options[key] = true;
+      continue;
+    }
+
+    const value = equals !== -1 ? arg.slice(equals + 1) : args[++i];
+    if (value === undefined || value === '' || (equals === -1 && value.startsWith('--'))) {
+      throw new UsageError(`--${name} needs a value`);
+    }
+    options[key] = parseValue(name, spec, value);
+  }
+
+  return { options, positionals };
+}
+
+function parseValue(name, spec, value) {
+  if (spec.type === 'integer') {
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+      throw new UsageError(`--${name} must be a positive whole number, got "${value}"`);
+    }
+    return Number(value);
+  }
+  if (spec.type === 'number') {
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+      throw new UsageError(`--${name} must be a number, got "${value}"`);
+    }
+    return number;
+  }
+  return value;
+}
+
+/**
+ * Point the config loaders at the files in dir (through the variables they read), leaving the rest on config/
+ */
+function applyConfigDir(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new UsageError(`--config ${dir} is not a directory`);
+  }
+
+  const used = [];
+  Object.entries(CONFIG_FILES).forEach(([variable, file]) => {
+    const filePath = path.resolve(dir, file);
+    if (fs.existsSync(filePath)) {
+      process.env[variable] = filePath;
+      used.push(file);
+    }
+  });
+  if (fs.existsSync(path.join(dir, 'mappings'))) {
+    process.env.MAPPINGS_DIR = path.resolve(dir, 'mappings');
+    used.push('mappings/');
+  }
+
+  logger.info(`Config from ${dir}: ${used.length > 0 ? used.join(', ') : 'no config files found'}`);
+}
+
+/**
+ * Split off the global and shared flags given before the command (treasures --json sync csv), which are then
+ * parsed with the command's own options; scanning stops at the first argument that is not one of them
+ * @returns {{ leading: Array<string>, rest: Array<string> }}
+ */
+function splitLeadingOptions(argv) {
+  const specs = { ...SHARED_OPTIONS, ...GLOBAL_OPTIONS };
+  let i = 0;
+
+  while (i < argv.length && argv[i].startsWith('--')) {
+    const [name, value] = argv[i].slice(2).split(/=(.*)/s);
+    if (!specs[name]) break;
+    i += specs[name].type === 'boolean' || value !== undefined ? 1 : 2;
+  }
+
+  return { leading: argv.slice(0, i), rest: argv.slice(i) };
+}
+
+/**
+ * Subcommand named by the first one or two arguments (sync csv, sync api)
+ */
+function findCommand(argv) {
+  const twoWords = argv.slice(0, 2).join(' ');
+  if (COMMANDS[twoWords]) {
+    return twoWords;
+  }
+  return COMMANDS[argv[0]] ? argv[0] : null;
+}
+
+function formatOptions(specs) {
+  const rows = Object.entries(specs).map(([name, spec]) => [`--${name}${spec.value ? ` ${spec.value}` : ''}`, spec.description]);
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return rows.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`).join('\n');
+}
+
+function commandHelp(name) {
+  const command = COMMANDS[name];
+  return [
+    `Usage: treasures ${name}${command.usage ? ` ${command.usage}` : ''} [options]`,
+    '',
+    command.description,
+    '',
+    'Options:',
+    formatOptions({ ...command.options, ...GLOBAL_OPTIONS }),
+    ''
+  ].join('\n');
+}
+
+function generalHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(name => name.length));
+  return [
+    'Usage: treasures [options] <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, command]) => `  ${name.padEnd(width)}  ${command.description}`),
+    '',
+    'Options every command takes (before or after the command):',
+    formatOptions(GLOBAL_OPTIONS),
+    '',
+    'Exit codes: 0 ok, 1 failed, 2 usage error, 3 finished with item errors, 4 cancelled',
+    'Run treasures <command> --help for the options of a command.',
+    ''
+  ].join('\n');
+}
+
+function exitCodeOf(results) {
+  if (results?.cancelled) return EXIT_CODES.CANCELLED;
+  if (results?.errors > 0) return EXIT_CODES.PARTIAL;
+  return EXIT_CODES.OK;
+}
+
+/**
+ * Run a command line (without node and the script path)
+ * @returns {Promise<number|null>} Exit code, or null when the command keeps running (servers, the scheduler)
+ */
+async function run(argv) {
+  const json = argv.includes('--json');
+  if (json) {
+    logger.consoleToStderr();
+  }
+
+  const { leading, rest } = splitLeadingOptions(argv);
+  const name = findCommand(rest);
+  if (!name) {
+    if (rest.length === 0 || rest[0] === 'help') {
+      process.stdout.write(generalHelp());
+      return rest[0] === 'help' || leading.includes('--help') ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+    if (rest[0].startsWith('--')) {
+      logger.error(`Unknown option ${rest[0].split('=')[0]} before the command (see treasures --help)`);
+      return EXIT_CODES.USAGE;
+    }
+
+    // A command group without its subcommand (treasures sync)
+    const subcommands = Object.keys(COMMANDS).filter(command => command.startsWith(`${rest[0]} `));
+    if (subcommands.length > 0) {
+      const message = `Usage: ${subcommands.map(command => `treasures ${command}`).join(' | ')} [options]`;
+      if (argv.includes('--help')) {
+        process.stdout.write(`${message}\n`);
+        return EXIT_CODES.OK;
+      }
+      logger.error(message);
+      return EXIT_CODES.USAGE;
+    }
+
+    logger.error(`Unknown command: ${rest.slice(0, 2).join(' ')} (see treasures --help)`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const command = COMMANDS[name];
+  let options;
+  let args;
+  try {
+    const commandArgs = [...leading, ...rest.slice(name.split(' ').length)];
+    ({ options, positionals: args } = parseArgs(commandArgs, { ...command.options, ...GLOBAL_OPTIONS }));
+    if (options.help) {
+      process.stdout.write(commandHelp(name));
+      return EXIT_CODES.OK;
+    }
+
+    const [minArgs, maxArgs] = command.args || [0, 0];
+    if (args.length < minArgs || args.length > maxArgs) {
+      throw new UsageError(args.length < minArgs ? 'Missing arguments' : `Unexpected argument ${args[maxArgs]}`);
+    }
+    if (options.config) {
+      applyConfigDir(options.config);
+    }
+  } catch (error) {
+    if (!(error instanceof UsageError)) throw error;
+    logger.error(`${error.message}\n${commandHelp(name)}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    const results = await command.run(options, args);
+
+    const longRunning = typeof command.longRunning === 'function' ? command.longRunning(options) : command.longRunning;
+    if (longRunning) {
+      return null;
+    }
+    if (json) {
+      process.stdout.write(`${JSON.stringify(results ?? null, null, 2)}\n`);
+    }
+    return command.exitCode ? command.exitCode(results) : exitCodeOf(results);
+
+  } catch (error) {
+    if (error instanceof UsageError) {
+      logger.error(`${error.message} (see treasures ${name} --help)`);
+      return EXIT_CODES.USAGE;
+    }
+    logger.error(`treasures ${name} failed: ${error.message}`);
+    if (json) {
+      process.stdout.write(`${JSON.stringify({ error: error.message }, null, 2)}\n`);
+    }
+    return EXIT_CODES.FAILED;
+  }
+}
+
+// Main execution function
+async function main() {
+  const exitCode = await run(process.argv.slice(2));
+  if (exitCode !== null) {
+    process.exit(exitCode);
+  }
+}
+
+// Run if this file is executed directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { run, parseArgs, COMMANDS, EXIT_CODES };
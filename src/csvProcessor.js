@@ -1,4 +1,6 @@
 const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
 const csv = require('csv-parser');
 const logger = require('./logger');
 
@@ -7,106 +9,200 @@ class CSVProcessor {
     this.totalRows = 0;
     this.processedRows = 0;
     this.errors = 0;
+    this.duration = null;
   }
 
-  async processFile(filePath, options = {}) {
-    return new Promise((resolve, reject) => {
-      const results = [];
-      const startTime = Date.now();
-      
-      logger.info(`Starting CSV processing: ${filePath}`);
-      
-      // Reset counters
-      this.totalRows = 0;
-      this.processedRows = 0;
-      this.errors = 0;
-
-      const stream = fs.createReadStream(filePath)
-        .pipe(csv({
-          skipEmptyLines: true,
-          ...options
-        }));
-
-      stream.on('data', (row) => {
+  /**
+   * Stream the cleaned rows of a CSV file (see processRow). The file is read as the rows are
+   * consumed, so it is paused while the caller works on a row and memory stays flat
+   * whatever its size. Row counts are in getStats() and logged once the file is read.
+   * @param {string} filePath - CSV file
+   * @param {object} options - csv-parser options
+   */
+  async *streamRows(filePath, options = {}) {
+    const startTime = Date.now();
+
+    logger.info(`Starting CSV processing: ${filePath}`);
+
+    // Reset counters
+    this.totalRows = 0;
+    this.processedRows = 0;
+    this.errors = 0;
+    this.duration = null;
+
+    const parser = csv({
+      skipEmptyLines: true,
+      ...options
+    });
+
+    // A read error fails the parser too, and a caller that stops early closes the file
+    pipeline(fs.createReadStream(filePath), parser, () => {});
+
+    try {
+      for await (const row of parser) {
         this.totalRows++;
-        
-        try {
-          // Process each row here
-          const processedRow = this.processRow(row);
-          
-          if (processedRow) {
-            results.push(processedRow);
-            this.processedRows++;
-          }
-
-          // Log progress for large files
-          if (this.totalRows % 10000 === 0) {
-            logger.info(`Processed ${this.totalRows} rows...`);
-          }
 
+        let processedRow = null;
+        try {
+          processedRow = this.processRow(row);
         } catch (error) {
           this.errors++;
-          logger.warn(`Error processing row ${this.totalRows}:`, error.message);
+          logger.warn(`Error processing row ${this.totalRows}: ${error.message}`);
         }
-      });
 
-      stream.on('end', () => {
-        const endTime = Date.now();
-        const duration = ((endTime - startTime) / 1000).toFixed(2);
-        
-        logger.info(`CSV processing completed in ${duration}s`);
-        logger.info(`Total rows: ${this.totalRows}`);
-        logger.info(`Successfully processed: ${this.processedRows}`);
-        logger.info(`Errors: ${this.errors}`);
-
-        // Log the first item as requested
-        if (results.length > 0) {
-          logger.info('First processed item:', JSON.stringify(results[0], null, 2));
+        // Log progress for large files
+        if (this.totalRows % 10000 === 0) {
+          logger.info(`Processed ${this.totalRows} rows...`);
         }
 
-        resolve({
-          data: results,
-          stats: {
-            totalRows: this.totalRows,
-            processedRows: this.processedRows,
-            errors: this.errors,
-            duration: duration
-          }
-        });
-      });
+        if (processedRow) {
+          this.processedRows++;
+          yield processedRow;
+        }
+      }
+    } catch (error) {
+      logger.error(`CSV processing error: ${error.message}`);
+      throw error;
+    }
 
-      stream.on('error', (error) => {
-        logger.error('CSV processing error:', error.message);
-        reject(error);
-      });
-    });
+    this.duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+    logger.info(`CSV processing completed in ${this.duration}s`);
+    logger.info(`Total rows: ${this.totalRows}`);
+    logger.info(`Successfully processed: ${this.processedRows}`);
+    logger.info(`Errors: ${this.errors}`);
   }
 
+  /**
+   * Stream the cleaned rows of a CSV file in batches; the next rows are only read once
+   * the caller asks for the next batch
+   * @param {string} filePath - CSV file
+   * @param {object} options - { batchSize } plus csv-parser options
+   */
+  async *streamBatches(filePath, options = {}) {
+    const { batchSize = 1000, ...csvOptions } = options;
+    let batch = [];
+
+    for await (const row of this.streamRows(filePath, csvOptions)) {
+      batch.push(row);
+      if (batch.length >= batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      yield batch;
+    }
+  }
+
+  /**
+   * Row counts of the last file read (duration is set once it was read to the end)
+   */
+  getStats() {
+    return {
+      totalRows: this.totalRows,
+      processedRows: this.processedRows,
+      errors: this.errors,
+      duration: this.duration
+    };
+  }
+
+  /**
+   * Trim a row and drop its empty fields (errors are counted by streamRows)
+   * @returns {object|null} Cleaned row, or null when no field has data
+   */
   processRow(row) {
-    // Basic row processing - customize based on your CSV structure
-    try {
-      // Remove empty fields and trim whitespace
-      const cleanedRow = {};
-      
-      for (const [key, value] of Object.entries(row)) {
-        const cleanKey = key.trim();
-        const cleanValue = typeof value === 'string' ? value.trim() : value;
-        
-        if (cleanValue !== '' && cleanValue !== null && cleanValue !== undefined) {
-          cleanedRow[cleanKey] = cleanValue;
-        }
+    // Remove empty fields and trim whitespace
+    const cleanedRow = {};
+
+    for (const [key, value] of Object.entries(row)) {
+      const cleanKey = key.trim();
+      const cleanValue = typeof value === 'string' ? value.trim() : value;
+
+      if (cleanValue !== '' && cleanValue !== null && cleanValue !== undefined) {
+        cleanedRow[cleanKey] = cleanValue;
       }
+    }
 
-      // Only return rows that have meaningful data
-      if (Object.keys(cleanedRow).length > 0) {
-        return cleanedRow;
+    // Only return rows that have meaningful data
+    return Object.keys(cleanedRow).length > 0 ? cleanedRow : null;
+  }
+
+  /**
+   * Write rows to a CSV file, one line at a time
+   * @param {string} filePath - Output path (parent directories are created)
+   * @param {Iterable<object>} rows - Rows keyed by column name (an array, or a generator for large outputs)
+   * @param {Array<string>} columns - Column order (defaults to the keys of the first row of an array)
+   * @returns {number} Rows written
+   */
+  writeFile(filePath, rows, columns = Object.keys((Array.isArray(rows) && rows[0]) || {})) {
+    const writer = this.openWriter(filePath, columns);
+    try {
+      for (const row of rows) {
+        writer.write(row);
       }
+    } finally {
+      writer.close();
+    }
 
-      return null;
-    } catch (error) {
-      logger.warn('Error processing individual row:', error.message);
-      return null;
+    logger.info(`✓ Wrote ${writer.count} rows to ${filePath}`);
+    return writer.count;
+  }
+
+  /**
+   * Write rows from an async iterable (such as rows mapped from streamRows) to a CSV file as they arrive
+   * @param {string} filePath - Output path (parent directories are created)
+   * @param {AsyncIterable<object>} rows - Rows keyed by column name
+   * @param {Array<string>} columns - Column order
+   * @returns {Promise<number>} Rows written
+   */
+  async writeStream(filePath, rows, columns) {
+    const writer = this.openWriter(filePath, columns);
+    try {
+      for await (const row of rows) {
+        writer.write(row);
+      }
+    } finally {
+      writer.close();
     }
+
+    logger.info(`✓ Wrote ${writer.count} rows to ${filePath}`);
+    return writer.count;
+  }
+
+  /**
+   * Open a CSV file (header written) for rows written one at a time and flushed in 64KB chunks
+   * @returns {{ write: Function, close: Function, count: number }}
+   */
+  openWriter(filePath, columns) {
+    const escape = value => {
+      const text = value === undefined || value === null ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const fd = fs.openSync(filePath, 'w');
+    let chunk = columns.map(escape).join(',') + '\n';
+
+    return {
+      count: 0,
+      write(row) {
+        chunk += columns.map(column => escape(row[column])).join(',') + '\n';
+        this.count++;
+        if (chunk.length >= 64 * 1024) {
+          fs.writeSync(fd, chunk);
+          chunk = '';
+        }
+      },
+      close() {
+        try {
+          fs.writeSync(fd, chunk);
+        } finally {
+          fs.closeSync(fd);
+        }
+      }
+    };
   }
 
   async getFileInfo(filePath) {
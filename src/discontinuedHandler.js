@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'discontinued.json');
+const SUPPORTED_VERSION = 1;
+const ACTIONS = ['draft', 'archive', 'zero_inventory', 'tag'];
+
+/**
+ * Acts on Shopify products whose SKU stopped coming through a supplier sync.
+ *
+ * After each run every product store record of the supplier is classified as
+ * active (accepted this run), discontinued (row present but not active),
+ * filtered (row present but rejected by the filter rules) or vanished (row
+ * missing from a full feed). Misses are counted per SKU in the product store
+ * (missedRuns) and once a SKU has missed graceRuns consecutive runs the
+ * configured action from config/discontinued.json is applied to its product.
+ */
+class DiscontinuedHandler {
+  constructor(shopifyClient, configPath = process.env.DISCONTINUED_CONFIG_PATH || DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    if (config.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported discontinued config version ${config.version} in ${configPath} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    this.shopifyClient = shopifyClient;
+    this.config = config;
+  }
+
+  /**
+   * Effective policy for a supplier (defaults merged with the supplier entry)
+   */
+  policyFor(supplier) {
+    const policy = { ...this.config.defaults, ...(this.config.suppliers?.[supplier] || {}) };
+
+    if (!ACTIONS.includes(policy.action)) {
+      throw new Error(`Unknown discontinued action "${policy.action}" for ${supplier} (expected ${ACTIONS.join(', ')})`);
+    }
+
+    return policy;
+  }
+
+  /**
+   * Update miss counts for every SKU of the adapter's source and act on the ones past the grace period
+   * @param {SupplierAdapter} adapter - Adapter of the run
+   * @param {Map} seen - Lowercased SKU -> 'active' | 'discontinued' | 'filtered' from this run
+   * @param {object} options - { dryRun, detectVanished, snapshot } (vanished SKUs are only counted after a full, error-free
+   *   feed; products are captured in the ProductSnapshot before any action)
+   */
+  async apply(adapter, seen, options = {}) {
+    const { dryRun = false, detectVanished = false, snapshot = null } = options;
+    const policy = this.policyFor(adapter.name);
+    const store = this.shopifyClient.productStore;
+
+    const results = {
+      action: policy.action,
+      graceRuns: policy.graceRuns,
+      missing: 0,
+      pending: 0,
+      actioned: 0,
+      restored: 0,
+      errors: 0,
+      byReason: {},
+      errorDetails: []
+    };
+
+    // Products to act on, grouped by product ID (a product can hold several SKUs)
+    const dueProducts = new Map();
+
+    store.bySource(adapter.source).forEach(record => {
+      const key = store.normalizeSku(record.sku);
+      const state = seen.get(key) || (detectVanished ? 'vanished' : null);
+
+      if (state === 'active') {
+        if (record.missedRuns || record.discontinuedAction) {
+          results.restored++;
+          if (!dryRun) {
+            store.upsert({ sku: record.sku, missedRuns: 0, missingReason: null, discontinuedAction: null, discontinuedAt: null });
+          }
+        }
+        return;
+      }
+
+      if (!state || !policy.reasons.includes(state)) return;
+      if (record.discontinuedAction) return; // Already handled in an earlier run
+
+      const missedRuns = (record.missedRuns || 0) + 1;
+      results.missing++;
+      results.byReason[state] = (results.byReason[state] || 0) + 1;
+
+      if (missedRuns < policy.graceRuns) {
+        results.pending++;
+        logger.debug(`${record.sku} ${state} (${missedRuns}/${policy.graceRuns} runs)`);
+        if (!dryRun) {
+          store.upsert({ sku: record.sku, missedRuns, missingReason: state });
+        }
+        return;
+      }
+
+      if (!dueProducts.has(record.productId)) {
+        dueProducts.set(record.productId, []);
+      }
+      dueProducts.get(record.productId).push({ ...record, missedRuns, missingReason: state });
+    });
+
+    // No action without a snapshot to restore from - the SKUs stay due for the next run
+    if (snapshot && !dryRun && dueProducts.size > 0) {
+      try {
+        await snapshot.capture(Array.from(dueProducts.keys()), `discontinued:${policy.action}`);
+      } catch (error) {
+        logger.error(`✗ Snapshot before ${policy.action} failed, no discontinued products actioned:`, error.message);
+        results.errors++;
+        results.errorDetails.push({ item: 'discontinued', error: `Snapshot failed: ${error.message}` });
+        return results;
+      }
+    }
+
+    for (const [productId, records] of dueProducts) {
+      const skus = records.map(record => record.sku).join(', ');
+
+      if (dryRun) {
+        logger.info(`[DRY RUN] Would ${policy.action} product ${productId} (${skus}): ${records[0].missingReason} for ${records[0].missedRuns} runs`);
+        results.actioned++;
+        continue;
+      }
+
+      try {
+        await this.applyAction(policy, productId, records, adapter);
+        logger.info(`✓ ${policy.action} applied to product ${productId} (${skus}): ${records[0].missingReason} for ${records[0].missedRuns} runs`);
+        results.actioned++;
+
+        // Clear the content and field hashes so the product is rewritten in full if the SKU comes back
+        const now = new Date().toISOString();
+        records.forEach(record => store.upsert({
+          sku: record.sku,
+          missedRuns: record.missedRuns,
+          missingReason: record.missingReason,
+          discontinuedAction: policy.action,
+          discontinuedAt: now,
+          contentHash: null,
+          fieldHashes: null
+        }));
+
+      } catch (error) {
+        logger.error(`✗ Failed to ${policy.action} product ${productId} (${skus}):`, error.message);
+        results.errors++;
+        results.errorDetails.push({ item: skus, error: `${policy.action} failed: ${error.message}` });
+
+        if (error.response?.status === 404) {
+          // Product was deleted in Shopify - nothing left to act on
+          store.removeByProductId(productId);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  async applyAction(policy, productId, records, adapter) {
+    const storeOptions = { source: records[0].source };
+
+    switch (policy.action) {
+      case 'draft':
+        return await this.shopifyClient.updateProduct(productId, { id: productId, status: 'draft' }, storeOptions);
+      case 'archive':
+        return await this.shopifyClient.updateProduct(productId, { id: productId, status: 'archived' }, storeOptions);
+      case 'zero_inventory': {
+        const inventory = this.shopifyClient.inventorySync;
+        const locationId = await inventory.resolveLocationId(adapter.productMapper.inventoryLocation);
+        const itemIds = await inventory.resolveInventoryItemIds(records.map(record => record.sku));
+        if (itemIds.size === 0) {
+          throw new Error('No inventory items known for the product');
+        }
+        return await inventory.setQuantities(Array.from(itemIds.values()).map(inventoryItemId => ({ inventoryItemId, locationId, quantity: 0 })));
+      }
+      case 'tag':
+        return await this.shopifyClient.addProductTags(productId, [policy.reviewTag], storeOptions);
+      default:
+        throw new Error(`Unknown discontinued action "${policy.action}"`);
+    }
+  }
+
+  logResults(results) {
+    logger.info(`Missing SKUs: ${results.missing} (${Object.entries(results.byReason).map(([reason, count]) => `${reason}: ${count}`).join(', ') || 'none'})`);
+    logger.info(`  Within grace period (${results.graceRuns} runs): ${results.pending}`);
+    logger.info(`  Products actioned (${results.action}): ${results.actioned}`);
+    if (results.restored > 0) {
+      logger.info(`  Back in feed: ${results.restored}`);
+    }
+    if (results.errors > 0) {
+      logger.info(`  Action errors: ${results.errors}`);
+    }
+  }
+}
+
+DiscontinuedHandler.ACTIONS = ACTIONS;
+
+module.exports = DiscontinuedHandler;
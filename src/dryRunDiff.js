@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const ProductSnapshot = require('./productSnapshot');
+const logger = require('./logger');
+
+// Longest value shown in a diff table cell (the full value is in the request payload)
+const MAX_CELL_LENGTH = 300;
+
+/**
+ * Review file of a dry run (reports/<runId>/dry-run.md), for checking a night's changes
+ * before enabling writes:
+ *
+ * - a summary table: one row per product with its action and the field groups it changes
+ * - for each create, the exact requests the run would send
+ * - for each update, a field-by-field before/after diff against the live product, then the requests
+ *
+ * ShopifyClient adds the planned writes while the dry run goes (see plannedRequests); the live
+ * products are read in one pass when the file is written.
+ */
+class DryRunDiff {
+  /**
+   * @param {ShopifyClient} shopifyClient - Client the dry run plans its writes with
+   */
+  constructor(shopifyClient) {
+    this.shopifyClient = shopifyClient;
+    this.creates = [];
+    this.updates = [];
+  }
+
+  addCreate(product, requests) {
+    this.creates.push({
+      sku: product.sku,
+      title: product.title || product.shopifyProduct?.title,
+      requests
+    });
+  }
+
+  addUpdate(product, existingProduct, changes = [], requests = []) {
+    this.updates.push({
+      sku: product.sku,
+      title: product.title || product.shopifyProduct?.title,
+      productId: existingProduct.id,
+      changes,
+      requests,
+      product,
+      existingProduct,
+      differences: []
+    });
+  }
+
+  /**
+   * Diff the updates against the live products and write the review file
+   * @param {string} dir - Report directory of the run
+   * @param {object} context - { title, writeMode } for the file header
+   * @returns {Promise<string>} Path of the file
+   */
+  async write(dir, context = {}) {
+    await this.diffLiveProducts();
+
+    const filePath = path.join(dir, 'dry-run.md');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath, this.render(context));
+
+    logger.info(`✓ Dry-run diff: ${this.creates.length} creates, ${this.updates.length} updates -> ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Read the products the updates would change and fill in their field differences. When they cannot be
+   * read, the product the run matched (catalog listing) stands in for it; store-only matches have no fields.
+   */
+  async diffLiveProducts() {
+    if (this.updates.length === 0) {
+      return;
+    }
+
+    let liveProducts = new Map();
+    try {
+      const products = await new ProductSnapshot(this.shopifyClient, 'dry-run')
+        .fetchProducts(Array.from(new Set(this.updates.map(update => update.productId))));
+      liveProducts = new Map(products.map(product => [product.id, product]));
+    } catch (error) {
+      logger.warn(`Could not read the live products for the dry-run diff - comparing with the catalog listing: ${error.message}`);
+    }
+
+    const { changeDetector } = this.shopifyClient;
+    this.updates.forEach(update => {
+      const live = liveProducts.get(Number(update.productId)) || (update.existingProduct.fromProductStore ? null : update.existingProduct);
+      update.compared = live ? (liveProducts.has(Number(update.productId)) ? 'live product' : 'catalog listing') : null;
+      if (!live) {
+        return;
+      }
+
+      update.differences = changeDetector.fieldDiff(update.product.shopifyProduct, live);
+      if (update.changes.includes('images')) {
+        update.differences.push({
+          group: 'images',
+          field: 'images',
+          before: (live.images || []).map(image => image.src).join(' '),
+          after: (update.product.shopifyProduct.images || []).map(image => image.src).join(' ')
+        });
+      }
+    });
+  }
+
+  render(context = {}) {
+    const { title = 'Sync', writeMode = this.shopifyClient.writeMode } = context;
+    const lines = [
+      `# Dry run: ${title}`,
+      '',
+      `Generated ${new Date().toISOString()} - write mode ${writeMode} - ${this.creates.length} creates, ${this.updates.length} updates`,
+      '',
+      'The requests are what a real run would send, except that it first drops image URLs that fail their check',
+      'and stamps each product with its run ID metafield.',
+      '',
+      '## Summary',
+      '',
+      '| Action | SKU | Title | Product ID | Field groups | Fields that differ |',
+      '| --- | --- | --- | --- | --- | --- |',
+      ...this.creates.map(create => row(['create', create.sku, create.title, '-', 'all', '-'])),
+      ...this.updates.map(update => row([
+        'update',
+        update.sku,
+        update.title,
+        update.productId,
+        update.changes.join(', '),
+        update.compared ? update.differences.length : 'not compared'
+      ]))
+    ];
+
+    const groupCounts = {};
+    this.updates.forEach(update => update.changes.forEach(group => {
+      groupCounts[group] = (groupCounts[group] || 0) + 1;
+    }));
+    if (Object.keys(groupCounts).length > 0) {
+      lines.push('', '| Field group | Updates |', '| --- | --- |');
+      Object.entries(groupCounts)
+        .sort(([, a], [, b]) => b - a)
+        .forEach(([group, count]) => lines.push(row([group, count])));
+    }
+
+    if (this.creates.length > 0) {
+      lines.push('', '## Creates');
+      this.creates.forEach(create => {
+        lines.push('', `### ${create.sku} - ${create.title}`, '', ...renderRequests(create.requests));
+      });
+    }
+
+    if (this.updates.length > 0) {
+      lines.push('', '## Updates');
+      this.updates.forEach(update => {
+        lines.push('', `### ${update.sku} - ${update.title} (product ${update.productId})`, '');
+        lines.push(`Field groups to write: ${update.changes.join(', ') || 'none'}`, '');
+
+        if (!update.compared) {
+          lines.push('Not compared: the product could not be read from Shopify.', '');
+        } else if (update.differences.length === 0) {
+          lines.push(`No field differs from the ${update.compared} (the field hashes of the last sync changed).`, '');
+        } else {
+          lines.push(`Compared with the ${update.compared}:`, '', '| Field | Before | After |', '| --- | --- | --- |');
+          update.differences.forEach(difference => lines.push(row([difference.field, difference.before, difference.after])));
+          lines.push('');
+        }
+        lines.push(...renderRequests(update.requests));
+      });
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+function renderRequests(requests) {
+  if (requests.length === 0) {
+    return ['No requests (nothing left to send).'];
+  }
+  return requests.flatMap(request => [
+    `${request.request}:`,
+    '',
+    '```json',
+    JSON.stringify(request.body || request.variables, null, 2),
+    '```',
+    ''
+  ]);
+}
+
+function row(cells) {
+  return `| ${cells.map(cell).join(' | ')} |`;
+}
+
+// Markdown table cell: one line, pipes escaped, long values cut
+function cell(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  text = text.replace(/\s+/g, ' ').trim();
+  if (text.length > MAX_CELL_LENGTH) {
+    text = `${text.substring(0, MAX_CELL_LENGTH)}…`;
+  }
+  return text.replace(/\|/g, '\\|');
+}
+
+module.exports = DryRunDiff;
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'filter-rules.json');
+const SUPPORTED_VERSION = 1;
+const PREDICATES = ['range', 'contains', 'equals', 'regex', 'anyOf', 'present'];
+
+/**
+ * Rule engine for the declarative product filter rules in config/filter-rules.json.
+ *
+ * A ruleset is an ordered list of rules. Each rule either includes (the row must
+ * match the predicate) or excludes (the row must not match it) on one or more
+ * fields. Rows are rejected by the first failing rule, which is what the
+ * per-rule rejection counters report.
+ */
+class FilterEngine {
+  constructor(ruleset, options = {}) {
+    const { name = 'custom', version = SUPPORTED_VERSION } = options;
+
+    this.name = name;
+    this.version = version;
+    this.description = ruleset.description || name;
+    this.rules = (ruleset.rules || []).map(rule => this.compileRule(rule));
+    this.resetStats();
+  }
+
+  /**
+   * Load a named ruleset from the rules file
+   * @param {string} rulesetName - Key under "rulesets"
+   * @param {string} rulesPath - Path to the rules file (FILTER_RULES_PATH overrides the default)
+   */
+  static load(rulesetName, rulesPath = process.env.FILTER_RULES_PATH || DEFAULT_RULES_PATH) {
+    const config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+    if (config.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported filter rules version ${config.version} in ${rulesPath} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    const ruleset = config.rulesets?.[rulesetName];
+    if (!ruleset) {
+      throw new Error(`Filter ruleset "${rulesetName}" not found in ${rulesPath}`);
+    }
+
+    return new FilterEngine(ruleset, { name: rulesetName, version: config.version });
+  }
+
+  compileRule(rule) {
+    const mode = rule.include ? 'include' : rule.exclude ? 'exclude' : null;
+    if (!rule.id || !mode) {
+      throw new Error(`Filter rule ${rule.id || '(no id)'} must have an id and an include or exclude predicate`);
+    }
+
+    const spec = rule[mode];
+    const predicate = PREDICATES.find(name => spec[name] !== undefined);
+    if (!predicate) {
+      throw new Error(`Filter rule ${rule.id} has no supported predicate (${PREDICATES.join(', ')})`);
+    }
+
+    const fields = spec.fields || [spec.field];
+    if (!fields[0]) {
+      throw new Error(`Filter rule ${rule.id} has no field`);
+    }
+
+    const compiled = {
+      id: rule.id,
+      description: rule.description || rule.id,
+      mode,
+      fields,
+      match: spec.match || 'any',
+      predicate,
+      expected: spec[predicate],
+      caseSensitive: spec.caseSensitive === true
+    };
+
+    if (predicate === 'regex') {
+      compiled.regex = new RegExp(spec.regex, spec.flags || (compiled.caseSensitive ? '' : 'i'));
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Change the bounds of a range rule (used for CLI overrides such as --min/--max)
+   */
+  setRange(ruleId, bounds) {
+    const rule = this.rules.find(r => r.id === ruleId);
+    if (!rule || rule.predicate !== 'range') {
+      throw new Error(`Filter rule ${ruleId} is not a range rule in ruleset ${this.name}`);
+    }
+    rule.expected = { ...rule.expected, ...bounds };
+    // The configured description names the old bounds
+    rule.description = `${rule.fields.join(', ')} between $${rule.expected.min ?? 0} and $${rule.expected.max ?? '∞'} (overridden)`;
+  }
+
+  getRule(ruleId) {
+    return this.rules.find(rule => rule.id === ruleId) || null;
+  }
+
+  normalizeString(value, caseSensitive) {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    return caseSensitive ? text : text.toLowerCase();
+  }
+
+  parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    return isNaN(number) ? null : number;
+  }
+
+  // Does a single field value satisfy the rule's predicate?
+  testValue(rule, value) {
+    const { predicate, expected, caseSensitive } = rule;
+    const asList = list => (Array.isArray(list) ? list : [list]);
+
+    switch (predicate) {
+      case 'range': {
+        const number = this.parseNumber(value);
+        if (number === null) return false;
+        if (expected.min !== undefined && number < expected.min) return false;
+        if (expected.max !== undefined && number > expected.max) return false;
+        return true;
+      }
+      case 'contains': {
+        const text = this.normalizeString(value, caseSensitive);
+        return asList(expected).some(term => text.includes(this.normalizeString(term, caseSensitive)));
+      }
+      case 'equals':
+      case 'anyOf': {
+        const text = this.normalizeString(value, caseSensitive);
+        return asList(expected).some(term => text === this.normalizeString(term, caseSensitive));
+      }
+      case 'regex':
+        return rule.regex.test(value === undefined || value === null ? '' : String(value));
+      case 'present': {
+        const present = this.normalizeString(value, true) !== '';
+        return expected ? present : !present;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Evaluate one rule against a row
+   * @returns {{id, description, mode, fields, predicate, expected, value, matched, passed}}
+   */
+  evaluateRule(rule, row) {
+    const values = rule.fields.map(field => row[field]);
+    const hits = values.map(value => this.testValue(rule, value));
+    const matched = rule.match === 'all' ? hits.every(Boolean) : hits.some(Boolean);
+
+    return {
+      id: rule.id,
+      description: rule.description,
+      mode: rule.mode,
+      fields: rule.fields,
+      predicate: rule.predicate,
+      expected: rule.expected,
+      value: rule.fields.length === 1 ? values[0] : rule.fields.reduce((acc, field, index) => {
+        acc[field] = values[index];
+        return acc;
+      }, {}),
+      matched,
+      passed: rule.mode === 'include' ? matched : !matched
+    };
+  }
+
+  /**
+   * Run every rule against a row (no short-circuit, no stats)
+   * @returns {{accepted: boolean, checks: Array, failedRules: Array<string>}}
+   */
+  evaluate(row) {
+    const checks = this.rules.map(rule => this.evaluateRule(rule, row));
+    const failedRules = checks.filter(check => !check.passed).map(check => check.id);
+    return { accepted: failedRules.length === 0, checks, failedRules };
+  }
+
+  /**
+   * Render the expected and compared values of a check for explain output
+   * @returns {{expected: string, value: string}}
+   */
+  formatCheck(check) {
+    const show = value => (value === undefined || value === null || value === '' ? '(empty)' : String(value));
+
+    let expected;
+    switch (check.predicate) {
+      case 'range':
+        expected = `${check.expected.min ?? '-∞'} to ${check.expected.max ?? '∞'}`;
+        break;
+      case 'present':
+        expected = check.expected ? 'present' : 'empty';
+        break;
+      default:
+        expected = Array.isArray(check.expected) ? check.expected.join(' | ') : String(check.expected);
+    }
+    if (check.mode === 'exclude') {
+      expected = `not ${check.predicate} ${expected}`;
+    } else if (check.predicate !== 'range' && check.predicate !== 'present') {
+      expected = `${check.predicate} ${expected}`;
+    }
+
+    const value = check.fields.length === 1
+      ? show(check.value)
+      : check.fields.map(field => `${field}=${show(check.value[field])}`).join('; ');
+
+    return { expected, value };
+  }
+
+  /**
+   * Check a row, stopping at the first failing rule, and count the outcome
+   */
+  matches(row) {
+    this.stats.evaluated++;
+
+    for (const rule of this.rules) {
+      if (!this.evaluateRule(rule, row).passed) {
+        this.stats.rejected++;
+        this.stats.rejectionsByRule[rule.id]++;
+        return false;
+      }
+    }
+
+    this.stats.accepted++;
+    return true;
+  }
+
+  filter(rows) {
+    return rows.filter(row => this.matches(row));
+  }
+
+  resetStats() {
+    this.stats = {
+      evaluated: 0,
+      accepted: 0,
+      rejected: 0,
+      rejectionsByRule: this.rules.reduce((acc, rule) => {
+        acc[rule.id] = 0;
+        return acc;
+      }, {})
+    };
+  }
+
+  getSummary() {
+    return {
+      ruleset: this.name,
+      version: this.version,
+      evaluated: this.stats.evaluated,
+      accepted: this.stats.accepted,
+      rejected: this.stats.rejected,
+      rejectionsByRule: { ...this.stats.rejectionsByRule }
+    };
+  }
+
+  describeRules() {
+    return this.rules.map(rule => `${rule.mode} ${rule.id}: ${rule.description}`);
+  }
+
+  logSummary() {
+    const summary = this.getSummary();
+    logger.info(`Filter summary (ruleset ${summary.ruleset}, rules v${summary.version}): ${summary.accepted} accepted, ${summary.rejected} rejected of ${summary.evaluated}`);
+
+    this.rules.forEach(rule => {
+      const count = summary.rejectionsByRule[rule.id];
+      if (count > 0) {
+        logger.info(`  Rejected by ${rule.id} (${rule.description}): ${count}`);
+      }
+    });
+  }
+}
+
+FilterEngine.DEFAULT_RULES_PATH = DEFAULT_RULES_PATH;
+
+module.exports = FilterEngine;
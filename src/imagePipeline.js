@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('./logger');
+
+const DEFAULT_CACHE_PATH = path.join(__dirname, '..', 'data', 'image-cache.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Network failures worth another attempt (anything else is treated as a broken URL)
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Checks supplier image URLs before they are sent to Shopify, where a single
+ * dead URL fails the whole product.
+ *
+ * Every URL is HEAD-checked (a one-byte GET when the server rejects HEAD) and
+ * the result cached in data/image-cache.json: working URLs for a week, broken
+ * ones for a day so they get another chance. Timeouts, 429s and 5xx responses
+ * are retried with backoff; URLs that stay broken are dropped from the product.
+ * Images are de-duplicated by normalized URL and, when the server reports
+ * them, by ETag and size.
+ */
+class ImagePipeline {
+  constructor(options = {}) {
+    const {
+      cachePath = process.env.IMAGE_CACHE_PATH || DEFAULT_CACHE_PATH,
+      timeout = 10000,
+      retries = 2,
+      baseDelayMs = 500,
+      concurrency = 5,
+      okTtlMs = 7 * DAY_MS,
+      brokenTtlMs = DAY_MS
+    } = options;
+
+    this.cachePath = cachePath;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.baseDelayMs = baseDelayMs;
+    this.concurrency = concurrency;
+    this.okTtlMs = okTtlMs;
+    this.brokenTtlMs = brokenTtlMs;
+    this.cache = null;
+    this.unsaved = 0;
+  }
+
+  /**
+   * Drop broken and duplicate images, keeping feed order
+   * @param {Array<{src: string, alt: string}>} images - Images from the supplier mapping
+   * @returns {Promise<{images: Array, dropped: Array<{src: string, reason: string}>}>}
+   */
+  async prepare(images = []) {
+    const unique = this.dedupe(images);
+    const dropped = images
+      .filter(image => !unique.includes(image))
+      .map(image => ({ src: image.src, reason: 'duplicate URL' }));
+
+    const checks = await this.checkAll(unique.map(image => image.src));
+    const kept = this.select(unique, checks, dropped);
+
+    if (this.unsaved >= 200) {
+      this.save();
+    }
+
+    return { images: kept, dropped };
+  }
+
+  /**
+   * The images prepare() would keep, judged from cached checks only (URLs not checked
+   * yet are assumed to work) - used to compare the feed with what was written
+   */
+  expectedImages(images = []) {
+    const unique = this.dedupe(images);
+    return this.select(unique, unique.map(image => this.cachedCheck(image.src) || { ok: true }), []);
+  }
+
+  // Keep working images, dropping the same file behind two URLs (e.g. with and without resize parameters)
+  select(images, checks, dropped) {
+    const fingerprints = new Set();
+
+    return images.filter((image, index) => {
+      const check = checks[index];
+      if (!check.ok) {
+        dropped.push({ src: image.src, reason: check.reason });
+        return false;
+      }
+
+      const fingerprint = check.etag && check.length ? `${check.etag}:${check.length}` : null;
+      if (fingerprint && fingerprints.has(fingerprint)) {
+        dropped.push({ src: image.src, reason: 'duplicate image' });
+        return false;
+      }
+      if (fingerprint) fingerprints.add(fingerprint);
+      return true;
+    });
+  }
+
+  /**
+   * Images with distinct normalized URLs, in order
+   */
+  dedupe(images = []) {
+    const seen = new Set();
+    return images.filter(image => {
+      const key = this.normalizeUrl(image.src);
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // URL without scheme and fragment, so http/https and #anchors compare equal
+  normalizeUrl(src) {
+    const url = String(src || '').trim();
+    try {
+      const parsed = new URL(url);
+      return `${parsed.host}${parsed.pathname}${parsed.search}`;
+    } catch (error) {
+      return url.toLowerCase();
+    }
+  }
+
+  // Lowercased file name without extension (Shopify keeps it when re-hosting an image)
+  fileStem(src) {
+    const name = this.normalizeUrl(src).split('?')[0].split('/').pop() || '';
+    return name.replace(/\.[a-z0-9]+$/i, '').toLowerCase();
+  }
+
+  async checkAll(urls) {
+    const results = new Array(urls.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < urls.length) {
+        const index = next++;
+        results[index] = await this.check(urls[index]);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, urls.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Check one URL: { ok, status, reason, etag, length, checkedAt } (cached)
+   */
+  async check(src) {
+    const cached = this.cachedCheck(src);
+    if (cached) {
+      return cached;
+    }
+
+    let result;
+    if (!/^https?:\/\//i.test(String(src || '').trim())) {
+      result = { ok: false, status: null, reason: 'invalid URL' };
+    } else {
+      result = await this.request(String(src).trim());
+    }
+
+    result.checkedAt = new Date().toISOString();
+    this.loadCache()[this.normalizeUrl(src)] = result;
+    this.unsaved++;
+
+    if (!result.ok) {
+      logger.debug(`Image check failed for ${src}: ${result.reason}`);
+    }
+    return result;
+  }
+
+  async request(url) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        let response = await axios.head(url, { timeout: this.timeout, maxRedirects: 5, validateStatus: () => true });
+
+        // Some image hosts reject HEAD - fetch the first byte instead
+        if ([403, 405, 501].includes(response.status)) {
+          response = await axios.get(url, {
+            timeout: this.timeout,
+            maxRedirects: 5,
+            headers: { Range: 'bytes=0-0' },
+            responseType: 'stream',
+            validateStatus: () => true
+          });
+          response.data.destroy();
+        }
+
+        const { status, headers } = response;
+        if ((status === 429 || status >= 500) && attempt < this.retries) {
+          await this.backoff(attempt);
+          continue;
+        }
+        if (status < 200 || status >= 300) {
+          return { ok: false, status, reason: `HTTP ${status}` };
+        }
+
+        const contentType = headers['content-type'] || '';
+        if (contentType && !contentType.startsWith('image/')) {
+          return { ok: false, status, reason: `not an image (${contentType})` };
+        }
+
+        // A ranged GET reports the full size in content-range
+        const range = headers['content-range'] ? headers['content-range'].split('/').pop() : null;
+        return {
+          ok: true,
+          status,
+          reason: null,
+          etag: headers.etag || null,
+          length: parseInt(range || headers['content-length'], 10) || null
+        };
+
+      } catch (error) {
+        if (RETRYABLE_CODES.includes(error.code) && attempt < this.retries) {
+          await this.backoff(attempt);
+          continue;
+        }
+        return { ok: false, status: null, reason: error.code || error.message };
+      }
+    }
+  }
+
+  backoff(attempt) {
+    return new Promise(resolve => setTimeout(resolve, this.baseDelayMs * Math.pow(2, attempt)));
+  }
+
+  cachedCheck(src) {
+    const entry = this.loadCache()[this.normalizeUrl(src)];
+    return entry && this.isFresh(entry) ? entry : null;
+  }
+
+  isFresh(entry) {
+    const age = Date.now() - new Date(entry.checkedAt).getTime();
+    return age < (entry.ok ? this.okTtlMs : this.brokenTtlMs);
+  }
+
+  loadCache() {
+    if (!this.cache) {
+      this.cache = {};
+      if (fs.existsSync(this.cachePath)) {
+        try {
+          this.cache = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+        } catch (error) {
+          logger.warn(`Ignoring unreadable image cache ${this.cachePath}:`, error.message);
+        }
+      }
+    }
+    return this.cache;
+  }
+
+  /**
+   * Write the cache (expired entries are dropped)
+   */
+  save() {
+    if (!this.cache || this.unsaved === 0) return;
+
+    try {
+      const fresh = Object.fromEntries(Object.entries(this.cache).filter(([, entry]) => this.isFresh(entry)));
+      fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+      const tempPath = `${this.cachePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(fresh));
+      fs.renameSync(tempPath, this.cachePath);
+      this.cache = fresh;
+      this.unsaved = 0;
+    } catch (error) {
+      // The cache is an optimisation - never fail a sync because of it
+      logger.warn(`Failed to write image cache ${this.cachePath}:`, error.message);
+    }
+  }
+}
+
+ImagePipeline.DEFAULT_CACHE_PATH = DEFAULT_CACHE_PATH;
+
+module.exports = ImagePipeline;
@@ -2,135 +2,72 @@ require('dotenv').config();
 const path = require('path');
 const CSVProcessor = require('./csvProcessor');
 const ShopifyClient = require('./shopifyClient');
+const QGoldCsvAdapter = require('./adapters/qgoldCsvAdapter');
+const SyncEngine = require('./syncEngine');
 const logger = require('./logger');
 
 /**
- * Main application that processes CSV data and creates products in Shopify
- * Currently configured to process only the first product from partial.csv
+ * QGold CSV sync: filters the supplier export and upserts it into Shopify through the sync engine.
+ * Run through the treasures CLI (treasures sync csv, preview, explain)
  */
 class ProductProcessor {
-    constructor() {
+    /**
+     * @param {object} options - { filePath } CSV export to read (defaults to data/products.csv)
+     */
+    constructor(options = {}) {
+        const { filePath = QGoldCsvAdapter.DEFAULT_FILE_PATH } = options;
+
         this.csvProcessor = new CSVProcessor();
         this.shopifyClient = new ShopifyClient();
-        // Update to use the full products.csv file
-        this.csvFilePath = path.join(__dirname, '..', 'data', 'products.csv');
+        this.csvFilePath = filePath;
         
-        // Product filtering criteria
-        this.filterCriteria = {
-            msrpMin: 100,
-            msrpMax: 1000,
-            productLines: [
-                'Breast Cancer Awareness',
-                'Colorful Collections',
-                'Dainty Designs',
-                'Diamond Fascination',
-                'Earring Jackets',
-                'Fancy Diamond Hoops',
-                'Fine Diamond Jewelry',
-                'IBGoodman',
-                'Infinity',
-                'Inverness',
-                'Italian Gold',
-                'Lab Grown Diamond Jewelry',
-                'Lockets',
-                'Madi K',
-                'Pearls',
-                'Premier',
-                'Sea Inspired Silver Jewelry',
-                'Sideways Crosses',
-                'Simply Starz',
-                'South Sea and Tahitian Pearls',
-                'Stackable Expressions',
-                'Two Stone Collection',
-                'Vibrant',
-                'Wedding Bands USA'
-            ]
-        };
+        // QGold supplier adapter: filter rules (config/filter-rules.json) and column mapping (config/mappings)
+        this.adapter = new QGoldCsvAdapter({ filePath: this.csvFilePath });
+        this.filterEngine = this.adapter.filterEngine;
         
         // Batch processing configuration
         this.batchConfig = {
             batchSize: 10,
             maxConcurrentBatches: 3,
-            delayBetweenBatches: 2000 // 2 seconds
+            delayBetweenBatches: 0 // Optional extra pause; Shopify pacing is handled by the request layer
         };
+        this.syncEngine = new SyncEngine(this.shopifyClient, this.batchConfig);
     }
 
     /**
-     * Filter products based on MSRP, Product Line criteria, and exclusion rules
+     * Filter products using the qgold-batch ruleset (status, ContractPrice range,
+     * product lines, exclusion rules and required fields)
      */
     filterProducts(products) {
-        return products.filter(product => {
-            // 1. Exclude discontinued products
-            const status = (product.Status || '').toLowerCase().trim();
-            if (status === 'discontinued') {
-                return false;
-            }
-
-            // 2. Check MSRP criteria
-            const msrp = parseFloat(product.ContractPrice);
-            if (isNaN(msrp) || msrp < this.filterCriteria.msrpMin || msrp > this.filterCriteria.msrpMax) {
-                return false;
-            }
-
-            // 3. Check Product Line criteria
-            const productLine = (product.ProductLine || '').toLowerCase().trim();
-            const hasMatchingProductLine = this.filterCriteria.productLines.some(line => {
-                const lineLower = line.toLowerCase();
-                // Exact match or contains the keyword
-                return productLine === lineLower || productLine.includes(lineLower);
-            });
-
-            if (!hasMatchingProductLine) {
-                return false;
-            }
-
-            // 4. Exclusion criteria - exclude products that match any of these
-            
-            // Exclude if Categories contain "Finding" or "Mounting"
-            const categories = (product.Categories || '').toLowerCase();
-            if (categories.includes('finding') || categories.includes('mounting')) {
-                return false;
-            }
-
-            // Exclude if Item_Type contains "Finding" or "Mounting"
-            const itemType = (product.Item_Type || '').toLowerCase();
-            if (itemType.includes('finding') || itemType.includes('mounting')) {
-                return false;
-            }
-
-            // Exclude if title/description contains "Engraveable"
-            const title = (product.Description || '').toLowerCase();
-            if (title.includes('engraveable')) {
-                return false;
-            }
-
-            // Exclude if Product Line contains "Personalized"
-            if (productLine.includes('personalized')) {
-                return false;
-            }
-
-            // Exclude if Categories contain "Personalized"
-            if (categories.includes('personalized')) {
-                return false;
-            }
-
-            // 5. Additional quality checks
-            if (!product.Item || !product.Description) {
-                return false;
-            }
-
-            return true;
-        });
+        return this.adapter.filter(products);
     }
 
     /**
      * Process products in streaming fashion with filtering and batching
+     * @param {object} options - { dryRun, limit, resumeRunId, inventoryOnly } resumeRunId resumes an interrupted run from its
+     *   checkpoint in data/runs; inventoryOnly only reconciles inventory levels of the filtered products; limit stops
+     *   after that many products
      */
-    async processFilteredProductsBatch() {
+    async processFilteredProductsBatch(options = {}) {
+        const { dryRun = false, limit = null, resumeRunId = null, inventoryOnly = false } = options;
+
         try {
             logger.info('=== STARTING BATCH PROCESSING OF FILTERED PRODUCTS ===');
+            if (dryRun) {
+                logger.info('Running in DRY RUN mode - no products will be changed');
+            }
+            if (limit) {
+                logger.info(`Limit: ${limit} products`);
+            }
+            if (resumeRunId) {
+                logger.info(`Resuming run: ${resumeRunId}`);
+            }
+            if (inventoryOnly) {
+                logger.info('Inventory only: product data is not written');
+            }
             logger.info(`Reading from: ${this.csvFilePath}`);
-            logger.info(`Filter criteria:`, JSON.stringify(this.filterCriteria, null, 2));
+            logger.info(`Filter ruleset: ${this.filterEngine.name} (rules v${this.filterEngine.version})`);
+            this.filterEngine.describeRules().forEach(rule => logger.info(`  ${rule}`));
             logger.info(`Batch configuration:`, JSON.stringify(this.batchConfig, null, 2));
 
             // Step 1: Initialize Shopify client
@@ -143,30 +80,18 @@ class ProductProcessor {
             const fileInfo = await this.csvProcessor.getFileInfo(this.csvFilePath);
             logger.info(`✓ CSV file loaded: ${fileInfo.sizeMB}MB, estimated ${fileInfo.estimatedRows} rows`);
 
-            // Step 3: Process CSV file and apply filters
-            logger.info('Step 3: Processing CSV file and applying filters...');
-            const csvResult = await this.csvProcessor.processFile(this.csvFilePath);
-            logger.info(`✓ CSV processed: ${csvResult.stats.processedRows} total products loaded`);
-
-            // Step 4: Apply filters
-            logger.info('Step 4: Applying product filters...');
-            const filteredProducts = this.filterProducts(csvResult.data);
-            logger.info(`✓ Filtered products: ${filteredProducts.length} products match criteria`);
-
-            if (filteredProducts.length === 0) {
-                logger.warn('No products match the filter criteria');
-                return { success: true, processed: 0, message: 'No matching products found' };
-            }
-
-            // Step 5: Process in batches
-            logger.info('Step 5: Processing products in batches...');
-            const batchResults = await this.processBatchedProducts(filteredProducts);
+            // Step 3: Filter, dedupe and upsert through the shared sync engine
+            logger.info('Step 3: Syncing filtered products...');
+            const batchResults = await this.syncEngine.run(this.adapter, {
+                dryRun,
+                limit,
+                // The page size is kept in the checkpoint, so a resume pages the file the same way
+                fetchOptions: { filePath: this.csvFilePath, pageSize: this.adapter.pageSize },
+                resumeRunId,
+                inventoryOnly
+            });
 
             logger.info('=== BATCH PROCESSING COMPLETED ===');
-            logger.info(`Total processed: ${batchResults.totalProcessed}`);
-            logger.info(`Successfully created: ${batchResults.created}`);
-            logger.info(`Errors: ${batchResults.errors}`);
-
             return batchResults;
 
         } catch (error) {
@@ -176,294 +101,69 @@ class ProductProcessor {
         }
     }
 
-    /**
-     * Process products in batches with concurrent processing
-     */
-    async processBatchedProducts(products) {
-        const results = {
-            totalProcessed: 0,
-            created: 0,
-            errors: 0,
-            errorDetails: []
-        };
-
-        const batches = [];
-        for (let i = 0; i < products.length; i += this.batchConfig.batchSize) {
-            batches.push(products.slice(i, i + this.batchConfig.batchSize));
-        }
-
-        logger.info(`Created ${batches.length} batches of ${this.batchConfig.batchSize} products each`);
-
-        // Process batches with limited concurrency
-        for (let i = 0; i < batches.length; i += this.batchConfig.maxConcurrentBatches) {
-            const concurrentBatches = batches.slice(i, i + this.batchConfig.maxConcurrentBatches);
-            
-            const batchPromises = concurrentBatches.map(async (batch, batchIndex) => {
-                const globalBatchIndex = i + batchIndex + 1;
-                try {
-                    return await this.processSingleBatch(batch, globalBatchIndex, batches.length);
-                } catch (error) {
-                    logger.error(`Batch ${globalBatchIndex} promise failed:`, error.message);
-                    logger.error('Stack trace:', error.stack);
-                    return {
-                        processed: 0,
-                        created: 0,
-                        errors: batch.length,
-                        errorDetails: [{
-                            batch: globalBatchIndex,
-                            error: error.message,
-                            items: batch.map(item => item.Item).join(', ')
-                        }]
-                    };
-                }
-            });
-
-            logger.info(`Processing ${concurrentBatches.length} batches concurrently (batches ${i + 1}-${Math.min(i + this.batchConfig.maxConcurrentBatches, batches.length)})`);
-
-            const batchResults = await Promise.allSettled(batchPromises);
-
-            // Aggregate results
-            batchResults.forEach((result, index) => {
-                if (result.status === 'fulfilled') {
-                    const batchResult = result.value;
-                    results.totalProcessed += batchResult.processed;
-                    results.created += batchResult.created;
-                    results.errors += batchResult.errors;
-                    results.errorDetails.push(...batchResult.errorDetails);
-                } else {
-                    const batchIndex = i + index + 1;
-                    logger.error(`Batch ${batchIndex} failed:`, result.reason?.message);
-                    results.errors += this.batchConfig.batchSize; // Assume all products in batch failed
-                    results.errorDetails.push({
-                        batch: batchIndex,
-                        error: result.reason?.message || 'Batch processing failed'
-                    });
-                }
-            });
-
-            // Delay between batch groups (except for the last group)
-            if (i + this.batchConfig.maxConcurrentBatches < batches.length) {
-                logger.info(`Waiting ${this.batchConfig.delayBetweenBatches}ms before next batch group...`);
-                await new Promise(resolve => setTimeout(resolve, this.batchConfig.delayBetweenBatches));
-            }
-        }
-
-        return results;
-    }
-
-    /**
-     * Process a single batch of products
-     */
-    async processSingleBatch(batch, batchIndex, totalBatches) {
-        const batchResult = {
-            processed: 0,
-            created: 0,
-            errors: 0,
-            errorDetails: []
-        };
-
-        logger.info(`Processing batch ${batchIndex}/${totalBatches} (${batch.length} products)`);
-
-        try {
-            // Use the new simplified batch processing method
-            const shopifyResult = await this.shopifyClient.processBatchDirect(batch, {
-                dryRun: false
-            });
-
-            batchResult.processed = batch.length;
-            batchResult.created = shopifyResult.created;
-            batchResult.errors = shopifyResult.errors;
-            batchResult.errorDetails = shopifyResult.errorDetails || [];
-
-            logger.info(`✓ Batch ${batchIndex} completed: ${shopifyResult.created} created, ${shopifyResult.errors} errors`);
-
-        } catch (error) {
-            logger.error(`✗ Batch ${batchIndex} failed:`, error.message);
-            batchResult.errors = batch.length;
-            batchResult.errorDetails = [{
-                batch: batchIndex,
-                error: error.message,
-                items: batch.map(item => item.Item).join(', ')
-            }];
-        }
-
-        return batchResult;
-    }
-
     /**
      * Main processing flow - now processes all filtered products in batches
      */
-    async run() {
-        return await this.processFilteredProductsBatch();
+    async run(options = {}) {
+        return await this.processFilteredProductsBatch(options);
     }
 
     /**
-     * Legacy method - process single product (for testing)
+     * Get product preview without processing - now shows filter analysis (rows are streamed, only the sample is kept)
      */
-    async runSingle() {
+    async previewProduct() {
         try {
-            logger.info('=== RUNNING SINGLE PRODUCT MODE ===');
-            
-            // Step 1: Initialize Shopify client
-            logger.info('Step 1: Initializing Shopify client...');
-            await this.shopifyClient.initialize();
-            logger.info('✓ Shopify client initialized successfully');
-
-            // Step 2: Test Shopify connection
-            logger.info('Step 2: Testing Shopify connection...');
-            await this.shopifyClient.testConnection();
-            logger.info('✓ Shopify connection test successful');
-
-            // Step 3: Process CSV file (first product only)
-            logger.info('Step 3: Processing CSV file...');
-            const csvResult = await this.csvProcessor.processFile(path.join(__dirname, '..', 'data', 'partial.csv'));
-            logger.info(`✓ CSV processed: ${csvResult.stats.processedRows} products loaded`);
-
-            if (csvResult.data.length === 0) {
-                logger.warn('No products found in CSV file');
-                return;
-            }
-
-            // Step 4: Get the first product only
-            logger.info('Step 4: Selecting first product for processing...');
-            const firstProduct = csvResult.data[0];
-            logger.info(`✓ Selected product: ${firstProduct.Description || firstProduct.Item} (SKU: ${firstProduct.Item})`);
-
-            // Step 5: Process the single product in Shopify
-            logger.info('Step 5: Creating product in Shopify...');
-            
-            // You can set dryRun to true to test without actually creating the product
-            const dryRun = false; // Set to true for testing
-            
-            const result = await this.shopifyClient.processSingleProductFromCSV(firstProduct, { dryRun });
-            
-            if (result.success) {
-                if (dryRun) {
-                    logger.info('✓ Dry run completed successfully - no product was actually created');
-                    logger.info('Product data that would be sent:', JSON.stringify(result.productData, null, 2));
-                } else {
-                    logger.info('✓ Product created successfully in Shopify');
-                    logger.info('Created product:', JSON.stringify(result.result, null, 2));
-                }
-            } else {
-                logger.error('✗ Failed to create product:', result.error);
-                throw new Error(result.error);
-            }
-
-            logger.info('=== SINGLE PRODUCT PROCESSING COMPLETED SUCCESSFULLY ===');
-
-        } catch (error) {
-            logger.error('=== SINGLE PRODUCT PROCESSING FAILED ===');
-            logger.error('Error:', error.message);
-            if (error.stack) {
-                logger.error('Stack trace:', error.stack);
-            }
-            throw error;
-        }
-    }
+            logger.info('=== PREVIEWING PRODUCTS WITH FILTER ANALYSIS ===');
 
-    /**
-     * Process with dry run mode (for testing)
-     */
-    async testRun() {
-        try {
-            logger.info('=== RUNNING IN TEST MODE (DRY RUN) ===');
-            
-            // Initialize Shopify client
-            await this.shopifyClient.initialize();
-            
-            // Process CSV
-            const csvResult = await this.csvProcessor.processFile(this.csvFilePath);
-            logger.info(`✓ CSV processed: ${csvResult.stats.processedRows} total products loaded`);
-            
-            // Apply filters
-            const filteredProducts = this.filterProducts(csvResult.data);
-            logger.info(`✓ Filtered products: ${filteredProducts.length} products match criteria`);
-            
-            if (filteredProducts.length === 0) {
-                logger.warn('No products match the filter criteria');
-                return;
-            }
+            const sampleSize = 5;
+            const sampleProducts = [];
+            let totalProducts = 0;
+            let filteredCount = 0;
 
-            // Test with just first 3 products
-            const testProducts = filteredProducts.slice(0, 3);
-            logger.info(`Testing with first ${testProducts.length} filtered products:`);
-            
-            for (let i = 0; i < testProducts.length; i++) {
-                const product = testProducts[i];
-                logger.info(`${i + 1}. ${product.Description} (${product.Item})`);
-                logger.info(`   MSRP: $${product.MSRP}, Product Line: ${product.ProductLine}`);
-            }
+            for await (const row of this.csvProcessor.streamRows(this.csvFilePath)) {
+                totalProducts++;
+                if (!this.filterEngine.matches(row)) continue;
 
-            // Test batch processing with dry run
-            const result = await this.shopifyClient.processBatchDirect(testProducts, { dryRun: true });
-            
-            if (result) {
-                logger.info('✓ Test completed successfully');
-                logger.info(`Results: ${result.created} would be created, ${result.errors} errors`);
-                if (result.errors > 0) {
-                    logger.info('Error details:', result.errorDetails);
+                filteredCount++;
+                if (sampleProducts.length < sampleSize) {
+                    sampleProducts.push(row);
                 }
-            } else {
-                logger.error('✗ Test failed: No result returned');
             }
+            logger.info(`Total products in CSV: ${totalProducts}`);
 
-            return result;
-
-        } catch (error) {
-            logger.error('Test run failed:', error.message);
-            logger.error('Stack trace:', error.stack);
-            throw error;
-        }
-    }
-
-    /**
-     * Get product preview without processing - now shows filter analysis
-     */
-    async previewProduct() {
-        try {
-            logger.info('=== PREVIEWING PRODUCTS WITH FILTER ANALYSIS ===');
-            
-            const csvResult = await this.csvProcessor.processFile(this.csvFilePath);
-            logger.info(`Total products in CSV: ${csvResult.data.length}`);
-
-            if (csvResult.data.length === 0) {
+            if (totalProducts === 0) {
                 logger.warn('No products found in CSV file');
                 return null;
             }
 
-            // Apply filters and show analysis
-            const filteredProducts = this.filterProducts(csvResult.data);
-            logger.info(`Products matching filter criteria: ${filteredProducts.length}`);
+            logger.info(`Products matching filter criteria: ${filteredCount}`);
 
-            // Show filter criteria
-            logger.info('Filter criteria:');
-            logger.info(`- MSRP range: $${this.filterCriteria.msrpMin} - $${this.filterCriteria.msrpMax}`);
-            logger.info(`- Product lines: ${this.filterCriteria.productLines.join(', ')}`);
+            // Show filter rules and why products were rejected
+            logger.info(`Filter rules (${this.filterEngine.name}):`);
+            this.filterEngine.describeRules().forEach(rule => logger.info(`- ${rule}`));
+            this.filterEngine.logSummary();
 
             // Show sample of filtered products
-            const sampleSize = Math.min(5, filteredProducts.length);
-            if (sampleSize > 0) {
-                logger.info(`\nFirst ${sampleSize} filtered products:`);
-                for (let i = 0; i < sampleSize; i++) {
-                    const product = filteredProducts[i];
+            if (sampleProducts.length > 0) {
+                logger.info(`\nFirst ${sampleProducts.length} filtered products:`);
+                sampleProducts.forEach((product, i) => {
                     logger.info(`${i + 1}. ${product.Description} (${product.Item})`);
                     logger.info(`   MSRP: $${product.MSRP}, Product Line: ${product.ProductLine}`);
                     logger.info(`   Categories: ${product.Categories}`);
                     logger.info('   ---');
-                }
+                });
 
                 // Show Shopify mapping for first product
                 await this.shopifyClient.initialize();
-                const shopifyProduct = this.shopifyClient.mapCSVToShopifyProduct(filteredProducts[0]);
+                const shopifyProduct = this.adapter.normalize(sampleProducts[0]).shopifyProduct;
                 logger.info('\nShopify product structure for first filtered product:');
                 logger.info(JSON.stringify(shopifyProduct, null, 2));
             }
 
             return { 
-                totalProducts: csvResult.data.length,
-                filteredProducts: filteredProducts.length,
-                sampleProducts: filteredProducts.slice(0, sampleSize)
+                totalProducts,
+                filteredProducts: filteredCount,
+                sampleProducts
             };
 
         } catch (error) {
@@ -473,88 +173,106 @@ class ProductProcessor {
     }
 
     /**
-     * Test creating a single filtered product (for debugging)
+     * Explain why specific SKUs were accepted or rejected by the filter rules
+     * @param {Array<string>} skus - CSV Item values to explain
      */
-    async testSingleCreate() {
+    async explainProducts(skus) {
         try {
-            logger.info('=== TESTING SINGLE PRODUCT CREATION ===');
-            
-            // Initialize Shopify client
-            await this.shopifyClient.initialize();
-            
-            // Process CSV and get filtered products
-            const csvResult = await this.csvProcessor.processFile(this.csvFilePath);
-            const filteredProducts = this.filterProducts(csvResult.data);
-            
-            if (filteredProducts.length === 0) {
-                logger.warn('No products match the filter criteria');
-                return;
+            logger.info('=== FILTER EXPLAIN ===');
+            logger.info(`Filter ruleset: ${this.filterEngine.name} (rules v${this.filterEngine.version})`);
+            logger.info('='.repeat(50));
+
+            // Only the requested rows are kept; the first row of a SKU wins, as in a sync
+            const normalize = sku => String(sku || '').trim().toUpperCase();
+            const wanted = new Set(skus.map(normalize));
+            const rowsBySku = new Map();
+
+            for await (const row of this.csvProcessor.streamRows(this.csvFilePath)) {
+                const key = normalize(row.Item);
+                if (wanted.has(key) && !rowsBySku.has(key)) {
+                    rowsBySku.set(key, row);
+                    if (rowsBySku.size === wanted.size) break;
+                }
             }
 
-            const testProduct = filteredProducts[0];
-            logger.info(`Testing with: ${testProduct.Description} (${testProduct.Item})`);
-            logger.info(`MSRP: $${testProduct.MSRP}, Product Line: ${testProduct.ProductLine}`);
-
-            // Test product creation
-            const result = await this.shopifyClient.processSingleProductFromCSV(testProduct, { dryRun: false });
-            
-            if (result.success) {
-                logger.info('✓ Single product creation test successful');
-                logger.info('Created product details:', JSON.stringify(result.result, null, 2));
-            } else {
-                logger.error('✗ Single product creation test failed:', result.error);
+            const explanations = [];
+
+            for (const sku of skus) {
+                const row = rowsBySku.get(normalize(sku));
+
+                if (!row) {
+                    logger.warn(`\n${sku}: not found in ${path.basename(this.csvFilePath)}`);
+                    explanations.push({ sku, found: false });
+                    continue;
+                }
+
+                const result = this.filterEngine.evaluate(row);
+                logger.info(`\n${row.Item} - ${row.Description || '(no description)'}`);
+                logger.info(`Result: ${result.accepted ? '✓ ACCEPTED' : `✗ REJECTED (${result.failedRules.join(', ')})`}`);
+
+                result.checks.forEach(check => {
+                    const { expected, value } = this.filterEngine.formatCheck(check);
+                    logger.info(`  ${check.passed ? '✓' : '✗'} ${check.id}: ${check.description}`);
+                    logger.info(`      value: ${value}`);
+                    logger.info(`      expected: ${expected}`);
+                });
+
+                explanations.push({ sku: row.Item, found: true, ...result });
             }
 
-            return result;
+            return explanations;
 
         } catch (error) {
-            logger.error('Single create test failed:', error.message);
-            logger.error('Stack trace:', error.stack);
+            logger.error('Explain failed:', error.message);
             throw error;
         }
     }
-}
 
-/**
- * CLI interface
- */
-async function main() {
-    const processor = new ProductProcessor();
-    
-    // Check command line arguments
-    const args = process.argv.slice(2);
-    const command = args[0] || 'run';
-
-    try {
-        switch (command) {
-            case 'test':
-                await processor.testRun();
-                break;
-            case 'test-single':
-                await processor.testSingleCreate();
-                break;
-            case 'preview':
-                await processor.previewProduct();
-                break;
-            case 'single':
-                await processor.runSingle();
-                break;
-            case 'run':
-            case 'batch':
-            default:
-                await processor.run();
-                break;
+    /**
+     * Write the filter result of every CSV row, one column pair per rule, to a CSV file (row by row as the
+     * export is read)
+     * @param {string} outputPath - Where to write the explain CSV
+     */
+    async explainAll(outputPath = path.join(__dirname, '..', 'data', 'filter-explain.csv')) {
+        try {
+            logger.info('=== FILTER EXPLAIN (ALL ROWS) ===');
+            logger.info(`Filter ruleset: ${this.filterEngine.name} (rules v${this.filterEngine.version})`);
+
+            const ruleIds = this.filterEngine.rules.map(rule => rule.id);
+            const columns = ['Item', 'Description', 'accepted', 'failed_rules'];
+            ruleIds.forEach(id => columns.push(id, `${id}_value`));
+
+            const filterEngine = this.filterEngine;
+            let accepted = 0;
+            const rows = async function* (csvRows) {
+                for await (const row of csvRows) {
+                    const result = filterEngine.evaluate(row);
+                    if (result.accepted) accepted++;
+
+                    const outputRow = {
+                        Item: row.Item,
+                        Description: row.Description,
+                        accepted: result.accepted ? 'yes' : 'no',
+                        failed_rules: result.failedRules.join(' ')
+                    };
+                    result.checks.forEach(check => {
+                        outputRow[check.id] = check.passed ? 'pass' : 'fail';
+                        outputRow[`${check.id}_value`] = filterEngine.formatCheck(check).value;
+                    });
+                    yield outputRow;
+                }
+            };
+
+            const total = await this.csvProcessor.writeStream(outputPath, rows(this.csvProcessor.streamRows(this.csvFilePath)), columns);
+            logger.info(`✓ Explained ${total} rows: ${accepted} accepted, ${total - accepted} rejected`);
+
+            return { outputPath, total, accepted };
+
+        } catch (error) {
+            logger.error('Explain failed:', error.message);
+            throw error;
         }
-    } catch (error) {
-        logger.error('Application failed:', error.message);
-        process.exit(1);
     }
 }
 
-// Export the class for use in other modules
 module.exports = ProductProcessor;
-
-// Run if called directly
-if (require.main === module) {
-    main();
-}
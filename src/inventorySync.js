@@ -0,0 +1,341 @@
+const logger = require('./logger');
+
+// Shopify caps inventorySetQuantities and nodes() inputs at 250 entries
+const MAX_QUANTITIES_PER_CALL = 250;
+const MAX_NODES_PER_QUERY = 100;
+
+const LOCATIONS_QUERY = `
+  query {
+    location {
+      id
+      name
+    }
+    locations(first: 100) {
+      nodes {
+        id
+        legacyResourceId
+        name
+      }
+    }
+  }
+`;
+
+const VARIANT_INVENTORY_ITEMS_QUERY = `
+  query variantInventoryItems($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on ProductVariant {
+        id
+        sku
+        inventoryItem {
+          id
+        }
+      }
+    }
+  }
+`;
+
+const INVENTORY_ITEMS_QUERY = `
+  query inventoryItems($ids: [ID!]!, $locationId: ID!) {
+    nodes(ids: $ids) {
+      ... on InventoryItem {
+        id
+        tracked
+        unitCost {
+          amount
+        }
+        inventoryLevel(locationId: $locationId) {
+          quantities(names: ["available"]) {
+            name
+            quantity
+          }
+        }
+      }
+    }
+  }
+`;
+
+const INVENTORY_SET_QUANTITIES_MUTATION = `
+  mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      inventoryAdjustmentGroup {
+        reason
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const INVENTORY_ACTIVATE_MUTATION = `
+  mutation inventoryActivate($inventoryItemId: ID!, $locationId: ID!, $available: Int) {
+    inventoryActivate(inventoryItemId: $inventoryItemId, locationId: $locationId, available: $available) {
+      inventoryLevel {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+const INVENTORY_ITEM_UPDATE_MUTATION = `
+  mutation inventoryItemUpdate($id: ID!, $input: InventoryItemInput!) {
+    inventoryItemUpdate(id: $id, input: $input) {
+      inventoryItem {
+        id
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Inventory through inventory items and levels rather than variant inventory_quantity.
+ *
+ * After a sync, reconcile() reads the current level and unit cost of every synced
+ * SKU at the supplier's location and writes only the differences: absolute
+ * quantities with inventorySetQuantities (inventoryActivate for items not yet
+ * stocked there) and unit cost / tracking with inventoryItemUpdate.
+ */
+class InventorySync {
+  constructor(shopifyClient) {
+    this.shopifyClient = shopifyClient;
+    this.locationIds = new Map();
+  }
+
+  /**
+   * Location GID for a supplier: the mapping's inventory.location (name or numeric ID),
+   * then SHOPIFY_LOCATION_ID, then the shop's primary location
+   */
+  async resolveLocationId(location = null) {
+    const key = location || process.env.SHOPIFY_LOCATION_ID || 'primary';
+    if (this.locationIds.has(key)) {
+      return this.locationIds.get(key);
+    }
+
+    let locationId;
+    if (/^\d+$/.test(String(key))) {
+      locationId = `gid://shopify/Location/${key}`;
+    } else {
+      const data = await this.graphql(LOCATIONS_QUERY, {}, 5);
+      if (key === 'primary') {
+        locationId = data.location.id;
+        logger.info(`Using primary location for inventory: ${data.location.name}`);
+      } else {
+        const match = data.locations.nodes.find(node => node.name.toLowerCase() === String(key).toLowerCase());
+        if (!match) {
+          throw new Error(`Inventory location "${key}" not found (available: ${data.locations.nodes.map(node => node.name).join(', ')})`);
+        }
+        locationId = match.id;
+      }
+    }
+
+    this.locationIds.set(key, locationId);
+    return locationId;
+  }
+
+  /**
+   * Set absolute available quantities and unit costs for synced products
+   * @param {Array} products - Normalized products ({ sku, inventoryQuantity, unitCost })
+   * @param {object} options - { location, dryRun }
+   */
+  async reconcile(products, options = {}) {
+    const { location = null, dryRun = false } = options;
+
+    const results = {
+      checked: 0,
+      quantityUpdates: 0,
+      activated: 0,
+      costUpdates: 0,
+      missingItems: 0,
+      errors: 0,
+      errorDetails: []
+    };
+
+    const tracked = products.filter(product => product.sku && product.inventoryQuantity !== null && product.inventoryQuantity !== undefined);
+    if (tracked.length === 0) {
+      return results;
+    }
+
+    logger.info(`Reconciling inventory for ${tracked.length} SKUs...`);
+    const locationId = await this.resolveLocationId(location);
+    const itemIds = await this.resolveInventoryItemIds(tracked.map(product => product.sku));
+
+    const pending = [];
+    tracked.forEach(product => {
+      const itemId = itemIds.get(product.sku.toLowerCase());
+      if (itemId) {
+        pending.push({ product, itemId });
+      } else {
+        results.missingItems++;
+        logger.debug(`No inventory item known for ${product.sku}`);
+      }
+    });
+
+    const quantities = [];
+    for (let i = 0; i < pending.length; i += MAX_NODES_PER_QUERY) {
+      const chunk = pending.slice(i, i + MAX_NODES_PER_QUERY);
+      const states = await this.fetchItemStates(chunk.map(entry => entry.itemId), locationId);
+
+      for (const { product, itemId } of chunk) {
+        const state = states.get(itemId);
+        if (!state) {
+          results.missingItems++;
+          continue;
+        }
+        results.checked++;
+
+        try {
+          const itemInput = {};
+          if (!state.tracked) {
+            itemInput.tracked = true;
+          }
+          if (product.unitCost !== null && product.unitCost !== undefined && !this.sameAmount(state.unitCost, product.unitCost)) {
+            itemInput.cost = String(product.unitCost);
+          }
+          if (Object.keys(itemInput).length > 0) {
+            if (!dryRun) await this.updateItem(itemId, itemInput);
+            if (itemInput.cost) results.costUpdates++;
+          }
+
+          if (state.available === null) {
+            // Not stocked at this location yet - activating sets the quantity too
+            if (!dryRun) await this.activate(itemId, locationId, product.inventoryQuantity);
+            results.activated++;
+          } else if (state.available !== product.inventoryQuantity) {
+            quantities.push({ inventoryItemId: itemId, locationId, quantity: product.inventoryQuantity });
+          }
+        } catch (error) {
+          logger.error(`✗ Inventory update failed for ${product.sku}:`, error.message);
+          results.errors++;
+          results.errorDetails.push({ item: product.sku, error: `Inventory update failed: ${error.message}` });
+        }
+      }
+    }
+
+    for (let i = 0; i < quantities.length; i += MAX_QUANTITIES_PER_CALL) {
+      const chunk = quantities.slice(i, i + MAX_QUANTITIES_PER_CALL);
+      try {
+        if (!dryRun) await this.setQuantities(chunk);
+        results.quantityUpdates += chunk.length;
+      } catch (error) {
+        logger.error(`✗ inventorySetQuantities failed for ${chunk.length} items:`, error.message);
+        results.errors += chunk.length;
+        results.errorDetails.push({ item: `${chunk.length} inventory items`, error: `inventorySetQuantities failed: ${error.message}` });
+      }
+    }
+
+    logger.info(`${dryRun ? '[DRY RUN] ' : ''}✓ Inventory reconciled: ${results.quantityUpdates} quantities set, ${results.activated} activated, ${results.costUpdates} unit costs set, ${results.missingItems} without inventory item`);
+    return results;
+  }
+
+  /**
+   * Inventory item GIDs by lowercased SKU, from the product store or looked up through the variant
+   */
+  async resolveInventoryItemIds(skus) {
+    const store = this.shopifyClient.productStore;
+    const itemIds = new Map();
+    const lookups = [];
+
+    skus.forEach(sku => {
+      const record = store.get(sku);
+      if (record?.inventoryItemId) {
+        itemIds.set(sku.toLowerCase(), `gid://shopify/InventoryItem/${record.inventoryItemId}`);
+      } else if (record?.variantId) {
+        lookups.push(record);
+      }
+    });
+
+    for (let i = 0; i < lookups.length; i += MAX_NODES_PER_QUERY) {
+      const chunk = lookups.slice(i, i + MAX_NODES_PER_QUERY);
+      const data = await this.graphql(VARIANT_INVENTORY_ITEMS_QUERY, {
+        ids: chunk.map(record => `gid://shopify/ProductVariant/${record.variantId}`)
+      }, chunk.length);
+
+      data.nodes.forEach((node, index) => {
+        if (!node?.inventoryItem) return;
+        const record = chunk[index];
+        itemIds.set(record.sku.toLowerCase(), node.inventoryItem.id);
+        store.upsert({ sku: record.sku, inventoryItemId: Number(node.inventoryItem.id.split('/').pop()) });
+      });
+    }
+
+    return itemIds;
+  }
+
+  // Tracking, unit cost and available quantity at the location for each inventory item
+  async fetchItemStates(itemIds, locationId) {
+    const data = await this.graphql(INVENTORY_ITEMS_QUERY, { ids: itemIds, locationId }, itemIds.length * 2);
+    const states = new Map();
+
+    (data.nodes || []).forEach(node => {
+      if (!node) return;
+      const available = node.inventoryLevel?.quantities?.find(quantity => quantity.name === 'available');
+      states.set(node.id, {
+        tracked: node.tracked,
+        unitCost: node.unitCost?.amount ?? null,
+        available: node.inventoryLevel ? (available?.quantity ?? 0) : null
+      });
+    });
+
+    return states;
+  }
+
+  /**
+   * Set absolute available quantities: [{ inventoryItemId, locationId, quantity }]
+   */
+  async setQuantities(quantities) {
+    return this.graphql(INVENTORY_SET_QUANTITIES_MUTATION, {
+      input: {
+        name: 'available',
+        reason: 'correction',
+        // The supplier feed is the source of truth, so overwrite whatever is there
+        ignoreCompareQuantity: true,
+        quantities
+      }
+    }, 10, 'inventorySetQuantities');
+  }
+
+  async activate(inventoryItemId, locationId, available) {
+    return this.graphql(INVENTORY_ACTIVATE_MUTATION, { inventoryItemId, locationId, available }, 10, 'inventoryActivate');
+  }
+
+  async updateItem(id, input) {
+    return this.graphql(INVENTORY_ITEM_UPDATE_MUTATION, { id, input }, 10, 'inventoryItemUpdate');
+  }
+
+  // Run a GraphQL call and surface top-level and user errors as exceptions
+  async graphql(query, variables, estimatedCost, mutationName = null) {
+    const client = this.shopifyClient;
+    if (!client.initialized) {
+      await client.initialize();
+    }
+
+    const response = await client.api.graphql(query, variables, { estimatedCost });
+    if (response.data.errors) {
+      throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+    }
+
+    const data = response.data.data;
+    const userErrors = mutationName ? data[mutationName]?.userErrors : null;
+    if (userErrors && userErrors.length > 0) {
+      throw new Error(`User errors: ${userErrors.map(error => `${(error.field || []).join('.')}: ${error.message}`).join(', ')}`);
+    }
+
+    return data;
+  }
+
+  sameAmount(a, b) {
+    if (a === null || a === undefined) return false;
+    return Math.round(parseFloat(a) * 100) === Math.round(parseFloat(b) * 100);
+  }
+}
+
+module.exports = InventorySync;
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const logger = require('./logger');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Append-only JSON-lines file for the per-SKU data of a run (checkpoint outcomes,
+ * report items, feed states), so a run keeps it on disk instead of in memory
+ * however large the feed is. Entries are read back one at a time.
+ */
+class JsonLinesFile {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  get exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Append entries in one write
+   * @param {Array<object>} entries
+   */
+  append(entries) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+
+  /**
+   * Entries in the order they were appended, read in chunks (a line cut short by a crash is skipped)
+   */
+  *entries() {
+    if (!this.exists) {
+      return;
+    }
+
+    const fd = fs.openSync(this.filePath, 'r');
+    const buffer = Buffer.alloc(READ_CHUNK_SIZE);
+    const decoder = new StringDecoder('utf8');
+    let rest = '';
+    let lineNumber = 0;
+
+    const parse = line => {
+      lineNumber++;
+      if (!line.trim()) return null;
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        logger.warn(`Skipping corrupt line ${lineNumber} of ${this.filePath}: ${error.message}`);
+        return null;
+      }
+    };
+
+    try {
+      let bytesRead;
+      while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+        const lines = (rest + decoder.write(buffer.subarray(0, bytesRead))).split('\n');
+        rest = lines.pop();
+
+        for (const line of lines) {
+          const entry = parse(line);
+          if (entry) yield entry;
+        }
+      }
+
+      const entry = parse(rest + decoder.end());
+      if (entry) yield entry;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  remove() {
+    fs.rmSync(this.filePath, { force: true });
+  }
+}
+
+module.exports = JsonLinesFile;
@@ -19,18 +19,20 @@ const logFormat = winston.format.combine(
   })
 );
 
+// Console transport
+const consoleTransport = new winston.transports.Console({
+  format: winston.format.combine(
+    winston.format.colorize(),
+    logFormat
+  )
+});
+
 // Create the logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: logFormat,
   transports: [
-    // Console transport
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        logFormat
-      )
-    }),
+    consoleTransport,
     
     // File transport for general logs
     new winston.transports.File({
@@ -67,4 +69,9 @@ process.on('unhandledRejection', (reason, promise) => {
   logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
 });
 
+// Send every console log line to stderr, leaving stdout for machine-readable output (treasures --json)
+logger.consoleToStderr = () => {
+  consoleTransport.stderrLevels = Object.fromEntries(Object.keys(logger.levels).map(level => [level, true]));
+};
+
 module.exports = logger;
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'notifications.json');
+const SUPPORTED_VERSION = 1;
+const WEBHOOK_FORMATS = ['slack', 'teams', 'json'];
+
+const STATUS_LABELS = {
+  completed: '✓ completed',
+  completed_with_errors: '⚠ completed with errors',
+  cancelled: '- cancelled',
+  failed: '✗ failed'
+};
+const STATUS_COLORS = {
+  completed: '2EB67D',
+  completed_with_errors: 'ECB22E',
+  cancelled: '999999',
+  failed: 'E01E5A'
+};
+
+/**
+ * Sends a run summary at the end of each script to webhooks (Slack/Teams incoming
+ * webhooks, or plain JSON) and/or email through SMTP.
+ *
+ * config/notifications.json (NOTIFICATIONS_CONFIG_PATH) decides which runs are sent:
+ * a run is notified when its status is in notifyWhen.statuses or any result count
+ * exceeds its notifyWhen.thresholds entry (notifyWhen.always sends every run); a
+ * webhook or the email entry can carry its own notifyWhen. Endpoints and credentials
+ * come from the environment: NOTIFY_WEBHOOK_URLS (comma-separated), SMTP_HOST,
+ * SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, NOTIFY_EMAIL_FROM and NOTIFY_EMAIL_TO
+ * (the config file may also list them, e.g. for a local receiver).
+ */
+class Notifier {
+  constructor(configPath = process.env.NOTIFICATIONS_CONFIG_PATH || DEFAULT_CONFIG_PATH, env = process.env) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    if (config.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported notifications config version ${config.version} in ${configPath} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    this.config = config;
+    this.timeout = config.timeout || 10000;
+
+    this.webhooks = [
+      ...(config.webhooks || []),
+      ...splitList(env.NOTIFY_WEBHOOK_URLS).map(url => ({ url }))
+    ].map(webhook => ({ ...webhook, format: webhook.format || formatForUrl(webhook.url) }));
+
+    this.webhooks.forEach(webhook => {
+      if (!WEBHOOK_FORMATS.includes(webhook.format)) {
+        throw new Error(`Unknown webhook format "${webhook.format}" in ${configPath} (expected ${WEBHOOK_FORMATS.join(', ')})`);
+      }
+    });
+
+    const email = config.email || {};
+    const smtp = email.smtp || {};
+    const to = splitList(env.NOTIFY_EMAIL_TO || email.to);
+    const host = env.SMTP_HOST || smtp.host;
+
+    this.email = host && to.length > 0
+      ? {
+        host,
+        port: parseInt(env.SMTP_PORT || smtp.port || 587, 10),
+        secure: String(env.SMTP_SECURE ?? smtp.secure ?? false) === 'true',
+        user: env.SMTP_USER || smtp.user || null,
+        pass: env.SMTP_PASS || smtp.pass || null,
+        from: env.NOTIFY_EMAIL_FROM || email.from || `treasures-cron@${host}`,
+        to,
+        subjectPrefix: email.subjectPrefix || '',
+        notifyWhen: email.notifyWhen
+      }
+      : null;
+    this.transporter = null;
+  }
+
+  /**
+   * Send a run summary without ever throwing (a notification must not change a script's outcome)
+   * @param {object} run - { script, results, error, status }
+   * @param {object} options - { force } sends regardless of notifyWhen
+   */
+  static async notifyRun(run, options = {}) {
+    try {
+      return await new Notifier().notify(run, options);
+    } catch (error) {
+      logger.error('✗ Failed to send run notification:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Status of a finished run: failed when it threw, completed_with_errors when it counted errors
+   */
+  static statusOf(results, error = null) {
+    if (error) return 'failed';
+    if (results?.status) return results.status;
+    return results?.errors > 0 ? 'completed_with_errors' : 'completed';
+  }
+
+  get hasChannels() {
+    return this.webhooks.length > 0 || Boolean(this.email);
+  }
+
+  /**
+   * Why a run should be notified under the given rules, or null when it should not
+   */
+  notifyReason(run, notifyWhen = this.config.notifyWhen || {}) {
+    if (notifyWhen.always) {
+      return 'always';
+    }
+    if ((notifyWhen.statuses || []).includes(run.status)) {
+      return `status ${run.status}`;
+    }
+
+    const exceeded = Object.entries(notifyWhen.thresholds || {})
+      .find(([field, threshold]) => typeof run.results?.[field] === 'number' && run.results[field] > threshold);
+    return exceeded ? `${exceeded[0]} > ${exceeded[1]}` : null;
+  }
+
+  /**
+   * Send the run summary to every channel whose rules match
+   * @returns {Promise<{sent: number, failed: number, skipped: number, errorDetails: Array}>}
+   */
+  async notify(run, options = {}) {
+    const { force = false } = options;
+    const normalized = { ...run, status: run.status || Notifier.statusOf(run.results, run.error) };
+
+    const results = {
+      sent: 0,
+      failed: 0,
+      skipped: 0,
+      errorDetails: []
+    };
+
+    if (!this.hasChannels) {
+      logger.debug('No notification channels configured');
+      return results;
+    }
+
+    const summary = this.buildSummary(normalized);
+    const channels = [
+      ...this.webhooks.map(webhook => ({
+        name: `webhook ${redactUrl(webhook.url)}`,
+        notifyWhen: webhook.notifyWhen,
+        send: () => this.postWebhook(webhook, summary)
+      })),
+      ...(this.email ? [{
+        name: `email to ${this.email.to.join(', ')}`,
+        notifyWhen: this.email.notifyWhen,
+        send: () => this.sendEmail(summary)
+      }] : [])
+    ];
+
+    for (const channel of channels) {
+      const reason = force ? 'forced' : this.notifyReason(normalized, channel.notifyWhen);
+      if (!reason) {
+        results.skipped++;
+        continue;
+      }
+
+      try {
+        await channel.send();
+        logger.info(`✓ Notification sent (${channel.name}, ${reason})`);
+        results.sent++;
+      } catch (error) {
+        logger.error(`✗ Notification failed (${channel.name}):`, error.message);
+        results.failed++;
+        results.errorDetails.push({ item: channel.name, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Title, text lines and fields describing a run
+   */
+  buildSummary(run) {
+    const results = run.results || {};
+    const { errorDetails = [], ...rest } = results;
+    const maxErrors = this.config.maxErrorsListed || 10;
+    const name = results.supplier ? `${run.script} (${results.supplier})` : run.script;
+
+    const title = `${name} ${STATUS_LABELS[run.status] || run.status}`;
+    const counts = Object.entries(rest).filter(([, value]) => typeof value === 'number');
+    const errors = errorDetails.slice(0, maxErrors).map(detail =>
+      `${detail.item || detail.sku || detail.productId || detail.page || (detail.batch ? `batch ${detail.batch}` : 'unknown')}: ${detail.error}`
+    );
+
+    const lines = [];
+    if (results.runId) lines.push(`Run: ${results.runId}`);
+    if (run.error) lines.push(`Error: ${run.error.message || run.error}`);
+    if (counts.length > 0) lines.push(counts.map(([field, value]) => `${field}: ${value}`).join(' | '));
+    if (errors.length > 0) {
+      lines.push(`Errors (${errorDetails.length}${errorDetails.length > errors.length ? `, first ${errors.length}` : ''}):`);
+      lines.push(...errors.map(error => `- ${error}`));
+    }
+    if (results.reportDir) lines.push(`Report: ${path.join(results.reportDir, 'report.html')}`);
+
+    return {
+      title,
+      text: [title, ...lines].join('\n'),
+      lines,
+      status: run.status,
+      script: run.script,
+      runId: results.runId || null,
+      counts: Object.fromEntries(counts),
+      errors,
+      reportDir: results.reportDir || null
+    };
+  }
+
+  async postWebhook(webhook, summary) {
+    let payload;
+    switch (webhook.format) {
+      case 'slack':
+        payload = { text: summary.text };
+        break;
+      case 'teams':
+        // Office 365 connector MessageCard (Teams markdown needs blank lines between paragraphs)
+        payload = {
+          '@type': 'MessageCard',
+          '@context': 'https://schema.org/extensions',
+          summary: summary.title,
+          themeColor: STATUS_COLORS[summary.status] || STATUS_COLORS.cancelled,
+          title: summary.title,
+          text: summary.lines.join('\n\n')
+        };
+        break;
+      default:
+        payload = summary;
+    }
+
+    await axios.post(webhook.url, payload, { timeout: this.timeout });
+  }
+
+  async sendEmail(summary) {
+    if (!this.transporter) {
+      this.transporter = nodemailer.createTransport({
+        host: this.email.host,
+        port: this.email.port,
+        secure: this.email.secure,
+        auth: this.email.user ? { user: this.email.user, pass: this.email.pass } : undefined,
+        connectionTimeout: this.timeout,
+        socketTimeout: this.timeout
+      });
+    }
+
+    await this.transporter.sendMail({
+      from: this.email.from,
+      to: this.email.to.join(', '),
+      subject: `${this.email.subjectPrefix} ${summary.title}`.trim(),
+      text: summary.text
+    });
+  }
+}
+
+function splitList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(item => String(item).trim()).filter(item => item);
+}
+
+// Slack and Teams webhooks are recognised by host; anything else gets the plain JSON summary
+function formatForUrl(url) {
+  if (/hooks\.slack\.com/i.test(url)) return 'slack';
+  if (/webhook\.office\.com/i.test(url)) return 'teams';
+  return 'json';
+}
+
+// Webhook URLs carry their secret in the path - log the host only
+function redactUrl(url) {
+  try {
+    return new URL(url).host;
+  } catch (error) {
+    return 'invalid URL';
+  }
+}
+
+Notifier.DEFAULT_CONFIG_PATH = DEFAULT_CONFIG_PATH;
+Notifier.WEBHOOK_FORMATS = WEBHOOK_FORMATS;
+
+module.exports = Notifier;
@@ -0,0 +1,196 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'config', 'pricing-rules.json');
+const SUPPORTED_VERSION = 1;
+const ROUNDING_MODES = ['charm', 'nearest', 'up', 'down'];
+
+/**
+ * Retail price computation from the pricing rules in config/pricing-rules.json.
+ *
+ * A ruleset has defaults and an ordered list of rules; the first rule whose
+ * `when` matches the product (productLine, cost/msrp bands, hasMsrp) is merged
+ * over the defaults. The price is then computed in a fixed order:
+ *
+ *   base (cost or msrp) x markup -> MSRP cap/floor -> minimum margin -> rounding
+ *
+ * Rounding never takes the price under the minimum margin: when it would, the
+ * price goes to the next step up instead. The compare-at price is only set when
+ * it is above the final price.
+ */
+class PricingEngine {
+  constructor(ruleset, options = {}) {
+    const { name = 'custom', version = SUPPORTED_VERSION } = options;
+
+    this.name = name;
+    this.version = version;
+    this.description = ruleset.description || name;
+    this.defaults = { base: 'msrp', markup: 1, ...(ruleset.defaults || {}) };
+    this.rules = (ruleset.rules || []).map(rule => this.validateRule(rule));
+    this.validateRule({ id: 'defaults', ...this.defaults });
+  }
+
+  /**
+   * Load a named pricing ruleset
+   * @param {string} rulesetName - Key under "rulesets"
+   * @param {string} rulesPath - Path to the rules file (PRICING_RULES_PATH overrides the default)
+   */
+  static load(rulesetName, rulesPath = process.env.PRICING_RULES_PATH || DEFAULT_RULES_PATH) {
+    const config = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+
+    if (config.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported pricing rules version ${config.version} in ${rulesPath} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    const ruleset = config.rulesets?.[rulesetName];
+    if (!ruleset) {
+      throw new Error(`Pricing ruleset "${rulesetName}" not found in ${rulesPath}`);
+    }
+
+    return new PricingEngine(ruleset, { name: rulesetName, version: config.version });
+  }
+
+  validateRule(rule) {
+    if (!rule.id) {
+      throw new Error(`Pricing rule in ruleset ${this.name} has no id`);
+    }
+    if (rule.base && !['cost', 'msrp'].includes(rule.base)) {
+      throw new Error(`Pricing rule ${rule.id} has unknown base "${rule.base}" (expected cost or msrp)`);
+    }
+    if (rule.rounding && !ROUNDING_MODES.includes(rule.rounding.mode)) {
+      throw new Error(`Pricing rule ${rule.id} has unknown rounding mode "${rule.rounding.mode}" (expected ${ROUNDING_MODES.join(', ')})`);
+    }
+    if (rule.minMargin !== undefined && (rule.minMargin < 0 || rule.minMargin >= 1)) {
+      throw new Error(`Pricing rule ${rule.id} minMargin must be between 0 and 1`);
+    }
+    return rule;
+  }
+
+  /**
+   * First rule matching the product, merged over the defaults
+   * @param {object} inputs - { cost, msrp, productLine } with numeric cost/msrp
+   */
+  ruleFor(inputs) {
+    const rule = this.rules.find(candidate => this.matches(candidate.when || {}, inputs));
+    return rule ? { ...this.defaults, ...rule } : { ...this.defaults, id: 'defaults' };
+  }
+
+  matches(when, inputs) {
+    const inBand = (value, band) => value !== null &&
+      (band.min === undefined || value >= band.min) &&
+      (band.max === undefined || value <= band.max);
+
+    if (when.productLine) {
+      const productLine = String(inputs.productLine || '').toLowerCase();
+      if (!when.productLine.some(line => productLine.includes(line.toLowerCase()))) return false;
+    }
+    if (when.cost && !inBand(inputs.cost, when.cost)) return false;
+    if (when.msrp && !inBand(inputs.msrp, when.msrp)) return false;
+    if (when.hasMsrp !== undefined && (inputs.msrp !== null) !== when.hasMsrp) return false;
+    return true;
+  }
+
+  /**
+   * Compute the retail and compare-at price for a product
+   * @param {object} inputs - { cost, msrp, productLine } (numbers or price strings)
+   * @returns {{price: string|null, compareAtPrice: string|null, ruleId: string}}
+   */
+  price(inputs) {
+    const cost = this.parseNumber(inputs.cost);
+    const msrp = this.parseNumber(inputs.msrp);
+    const rule = this.ruleFor({ cost, msrp, productLine: inputs.productLine });
+
+    // Without the base input, fall back to the other one as-is (MSRP || ContractPrice)
+    const baseValue = rule.base === 'cost' ? cost : msrp;
+    let price = baseValue !== null ? baseValue * (rule.markup ?? 1) : (rule.base === 'cost' ? msrp : cost);
+
+    if (price === null) {
+      return { price: null, compareAtPrice: null, ruleId: rule.id };
+    }
+
+    if (msrp !== null && rule.msrp?.cap && price > msrp) price = msrp;
+    if (msrp !== null && rule.msrp?.floor && price < msrp) price = msrp;
+
+    const marginFloor = cost !== null && rule.minMargin ? cost / (1 - rule.minMargin) : null;
+    if (marginFloor !== null) {
+      price = Math.max(price, marginFloor);
+    }
+
+    if (rule.rounding) {
+      price = this.round(price, rule.rounding);
+      if (marginFloor !== null && this.toCents(price) < this.toCents(marginFloor)) {
+        price = this.roundUp(marginFloor, rule.rounding);
+      }
+    }
+
+    let compareAtPrice = null;
+    if (rule.compareAt) {
+      const from = rule.compareAt.from === 'price' ? price : msrp;
+      const candidate = from !== null ? from * (rule.compareAt.multiplier ?? 1) : null;
+      // Shopify only shows a sale when compare-at is above the price
+      if (candidate !== null && this.toCents(candidate) > this.toCents(price)) {
+        compareAtPrice = candidate.toFixed(2);
+      }
+    }
+
+    return { price: price.toFixed(2), compareAtPrice, ruleId: rule.id };
+  }
+
+  round(price, rounding) {
+    const step = rounding.step || 1;
+
+    switch (rounding.mode) {
+      case 'charm': {
+        // Next price ending in `ending` within the step, e.g. 12.30 -> 12.99 or (step 10, ending 9.99) 123 -> 129.99
+        const ending = rounding.ending ?? 0.99;
+        const charmed = Math.floor(price / step) * step + ending;
+        return charmed < price ? charmed + step : charmed;
+      }
+      case 'nearest':
+        return Math.round(price / step) * step;
+      case 'up':
+        return Math.ceil(price / step) * step;
+      case 'down':
+        return Math.floor(price / step) * step;
+      default:
+        return price;
+    }
+  }
+
+  /**
+   * Round to the first price of the rounding mode at or above the given one (the next charm
+   * price, or the next step for the other modes)
+   */
+  roundUp(price, rounding) {
+    if (rounding.mode === 'charm') {
+      return this.round(price, rounding);
+    }
+    // In cents, so a floor of 100.00000000000001 stays at 100
+    const stepCents = this.toCents(rounding.step || 1);
+    return Math.ceil(this.toCents(price) / stepCents) * stepCents / 100;
+  }
+
+  parseNumber(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    return isNaN(number) ? null : number;
+  }
+
+  toCents(value) {
+    return Math.round(value * 100);
+  }
+
+  /**
+   * Compare two prices to the cent (null, '' and undefined are all "no price")
+   */
+  static samePrice(a, b) {
+    const cents = value => {
+      if (value === undefined || value === null || value === '') return null;
+      const number = parseFloat(value);
+      return isNaN(number) ? null : Math.round(number * 100);
+    };
+    return cents(a) === cents(b);
+  }
+}
+
+module.exports = PricingEngine;
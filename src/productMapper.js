@@ -0,0 +1,464 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const CategoryTaxonomy = require('./categoryTaxonomy');
+const PricingEngine = require('./pricingEngine');
+
+const DEFAULT_MAPPINGS_DIR = path.join(__dirname, '..', 'config', 'mappings');
+const SUPPORTED_VERSION = 1;
+
+// Grams per unit for "weight" values
+const WEIGHT_TO_GRAMS = {
+  g: 1,
+  kg: 1000,
+  oz: 28.35,
+  lb: 453.592,
+  dwt: 1.55517
+};
+
+/**
+ * Maps supplier rows to the Shopify REST product payload using a per-supplier
+ * mapping file in config/mappings/<name>.json.
+ *
+ * Most mapping entries are value specs: a column name, or an object with
+ * `columns` (first non-empty wins) or a Handlebars `template`, plus optional
+ * `type` (price, integer, weight), `default` and `maxLength`.
+ *
+ * When the mapping has a `pricing` section, variant prices come from that
+ * ruleset in config/pricing-rules.json instead of the variant price specs.
+ * Inventory (quantity, unit cost, location) is mapped separately by
+ * mapInventory() and written through inventory items, not the variant.
+ *
+ * A `grouping` section clusters rows (ring sizes, chain lengths) into one
+ * product with an option and one variant per row; see group() and mapGroup().
+ */
+class ProductMapper {
+  constructor(mapping, options = {}) {
+    const { name = 'custom', baseDir = DEFAULT_MAPPINGS_DIR } = options;
+
+    if (mapping.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported mapping version ${mapping.version} for ${name} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    this.name = name;
+    this.mapping = mapping;
+    this.baseDir = baseDir;
+    this.templates = new Map();
+    this.taxonomy = new CategoryTaxonomy();
+    this.pricingEngine = mapping.pricing ? PricingEngine.load(mapping.pricing.ruleset) : null;
+
+    this.handlebars = Handlebars.create();
+    this.handlebars.registerHelper('or', (...args) => args.slice(0, -1).find(value => value) || '');
+    this.handlebars.registerHelper('ne', (a, b) => a !== b);
+    this.handlebars.registerHelper('split', (value, separator) =>
+      String(value || '').split(separator).map(part => part.trim()).filter(part => part)
+    );
+  }
+
+  /**
+   * Load a supplier mapping by name (SUPPLIER_MAPPING picks the default)
+   * @param {string} mappingName - File name in config/mappings without .json
+   * @param {string} mappingsDir - Directory holding mapping files and templates (MAPPINGS_DIR overrides config/mappings)
+   */
+  static load(mappingName = process.env.SUPPLIER_MAPPING || 'qgold', mappingsDir = process.env.MAPPINGS_DIR || DEFAULT_MAPPINGS_DIR) {
+    const mappingPath = path.join(mappingsDir, `${mappingName}.json`);
+    if (!fs.existsSync(mappingPath)) {
+      throw new Error(`Supplier mapping "${mappingName}" not found at ${mappingPath}`);
+    }
+
+    const mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8'));
+    return new ProductMapper(mapping, { name: mappingName, baseDir: mappingsDir });
+  }
+
+  get vendor() {
+    return this.mapping.vendor;
+  }
+
+  // Inventory location name or ID for this supplier (null: SHOPIFY_LOCATION_ID or the primary location)
+  get inventoryLocation() {
+    return this.mapping.inventory?.location || null;
+  }
+
+  // Whether rows are grouped into multi-variant products
+  get hasGrouping() {
+    return Boolean(this.mapping.grouping);
+  }
+
+  /**
+   * Read a named source field declared under "fields" (e.g. sku, categories)
+   */
+  field(row, fieldName) {
+    const column = this.mapping.fields?.[fieldName];
+    return column ? this.resolve(column, row) : null;
+  }
+
+  /**
+   * Map a source row to a Shopify REST product payload
+   */
+  map(row) {
+    const { mapping } = this;
+    const title = this.resolve(mapping.title, row);
+
+    const product = {
+      title,
+      handle: this.generateHandle(this.resolve(mapping.handle, row) || title),
+      body_html: this.resolve(mapping.bodyHtml, row),
+      vendor: mapping.vendor,
+      product_type: this.mapProductType(row),
+      status: this.isActive(row) ? 'active' : 'draft',
+      published: this.isActive(row),
+      tags: this.mapTags(row),
+      variants: [this.mapVariant(row)],
+      images: this.mapImages(row),
+      metafields: this.mapMetafields(row),
+      category: this.mapCategory(row)
+    };
+
+    if (mapping.seo) {
+      const seoTitle = this.resolve(mapping.seo.title, row);
+      if (seoTitle) {
+        product.seo_title = seoTitle;
+        product.seo_description = this.resolve(mapping.seo.description, row);
+      }
+    }
+
+    return product;
+  }
+
+  /**
+   * Cluster rows into products by the first grouping key each row yields: a
+   * column (style number), a capture group of skuPattern (base SKU) or a
+   * normalized column with the `strip` patterns removed (description).
+   * Groups whose rows do not have distinct values for any option are split up.
+   * @returns {Array<Array<object>>} Groups of rows in first-seen order
+   */
+  group(rows) {
+    if (!this.mapping.grouping) return rows.map(row => [row]);
+
+    const groups = new Map();
+    rows.forEach((row, index) => {
+      const key = this.groupKey(row) || `row:${index}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    });
+
+    const result = [];
+    groups.forEach(groupRows => {
+      if (groupRows.length > 1 && !this.groupOption(groupRows)) {
+        // Rows sharing a key but not an option (e.g. two metals with one description) stay separate products
+        groupRows.forEach(row => result.push([row]));
+      } else {
+        result.push(groupRows);
+      }
+    });
+
+    return result;
+  }
+
+  groupKey(row) {
+    for (const strategy of this.mapping.grouping.keys || []) {
+      if (strategy.column) {
+        const value = this.resolve(strategy.column, row);
+        if (value) return `column:${String(value).trim().toLowerCase()}`;
+      } else if (strategy.skuPattern) {
+        const match = new RegExp(strategy.skuPattern, 'i').exec(String(this.field(row, 'sku') || ''));
+        if (match && match[1]) return `sku:${match[1].toLowerCase()}`;
+      } else if (strategy.normalizedColumn) {
+        const normalized = this.stripGroupText(row[strategy.normalizedColumn]).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        if (normalized) return `text:${normalized}`;
+      }
+    }
+    return null;
+  }
+
+  // Remove size/length phrases (grouping.strip patterns) from a description or title
+  stripGroupText(text) {
+    if (!this.present(text)) return '';
+    return (this.mapping.grouping?.strip || [])
+      .reduce((result, pattern) => result.replace(new RegExp(pattern, 'gi'), ' '), String(text))
+      .replace(/\s+/g, ' ')
+      .replace(/[\s,-]+$/, '')
+      .trim();
+  }
+
+  /**
+   * First grouping option every row has a distinct value for
+   * @returns {{name: string, values: Array<string>}|null} Option name and the value of each row
+   */
+  groupOption(rows) {
+    for (const option of this.mapping.grouping?.options || []) {
+      const values = rows.map(row => this.resolve(option, row));
+      if (values.every(value => this.present(value)) && new Set(values.map(String)).size === values.length) {
+        return { name: option.name, values: values.map(String) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Map a group of rows to one product with an option and a variant per row.
+   * Product fields come from the first row in option order; a single row maps
+   * exactly like map().
+   */
+  mapGroup(rows) {
+    const option = rows.length > 1 ? this.groupOption(rows) : null;
+    if (!option) {
+      return this.map(rows[0]);
+    }
+
+    // Variants ordered by option value (numerically where possible: 6, 6.5, 7, 16", 18")
+    const ordered = rows
+      .map((row, index) => ({ row, value: option.values[index] }))
+      .sort((a, b) => (parseFloat(a.value) - parseFloat(b.value)) || a.value.localeCompare(b.value));
+
+    const product = this.map(ordered[0].row);
+    const title = this.stripGroupText(product.title) || product.title;
+    product.title = title;
+    product.handle = this.generateHandle(this.stripGroupText(this.resolve(this.mapping.handle, ordered[0].row)) || title);
+    product.options = [{ name: option.name, values: ordered.map(entry => entry.value) }];
+    product.variants = ordered.map(({ row, value }) => ({ ...this.mapVariant(row), title: value, option1: value }));
+
+    // Images from every row, de-duplicated by URL
+    const seen = new Set(product.images.map(image => image.src));
+    ordered.slice(1).forEach(({ row }) => {
+      this.mapImages(row).forEach(image => {
+        if (seen.has(image.src)) return;
+        seen.add(image.src);
+        product.images.push(image);
+      });
+    });
+
+    return product;
+  }
+
+  // Product type from the first keyword rule matching the configured column (order matters)
+  mapProductType(row) {
+    const spec = this.mapping.productType;
+    if (!spec) return 'Jewelry';
+
+    let value = this.resolve(spec.column, row);
+    if (value && spec.split) {
+      value = String(value).split(spec.split)[0];
+    }
+
+    if (value) {
+      const text = String(value).toLowerCase();
+      const rule = (spec.rules || []).find(r => r.contains.some(term => text.includes(term.toLowerCase())));
+      if (rule) return rule.value;
+    }
+
+    return spec.default || 'Jewelry';
+  }
+
+  // Shopify taxonomy category ID from the configured category column
+  mapCategory(row) {
+    const spec = this.mapping.category;
+    const value = spec ? this.resolve(spec.column, row) : null;
+    return this.taxonomy.resolve(value, this.field(row, 'sku'), spec?.split);
+  }
+
+  isActive(row) {
+    const status = this.mapping.status;
+    if (!status) return true;
+    if (status.always) return status.always === 'active';
+
+    const value = this.resolve(status.column, row);
+    return (status.activeValues || []).includes(value);
+  }
+
+  mapTags(row) {
+    const tags = [];
+
+    (this.mapping.tags || []).forEach(spec => {
+      const value = this.resolve(spec, row);
+      if (!value) return;
+
+      if (spec.split) {
+        tags.push(...String(value).split(spec.split).filter(tag => tag.trim()));
+      } else {
+        tags.push(value);
+      }
+    });
+
+    return tags.join(', ');
+  }
+
+  mapVariant(row) {
+    const spec = this.mapping.variant || {};
+    const pricing = this.mapPricing(row);
+
+    const variant = {
+      title: 'Default Title',
+      sku: String(this.resolve(spec.sku, row) || ''),
+      barcode: String(this.resolve(spec.barcode, row) || ''),
+      price: pricing ? pricing.price || '0.00' : this.resolve(spec.price, row),
+      compare_at_price: pricing ? pricing.compareAtPrice : this.resolve(spec.compareAtPrice, row),
+      inventory_management: 'shopify',
+      weight: this.resolve(spec.weight, row) || 0,
+      weight_unit: 'g'
+    };
+
+    const option1 = this.resolve(spec.option1, row);
+    if (option1) {
+      variant.option1 = option1;
+    }
+
+    return variant;
+  }
+
+  /**
+   * Available quantity and unit cost from the "inventory" section
+   */
+  mapInventory(row) {
+    const spec = this.mapping.inventory || {};
+
+    return {
+      quantity: this.resolve(spec.quantity, row) || 0,
+      unitCost: this.resolve(spec.unitCost, row)
+    };
+  }
+
+  // Retail and compare-at price from the pricing ruleset (null when the mapping has none)
+  mapPricing(row) {
+    if (!this.pricingEngine) return null;
+
+    const spec = this.mapping.pricing;
+    return this.pricingEngine.price({
+      cost: this.resolve(spec.cost, row),
+      msrp: this.resolve(spec.msrp, row),
+      productLine: this.resolve(spec.productLine, row)
+    });
+  }
+
+  mapImages(row) {
+    const images = [];
+    const seen = new Set();
+
+    const addImage = (src, altTemplate, context) => {
+      const url = src ? String(src).trim() : '';
+      if (!url || seen.has(url)) return;
+      seen.add(url);
+      images.push({ src: url, alt: this.render(altTemplate || '', context) });
+    };
+
+    (this.mapping.images || []).forEach(spec => {
+      if (spec.columnPattern) {
+        for (let i = spec.from; i <= spec.to; i++) {
+          addImage(row[spec.columnPattern.replace('{i}', i)], spec.alt, { ...row, i });
+        }
+      } else if (spec.listColumn) {
+        const list = Array.isArray(row[spec.listColumn]) ? row[spec.listColumn] : [];
+        list.forEach((src, index) => addImage(src, spec.alt, { ...row, i: index + 1 }));
+      } else {
+        addImage(row[spec.column], spec.alt, row);
+      }
+    });
+
+    return images;
+  }
+
+  mapMetafields(row) {
+    const metafields = [];
+
+    (this.mapping.metafields || []).forEach(spec => {
+      const value = this.resolve(spec.template ? { template: spec.template } : spec.column, row);
+      if (value === null || value === undefined || value === '') return;
+
+      metafields.push({
+        namespace: spec.namespace,
+        key: spec.key,
+        value: String(value),
+        type: spec.type || 'single_line_text_field'
+      });
+    });
+
+    return metafields;
+  }
+
+  /**
+   * Resolve a value spec against a row
+   */
+  resolve(spec, row) {
+    if (spec === undefined || spec === null) return null;
+    if (typeof spec === 'string') return this.present(row[spec]) ? row[spec] : null;
+
+    let value = null;
+    if (spec.template || spec.templateFile) {
+      const rendered = this.render(spec.template, row, spec.templateFile).trim();
+      value = rendered || null;
+    } else {
+      const columns = spec.columns || [spec.column];
+      const column = columns.find(name => this.present(row[name]));
+      value = column ? row[column] : null;
+    }
+
+    if (value !== null && spec.type) {
+      value = this.convert(value, spec);
+    }
+
+    if (value === null) {
+      return spec.default !== undefined ? spec.default : null;
+    }
+
+    if (spec.maxLength && typeof value === 'string') {
+      value = value.substring(0, spec.maxLength);
+    }
+
+    return value;
+  }
+
+  convert(value, spec) {
+    const number = parseFloat(String(value).replace(/[^\d.-]/g, ''));
+    if (isNaN(number)) return null;
+
+    switch (spec.type) {
+      case 'price':
+        return number.toFixed(2);
+      case 'integer':
+        return Math.trunc(number);
+      case 'weight': {
+        const factor = WEIGHT_TO_GRAMS[spec.unit || 'g'];
+        if (!factor) {
+          throw new Error(`Unknown weight unit "${spec.unit}" in mapping ${this.name}`);
+        }
+        return Math.round(number * factor);
+      }
+      default:
+        throw new Error(`Unknown value type "${spec.type}" in mapping ${this.name}`);
+    }
+  }
+
+  render(template, context, templateFile = null) {
+    const key = templateFile || template;
+    if (!this.templates.has(key)) {
+      const source = templateFile
+        ? fs.readFileSync(path.join(this.baseDir, templateFile), 'utf8')
+        : template;
+      // Body HTML is built from trusted supplier data, so values are not escaped
+      this.templates.set(key, this.handlebars.compile(source, { noEscape: true }));
+    }
+    return this.templates.get(key)(context);
+  }
+
+  present(value) {
+    return value !== undefined && value !== null && String(value).trim() !== '';
+  }
+
+  // Generate URL handle from title
+  generateHandle(title) {
+    if (!title) return 'product';
+    return String(title)
+      .toLowerCase()
+      .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
+      .replace(/\s+/g, '-') // Replace spaces with hyphens
+      .replace(/-+/g, '-') // Remove multiple consecutive hyphens
+      .replace(/^-|-$/g, '') // Remove leading/trailing hyphens
+      .substring(0, 100); // Limit length
+  }
+}
+
+ProductMapper.DEFAULT_MAPPINGS_DIR = DEFAULT_MAPPINGS_DIR;
+
+module.exports = ProductMapper;
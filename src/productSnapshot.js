@@ -0,0 +1,304 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_SNAPSHOTS_DIR = path.join(__dirname, '..', 'data', 'snapshots');
+
+// nodes() accepts up to 250 IDs, but full products with variants, media and metafields are expensive
+const PRODUCTS_PER_QUERY = 20;
+
+// Everything a restore needs to recreate or revert a product
+const PRODUCT_SNAPSHOT_QUERY = `
+  query productSnapshots($ids: [ID!]!) {
+    nodes(ids: $ids) {
+      ... on Product {
+        id
+        legacyResourceId
+        title
+        handle
+        descriptionHtml
+        vendor
+        productType
+        status
+        tags
+        createdAt
+        updatedAt
+        publishedAt
+        seo {
+          title
+          description
+        }
+        category {
+          id
+        }
+        options {
+          name
+        }
+        variants(first: 100) {
+          nodes {
+            id
+            legacyResourceId
+            sku
+            barcode
+            price
+            compareAtPrice
+            inventoryQuantity
+            selectedOptions {
+              name
+              value
+            }
+            inventoryItem {
+              legacyResourceId
+              tracked
+              unitCost {
+                amount
+              }
+              measurement {
+                weight {
+                  value
+                  unit
+                }
+              }
+              inventoryLevels(first: 20) {
+                nodes {
+                  location {
+                    legacyResourceId
+                  }
+                  quantities(names: ["available"]) {
+                    name
+                    quantity
+                  }
+                }
+              }
+            }
+          }
+        }
+        media(first: 100) {
+          nodes {
+            ... on MediaImage {
+              id
+              image {
+                url
+                altText
+              }
+            }
+          }
+        }
+        metafields(first: 100) {
+          nodes {
+            namespace
+            key
+            type
+            value
+          }
+        }
+      }
+    }
+  }
+`;
+
+const WEIGHT_UNITS = {
+  GRAMS: 'g',
+  KILOGRAMS: 'kg',
+  POUNDS: 'lb',
+  OUNCES: 'oz'
+};
+
+/**
+ * Snapshot archive of a run (data/snapshots/<runId>.jsonl): the full product
+ * (variants, images, metafields, category, inventory levels and unit costs)
+ * as it was right before the run deleted, archived or overwrote it.
+ *
+ * Each line is { runId, reason, capturedAt, product } with the product in the
+ * REST shape used throughout ShopifyClient. A product changed twice in one run
+ * is captured twice; the first capture is the state before the run.
+ */
+class ProductSnapshot {
+  /**
+   * @param {ShopifyClient} shopifyClient - Initialized client used to read the products
+   * @param {string} runId - Run the snapshot belongs to (names the archive file)
+   * @param {object} options - { snapshotsDir }
+   */
+  constructor(shopifyClient, runId, options = {}) {
+    const { snapshotsDir = process.env.SNAPSHOTS_DIR || DEFAULT_SNAPSHOTS_DIR } = options;
+
+    this.shopifyClient = shopifyClient;
+    this.runId = runId;
+    this.filePath = path.join(snapshotsDir, `${runId}.jsonl`);
+    this.captured = 0;
+  }
+
+  /**
+   * Snapshot file for a run ID or path
+   */
+  static resolvePath(runIdOrPath, snapshotsDir = process.env.SNAPSHOTS_DIR || DEFAULT_SNAPSHOTS_DIR) {
+    if (fs.existsSync(runIdOrPath)) {
+      return runIdOrPath;
+    }
+
+    const filePath = path.join(snapshotsDir, `${runIdOrPath.replace(/\.jsonl$/, '')}.jsonl`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No snapshot found for ${runIdOrPath} (${filePath})`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Entries of a snapshot file, in capture order
+   */
+  static read(runIdOrPath) {
+    return fs.readFileSync(ProductSnapshot.resolvePath(runIdOrPath), 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Snapshot files with their product counts, newest first
+   */
+  static list(snapshotsDir = process.env.SNAPSHOTS_DIR || DEFAULT_SNAPSHOTS_DIR) {
+    if (!fs.existsSync(snapshotsDir)) {
+      return [];
+    }
+
+    return fs.readdirSync(snapshotsDir)
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => {
+        const filePath = path.join(snapshotsDir, file);
+        const entries = ProductSnapshot.read(filePath);
+        return {
+          runId: path.basename(file, '.jsonl'),
+          filePath,
+          products: new Set(entries.map(entry => entry.product.id)).size,
+          reasons: Array.from(new Set(entries.map(entry => entry.reason))),
+          capturedAt: entries[0]?.capturedAt || null
+        };
+      })
+      .sort((a, b) => String(b.capturedAt).localeCompare(String(a.capturedAt)));
+  }
+
+  /**
+   * Read the products and append them to the archive before they are changed.
+   * Throws when they cannot be read or written - the caller must not go ahead without a snapshot.
+   * @param {Array<number>} productIds - Shopify product IDs
+   * @param {string} reason - What is about to happen (delete, archive, update, discontinued:<action>, restore)
+   * @returns {Promise<{captured: number, missing: Array<number>, products: Array}>} missing lists IDs no longer in Shopify
+   */
+  async capture(productIds, reason) {
+    const ids = Array.from(new Set(productIds.filter(id => id)));
+    if (ids.length === 0) {
+      return { captured: 0, missing: [], products: [] };
+    }
+
+    const products = await this.fetchProducts(ids);
+    const capturedAt = new Date().toISOString();
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, products
+      .map(product => JSON.stringify({ runId: this.runId, reason, capturedAt, product }) + '\n')
+      .join(''));
+
+    this.captured += products.length;
+
+    const found = new Set(products.map(product => product.id));
+    const missing = ids.filter(id => !found.has(Number(id)));
+
+    logger.info(`✓ Snapshot of ${products.length} products (${reason}) -> ${this.filePath}`);
+    return { captured: products.length, missing, products };
+  }
+
+  /**
+   * Full REST-shaped products by ID (IDs that no longer exist are left out)
+   */
+  async fetchProducts(productIds) {
+    const client = this.shopifyClient;
+    if (!client.initialized) {
+      await client.initialize();
+    }
+
+    const products = [];
+    for (let i = 0; i < productIds.length; i += PRODUCTS_PER_QUERY) {
+      const chunk = productIds.slice(i, i + PRODUCTS_PER_QUERY);
+      const response = await client.api.graphql(PRODUCT_SNAPSHOT_QUERY, {
+        ids: chunk.map(id => `gid://shopify/Product/${id}`)
+      }, { estimatedCost: chunk.length * 30 });
+
+      if (response.data.errors) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+      }
+
+      response.data.data.nodes
+        .filter(node => node?.id)
+        .forEach(node => products.push(this.toRestProduct(node)));
+    }
+
+    return products;
+  }
+
+  // Map a snapshot query node to the REST product shape (see ShopifyClient.addBulkCatalogLine)
+  toRestProduct(node) {
+    const id = Number(node.legacyResourceId);
+    const optionNames = (node.options || []).map(option => option.name);
+
+    return {
+      id,
+      admin_graphql_api_id: node.id,
+      title: node.title,
+      handle: node.handle,
+      body_html: node.descriptionHtml,
+      vendor: node.vendor,
+      product_type: node.productType,
+      status: node.status ? node.status.toLowerCase() : undefined,
+      tags: (node.tags || []).join(', '),
+      category: node.category?.id || null,
+      seo_title: node.seo?.title || null,
+      seo_description: node.seo?.description || null,
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      published_at: node.publishedAt,
+      options: optionNames.map(name => ({ name })),
+      variants: (node.variants?.nodes || []).map(variant => {
+        const inventoryItem = variant.inventoryItem || {};
+        const weight = inventoryItem.measurement?.weight;
+        return {
+          id: Number(variant.legacyResourceId),
+          admin_graphql_api_id: variant.id,
+          product_id: id,
+          sku: variant.sku,
+          barcode: variant.barcode,
+          price: variant.price,
+          compare_at_price: variant.compareAtPrice,
+          option1: variant.selectedOptions?.[0]?.value,
+          inventory_quantity: variant.inventoryQuantity,
+          inventory_management: inventoryItem.tracked ? 'shopify' : null,
+          inventory_item_id: inventoryItem.legacyResourceId ? Number(inventoryItem.legacyResourceId) : null,
+          unit_cost: inventoryItem.unitCost?.amount || null,
+          weight: weight?.value,
+          weight_unit: WEIGHT_UNITS[weight?.unit] || weight?.unit?.toLowerCase(),
+          inventory_levels: (inventoryItem.inventoryLevels?.nodes || []).map(level => ({
+            location_id: Number(level.location.legacyResourceId),
+            available: level.quantities?.find(quantity => quantity.name === 'available')?.quantity ?? 0
+          }))
+        };
+      }),
+      images: (node.media?.nodes || [])
+        .filter(media => media?.image?.url)
+        .map(media => ({
+          admin_graphql_api_id: media.id,
+          src: media.image.url,
+          alt: media.image.altText
+        })),
+      metafields: (node.metafields?.nodes || []).map(metafield => ({
+        namespace: metafield.namespace,
+        key: metafield.key,
+        type: metafield.type,
+        value: metafield.value
+      }))
+    };
+  }
+}
+
+ProductSnapshot.DEFAULT_SNAPSHOTS_DIR = DEFAULT_SNAPSHOTS_DIR;
+ProductSnapshot.WEIGHT_UNITS = WEIGHT_UNITS;
+
+module.exports = ProductSnapshot;
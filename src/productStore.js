@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Supplier feeds a store record can originate from
+const SOURCES = {
+  QGOLD_CSV: 'qgold_csv',
+  OVERNIGHT_API: 'overnight_api'
+};
+
+/**
+ * Persistent SKU -> Shopify product mapping backed by a JSON-lines file.
+ *
+ * Each line is a full record ({ sku, source, productId, variantId, contentHash,
+ * lastSyncedAt }) or a tombstone ({ sku, deleted: true }). Lines are appended as
+ * products are created, updated or deleted; on load the last line per SKU wins
+ * and the file is compacted once superseded lines outnumber live records.
+ * Records are also indexed by product ID, so the SKUs of a product are found
+ * without scanning the store.
+ */
+class ProductStore {
+  constructor(filePath = path.join(__dirname, '..', 'data', 'product-store.jsonl')) {
+    this.filePath = filePath;
+    this.records = new Map();
+    this.skusByProductId = new Map(); // String(productId) -> Set of normalized SKUs
+    this.loaded = false;
+  }
+
+  load() {
+    this.records.clear();
+    this.skusByProductId.clear();
+    let lineCount = 0;
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        lineCount++;
+
+        try {
+          const record = JSON.parse(line);
+          const key = this.normalizeSku(record.sku);
+          if (!key) continue;
+
+          if (record.deleted) {
+            this.records.delete(key);
+          } else {
+            this.records.set(key, record);
+          }
+        } catch (error) {
+          logger.warn(`Skipping corrupt product store line ${lineCount}:`, error.message);
+        }
+      }
+    }
+
+    this.records.forEach((record, key) => this.indexRecord(key, record));
+    this.loaded = true;
+    logger.debug(`Loaded ${this.records.size} records from product store: ${this.filePath}`);
+
+    if (lineCount > this.records.size * 2 && lineCount > 1000) {
+      this.compact();
+    }
+
+    return this;
+  }
+
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.load();
+    }
+  }
+
+  normalizeSku(sku) {
+    return sku ? sku.toString().trim().toLowerCase() : null;
+  }
+
+  has(sku) {
+    this.ensureLoaded();
+    return this.records.has(this.normalizeSku(sku));
+  }
+
+  get(sku) {
+    this.ensureLoaded();
+    return this.records.get(this.normalizeSku(sku)) || null;
+  }
+
+  get size() {
+    this.ensureLoaded();
+    return this.records.size;
+  }
+
+  /**
+   * All live records from one supplier feed
+   */
+  bySource(source) {
+    this.ensureLoaded();
+    return Array.from(this.records.values()).filter(record => record.source === source);
+  }
+
+  /**
+   * All live records pointing at one Shopify product (one per variant SKU)
+   */
+  byProductId(productId) {
+    this.ensureLoaded();
+    const keys = this.skusByProductId.get(String(productId));
+    return keys ? Array.from(keys, key => this.records.get(key)) : [];
+  }
+
+  indexRecord(key, record) {
+    if (record.productId === undefined || record.productId === null) return;
+
+    const productId = String(record.productId);
+    if (!this.skusByProductId.has(productId)) {
+      this.skusByProductId.set(productId, new Set());
+    }
+    this.skusByProductId.get(productId).add(key);
+  }
+
+  unindexRecord(key, record) {
+    if (!record || record.productId === undefined || record.productId === null) return;
+
+    const productId = String(record.productId);
+    const keys = this.skusByProductId.get(productId);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) this.skusByProductId.delete(productId);
+    }
+  }
+
+  /**
+   * Insert or update a record, merging with what is already stored for the SKU
+   */
+  upsert(record) {
+    this.ensureLoaded();
+    const key = this.normalizeSku(record.sku);
+    if (!key) return null;
+
+    const existing = this.records.get(key);
+    const merged = {
+      ...(existing || {}),
+      ...record,
+      lastSyncedAt: record.lastSyncedAt || new Date().toISOString()
+    };
+
+    this.unindexRecord(key, existing);
+    this.records.set(key, merged);
+    this.indexRecord(key, merged);
+    this.append(merged);
+    return merged;
+  }
+
+  remove(sku) {
+    this.ensureLoaded();
+    const key = this.normalizeSku(sku);
+    if (!key || !this.records.has(key)) return false;
+
+    const record = this.records.get(key);
+    this.records.delete(key);
+    this.unindexRecord(key, record);
+    this.append({ sku: record.sku, deleted: true, lastSyncedAt: new Date().toISOString() });
+    return true;
+  }
+
+  /**
+   * Remove every record pointing at a Shopify product (all of its variants)
+   */
+  removeByProductId(productId) {
+    const records = this.byProductId(productId);
+    records.forEach(record => this.remove(record.sku));
+    return records.length;
+  }
+
+  append(entry) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+  }
+
+  // Rewrite the file with only the live records
+  compact() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = Array.from(this.records.values()).map(record => JSON.stringify(record));
+    fs.writeFileSync(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tempPath, this.filePath);
+    logger.info(`Compacted product store to ${this.records.size} records`);
+  }
+
+  /**
+   * Stable hash of a source record, independent of key order
+   */
+  static hashContent(data) {
+    const sorted = Object.keys(data || {}).sort().reduce((acc, key) => {
+      acc[key] = data[key];
+      return acc;
+    }, {});
+    return crypto.createHash('sha1').update(JSON.stringify(sorted)).digest('hex');
+  }
+}
+
+ProductStore.SOURCES = SOURCES;
+
+module.exports = ProductStore;
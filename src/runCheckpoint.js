@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const JsonLinesFile = require('./jsonLinesFile');
+const logger = require('./logger');
+
+const DEFAULT_RUNS_DIR = path.join(__dirname, '..', 'data', 'runs');
+
+/**
+ * Checkpoint of a sync run, so an interrupted run can be resumed: completed pages
+ * are not fetched again and only SKUs that failed (or were never reached) are written.
+ *
+ * - data/runs/<runId>.json: run ID, input hash, the fetch options the run started
+ *   with, status, the completed pages, the last completed page/batch and the number
+ *   of SKUs per outcome; small, rewritten after every batch
+ * - data/runs/<runId>.items.jsonl: the outcome of every SKU, appended as batches
+ *   finish (a later line for a SKU replaces the earlier one). The outcomes (with the
+ *   field groups each update changed) are what rollbackRun.js undoes.
+ *
+ * Only the outcomes of pages not completed yet are kept in memory.
+ */
+class RunCheckpoint {
+  constructor(data, runsDir = process.env.RUNS_DIR || DEFAULT_RUNS_DIR) {
+    this.data = data;
+    this.runsDir = runsDir;
+    this.itemLog = new JsonLinesFile(path.join(runsDir, `${data.runId}.items.jsonl`));
+    this.openItems = new Map(); // Lowercased SKU -> outcome, for the pages not completed yet
+  }
+
+  /**
+   * Start a new checkpoint for a run
+   * @param {object} run - { supplier, inputHash, fetchOptions, enableFiltering }
+   */
+  static create(run, runsDir = process.env.RUNS_DIR || DEFAULT_RUNS_DIR) {
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+
+    // Runs started within the same second get a numeric suffix
+    let runId = `${run.supplier}-${timestamp}`;
+    for (let suffix = 2; fs.existsSync(path.join(runsDir, `${runId}.json`)); suffix++) {
+      runId = `${run.supplier}-${timestamp}-${suffix}`;
+    }
+
+    const checkpoint = new RunCheckpoint({
+      runId,
+      supplier: run.supplier,
+      inputHash: run.inputHash,
+      fetchOptions: run.fetchOptions || {},
+      enableFiltering: run.enableFiltering !== false,
+      status: 'running',
+      startedAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      resumedAt: [],
+      completedPages: [],
+      lastCompletedPage: null,
+      lastCompletedBatch: null,
+      counts: {}
+    }, runsDir);
+
+    checkpoint.save();
+    return checkpoint;
+  }
+
+  /**
+   * Load the checkpoint of an earlier run
+   */
+  static load(runId, runsDir = process.env.RUNS_DIR || DEFAULT_RUNS_DIR) {
+    const filePath = path.join(runsDir, `${runId}.json`);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No checkpoint found for run ${runId} (${filePath})`);
+    }
+
+    const checkpoint = new RunCheckpoint(JSON.parse(fs.readFileSync(filePath, 'utf8')), runsDir);
+    checkpoint.migrateItems();
+    return checkpoint;
+  }
+
+  /**
+   * Move the outcomes of a checkpoint written before the item log (an "items" object) to the log
+   */
+  migrateItems() {
+    if (!this.data.items) {
+      return;
+    }
+
+    const items = Object.values(this.data.items);
+    this.itemLog.append(items.map(item => ({ page: null, ...item })));
+    this.data.counts = {};
+    items.forEach(item => {
+      this.data.counts[item.outcome] = (this.data.counts[item.outcome] || 0) + 1;
+    });
+    delete this.data.items;
+    this.save();
+    logger.info(`Moved ${items.length} outcomes of run ${this.runId} to ${this.itemLog.filePath}`);
+  }
+
+  get runId() {
+    return this.data.runId;
+  }
+
+  get filePath() {
+    return path.join(this.runsDir, `${this.data.runId}.json`);
+  }
+
+  normalizeSku(sku) {
+    return sku ? sku.toString().trim().toLowerCase() : null;
+  }
+
+  /**
+   * Load the outcomes of the pages not completed yet, which a resume writes again
+   * (outcomes from before the item log kept pages are all loaded)
+   */
+  loadOpenItems() {
+    const completedPages = new Set(this.data.completedPages);
+    this.openItems.clear();
+
+    for (const item of this.itemLog.entries()) {
+      if (item.page === null || item.page === undefined || !completedPages.has(item.page)) {
+        this.openItems.set(this.normalizeSku(item.sku), item);
+      }
+    }
+  }
+
+  /**
+   * Whether a SKU on an open page was already written (created, updated or skipped as unchanged), on its
+   * own or as a variant of a product
+   */
+  isCompleted(sku) {
+    const item = this.openItems.get(this.normalizeSku(sku));
+    return Boolean(item && item.outcome !== 'error');
+  }
+
+  get failedCount() {
+    return this.data.counts.error || 0;
+  }
+
+  get completedCount() {
+    return Object.values(this.data.counts).reduce((total, count) => total + count, 0) - this.failedCount;
+  }
+
+  /**
+   * Latest outcome of every SKU of the run, read from the item log (lowercased SKU -> outcome)
+   */
+  readItems() {
+    const items = new Map();
+    for (const item of this.itemLog.entries()) {
+      items.set(this.normalizeSku(item.sku), item);
+    }
+    return items;
+  }
+
+  /**
+   * Record outcomes ({ item, type, productId, changes, error }) for every variant SKU of their product
+   * @param {number} page - Page the outcomes belong to (the last page of a product whose rows span pages)
+   * @param {Array} products - Normalized products the outcomes belong to
+   */
+  recordOutcomes(outcomes, page = null, products = []) {
+    const now = new Date().toISOString();
+    const counts = this.data.counts;
+    const items = [];
+    const bySku = new Map(products.filter(product => product.sku).map(product => [this.normalizeSku(product.sku), product]));
+
+    // A resume re-reads the open page a product ended on, so each of its SKUs must count as written
+    const perSku = outcomes.flatMap(outcome => {
+      const skus = bySku.get(this.normalizeSku(outcome.item))?.skus;
+      return skus?.length ? skus.map(sku => ({ ...outcome, item: sku })) : [outcome];
+    });
+
+    perSku.forEach(outcome => {
+      const key = this.normalizeSku(outcome.item);
+      if (!key) return;
+
+      // A retried SKU moves from its earlier outcome to the new one
+      const previous = this.openItems.get(key);
+      if (previous) {
+        counts[previous.outcome]--;
+      }
+
+      const item = {
+        sku: outcome.item,
+        page,
+        outcome: outcome.type,
+        productId: outcome.productId || previous?.productId || null,
+        changes: outcome.changes || null,
+        error: outcome.error || null,
+        updatedAt: now
+      };
+      counts[item.outcome] = (counts[item.outcome] || 0) + 1;
+      this.openItems.set(key, item);
+      items.push(item);
+    });
+
+    this.itemLog.append(items);
+  }
+
+  completeBatch(page, batch) {
+    this.data.lastCompletedBatch = { page, batch };
+    this.save();
+  }
+
+  completePage(page) {
+    if (!this.data.completedPages.includes(page)) {
+      this.data.completedPages.push(page);
+    }
+    this.data.lastCompletedPage = page;
+
+    // The outcomes of a completed page stay in the item log only
+    this.openItems.forEach((item, key) => {
+      if (item.page === page) this.openItems.delete(key);
+    });
+    this.save();
+  }
+
+  markResumed() {
+    this.data.status = 'running';
+    this.data.resumedAt.push(new Date().toISOString());
+    this.save();
+  }
+
+  /**
+   * Mark the run as undone by a rollback run (it can no longer be resumed)
+   */
+  markRolledBack(rollbackRunId) {
+    this.data.status = 'rolled_back';
+    this.data.rolledBackBy = rollbackRunId;
+    this.data.rolledBackAt = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Close the run with its final status and result counts
+   */
+  finish(status, results = null) {
+    this.data.status = status;
+    this.data.finishedAt = new Date().toISOString();
+    if (results) {
+      const { errorDetails, filterSummary, ...counts } = results;
+      this.data.results = counts;
+    }
+    this.save();
+  }
+
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.runsDir, { recursive: true });
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated checkpoint
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+    logger.debug(`Checkpoint saved: ${this.filePath}`);
+  }
+}
+
+RunCheckpoint.DEFAULT_RUNS_DIR = DEFAULT_RUNS_DIR;
+
+module.exports = RunCheckpoint;
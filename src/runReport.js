@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const CSVProcessor = require('./csvProcessor');
+const JsonLinesFile = require('./jsonLinesFile');
+const logger = require('./logger');
+
+const DEFAULT_REPORTS_DIR = path.join(__dirname, '..', 'reports');
+const TEMPLATE_PATH = path.join(__dirname, '..', 'config', 'reports', 'run-report.hbs');
+const ITEM_COLUMNS = ['sku', 'title', 'action', 'shopify_id', 'changed_fields', 'error'];
+const MAX_HTML_ITEMS = 2000; // Items listed in report.html (items.csv has all of them)
+
+/**
+ * Report bundle of a run (reports/<runId>/), for reviewing a run without log access:
+ *
+ * - summary.json: status, timings, result counts and every error detail
+ * - items.csv: one row per SKU (action, Shopify ID, changed fields, error)
+ * - report.html: self-contained page with the summary, errors and the first items
+ * - items.jsonl: the items as the run added them, which items.csv is written from
+ *
+ * Items go to items.jsonl as they are added, so a run does not hold them in memory,
+ * and a resumed run adds to the items of its earlier attempts. Items are keyed by
+ * SKU: a SKU is only added again after it failed (a resume retries failed SKUs),
+ * and then its last item replaces the earlier ones.
+ */
+class RunReport {
+  /**
+   * @param {string} runId - Run ID (see RunCheckpoint) or one from RunReport.newRunId()
+   * @param {object} options - { kind, title, dryRun, reportsDir }
+   */
+  constructor(runId, options = {}) {
+    const {
+      kind = 'sync',
+      title = runId,
+      dryRun = false,
+      reportsDir = process.env.REPORTS_DIR || DEFAULT_REPORTS_DIR
+    } = options;
+
+    this.runId = runId;
+    this.kind = kind;
+    this.title = title;
+    this.dryRun = dryRun;
+    this.dir = path.join(reportsDir, runId);
+    this.startedAt = new Date().toISOString();
+    this.itemLog = new JsonLinesFile(path.join(this.dir, 'items.jsonl'));
+  }
+
+  /**
+   * Run ID for runs without a checkpoint (dry runs, deletions): <prefix>-<YYYYMMDD-HHmmss>
+   */
+  static newRunId(prefix, reportsDir = process.env.REPORTS_DIR || DEFAULT_REPORTS_DIR) {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+
+    let runId = `${prefix}-${timestamp}`;
+    for (let suffix = 2; fs.existsSync(path.join(reportsDir, runId)); suffix++) {
+      runId = `${prefix}-${timestamp}-${suffix}`;
+    }
+    return runId;
+  }
+
+  /**
+   * Add per-SKU items: [{ sku, title, action, productId, changes, error }]
+   */
+  addItems(items) {
+    this.itemLog.append(items.map(item => ({
+      sku: item.sku ? String(item.sku).trim() : '',
+      title: item.title || '',
+      action: item.action,
+      productId: item.productId || null,
+      changes: item.changes || [],
+      error: item.error || null
+    })));
+  }
+
+  /**
+   * Add sync outcomes ({ item, type, productId, changes, error }) for every variant SKU of their product
+   * @param {Array} outcomes - Outcomes from ShopifyClient.processBatchDirect/processBulkProductSet
+   * @param {Array} products - Normalized products the outcomes belong to
+   */
+  addOutcomes(outcomes, products = []) {
+    const bySku = new Map(products.filter(product => product.sku).map(product => [String(product.sku).toLowerCase(), product]));
+
+    outcomes.forEach(outcome => {
+      const product = outcome.item ? bySku.get(String(outcome.item).toLowerCase()) : null;
+      const skus = product?.skus?.length ? product.skus : [outcome.item];
+
+      this.addItems(skus.map(sku => ({
+        sku,
+        title: product?.title,
+        action: outcome.type,
+        productId: outcome.productId,
+        changes: outcome.changes,
+        error: outcome.error
+      })));
+    });
+  }
+
+  /**
+   * Items with their replaced ones left out, in the order they were added
+   */
+  *latestItems() {
+    const key = item => (item.sku ? item.sku.toLowerCase() : null); // Unidentified rows are kept apart
+
+    // Only failed SKUs are added again, so only they are looked up for their last item
+    const failed = new Set();
+    for (const item of this.itemLog.entries()) {
+      if (item.action === 'error' && key(item)) failed.add(key(item));
+    }
+
+    const lastIndex = new Map();
+    if (failed.size > 0) {
+      let index = 0;
+      for (const item of this.itemLog.entries()) {
+        if (failed.has(key(item))) lastIndex.set(key(item), index);
+        index++;
+      }
+    }
+
+    let index = 0;
+    for (const item of this.itemLog.entries()) {
+      if (!failed.has(key(item)) || lastIndex.get(key(item)) === index) {
+        yield item;
+      }
+      index++;
+    }
+  }
+
+  /**
+   * Write summary.json, items.csv and report.html (never throws - a report must not fail a run)
+   * @param {string} status - Final run status (completed, completed_with_errors, failed, ...)
+   * @param {object} results - Results object of the run, including the full errorDetails
+   * @returns {string|null} Report directory, or null when it could not be written
+   */
+  write(status, results = {}) {
+    try {
+      // Per-item outcomes are written to items.csv, not the summary
+      const { errorDetails = [], outcomes, ...counts } = results;
+      const actions = {};
+      const htmlItems = [];
+      const itemRows = function* (items) {
+        for (const item of items) {
+          const row = {
+            sku: item.sku,
+            title: item.title,
+            action: item.action,
+            shopify_id: item.productId || '',
+            changed_fields: item.changes.join(' '),
+            error: item.error || ''
+          };
+          actions[item.action] = (actions[item.action] || 0) + 1;
+          if (htmlItems.length < MAX_HTML_ITEMS) htmlItems.push(row);
+          yield row;
+        }
+      };
+
+      fs.mkdirSync(this.dir, { recursive: true });
+      const itemCount = new CSVProcessor().writeFile(path.join(this.dir, 'items.csv'), itemRows(this.latestItems()), ITEM_COLUMNS);
+
+      const summary = {
+        runId: this.runId,
+        kind: this.kind,
+        title: this.title,
+        status,
+        dryRun: this.dryRun,
+        startedAt: this.startedAt,
+        finishedAt: new Date().toISOString(),
+        results: counts,
+        actions,
+        errorDetails
+      };
+
+      fs.writeFileSync(path.join(this.dir, 'summary.json'), JSON.stringify(summary, null, 2));
+      fs.writeFileSync(path.join(this.dir, 'report.html'), this.renderHtml(summary, htmlItems, itemCount));
+
+      logger.info(`✓ Run report written to ${this.dir}`);
+      return this.dir;
+
+    } catch (error) {
+      logger.warn(`Failed to write run report ${this.dir}:`, error.message);
+      return null;
+    }
+  }
+
+  renderHtml(summary, items, itemCount = items.length) {
+    if (!RunReport.template) {
+      RunReport.template = Handlebars.compile(fs.readFileSync(TEMPLATE_PATH, 'utf8'));
+    }
+
+    // Scalar counts as label/value rows; nested sections (inventory, discontinued, filters) as JSON
+    const counts = Object.entries(summary.results)
+      .filter(([, value]) => value === null || typeof value !== 'object')
+      .map(([label, value]) => ({ label, value }));
+    const sections = Object.entries(summary.results)
+      .filter(([, value]) => value !== null && typeof value === 'object')
+      .map(([label, value]) => ({ label, json: JSON.stringify(value, null, 2) }));
+
+    return RunReport.template({
+      ...summary,
+      counts,
+      sections,
+      actions: Object.entries(summary.actions).map(([action, count]) => ({ action, count })),
+      errors: summary.errorDetails.map(detail => ({
+        item: detail.item || detail.sku || detail.productId || detail.page || (detail.batch ? `batch ${detail.batch}` : ''),
+        title: detail.title || '',
+        error: detail.error
+      })),
+      items,
+      itemCount,
+      itemsCut: itemCount > items.length
+    });
+  }
+}
+
+RunReport.DEFAULT_REPORTS_DIR = DEFAULT_REPORTS_DIR;
+RunReport.template = null;
+
+module.exports = RunReport;
@@ -0,0 +1,392 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { CronExpressionParser } = require('cron-parser');
+const logger = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, 'config', 'schedule.json');
+const DEFAULT_STATE_DIR = path.join(ROOT_DIR, 'data', 'scheduler');
+const SUPPORTED_VERSION = 1;
+const TICK_MS = 15000;
+const KILL_GRACE_MS = 30000; // Between SIGTERM and SIGKILL for a job past its max run time
+const HISTORY_SIZE = 20;
+
+// Run status by treasures CLI exit code (EXIT_CODES in src/cli.js); any other exit is a failed run
+const EXIT_STATUSES = {
+  0: 'succeeded',
+  3: 'partial' // The sync finished but some items failed
+};
+
+const flag = (name, value) => (value === undefined || value === null ? [] : [name, String(value)]);
+
+// treasures CLI arguments behind each job command (see src/cli.js)
+const CLI = 'src/cli.js';
+const COMMANDS = {
+  'csv-batch': options => [
+    CLI, 'sync', 'csv',
+    ...flag('--file', options.file),
+    ...flag('--write-mode', options.writeMode),
+    ...flag('--mapping', options.mapping)
+  ],
+  'api-sync': options => [
+    CLI, 'sync', 'api',
+    ...flag('--start-page', options.startPage),
+    ...flag('--max-pages', options.maxPages),
+    ...(options.enableFiltering === false ? ['--no-filter'] : []),
+    ...(options.dryRun ? ['--dry-run'] : [])
+  ],
+  'inventory-only': options => {
+    if (options.supplier === 'qgold') {
+      return [CLI, 'sync', 'csv', '--inventory-only', ...flag('--file', options.file), ...flag('--mapping', options.mapping)];
+    }
+    if (options.supplier === 'overnight') {
+      return [CLI, 'sync', 'api', '--inventory-only', ...flag('--max-pages', options.maxPages)];
+    }
+    throw new Error(`Unknown inventory-only supplier "${options.supplier}" (expected qgold or overnight)`);
+  }
+};
+
+/**
+ * Long-running scheduler for the sync scripts (replaces an external crontab), run with treasures scheduler.
+ *
+ * Jobs come from config/schedule.json (SCHEDULE_CONFIG_PATH): a cron expression,
+ * a command (csv-batch, api-sync or inventory-only) with options, and a max run
+ * time. Each job runs as a child process holding data/scheduler/locks/<job>.lock,
+ * so a job that is still running (here or in another scheduler) is skipped rather
+ * than started twice; a job past its max run time is terminated. A run whose sync
+ * finished with item errors (exit code 3) is recorded as partial rather than failed,
+ * so alerts and retries can tell it from a run that did not finish. The schedule,
+ * running jobs and the last runs of every job are kept in data/scheduler/state.json,
+ * which the stats server exposes at /api/schedule.
+ */
+class Scheduler {
+  constructor(configPath = process.env.SCHEDULE_CONFIG_PATH || DEFAULT_CONFIG_PATH, options = {}) {
+    const { stateDir = DEFAULT_STATE_DIR, tickMs = TICK_MS } = options;
+
+    this.config = Scheduler.loadConfig(configPath);
+    this.jobs = this.config.jobs;
+    this.stateDir = stateDir;
+    this.tickMs = tickMs;
+    this.state = Scheduler.loadState(stateDir) || { daemon: null, jobs: {} };
+    this.running = new Map(); // Job name -> { child, done }
+    this.timer = null;
+    this.stopping = false;
+  }
+
+  /**
+   * Read and validate a schedule config (jobs get enabled/options defaults)
+   */
+  static loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+    if (config.version !== SUPPORTED_VERSION) {
+      throw new Error(`Unsupported schedule config version ${config.version} in ${configPath} (expected ${SUPPORTED_VERSION})`);
+    }
+
+    const names = new Set();
+    config.jobs = (config.jobs || []).map(job => {
+      if (!/^[a-z0-9][a-z0-9-]*$/i.test(job.name || '')) {
+        throw new Error(`Invalid job name "${job.name}" in ${configPath} (letters, digits and dashes)`);
+      }
+      if (names.has(job.name)) {
+        throw new Error(`Duplicate job "${job.name}" in ${configPath}`);
+      }
+      names.add(job.name);
+
+      if (!COMMANDS[job.command]) {
+        throw new Error(`Unknown command "${job.command}" for job ${job.name} (expected ${Object.keys(COMMANDS).join(', ')})`);
+      }
+      if (!(job.maxRunMinutes > 0)) {
+        throw new Error(`Job ${job.name} needs a positive maxRunMinutes`);
+      }
+
+      const normalized = {
+        ...job,
+        options: job.options || {},
+        enabled: job.enabled !== false,
+        timezone: job.timezone || config.timezone || null
+      };
+      try {
+        Scheduler.nextRun(normalized);
+        COMMANDS[job.command](normalized.options);
+      } catch (error) {
+        throw new Error(`Invalid job ${job.name} in ${configPath}: ${error.message}`);
+      }
+      return normalized;
+    });
+
+    return config;
+  }
+
+  static loadState(stateDir = DEFAULT_STATE_DIR) {
+    const statePath = path.join(stateDir, 'state.json');
+    if (!fs.existsSync(statePath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Ignoring unreadable scheduler state ${statePath}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Schedule as configured, with next runs and the recorded state of each job (for the stats server)
+   */
+  static describe(configPath = process.env.SCHEDULE_CONFIG_PATH || DEFAULT_CONFIG_PATH, stateDir = DEFAULT_STATE_DIR) {
+    const config = Scheduler.loadConfig(configPath);
+    const state = Scheduler.loadState(stateDir) || { daemon: null, jobs: {} };
+    const daemon = state.daemon ? { ...state.daemon, alive: !state.daemon.stoppedAt && isAlive(state.daemon.pid) } : null;
+
+    return {
+      daemon,
+      timezone: config.timezone || null,
+      jobs: config.jobs.map(job => {
+        const jobState = state.jobs[job.name] || {};
+        return {
+          name: job.name,
+          cron: job.cron,
+          command: job.command,
+          options: job.options,
+          enabled: job.enabled,
+          maxRunMinutes: job.maxRunMinutes,
+          nextRunAt: job.enabled ? Scheduler.nextRun(job).toISOString() : null,
+          running: daemon?.alive ? jobState.running || null : null,
+          lastRun: jobState.lastRun || null,
+          history: jobState.history || []
+        };
+      })
+    };
+  }
+
+  static nextRun(job, from = new Date()) {
+    return CronExpressionParser.parse(job.cron, { currentDate: from, ...(job.timezone && { tz: job.timezone }) }).next().toDate();
+  }
+
+  /**
+   * Start ticking: due jobs are started every tickMs
+   */
+  start() {
+    this.state.daemon = { pid: process.pid, startedAt: new Date().toISOString(), stoppedAt: null };
+    this.nextRuns = new Map();
+
+    const now = new Date();
+    this.jobs.forEach(job => {
+      if (job.enabled) {
+        this.nextRuns.set(job.name, Scheduler.nextRun(job, now));
+      }
+      this.updateJobState(job, { running: null });
+    });
+
+    logger.info('=== SCHEDULER STARTED ===');
+    this.jobs.forEach(job => {
+      const next = this.nextRuns.get(job.name);
+      logger.info(`  ${job.name}: ${job.cron} (${job.command}, max ${job.maxRunMinutes} min) - ${next ? `next run ${next.toISOString()}` : 'disabled'}`);
+    });
+    this.save();
+
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+  }
+
+  tick() {
+    const now = new Date();
+
+    this.jobs.forEach(job => {
+      const next = this.nextRuns.get(job.name);
+      if (!next || next > now) return;
+
+      this.nextRuns.set(job.name, Scheduler.nextRun(job, now));
+      this.runJob(job).catch(error => logger.error(`✗ Job ${job.name} could not be run:`, error.message));
+    });
+  }
+
+  /**
+   * Run a job now (skipped when it is already running)
+   * @returns {Promise<object>} Recorded run: { status, startedAt, finishedAt, durationMs, exitCode, signal, pid, outputPath }
+   */
+  async runJob(job) {
+    const startedAt = new Date();
+
+    if (this.running.has(job.name) || !this.acquireLock(job)) {
+      logger.warn(`Job ${job.name} is still running - skipping this run`);
+      return this.recordRun(job, { status: 'skipped_overlap', startedAt: startedAt.toISOString(), finishedAt: startedAt.toISOString(), durationMs: 0 });
+    }
+
+    const args = COMMANDS[job.command](job.options);
+    const outputPath = path.join(this.stateDir, 'logs', `${job.name}.log`);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    const output = fs.openSync(outputPath, 'w');
+
+    logger.info(`Starting job ${job.name}: node ${args.join(' ')}`);
+    const child = spawn(process.execPath, args, { cwd: ROOT_DIR, stdio: ['ignore', output, output] });
+    fs.closeSync(output);
+
+    this.writeLock(job, { pid: process.pid, childPid: child.pid, startedAt: startedAt.toISOString() });
+    this.updateJobState(job, { running: { pid: child.pid, startedAt: startedAt.toISOString() } });
+    this.save();
+
+    let timedOut = false;
+    let killTimer = null;
+    const maxRunTimer = setTimeout(() => {
+      timedOut = true;
+      logger.error(`✗ Job ${job.name} exceeded its max run time of ${job.maxRunMinutes} minutes - terminating`);
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+    }, job.maxRunMinutes * 60 * 1000);
+
+    const done = new Promise(resolve => {
+      child.on('error', error => resolve({ exitCode: null, signal: null, error: error.message }));
+      child.on('exit', (exitCode, signal) => resolve({ exitCode, signal }));
+    });
+    this.running.set(job.name, { child, done });
+
+    const exit = await done;
+    clearTimeout(maxRunTimer);
+    clearTimeout(killTimer);
+    this.running.delete(job.name);
+    this.releaseLock(job);
+
+    let status = EXIT_STATUSES[exit.exitCode] || 'failed';
+    if (timedOut) status = 'timed_out';
+    else if (this.stopping && status === 'failed') status = 'interrupted';
+
+    const finishedAt = new Date();
+    const run = this.recordRun(job, {
+      status,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+      exitCode: exit.exitCode,
+      signal: exit.signal,
+      error: exit.error || null,
+      pid: child.pid,
+      outputPath
+    });
+
+    const message = `Job ${job.name} ${status} in ${(run.durationMs / 1000).toFixed(1)}s (exit ${exit.exitCode ?? exit.signal})`;
+    if (status === 'succeeded') {
+      logger.info(`✓ ${message}`);
+    } else if (status === 'partial') {
+      logger.warn(`⚠ ${message} - some items failed, output in ${outputPath}`);
+    } else {
+      logger.error(`✗ ${message} - output in ${outputPath}`);
+    }
+    return run;
+  }
+
+  lockPath(job) {
+    return path.join(this.stateDir, 'locks', `${job.name}.lock`);
+  }
+
+  /**
+   * Take the job's lock file; a lock left by a process that no longer exists is taken over
+   */
+  acquireLock(job) {
+    const lockPath = this.lockPath(job);
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }), { flag: 'wx' });
+        return true;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        let lock = {};
+        try {
+          lock = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+        } catch (readError) {
+          // Unreadable lock (crash while writing it) - treat as stale
+        }
+        if (isAlive(lock.childPid) || (!lock.childPid && isAlive(lock.pid))) {
+          return false;
+        }
+
+        logger.warn(`Removing stale lock for job ${job.name} (started ${lock.startedAt || 'unknown'})`);
+        fs.rmSync(lockPath, { force: true });
+      }
+    }
+    return false;
+  }
+
+  writeLock(job, lock) {
+    fs.writeFileSync(this.lockPath(job), JSON.stringify(lock));
+  }
+
+  releaseLock(job) {
+    fs.rmSync(this.lockPath(job), { force: true });
+  }
+
+  recordRun(job, run) {
+    const history = [run, ...(this.state.jobs[job.name]?.history || [])].slice(0, HISTORY_SIZE);
+    this.updateJobState(job, { running: null, lastRun: run, history });
+    this.save();
+    return run;
+  }
+
+  updateJobState(job, changes) {
+    this.state.jobs[job.name] = {
+      ...(this.state.jobs[job.name] || {}),
+      cron: job.cron,
+      command: job.command,
+      enabled: job.enabled,
+      nextRunAt: this.nextRuns?.get(job.name)?.toISOString() || null,
+      ...changes
+    };
+  }
+
+  /**
+   * Stop ticking and terminate running jobs (they are recorded as interrupted)
+   */
+  async stop() {
+    this.stopping = true;
+    clearInterval(this.timer);
+
+    const running = Array.from(this.running.values());
+    if (running.length > 0) {
+      logger.info(`Stopping ${running.length} running job(s)...`);
+      running.forEach(({ child }) => child.kill('SIGTERM'));
+      await Promise.race([
+        Promise.all(running.map(({ done }) => done)),
+        new Promise(resolve => setTimeout(resolve, KILL_GRACE_MS))
+      ]);
+      // Let the exit handlers record the runs
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    if (this.state.daemon) {
+      this.state.daemon.stoppedAt = new Date().toISOString();
+    }
+    this.save();
+    logger.info('=== SCHEDULER STOPPED ===');
+  }
+
+  save() {
+    this.state.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.stateDir, { recursive: true });
+
+    // Write to a temp file first so readers (the stats server) never see a truncated state
+    const statePath = path.join(this.stateDir, 'state.json');
+    fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(this.state, null, 2));
+    fs.renameSync(`${statePath}.tmp`, statePath);
+  }
+}
+
+function isAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+Scheduler.COMMANDS = COMMANDS;
+Scheduler.DEFAULT_CONFIG_PATH = DEFAULT_CONFIG_PATH;
+Scheduler.DEFAULT_STATE_DIR = DEFAULT_STATE_DIR;
+
+module.exports = Scheduler;
@@ -1,5 +1,142 @@
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const logger = require('./logger');
+const ProductStore = require('./productStore');
+const ShopifyRequest = require('./shopifyRequest');
+const BulkOperations = require('./bulkOperations');
+const ProductMapper = require('./productMapper');
+const InventorySync = require('./inventorySync');
+const ImagePipeline = require('./imagePipeline');
+const ChangeDetector = require('./changeDetector');
+
+// Fields returned by productSet, shaped so normalizeGraphQLProduct() can map them to the REST format
+const PRODUCT_SET_MUTATION = `
+  mutation productSet($input: ProductSetInput!) {
+    productSet(input: $input, synchronous: true) {
+      product {
+        id
+        legacyResourceId
+        title
+        handle
+        status
+        variants(first: 100) {
+          nodes {
+            id
+            legacyResourceId
+            sku
+            price
+            compareAtPrice
+            inventoryQuantity
+            inventoryItem {
+              legacyResourceId
+            }
+          }
+        }
+        media(first: 50) {
+          nodes {
+            id
+          }
+        }
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// Stamped on every product a sync run creates or updates, so a run can be rolled back (see rollbackRun.js)
+const RUN_ID_METAFIELD = {
+  namespace: 'treasures_sync',
+  key: 'run_id',
+  type: 'single_line_text_field'
+};
+
+// REST weight_unit -> GraphQL WeightUnit
+const WEIGHT_UNITS = {
+  g: 'GRAMS',
+  kg: 'KILOGRAMS',
+  lb: 'POUNDS',
+  oz: 'OUNCES'
+};
+
+// Full catalog export for bulkOperationRunQuery; each connection becomes child lines with __parentId
+const CATALOG_BULK_QUERY = `
+  {
+    products {
+      edges {
+        node {
+          id
+          legacyResourceId
+          title
+          handle
+          descriptionHtml
+          vendor
+          productType
+          status
+          tags
+          createdAt
+          updatedAt
+          publishedAt
+          category {
+            id
+          }
+          variants {
+            edges {
+              node {
+                id
+                legacyResourceId
+                sku
+                barcode
+                price
+                compareAtPrice
+                inventoryQuantity
+                inventoryItem {
+                  legacyResourceId
+                  tracked
+                  unitCost {
+                    amount
+                  }
+                  measurement {
+                    weight {
+                      value
+                      unit
+                    }
+                  }
+                }
+              }
+            }
+          }
+          media {
+            edges {
+              node {
+                ... on MediaImage {
+                  id
+                  image {
+                    url
+                    altText
+                  }
+                }
+              }
+            }
+          }
+          metafields {
+            edges {
+              node {
+                id
+                namespace
+                key
+                type
+                value
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
 
 // Load environment variables
 require('dotenv').config();
@@ -8,92 +145,39 @@ class ShopifyClient {
   constructor() {
     this.baseURL = null;
     this.headers = null;
+    this.api = null;
     this.initialized = false;
 
-    // Shopify category mapping using proper GID format for GraphQL
-    this.categoryMap = new Map([
-      // Jewelry > Anklets
-      ['anklets', 'gid://shopify/TaxonomyCategory/aa-6-1'],
-      ['anklet', 'gid://shopify/TaxonomyCategory/aa-6-1'],
-
-      // Jewelry > Body Jewelry
-      ['body jewelry', 'gid://shopify/TaxonomyCategory/aa-6-2'],
-      ['body', 'gid://shopify/TaxonomyCategory/aa-6-2'],
-
-      // Jewelry > Bracelets
-      ['bracelets', 'gid://shopify/TaxonomyCategory/aa-6-3'],
-      ['bracelet', 'gid://shopify/TaxonomyCategory/aa-6-3'],
-
-      // Jewelry > Brooches & Lapel Pins
-      ['brooches', 'gid://shopify/TaxonomyCategory/aa-6-4'],
-      ['brooch', 'gid://shopify/TaxonomyCategory/aa-6-4'],
-      ['lapel pins', 'gid://shopify/TaxonomyCategory/aa-6-4'],
-      ['lapel pin', 'gid://shopify/TaxonomyCategory/aa-6-4'],
-
-      // Jewelry > Charms & Pendants
-      ['charms', 'gid://shopify/TaxonomyCategory/aa-6-5'],
-      ['charm', 'gid://shopify/TaxonomyCategory/aa-6-5'],
-      ['pendants', 'gid://shopify/TaxonomyCategory/aa-6-5'],
-      ['pendant', 'gid://shopify/TaxonomyCategory/aa-6-5'],
-
-      // Jewelry > Earrings
-      ['earrings', 'gid://shopify/TaxonomyCategory/aa-6-6'],
-      ['earring', 'gid://shopify/TaxonomyCategory/aa-6-6'],
-
-      // Jewelry > Jewelry Sets
-      ['jewelry sets', 'gid://shopify/TaxonomyCategory/aa-6-7'],
-      ['jewelry set', 'gid://shopify/TaxonomyCategory/aa-6-7'],
-      ['sets', 'gid://shopify/TaxonomyCategory/aa-6-7'],
-      ['set', 'gid://shopify/TaxonomyCategory/aa-6-7'],
-
-      // Jewelry > Necklaces
-      ['necklaces', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['necklace', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['chain necklaces', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['chain necklace', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-
-      // Jewelry > Rings
-      ['rings', 'gid://shopify/TaxonomyCategory/aa-6-9'],
-      ['ring', 'gid://shopify/TaxonomyCategory/aa-6-9'],
-
-      // Jewelry > Smart Watches
-      ['smart watches', 'gid://shopify/TaxonomyCategory/aa-6-12'],
-      ['smart watch', 'gid://shopify/TaxonomyCategory/aa-6-12'],
-
-      // Jewelry > Watch Accessories
-      ['watch accessories', 'gid://shopify/TaxonomyCategory/aa-6-10'],
-      ['watch accessory', 'gid://shopify/TaxonomyCategory/aa-6-10'],
-
-      // Jewelry > Watch Accessories > Watch Bands
-      ['watch bands', 'gid://shopify/TaxonomyCategory/aa-6-10-1'],
-      ['watch band', 'gid://shopify/TaxonomyCategory/aa-6-10-1'],
-
-      // Jewelry > Watch Accessories > Watch Stickers & Decals
-      ['watch stickers', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
-      ['watch decals', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
-      ['watch stickers & decals', 'gid://shopify/TaxonomyCategory/aa-6-10-2'],
-
-      // Jewelry > Watch Accessories > Watch Winders
-      ['watch winders', 'gid://shopify/TaxonomyCategory/aa-6-10-3'],
-      ['watch winder', 'gid://shopify/TaxonomyCategory/aa-6-10-3'],
-
-      // Jewelry > Watches
-      ['watches', 'gid://shopify/TaxonomyCategory/aa-6-11'],
-      ['watch', 'gid://shopify/TaxonomyCategory/aa-6-11'],
-
-      // Additional mappings for chain types that should be under necklaces
-      ['chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['rope chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['rope chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['curb chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['curb chain', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['cable chains', 'gid://shopify/TaxonomyCategory/aa-6-8'],
-      ['cable chain', 'gid://shopify/TaxonomyCategory/aa-6-8']
-    ]);
-    
-    // Default category for jewelry if no specific match is found
-    this.defaultJewelryCategory = 'gid://shopify/TaxonomyCategory/aa-6-8'; // Necklaces as default
+    // Local SKU -> Shopify ID mapping, kept in sync on every create/update/delete
+    this.productStore = new ProductStore();
+    this.source = ProductStore.SOURCES.QGOLD_CSV;
+
+    // Supplier column mapping (config/mappings/<name>.json) used by mapCSVToShopifyProduct()
+    this.productMapper = ProductMapper.load();
+
+    // How products are written: 'rest' (products.json + category update), 'graphql' (one
+    // productSet per product) or 'bulk' (productSet through bulkOperationRunMutation)
+    this.writeMode = 'rest';
+
+    // Run ID stamped on written products (RUN_ID_METAFIELD); set by SyncEngine for runs with a checkpoint
+    this.runId = null;
+
+    // Collects the planned writes of a dry run (see DryRunDiff); set by SyncEngine for dry runs
+    this.dryRunDiff = null;
+
+    // Quantities and unit costs go through inventory items/levels at the supplier's location
+    this.inventorySync = new InventorySync(this);
+
+    // Image URLs are checked (and cached) before writes so a dead URL drops the image, not the product
+    this.imagePipeline = new ImagePipeline();
+
+    // Field-level change detection: which parts of a product differ from the last sync
+    this.changeDetector = new ChangeDetector();
+
+    // How getAllProducts() reads the catalog: 'rest' (paginated products.json) or 'bulk'
+    // (one bulkOperationRunQuery); bulk exports are also written to the local catalog cache
+    this.catalogFetchMode = process.env.SHOPIFY_CATALOG_FETCH_MODE || 'rest';
+    this.catalogCachePath = path.join(__dirname, '..', 'data', 'catalog-cache.jsonl');
   }
 
   async initialize() {
@@ -118,6 +202,12 @@ class ShopifyClient {
         'Accept': 'application/json'
       };
 
+      // Rate-limit aware request layer shared by every REST and GraphQL call
+      this.api = new ShopifyRequest({
+        baseURL: this.baseURL,
+        headers: this.headers
+      });
+
       // Test the connection
       await this.testConnection();
 
@@ -132,7 +222,7 @@ class ShopifyClient {
 
   async testConnection() {
     try {
-      const response = await axios.get(`${this.baseURL}/shop.json`, { headers: this.headers });
+      const response = await this.api.get('/shop.json');
       logger.info(`Connected to shop: ${response.data.shop.name}`);
       
       // Test GraphQL endpoint as well
@@ -168,9 +258,7 @@ class ShopifyClient {
         }
       `;
 
-      const response = await axios.post(`${this.baseURL}/graphql.json`, {
-        query: query
-      }, { headers: this.headers });
+      const response = await this.api.graphql(query, {}, { estimatedCost: 1 });
 
       if (response.data.errors) {
         throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
@@ -185,7 +273,12 @@ class ShopifyClient {
     }
   }
 
-  async createProduct(productData) {
+  /**
+   * Create a product via REST and record it in the local product store
+   * @param {object} productData - Shopify product payload
+   * @param {object} options - { source, contentHash, fieldHashes, images, droppedImages } for the product store record
+   */
+  async createProduct(productData, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -198,9 +291,9 @@ class ShopifyClient {
         logger.debug('Creating product without category ID');
       }
 
-      const response = await axios.post(`${this.baseURL}/products.json`, {
+      const response = await this.api.post('/products.json', {
         product: productData
-      }, { headers: this.headers });
+      });
 
       const product = response.data.product;
       logger.info(`Created product: ${product.title} (ID: ${product.id})`);
@@ -215,6 +308,8 @@ class ShopifyClient {
           // Don't throw error as product was created successfully
         }
       }
+
+      this.recordProductInStore(product, options);
       
       return product;
     } catch (error) {
@@ -267,10 +362,7 @@ class ShopifyClient {
         }
       };
 
-      const response = await axios.post(`${this.baseURL}/graphql.json`, {
-        query: mutation,
-        variables: variables
-      }, { headers: this.headers });
+      const response = await this.api.graphql(mutation, variables);
 
       if (response.data.errors) {
         throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
@@ -296,606 +388,920 @@ class ShopifyClient {
   }
 
   /**
-   * Get all existing products from Shopify (for duplicate checking)
+   * Set product metafields using GraphQL API (existing values are overwritten)
+   * @param {number} productId - The product ID from Shopify
+   * @param {Array<{namespace, key, type, value}>} metafields - Metafields from the mapping
    */
-  async getAllProducts() {
+  async setProductMetafields(productId, metafields) {
     if (!this.initialized) {
       await this.initialize();
     }
 
     try {
-      const allProducts = [];
-      let nextPageUrl = `${this.baseURL}/products.json?limit=250`;
-
-      while (nextPageUrl) {
-        logger.debug(`Fetching products: ${nextPageUrl}`);
-        
-        const response = await axios.get(nextPageUrl, { headers: this.headers });
-        const products = response.data.products;
-        
-        allProducts.push(...products);
-        
-        // Check for next page
-        const linkHeader = response.headers.link;
-        nextPageUrl = this.extractNextPageUrl(linkHeader);
-        
-        // Small delay to respect rate limits
-        if (nextPageUrl) {
-          await this.delay(200);
+      const mutation = `
+        mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+          metafieldsSet(metafields: $metafields) {
+            metafields {
+              key
+              namespace
+            }
+            userErrors {
+              field
+              message
+            }
+          }
         }
+      `;
+
+      const variables = { metafields: this.metafieldsSetInput(productId, metafields) };
+
+      const response = await this.api.graphql(mutation, variables);
+
+      if (response.data.errors) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
       }
 
-      logger.info(`Fetched ${allProducts.length} existing products from Shopify`);
-      return allProducts;
+      const result = response.data.data.metafieldsSet;
 
-    } catch (error) {
-      logger.error('Error fetching products from Shopify:', error.message);
-      if (error.response?.status === 429) {
-        logger.warn('Rate limited - using empty product list for this run');
-        return [];
+      if (result.userErrors && result.userErrors.length > 0) {
+        const errors = result.userErrors.map(error => `${error.field}: ${error.message}`).join(', ');
+        throw new Error(`User errors: ${errors}`);
       }
-      throw error;
-    }
-  }
 
-  // Helper method to extract next page URL from Link header
-  extractNextPageUrl(linkHeader) {
-    if (!linkHeader) return null;
+      logger.debug(`Set ${metafields.length} metafield(s) for product ${productId}`);
+      return result.metafields;
 
-    const links = linkHeader.split(',');
-    for (const link of links) {
-      if (link.includes('rel="next"')) {
-        const match = link.match(/<([^>]+)>/);
-        return match ? match[1] : null;
+    } catch (error) {
+      logger.error('Error setting product metafields via GraphQL:', error.message);
+      if (error.response && error.response.data) {
+        logger.error('GraphQL API Error Details:', JSON.stringify(error.response.data, null, 2));
       }
+      throw error;
     }
-    return null;
-  }
-
-  // Helper method to add delay
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  // Process a single product from CSV (for testing/limited processing)
-  async processSingleProductFromCSV(csvItem, options = {}) {
+  /**
+   * Delete product metafields using GraphQL API (missing ones are ignored)
+   * @param {number} productId - The product ID from Shopify
+   * @param {Array<{namespace, key}>} metafields - Metafields to delete
+   */
+  async deleteProductMetafields(productId, metafields) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    const { dryRun = false } = options;
+    try {
+      const mutation = `
+        mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+          metafieldsDelete(metafields: $metafields) {
+            deletedMetafields {
+              key
+              namespace
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `;
 
-    logger.info(`=== PROCESSING SINGLE PRODUCT ===`);
-    logger.info(`Product: ${csvItem.Description || csvItem.Item}`);
-    logger.info(`SKU: ${csvItem.Item}`);
-    logger.info(`Dry run: ${dryRun}`);
+      const variables = {
+        metafields: metafields.map(metafield => ({
+          ownerId: `gid://shopify/Product/${productId}`,
+          namespace: metafield.namespace,
+          key: metafield.key
+        }))
+      };
 
-    try {
-      if (dryRun) {
-        logger.info('DRY RUN: Would create product with data:');
-        const productData = this.mapCSVToShopifyProduct(csvItem);
-        logger.info(JSON.stringify(productData, null, 2));
-        return { success: true, dryRun: true, productData };
-      } else {
-        const result = await this.processCreateItem(csvItem, false);
-        logger.info('Successfully processed single product');
-        return { success: true, result };
+      const response = await this.api.graphql(mutation, variables);
+
+      if (response.data.errors) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+      }
+
+      const result = response.data.data.metafieldsDelete;
+
+      if (result.userErrors && result.userErrors.length > 0) {
+        const errors = result.userErrors.map(error => `${error.field}: ${error.message}`).join(', ');
+        throw new Error(`User errors: ${errors}`);
       }
+
+      logger.debug(`Deleted ${metafields.length} metafield(s) of product ${productId}`);
+      return result.deletedMetafields;
+
     } catch (error) {
-      logger.error('Error processing single product:', error.message);
-      return { success: false, error: error.message };
+      logger.error('Error deleting product metafields via GraphQL:', error.message);
+      if (error.response && error.response.data) {
+        logger.error('GraphQL API Error Details:', JSON.stringify(error.response.data, null, 2));
+      }
+      throw error;
     }
   }
 
   /**
-   * Process a batch of products directly (simplified for batch processing)
+   * Convert a REST-style product payload (see mapCSVToShopifyProduct) into a ProductSetInput
+   * @param {object} productData - REST-style product payload
+   * @param {object|null} existingProduct - Existing product to overwrite, or null to create
+   * @param {Map} imageIds - Media IDs of images already on the product, by normalized URL (see imageIdsFor)
+   */
+  buildProductSetInput(productData, existingProduct = null, imageIds = new Map()) {
+    // Grouped products carry one option (Size/Length) with a variant per value
+    const optionName = productData.options?.[0]?.name || 'Title';
+    const restVariants = productData.variants?.length ? productData.variants : [{}];
+    const grouped = restVariants.length > 1;
+
+    const variants = restVariants.map(restVariant => {
+      // Single-variant products keep their first variant; grouped variants are matched by SKU
+      const existingVariant = grouped
+        ? this.findVariantBySku(existingProduct, restVariant.sku)
+        : existingProduct?.variants?.[0];
+
+      const variant = {
+        optionValues: [{ optionName, name: restVariant.option1 || 'Default Title' }],
+        price: restVariant.price,
+        compareAtPrice: restVariant.compare_at_price || null,
+        barcode: restVariant.barcode || null,
+        inventoryItem: {
+          sku: restVariant.sku || null,
+          tracked: restVariant.inventory_management === 'shopify',
+          measurement: {
+            weight: { value: restVariant.weight || 0, unit: WEIGHT_UNITS[restVariant.weight_unit] || 'GRAMS' }
+          }
+        }
+      };
+
+      // Snapshot payloads (see ProductSnapshot) also carry unit cost and per-location quantities
+      if (restVariant.unit_cost !== null && restVariant.unit_cost !== undefined) {
+        variant.inventoryItem.cost = String(restVariant.unit_cost);
+      }
+      if (!existingProduct && restVariant.inventory_levels?.length) {
+        variant.inventoryQuantities = restVariant.inventory_levels.map(level => ({
+          locationId: `gid://shopify/Location/${level.location_id}`,
+          name: 'available',
+          quantity: level.available
+        }));
+      }
+
+      if (existingVariant?.id) {
+        variant.id = `gid://shopify/ProductVariant/${existingVariant.id}`;
+      }
+
+      return variant;
+    });
+
+    const input = {
+      title: productData.title,
+      handle: productData.handle,
+      descriptionHtml: productData.body_html,
+      vendor: productData.vendor,
+      productType: productData.product_type,
+      status: (productData.status || 'draft').toUpperCase(),
+      tags: (productData.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag),
+      productOptions: [{ name: optionName, values: variants.map(variant => ({ name: variant.optionValues[0].name })) }],
+      variants,
+      // Media already on the product is referenced by ID so it is kept (and reordered) rather than re-uploaded
+      files: (productData.images || []).map(image => {
+        const mediaId = imageIds.get(this.imagePipeline.normalizeUrl(image.src));
+        return typeof mediaId === 'string' && mediaId.startsWith('gid://shopify/MediaImage/')
+          ? { id: mediaId, alt: image.alt }
+          : { originalSource: image.src, alt: image.alt, contentType: 'IMAGE' };
+      }),
+      metafields: (productData.metafields || []).map(metafield => ({
+        namespace: metafield.namespace,
+        key: metafield.key,
+        type: metafield.type,
+        value: String(metafield.value)
+      }))
+    };
+
+    if (productData.category) {
+      input.category = productData.category;
+    }
+
+    if (productData.seo_title || productData.seo_description) {
+      input.seo = {
+        title: productData.seo_title,
+        description: productData.seo_description
+      };
+    }
+
+    if (existingProduct?.id) {
+      input.id = `gid://shopify/Product/${existingProduct.id}`;
+    }
+
+    return input;
+  }
+
+  /**
+   * Create or overwrite a product with a single GraphQL productSet mutation
+   * (title, variants, images, metafields and category in one call)
+   * @param {object} productData - REST-style product payload
+   * @param {object|null} existingProduct - Existing product to overwrite, or null to create
+   * @param {object} options - { source, contentHash, fieldHashes, images, droppedImages } for the product store record,
+   *   plus imageIds of media already on the product
    */
-  async processBatchDirect(csvItems, options = {}) {
+  async productSet(productData, existingProduct = null, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    const { dryRun = false } = options;
+    const { imageIds, ...storeOptions } = options;
 
-    const results = {
-      total: csvItems.length,
-      created: 0,
-      errors: 0,
-      errorDetails: []
-    };
+    try {
+      const input = this.buildProductSetInput(productData, existingProduct, imageIds);
+      const response = await this.api.graphql(PRODUCT_SET_MUTATION, { input }, { estimatedCost: 50 });
 
-    logger.debug(`Processing batch of ${csvItems.length} products directly`);
+      if (response.data.errors) {
+        throw new Error(`GraphQL errors: ${JSON.stringify(response.data.errors)}`);
+      }
 
-    const promises = csvItems.map(async (csvItem) => {
-      try {
-        if (dryRun) {
-          logger.debug(`[DRY RUN] Would create product: ${csvItem.Description || csvItem.Item}`);
-          return { success: true, type: 'dry-run', item: csvItem.Item };
-        } else {
-          const productData = this.mapCSVToShopifyProduct(csvItem);
-          const createdProduct = await this.createProduct(productData);
-          logger.debug(`✓ Created: ${createdProduct.title} (ID: ${createdProduct.id})`);
-          return { success: true, type: 'created', product: createdProduct, item: csvItem.Item };
-        }
-      } catch (error) {
-        logger.error(`✗ Failed to create product ${csvItem.Item || csvItem.Description}:`, error.message);
-        return {
-          success: false,
-          error: error.message,
-          item: csvItem.Item || 'Unknown'
-        };
+      const result = response.data.data.productSet;
+      if (result.userErrors && result.userErrors.length > 0) {
+        const errors = result.userErrors.map(error => `${(error.field || []).join('.')}: ${error.message}`).join(', ');
+        throw new Error(`User errors: ${errors}`);
       }
-    });
 
-    // Execute all promises in parallel
-    const batchResults = await Promise.allSettled(promises);
+      const product = this.normalizeGraphQLProduct(result.product);
+      logger.info(`${existingProduct ? 'Updated' : 'Created'} product via productSet: ${product.title} (ID: ${product.id})`);
 
-    // Process results
-    batchResults.forEach((result, index) => {
-      if (result.status === 'fulfilled') {
-        const value = result.value;
-        if (value.success) {
-          results.created++;
-        } else {
-          results.errors++;
-          results.errorDetails.push({
-            item: value.item,
-            error: value.error
-          });
-        }
-      } else {
-        results.errors++;
-        results.errorDetails.push({
-          item: csvItems[index]?.Item || 'Unknown',
-          error: result.reason?.message || 'Promise rejected'
-        });
-      }
-    });
+      this.recordProductInStore(product, storeOptions);
+      return product;
 
-    logger.debug(`Batch completed: ${results.created} created, ${results.errors} errors`);
-    return results;
+    } catch (error) {
+      logger.error('Error writing product via productSet:', error.message);
+      if (error.response && error.response.data) {
+        logger.error('GraphQL API Error Details:', JSON.stringify(error.response.data, null, 2));
+      }
+      throw error;
+    }
   }
 
-  // Process CSV products: Create new ones and update existing ones with changes
-  async processProductsFromCSV(csvData, shopifyProducts, options = {}) {
+  /**
+   * Write many products with one bulkOperationRunMutation of productSet
+   * @param {Array<{product: object, existingProduct?: object}>} items - Planned creates and updates
+   * @param {object} options - { dryRun }
+   */
+  async processBulkProductSet(items, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    const {
-      batchSize = 10,
-      delayBetweenBatches = 1000,
-      dryRun = false,
-      parallelBatch = true,
-      enableUpdates = true // New option to enable/disable updates
-    } = options;
-
-    logger.info(`=== STARTING SHOPIFY PRODUCT PROCESSING ===`);
-    logger.info(`Total CSV items: ${csvData.length}`);
-    logger.info(`Batch size: ${batchSize}`);
-    logger.info(`Parallel batch processing: ${parallelBatch}`);
-    logger.info(`Enable updates: ${enableUpdates}`);
-    logger.info(`Delay between batches: ${delayBetweenBatches}ms`);
-    logger.info(`Dry run: ${dryRun}`);
-    logger.info('='.repeat(50));
+    const { dryRun = false } = options;
 
     const results = {
-      total: csvData.length,
+      total: items.length,
       created: 0,
       updated: 0,
-      skipped: 0,
       errors: 0,
-      createdProducts: [],
-      updatedProducts: [],
-      errorDetails: []
+      errorDetails: [],
+      outcomes: []
     };
 
-    // Use provided Shopify products or fetch them
-    let existingProducts = shopifyProducts || [];
-    if (!shopifyProducts) {
-      logger.info('Fetching existing products from Shopify...');
-      existingProducts = await this.getAllProducts();
+    if (items.length === 0) {
+      return results;
     }
-    logger.info(`Found ${existingProducts.length} existing products in Shopify`);
 
-    // Create lookup maps for faster product matching
-    const existingProductsBySku = new Map();
-    const existingProductsByTitle = new Map();
-
-    existingProducts.forEach(product => {
-      // Index by title
-      existingProductsByTitle.set(product.title.toLowerCase(), product);
-
-      // Index by SKU from variants
-      if (product.variants) {
-        product.variants.forEach(variant => {
-          if (variant.sku) {
-            existingProductsBySku.set(variant.sku.toLowerCase(), product);
-          }
+    if (dryRun) {
+      logger.info(`[DRY RUN] Would run bulk productSet for ${items.length} products`);
+      items.forEach(item => {
+        if (item.existingProduct) {
+          results.updated++;
+          this.dryRunDiff?.addUpdate(item.product, item.existingProduct, item.changes, this.plannedRequests(item.product, item.existingProduct, item.changes));
+        } else {
+          results.created++;
+          this.dryRunDiff?.addCreate(item.product, this.plannedRequests(item.product));
+        }
+        results.outcomes.push({
+          item: item.product.sku || 'Unknown',
+          type: item.existingProduct ? 'dry-run-update' : 'dry-run-create',
+          productId: item.existingProduct?.id,
+          changes: item.changes
         });
-      }
-    });
-
-    logger.info(`Built lookup index: ${existingProductsBySku.size} SKUs, ${existingProductsByTitle.size} titles`);
-
-    // Categorize CSV items into create/update batches
-    const { productsToCreate, productsToUpdate } = this.categorizeProducts(
-      csvData,
-      existingProductsBySku,
-      existingProductsByTitle,
-      enableUpdates
-    );
-
-    logger.info(`Products to create: ${productsToCreate.length}`);
-    logger.info(`Products to update: ${productsToUpdate.length}`);
-    logger.info(`Total to process: ${productsToCreate.length + productsToUpdate.length}`);
-
-    const allProductsToProcess = [
-      ...productsToCreate.map(item => ({ ...item, action: 'create' })),
-      ...productsToUpdate.map(item => ({ ...item, action: 'update' }))
-    ];
-
-    // Process in batches
-    for (let i = 0; i < allProductsToProcess.length; i += batchSize) {
-      const batch = allProductsToProcess.slice(i, i + batchSize);
-      const batchNumber = Math.floor(i / batchSize) + 1;
-      const totalBatches = Math.ceil(allProductsToProcess.length / batchSize);
+      });
+      return results;
+    }
 
-      logger.info(`Processing batch ${batchNumber}/${totalBatches} (${batch.length} items)`);
+    // Drop broken and duplicate image URLs first - one bad URL would fail its whole line
+    const prepared = [];
+    for (const item of items) {
+      prepared.push(await this.prepareImages(item.product));
+    }
 
-      if (parallelBatch && !dryRun) {
-        // Process batch items in parallel using Promise.all
-        await this.processBatchParallelWithUpdates(batch, results, dryRun);
-      } else {
-        // Process batch items sequentially
-        await this.processBatchSequentialWithUpdates(batch, results, dryRun);
+    const variablesList = items.map((item, index) => ({
+      input: this.buildProductSetInput(
+        this.withRunStamp(prepared[index].shopifyProduct),
+        item.existingProduct || null,
+        item.existingProduct ? this.imageIdsFor(item.product, item.existingProduct) : new Map()
+      )
+    }));
+
+    const bulkOperations = new BulkOperations(this);
+    const { operation, results: lines } = await bulkOperations.runMutation(PRODUCT_SET_MUTATION, variablesList);
+    logger.info(`✓ Bulk productSet completed: ${operation.objectCount} objects`);
+
+    lines.forEach((line, index) => {
+      const item = items[index];
+      const sku = item.product.sku || 'Unknown';
+      const payload = line?.data?.productSet;
+
+      if (!payload) {
+        const error = line?.errors ? JSON.stringify(line.errors) : 'No result returned for line';
+        results.errors++;
+        results.errorDetails.push({ item: sku, error });
+        results.outcomes.push({ item: sku, type: 'error', error });
+        return;
       }
 
-      // Delay between batches (except for the last batch)
-      if (i + batchSize < allProductsToProcess.length) {
-        logger.info(`Waiting ${delayBetweenBatches}ms before next batch...`);
-        await this.delay(delayBetweenBatches);
+      if (payload.userErrors && payload.userErrors.length > 0) {
+        const error = payload.userErrors.map(userError => `${(userError.field || []).join('.')}: ${userError.message}`).join(', ');
+        results.errors++;
+        results.errorDetails.push({ item: sku, error });
+        results.outcomes.push({ item: sku, type: 'error', error });
+        return;
       }
-    }
 
-    // Log final results
-    logger.info('='.repeat(50));
-    logger.info(`=== PRODUCT PROCESSING COMPLETE ===`);
-    logger.info(`Total processed: ${results.total}`);
-    logger.info(`Successfully created: ${results.created}`);
-    logger.info(`Successfully updated: ${results.updated}`);
-    logger.info(`Skipped (no changes): ${results.skipped}`);
-    logger.info(`Errors: ${results.errors}`);
+      const product = this.normalizeGraphQLProduct(payload.product);
+      this.recordProductInStore(product, this.storeOptionsFor(prepared[index]));
 
-    if (results.errors > 0) {
-      logger.info('\nError details:');
-      results.errorDetails.slice(0, 10).forEach((detail, index) => {
-        logger.error(`${index + 1}. ${detail.csvItem}: ${detail.error}`);
-      });
-      if (results.errorDetails.length > 10) {
-        logger.info(`... and ${results.errorDetails.length - 10} more errors`);
+      if (item.existingProduct) {
+        results.updated++;
+      } else {
+        results.created++;
       }
-    }
+      results.outcomes.push({ item: sku, type: item.existingProduct ? 'updated' : 'created', productId: product.id, changes: item.changes });
+    });
 
-    logger.info('='.repeat(50));
+    logger.info(`Bulk write: ${results.created} created, ${results.updated} updated, ${results.errors} errors`);
     return results;
   }
 
-  // Categorize CSV products into create/update batches
-  categorizeProducts(csvData, existingProductsBySku, existingProductsByTitle, enableUpdates) {
-    const productsToCreate = [];
-    const productsToUpdate = [];
+  // Map a GraphQL product node to the REST product shape used throughout the client
+  normalizeGraphQLProduct(node) {
+    return {
+      id: Number(node.legacyResourceId),
+      admin_graphql_api_id: node.id,
+      title: node.title,
+      handle: node.handle,
+      status: node.status ? node.status.toLowerCase() : undefined,
+      variants: (node.variants?.nodes || []).map(variant => ({
+        id: Number(variant.legacyResourceId),
+        admin_graphql_api_id: variant.id,
+        sku: variant.sku,
+        price: variant.price,
+        compare_at_price: variant.compareAtPrice,
+        inventory_quantity: variant.inventoryQuantity,
+        inventory_item_id: variant.inventoryItem?.legacyResourceId ? Number(variant.inventoryItem.legacyResourceId) : null
+      })),
+      images: (node.media?.nodes || []).map(media => ({ id: media.id, admin_graphql_api_id: media.id }))
+    };
+  }
 
-    csvData.forEach(csvItem => {
-      const sku = csvItem.Item?.toLowerCase();
-      const title = (csvItem.Description || csvItem.Item || '').toLowerCase();
+  /**
+   * Get all existing products from Shopify (for duplicate checking)
+   */
+  async getAllProducts() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
 
-      // Try to find existing product by SKU first, then by title
-      let existingProduct = null;
-      if (sku && existingProductsBySku.has(sku)) {
-        existingProduct = existingProductsBySku.get(sku);
-      } else if (title && existingProductsByTitle.has(title)) {
-        existingProduct = existingProductsByTitle.get(title);
-      }
+    if (this.catalogFetchMode === 'bulk') {
+      return this.getAllProductsBulk();
+    }
 
-      if (existingProduct) {
-        if (enableUpdates) {
-          // Check if product needs updates
-          const needsUpdate = this.doesProductNeedUpdate(csvItem, existingProduct);
-          if (needsUpdate.hasChanges) {
-            productsToUpdate.push({
-              csvItem,
-              existingProduct,
-              changes: needsUpdate.changes
-            });
-            logger.debug(`Product needs update: ${csvItem.Item} - Changes: ${needsUpdate.changes.join(', ')}`);
-          } else {
-            logger.debug(`Product up to date: ${csvItem.Item}`);
-          }
-        } else {
-          logger.debug(`Product exists, updates disabled: ${csvItem.Item}`);
-        }
-      } else {
-        // Product doesn't exist, add to create batch
-        productsToCreate.push({ csvItem });
-        logger.debug(`New product to create: ${csvItem.Item}`);
+    try {
+      const allProducts = [];
+      let nextPageUrl = `${this.baseURL}/products.json?limit=250`;
+
+      while (nextPageUrl) {
+        logger.debug(`Fetching products: ${nextPageUrl}`);
+        
+        // 429s and 5xx are retried by the request layer; anything left is a real failure
+        const response = await this.api.get(nextPageUrl);
+        const products = response.data.products;
+        
+        allProducts.push(...products);
+        
+        // Check for next page
+        const linkHeader = response.headers.link;
+        nextPageUrl = this.extractNextPageUrl(linkHeader);
       }
-    });
 
-    return { productsToCreate, productsToUpdate };
+      logger.info(`Fetched ${allProducts.length} existing products from Shopify`);
+      return allProducts;
+
+    } catch (error) {
+      // Never fall back to an empty list here - callers would treat every product as new
+      logger.error('Error fetching products from Shopify:', error.message);
+      throw error;
+    }
   }
 
   /**
-   * Check if a product needs updates by comparing CSV data with existing product
+   * Export the whole catalog with a single bulkOperationRunQuery, stream the JSONL
+   * result into REST-shaped products and write them to the local catalog cache
    */
-  doesProductNeedUpdate(csvItem, existingProduct) {
-    const changes = [];
-    let hasChanges = false;
+  async getAllProductsBulk() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
 
     try {
-      // Check title
-      const csvTitle = csvItem.Description || csvItem.Item || 'Untitled Product';
-      if (existingProduct.title !== csvTitle) {
-        changes.push('title');
-        hasChanges = true;
-      }
+      const bulkOperations = new BulkOperations(this);
+      const operation = await bulkOperations.runQuery(CATALOG_BULK_QUERY);
 
-      // Check price (from first variant)
-      const csvPrice = this.parsePrice(csvItem.MSRP || csvItem.ContractPrice);
-      const existingPrice = existingProduct.variants?.[0]?.price;
-      if (existingPrice && parseFloat(existingPrice) !== parseFloat(csvPrice)) {
-        changes.push('price');
-        hasChanges = true;
-      }
+      const productsByGid = new Map();
+      let lineCount = 0;
 
-      // Check inventory
-      const csvInventory = parseInt(csvItem.Qty_Avail) || 0;
-      const existingInventory = existingProduct.variants?.[0]?.inventory_quantity;
-      if (existingInventory !== undefined && existingInventory !== csvInventory) {
-        changes.push('inventory');
-        hasChanges = true;
-      }
+      if (operation.url) {
+        for await (const line of bulkOperations.streamResults(operation.url)) {
+          lineCount++;
+          this.addBulkCatalogLine(productsByGid, line);
 
-      // Check status
-      const csvStatus = csvItem.Status === 'Active' ? 'active' : 'draft';
-      if (existingProduct.status !== csvStatus) {
-        changes.push('status');
-        hasChanges = true;
+          if (lineCount % 10000 === 0) {
+            logger.info(`Read ${lineCount} catalog lines (${productsByGid.size} products)...`);
+          }
+        }
       }
 
+      const allProducts = Array.from(productsByGid.values());
+      logger.info(`Fetched ${allProducts.length} existing products from Shopify via bulk export (${lineCount} lines)`);
+
+      await this.writeCatalogCache(allProducts);
+      return allProducts;
+
     } catch (error) {
-      logger.warn(`Error checking updates for ${csvItem.Item}:`, error.message);
-      // If we can't determine changes, assume no update needed
-      return { hasChanges: false, changes: [] };
+      logger.error('Error exporting products from Shopify:', error.message);
+      throw error;
+    }
+  }
+
+  // Fold one bulk export line (a product or a child with __parentId) into the REST-shaped product map
+  addBulkCatalogLine(productsByGid, line) {
+    if (!line.__parentId) {
+      productsByGid.set(line.id, {
+        id: Number(line.legacyResourceId),
+        admin_graphql_api_id: line.id,
+        title: line.title,
+        handle: line.handle,
+        body_html: line.descriptionHtml,
+        vendor: line.vendor,
+        product_type: line.productType,
+        status: line.status ? line.status.toLowerCase() : undefined,
+        tags: (line.tags || []).join(', '),
+        category: line.category?.id || null,
+        created_at: line.createdAt,
+        updated_at: line.updatedAt,
+        published_at: line.publishedAt,
+        variants: [],
+        images: [],
+        metafields: []
+      });
+      return;
     }
 
-    return { hasChanges, changes };
+    const product = productsByGid.get(line.__parentId);
+    if (!product || !line.id) return;
+
+    if (line.id.startsWith('gid://shopify/ProductVariant/')) {
+      const inventoryItem = line.inventoryItem || {};
+      const weight = inventoryItem.measurement?.weight;
+      product.variants.push({
+        id: Number(line.legacyResourceId),
+        admin_graphql_api_id: line.id,
+        product_id: product.id,
+        sku: line.sku,
+        barcode: line.barcode,
+        price: line.price,
+        compare_at_price: line.compareAtPrice,
+        inventory_quantity: line.inventoryQuantity,
+        inventory_management: inventoryItem.tracked ? 'shopify' : null,
+        inventory_item_id: inventoryItem.legacyResourceId ? Number(inventoryItem.legacyResourceId) : null,
+        unit_cost: inventoryItem.unitCost?.amount || null,
+        weight: weight?.value,
+        weight_unit: weight?.unit === 'GRAMS' ? 'g' : weight?.unit?.toLowerCase()
+      });
+    } else if (line.id.startsWith('gid://shopify/MediaImage/')) {
+      if (line.image?.url) {
+        product.images.push({
+          admin_graphql_api_id: line.id,
+          src: line.image.url,
+          alt: line.image.altText
+        });
+      }
+    } else if (line.id.startsWith('gid://shopify/Metafield/')) {
+      product.metafields.push({
+        namespace: line.namespace,
+        key: line.key,
+        type: line.type,
+        value: line.value
+      });
+    }
   }
 
-  // Process batch items in parallel with create/update support
-  async processBatchParallelWithUpdates(batch, results, dryRun) {
-    const promises = batch.map(async (item) => {
-      try {
-        if (item.action === 'create') {
-          return await this.processCreateItem(item.csvItem, dryRun);
-        } else if (item.action === 'update') {
-          return await this.processUpdateItem(item.csvItem, item.existingProduct, item.changes, dryRun);
+  // Write exported products to the catalog cache (one product per line) and seed the product store
+  async writeCatalogCache(products) {
+    try {
+      fs.mkdirSync(path.dirname(this.catalogCachePath), { recursive: true });
+      const tempPath = `${this.catalogCachePath}.tmp`;
+      const stream = fs.createWriteStream(tempPath);
+
+      for (const product of products) {
+        if (!stream.write(JSON.stringify(product) + '\n')) {
+          await new Promise(resolve => stream.once('drain', resolve));
         }
-      } catch (error) {
-        logger.error(`✗ Failed to process ${item.csvItem.Item || item.csvItem.Description}:`, error.message);
-        return {
-          success: false,
-          error: error.message,
-          csvItem: item.csvItem.Item || 'Unknown',
-          title: item.csvItem.Description,
-          action: item.action
-        };
       }
-    });
 
-    // Execute all promises in parallel
-    const batchResults = await Promise.allSettled(promises);
+      await new Promise((resolve, reject) => {
+        stream.on('error', reject);
+        stream.end(resolve);
+      });
+      fs.renameSync(tempPath, this.catalogCachePath);
+      logger.info(`✓ Catalog cache written: ${products.length} products -> ${this.catalogCachePath}`);
 
-    // Process results
-    let batchCreated = 0;
-    let batchUpdated = 0;
-    let batchErrors = 0;
+      this.seedProductStore(products);
+    } catch (error) {
+      logger.warn('Failed to write catalog cache:', error.message);
+    }
+  }
 
-    batchResults.forEach((result, index) => {
-      if (result.status === 'fulfilled') {
-        const value = result.value;
-        if (value.success) {
-          if (value.type === 'created') {
-            results.created++;
-            batchCreated++;
-            results.createdProducts.push(value.product);
-          } else if (value.type === 'updated') {
-            results.updated++;
-            batchUpdated++;
-            results.updatedProducts.push(value.product);
-          }
-        } else {
-          results.errors++;
-          batchErrors++;
-          results.errorDetails.push({
-            csvItem: value.csvItem,
-            error: value.error
+  /**
+   * Read products from the catalog cache written by getAllProductsBulk()
+   * @param {number} maxAgeMs - Ignore the cache if it is older than this
+   * @returns {Array|null} products, or null when there is no fresh cache
+   */
+  loadCatalogCache(maxAgeMs = Infinity) {
+    if (!fs.existsSync(this.catalogCachePath)) {
+      return null;
+    }
+
+    const ageMs = Date.now() - fs.statSync(this.catalogCachePath).mtimeMs;
+    if (ageMs > maxAgeMs) {
+      logger.debug(`Catalog cache is stale (${Math.round(ageMs / 1000)}s old)`);
+      return null;
+    }
+
+    return fs.readFileSync(this.catalogCachePath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Build the product lookup index for a set of normalized products, consulting the
+   * local product store first. The live catalog is only fetched when the store does
+   * not know every SKU; the fetched products are then used to seed the store.
+   * @param {Array<object>} products - Normalized products (see SupplierAdapter)
+   * @param {object} currentIndex - Index from an earlier page; reused when it holds the full live catalog
+   */
+  async getProductIndex(products, currentIndex = null) {
+    if (currentIndex?.complete) {
+      return currentIndex;
+    }
+
+    const unknownProducts = products.filter(product => !this.skusOf(product).some(sku => this.productStore.has(sku)));
+
+    if (unknownProducts.length === 0) {
+      logger.info(`All ${products.length} SKUs found in local product store - skipping live catalog fetch`);
+      return currentIndex || this.buildProductIndex([]);
+    }
+
+    logger.info(`${unknownProducts.length} of ${products.length} SKUs not in local product store - fetching live catalog`);
+    const existingProducts = await this.getAllProducts();
+    this.seedProductStore(existingProducts);
+
+    const productIndex = this.buildProductIndex(existingProducts);
+    productIndex.complete = true;
+    return productIndex;
+  }
+
+  // Record live products the store does not know about yet (no content hash until the next sync)
+  seedProductStore(existingProducts) {
+    let seeded = 0;
+
+    existingProducts.forEach(product => {
+      (product.variants || []).forEach(variant => {
+        if (variant.sku && !this.productStore.has(variant.sku)) {
+          this.productStore.upsert({
+            sku: variant.sku,
+            source: this.sourceFromVendor(product.vendor),
+            productId: product.id,
+            variantId: variant.id,
+            price: variant.price,
+            compareAtPrice: variant.compare_at_price || null,
+            inventoryItemId: variant.inventory_item_id || null,
+            contentHash: null
           });
+          seeded++;
         }
-      } else {
-        results.errors++;
-        batchErrors++;
-        results.errorDetails.push({
-          csvItem: batch[index]?.csvItem?.Item || 'Unknown',
-          error: result.reason?.message || 'Promise rejected'
-        });
-      }
+      });
     });
 
-    logger.info(`  Batch completed: ${batchCreated} created, ${batchUpdated} updated, ${batchErrors} errors`);
+    if (seeded > 0) {
+      logger.info(`Seeded product store with ${seeded} SKUs from the live catalog`);
+    }
   }
 
-  // Process batch items sequentially with create/update support
-  async processBatchSequentialWithUpdates(batch, results, dryRun) {
-    for (const item of batch) {
-      try {
-        let result;
-        if (item.action === 'create') {
-          result = await this.processCreateItem(item.csvItem, dryRun);
-        } else if (item.action === 'update') {
-          result = await this.processUpdateItem(item.csvItem, item.existingProduct, item.changes, dryRun);
-        }
+  sourceFromVendor(vendor) {
+    if (vendor === 'QGold') return ProductStore.SOURCES.QGOLD_CSV;
+    if (vendor === 'Overnight Mountings') return ProductStore.SOURCES.OVERNIGHT_API;
+    return null;
+  }
 
-        if (result.success) {
-          if (result.type === 'created') {
-            results.created++;
-            results.createdProducts.push(result.product);
-          } else if (result.type === 'updated') {
-            results.updated++;
-            results.updatedProducts.push(result.product);
-          }
-        }
+  // Record every variant SKU of a created/updated product in the local product store
+  recordProductInStore(product, options = {}) {
+    const { source = this.source, contentHash, fieldHashes, images, droppedImages } = options;
 
-        // Small delay between individual products
-        await this.delay(100);
+    // Supplier URL -> Shopify image of every image sent, in order (images come back in the order they were sent)
+    const imageRecords = images
+      ? images.map((src, index) => ({ src, id: product.images?.[index]?.id || null }))
+      : undefined;
 
-      } catch (error) {
-        results.errors++;
-        const errorDetail = {
-          csvItem: item.csvItem.Item || 'Unknown',
-          error: error.message
-        };
-        results.errorDetails.push(errorDetail);
-        logger.error(`✗ Failed to process ${item.csvItem.Item || item.csvItem.Description}:`, error.message);
+    try {
+      // Forget SKUs whose variants the write removed (a size dropped out of a grouped product)
+      if (product.variants?.length) {
+        const current = new Set(product.variants.map(variant => this.productStore.normalizeSku(variant.sku)));
+        this.productStore.byProductId(product.id)
+          .filter(record => !current.has(this.productStore.normalizeSku(record.sku)))
+          .forEach(record => this.productStore.remove(record.sku));
       }
+
+      (product.variants || []).forEach(variant => {
+        if (!variant.sku) return;
+        this.productStore.upsert({
+          sku: variant.sku,
+          source,
+          productId: product.id,
+          variantId: variant.id,
+          // Last written prices, so pricing rule changes are detected for store-resolved products
+          ...(variant.price !== undefined && { price: variant.price, compareAtPrice: variant.compare_at_price || null }),
+          ...(variant.inventory_item_id && { inventoryItemId: variant.inventory_item_id }),
+          ...(contentHash !== undefined && { contentHash }),
+          ...(fieldHashes && { fieldHashes }),
+          ...(imageRecords && { images: imageRecords, droppedImages: droppedImages || [] })
+        });
+      });
+    } catch (error) {
+      // The store is an optimisation - never fail a sync because of it
+      logger.warn(`Failed to record product ${product.id} in product store:`, error.message);
     }
   }
 
-  // Process a single create item
-  async processCreateItem(csvItem, dryRun) {
-    const productData = this.mapCSVToShopifyProduct(csvItem);
+  // Refresh the content and field hashes of a product that was compared live and found up to date
+  recordUnchangedProduct(product, existingProduct) {
+    if (existingProduct.fromProductStore || !product.sku) return;
 
-    if (dryRun) {
-      logger.debug(`[DRY RUN] Would create product: ${productData.title}`);
-      return { success: true, type: 'dry-run-create', product: productData };
-    } else {
-      const createdProduct = await this.createProduct(productData);
-      logger.debug(`✓ Created: ${createdProduct.title} (ID: ${createdProduct.id})`);
-      return { success: true, type: 'created', product: createdProduct };
+    try {
+      this.variantsOf(product).filter(variant => variant.sku).forEach(variant => {
+        const existingVariant = this.findVariantBySku(existingProduct, variant.sku);
+        this.productStore.upsert({
+          sku: variant.sku,
+          source: product.source || this.source,
+          productId: existingProduct.id,
+          variantId: existingVariant?.id || existingProduct.variants?.[0]?.id,
+          price: variant.price,
+          compareAtPrice: variant.compareAtPrice || null,
+          contentHash: product.contentHash,
+          fieldHashes: this.changeDetector.fieldHashes(product.shopifyProduct)
+        });
+      });
+    } catch (error) {
+      logger.warn(`Failed to record product ${existingProduct.id} in product store:`, error.message);
     }
   }
 
-  // Process a single update item
-  async processUpdateItem(csvItem, existingProduct, changes, dryRun) {
-    if (dryRun) {
-      logger.debug(`[DRY RUN] Would update product: ${existingProduct.title} - Changes: ${changes.join(', ')}`);
-      return { success: true, type: 'dry-run-update', product: existingProduct };
-    } else {
-      try {
-        const updateData = this.buildUpdateData(csvItem, existingProduct, changes);
-        const updatedProduct = await this.updateProduct(existingProduct.id, updateData);
-        logger.debug(`✓ Updated: ${updatedProduct.title} (ID: ${updatedProduct.id}) - Changes: ${changes.join(', ')}`);
-        return { success: true, type: 'updated', product: updatedProduct };
-      } catch (error) {
-        logger.error(`✗ Failed to update product ${existingProduct.id}:`, error.message);
-        throw error;
-      }
+  // Minimal product shape for a SKU known only from the local store (with every stored variant of the product)
+  productFromStoreRecord(record) {
+    const records = this.productStore.byProductId(record.productId);
+    return {
+      id: record.productId,
+      variants: (records.length > 0 ? records : [record]).map(variantRecord => ({ id: variantRecord.variantId, sku: variantRecord.sku })),
+      fromProductStore: true
+    };
+  }
+
+  // Variant SKUs of a normalized product (grouped products have several)
+  skusOf(product) {
+    return product.skus?.length ? product.skus : [product.sku].filter(sku => sku);
+  }
+
+  // Per-variant SKU and prices of a normalized product
+  variantsOf(product) {
+    return product.variants?.length
+      ? product.variants
+      : [{ sku: product.sku, price: product.price, compareAtPrice: product.compareAtPrice }];
+  }
+
+  findVariantBySku(product, sku) {
+    if (!sku) return null;
+    return (product?.variants || []).find(variant => variant.sku && variant.sku.toLowerCase() === String(sku).toLowerCase()) || null;
+  }
+
+  // MetafieldsSetInput list for metafieldsSet on a product
+  metafieldsSetInput(productId, metafields) {
+    return metafields.map(metafield => ({
+      ownerId: `gid://shopify/Product/${productId}`,
+      namespace: metafield.namespace,
+      key: metafield.key,
+      type: metafield.type,
+      value: String(metafield.value)
+    }));
+  }
+
+  /**
+   * Copy of a product payload with the run ID metafield added (unchanged when no run ID is set).
+   * The stamp is added at write time only, so it never shows up in change detection.
+   */
+  withRunStamp(productData) {
+    if (!this.runId) {
+      return productData;
     }
+
+    return {
+      ...productData,
+      metafields: [
+        ...(productData.metafields || []).filter(metafield =>
+          !(metafield.namespace === RUN_ID_METAFIELD.namespace && metafield.key === RUN_ID_METAFIELD.key)),
+        { ...RUN_ID_METAFIELD, value: this.runId }
+      ]
+    };
   }
 
   /**
-   * Build update data based on changes needed
+   * Normalized product with broken and duplicate image URLs dropped (logged, not fatal)
+   * @returns {Promise<object>} Copy of the product with checked images and droppedImages
    */
-  buildUpdateData(csvItem, existingProduct, changes) {
-    const updateData = { id: existingProduct.id };
+  async prepareImages(product) {
+    const { images, dropped } = await this.imagePipeline.prepare(product.shopifyProduct.images || []);
 
-    if (changes.includes('title')) {
-      updateData.title = csvItem.Description || csvItem.Item || 'Untitled Product';
+    if (dropped.length > 0) {
+      logger.warn(`Dropped ${dropped.length} image(s) for ${product.sku || product.title}: ${dropped.map(image => `${image.src} (${image.reason})`).join(', ')}`);
     }
 
-    if (changes.includes('status')) {
-      updateData.status = csvItem.Status === 'Active' ? 'active' : 'draft';
-    }
-
-    // For price and inventory updates, we need to update variants
-    if (changes.includes('price') || changes.includes('inventory')) {
-      const variant = existingProduct.variants?.[0];
-      if (variant) {
-        updateData.variants = [{
-          id: variant.id,
-          ...(changes.includes('price') && { 
-            price: this.parsePrice(csvItem.MSRP || csvItem.ContractPrice) 
-          }),
-          ...(changes.includes('inventory') && { 
-            inventory_quantity: parseInt(csvItem.Qty_Avail) || 0 
-          })
-        }];
-      }
+    return {
+      ...product,
+      shopifyProduct: { ...product.shopifyProduct, images },
+      droppedImages: dropped.map(image => image.src)
+    };
+  }
+
+  // Product store options for a product written with prepared images
+  storeOptionsFor(prepared) {
+    return {
+      source: prepared.source,
+      contentHash: prepared.contentHash,
+      fieldHashes: this.changeDetector.fieldHashes(prepared.shopifyProduct),
+      images: (prepared.shopifyProduct.images || []).map(image => image.src),
+      droppedImages: prepared.droppedImages || []
+    };
+  }
+
+  /**
+   * Shopify IDs of images already on the product, by normalized supplier URL: from the
+   * product store, or for products written before images were tracked, by file name
+   * (Shopify keeps it when re-hosting)
+   */
+  imageIdsFor(product, existingProduct) {
+    const imageIds = new Map();
+    const record = this.productStore.get(product.sku);
+    const liveImages = !existingProduct?.fromProductStore ? existingProduct?.images : null;
+
+    if (record?.images) {
+      // Images deleted in Shopify since they were written have to be uploaded again
+      const liveIds = liveImages ? new Set(liveImages.flatMap(image => [image.id, image.admin_graphql_api_id]).filter(id => id).map(String)) : null;
+      record.images.forEach(image => {
+        if (image.id && (!liveIds || liveIds.has(String(image.id)))) {
+          imageIds.set(this.imagePipeline.normalizeUrl(image.src), image.id);
+        }
+      });
+    } else if (liveImages) {
+      (product.shopifyProduct.images || []).forEach(image => {
+        const stem = this.imagePipeline.fileStem(image.src);
+        const match = liveImages.find(liveImage => stem && this.imagePipeline.fileStem(liveImage.src).startsWith(stem));
+        if (match) {
+          imageIds.set(this.imagePipeline.normalizeUrl(image.src), match.id || match.admin_graphql_api_id);
+        }
+      });
     }
 
-    return updateData;
+    return imageIds;
   }
 
   /**
-   * Update an existing product in Shopify
+   * Whether the feed's images (without URLs known to be broken or duplicate) differ from
+   * the product's images in content or order
    */
-  async updateProduct(productId, updateData) {
+  areImagesChanged(product, existingProduct) {
+    const pipeline = this.imagePipeline;
+    const feed = pipeline.expectedImages(product.shopifyProduct?.images || []);
+    const record = this.productStore.get(product.sku);
+
+    if (record?.images) {
+      const written = record.images.map(image => pipeline.normalizeUrl(image.src));
+      if (written.join('\n') !== feed.map(image => pipeline.normalizeUrl(image.src)).join('\n')) {
+        return true;
+      }
+      // Same list - changed only if one of the written images is no longer on the live product
+      const imageIds = this.imageIdsFor(product, existingProduct);
+      return record.images.some(image => image.id && !imageIds.has(pipeline.normalizeUrl(image.src)));
+    }
+
+    // Not written with image tracking yet: compare live images by file name, position by position
+    const liveImages = !existingProduct.fromProductStore ? existingProduct.images : null;
+    if (!liveImages) return false;
+    return liveImages.length !== feed.length ||
+      feed.some((image, index) => !pipeline.fileStem(liveImages[index].src).startsWith(pipeline.fileStem(image.src)));
+  }
+
+  // Helper method to extract next page URL from Link header
+  extractNextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+
+    const links = linkHeader.split(',');
+    for (const link of links) {
+      if (link.includes('rel="next"')) {
+        const match = link.match(/<([^>]+)>/);
+        return match ? match[1] : null;
+      }
+    }
+    return null;
+  }
+
+  // Helper method to add delay
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Process a single normalized product (for testing/limited processing)
+  async processSingleProduct(product, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
 
-    try {
-      const response = await axios.put(`${this.baseURL}/products/${productId}.json`, {
-        product: updateData
-      }, { headers: this.headers });
+    const { dryRun = false } = options;
 
-      const product = response.data.product;
-      logger.debug(`Updated product: ${product.title} (ID: ${product.id})`);
-      return product;
+    logger.info(`=== PROCESSING SINGLE PRODUCT ===`);
+    logger.info(`Product: ${product.title}`);
+    logger.info(`SKU: ${product.sku}`);
+    logger.info(`Dry run: ${dryRun}`);
 
-    } catch (error) {
-      logger.error('Error updating product in Shopify:', error.message);
-      if (error.response && error.response.data) {
-        logger.error('Shopify API Error Details:', JSON.stringify(error.response.data, null, 2));
+    try {
+      if (dryRun) {
+        logger.info('DRY RUN: Would create product with data:');
+        logger.info(JSON.stringify(product.shopifyProduct, null, 2));
+        return { success: true, dryRun: true, productData: product.shopifyProduct };
+      } else {
+        const result = await this.processCreateItem(product, false);
+        logger.info('Successfully processed single product');
+        return { success: true, result };
       }
-      throw error;
+    } catch (error) {
+      logger.error('Error processing single product:', error.message);
+      return { success: false, error: error.message };
     }
   }
 
-  // Legacy method for backward compatibility - now calls the new processProductsFromCSV
-  async createProductsFromCSV(csvData, shopifyProducts, options = {}) {
-    // Add legacy options mapping
-    const newOptions = {
-      ...options,
-      enableUpdates: false // Legacy mode: only create, don't update
+  /**
+   * Process a batch of products directly (simplified for batch processing)
+   *
+   * Items are normalized products (see SupplierAdapter). When a productIndex
+   * (see buildProductIndex) is passed, each product is upserted: created if
+   * missing, updated if doesProductNeedUpdate() reports changes, and skipped
+   * otherwise. Without an index every product is created.
+   */
+  async processBatchDirect(products, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const { dryRun = false, productIndex = null } = options;
+
+    const results = {
+      total: products.length,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      errors: 0,
+      errorDetails: [],
+      outcomes: [] // Per-SKU { item, type, productId, changes, error } for run checkpoints and reports
     };
 
-    logger.warn('Using legacy createProductsFromCSV method. Consider switching to processProductsFromCSV for create+update functionality.');
-    return await this.processProductsFromCSV(csvData, shopifyProducts, newOptions);
-  }
+    logger.debug(`Processing batch of ${products.length} products directly`);
 
-  // Process batch items in parallel using Promise.all
-  async processBatchParallel(batch, results, dryRun) {
-    const promises = batch.map(async (csvItem) => {
+    const promises = products.map(async (product) => {
       try {
-        // Convert CSV item to Shopify product format
-        const productData = this.mapCSVToShopifyProduct(csvItem);
-
-        if (dryRun) {
-          logger.debug(`[DRY RUN] Would create product: ${productData.title}`);
-          return { success: true, type: 'dry-run', product: productData };
-        } else {
-          const createdProduct = await this.createProduct(productData);
-          logger.debug(`✓ Created: ${createdProduct.title} (ID: ${createdProduct.id})`);
-          return { success: true, type: 'created', product: createdProduct };
+        if (productIndex) {
+          return await this.upsertItem(product, productIndex, dryRun);
         }
+
+        const result = await this.processCreateItem(product, dryRun);
+        return { ...result, item: product.sku };
       } catch (error) {
-        logger.error(`✗ Failed to create product ${csvItem.Item || csvItem.Description}:`, error.message);
+        logger.error(`✗ Failed to process product ${product.sku || product.title}:`, error.message);
         return {
           success: false,
           error: error.message,
-          csvItem: csvItem.Item || 'Unknown',
-          title: csvItem.Description
+          item: product.sku || 'Unknown'
         };
       }
     });
@@ -904,399 +1310,495 @@ class ShopifyClient {
     const batchResults = await Promise.allSettled(promises);
 
     // Process results
-    let batchCreated = 0;
-    let batchErrors = 0;
-
     batchResults.forEach((result, index) => {
       if (result.status === 'fulfilled') {
         const value = result.value;
         if (value.success) {
-          results.created++;
-          batchCreated++;
-          if (value.type === 'created') {
-            results.createdProducts.push(value.product);
+          if (value.type === 'skipped') {
+            results.skipped++;
+          } else if (value.type === 'updated' || value.type === 'dry-run-update') {
+            results.updated++;
+          } else {
+            results.created++;
           }
+          results.outcomes.push({ item: value.item, type: value.type, productId: value.product?.id, changes: value.changes });
         } else {
           results.errors++;
-          batchErrors++;
           results.errorDetails.push({
-            csvItem: value.csvItem,
+            item: value.item,
             error: value.error
           });
+          results.outcomes.push({ item: value.item, type: 'error', error: value.error });
         }
       } else {
+        const error = result.reason?.message || 'Promise rejected';
         results.errors++;
-        batchErrors++;
         results.errorDetails.push({
-          csvItem: batch[index]?.Item || 'Unknown',
-          error: result.reason?.message || 'Promise rejected'
+          item: products[index]?.sku || 'Unknown',
+          error
         });
+        results.outcomes.push({ item: products[index]?.sku, type: 'error', error });
       }
     });
 
-    logger.info(`  Batch completed: ${batchCreated} created, ${batchErrors} errors`);
+    logger.debug(`Batch completed: ${results.created} created, ${results.updated} updated, ${results.skipped} skipped, ${results.errors} errors`);
+    return results;
   }
 
-  // Process batch items sequentially (original method)
-  async processBatchSequential(batch, results, dryRun) {
-    for (const csvItem of batch) {
-      try {
-        // Convert CSV item to Shopify product format
-        const productData = this.mapCSVToShopifyProduct(csvItem);
+  /**
+   * Create, update or skip a single normalized product based on the existing product index
+   */
+  async upsertItem(product, productIndex, dryRun) {
+    // Wait while another row of the run creates a product with this title: it may be the product
+    // this row matches, and two rows of one concurrent batch must not both create it
+    const titleKey = (product.title || '').toLowerCase();
+    while (titleKey && productIndex.pendingCreates.has(titleKey)) {
+      await productIndex.pendingCreates.get(titleKey);
+    }
 
-        if (dryRun) {
-          logger.debug(`[DRY RUN] Would create product: ${productData.title}`);
-          results.created++;
-        } else {
-          const createdProduct = await this.createProduct(productData);
-          results.created++;
-          results.createdProducts.push(createdProduct);
-          logger.debug(`✓ Created: ${createdProduct.title} (ID: ${createdProduct.id})`);
-        }
+    const existingProduct = this.findExistingProduct(product, productIndex.bySku, productIndex.byTitle);
 
-        // Small delay between individual products
-        await this.delay(100);
+    if (!existingProduct) {
+      const creating = this.processCreateItem(product, dryRun);
+      if (titleKey) {
+        productIndex.pendingCreates.set(titleKey, creating.catch(() => null));
+      }
 
-      } catch (error) {
-        results.errors++;
-        const errorDetail = {
-          csvItem: csvItem.Item || 'Unknown',
-          error: error.message
-        };
-        results.errorDetails.push(errorDetail);
-        logger.error(`✗ Failed to create product ${csvItem.Item || csvItem.Description}:`, error.message);
+      try {
+        const result = await creating;
+        if (result.type === 'created') {
+          // Register the new product so duplicate rows later in the run are not created twice
+          this.addToProductIndex(productIndex, result.product);
+        }
+        return { ...result, item: product.sku };
+      } finally {
+        if (titleKey) {
+          productIndex.pendingCreates.delete(titleKey);
+        }
       }
     }
+
+    const needsUpdate = this.doesProductNeedUpdate(product, existingProduct);
+    if (!needsUpdate.hasChanges) {
+      logger.debug(`Product up to date: ${product.sku}`);
+      this.recordUnchangedProduct(product, existingProduct);
+      return { success: true, type: 'skipped', product: existingProduct, item: product.sku };
+    }
+
+    const result = await this.processUpdateItem(product, existingProduct, needsUpdate.changes, dryRun);
+    return { ...result, item: product.sku, changes: needsUpdate.changes };
   }
 
-  // Map CSV data to Shopify product format
-  mapCSVToShopifyProduct(csvItem) {
-    const product = {
-      title: csvItem.Description || csvItem.Item || 'Untitled Product',
-      handle: this.generateHandle(csvItem.Description || csvItem.Item),
-      body_html: this.generateProductDescription(csvItem),
-      vendor: 'QGold',
-      product_type: this.extractProductType(csvItem),
-      // status: 'draft',
-      // TODO: now we only want them in draft mode
-      status: csvItem.Status === 'Active' ? 'active' : 'draft',
-      published: csvItem.Status === 'Active',
-      // published: false,
-      tags: this.generateTags(csvItem),
-      variants: [this.createVariant(csvItem)],
-      images: this.createImages(csvItem),
-      metafields: this.createMetafields(csvItem),
-      category: this.getCategoryId(csvItem)
+  /**
+   * Build SKU and title lookup maps from a list of existing Shopify products
+   */
+  buildProductIndex(existingProducts) {
+    const productIndex = {
+      bySku: new Map(),
+      byTitle: new Map(),
+      pendingCreates: new Map() // Lowercased title -> create in flight (see upsertItem)
     };
 
-    // Add SEO fields
-    if (csvItem.Description) {
-      product.seo_title = csvItem.Description.substring(0, 70);
-      product.seo_description = this.generateSEODescription(csvItem);
-    }
+    existingProducts.forEach(product => this.addToProductIndex(productIndex, product));
 
-    return product;
+    logger.info(`Built lookup index: ${productIndex.bySku.size} SKUs, ${productIndex.byTitle.size} titles`);
+    return productIndex;
   }
 
-  // Map CSV categories to Shopify category IDs
-  getCategoryId(csvItem) {
-    if (!csvItem.Categories) {
-      logger.debug('No categories found in CSV item, using default jewelry category');
-      return this.defaultJewelryCategory;
+  // Add a single product to a lookup index (used for products created during a run)
+  addToProductIndex(productIndex, product) {
+    // Index by title
+    if (product.title) {
+      productIndex.byTitle.set(product.title.toLowerCase(), product);
     }
 
-    // Split categories by semicolon and process each one
-    const categories = csvItem.Categories.split(';');
-    logger.debug(`Processing categories for ${csvItem.Item}: ${categories.join(' | ')}`);
+    // Index by SKU from variants
+    if (product.variants) {
+      product.variants.forEach(variant => {
+        if (variant.sku) {
+          productIndex.bySku.set(variant.sku.toLowerCase(), product);
+        }
+      });
+    }
+  }
 
-    for (const categoryPath of categories) {
-      const categoryId = this.findBestCategoryMatch(categoryPath);
-      if (categoryId) {
-        logger.info(`Category mapped for ${csvItem.Item}: ${categoryPath.trim()} -> ${categoryId}`);
-        return categoryId;
-      }
+  // Find an existing product for a normalized product by any variant SKU, then the local product store, then title
+  findExistingProduct(product, existingProductsBySku, existingProductsByTitle) {
+    const skus = this.skusOf(product).map(sku => sku.toLowerCase());
+    const title = (product.title || '').toLowerCase();
+
+    const indexedSku = skus.find(sku => existingProductsBySku.has(sku));
+    if (indexedSku) {
+      return existingProductsBySku.get(indexedSku);
+    }
+    const storeRecord = skus.map(sku => this.productStore.get(sku)).find(record => record && record.productId);
+    if (storeRecord) {
+      return this.productFromStoreRecord(storeRecord);
+    }
+    if (title && existingProductsByTitle.has(title)) {
+      return existingProductsByTitle.get(title);
     }
+    return null;
+  }
 
-    logger.warn(`No category match found for ${csvItem.Item}, using default jewelry category`);
-    return this.defaultJewelryCategory;
+  /**
+   * IDs of the existing products an upsert of these products would overwrite (see ProductSnapshot)
+   */
+  plannedUpdateIds(products, productIndex) {
+    return products
+      .map(product => ({ product, existingProduct: this.findExistingProduct(product, productIndex.bySku, productIndex.byTitle) }))
+      .filter(({ product, existingProduct }) => existingProduct && this.doesProductNeedUpdate(product, existingProduct).hasChanges)
+      .map(({ existingProduct }) => existingProduct.id);
   }
 
-  // Find the best category match from a category path
-  findBestCategoryMatch(categoryPath) {
-    if (!categoryPath) return null;
+  // Categorize normalized products into create/update batches
+  categorizeProducts(products, existingProductsBySku, existingProductsByTitle, enableUpdates) {
+    const productsToCreate = [];
+    const productsToUpdate = [];
+
+    products.forEach(product => {
+      // Try to find existing product by SKU first, then by title
+      const existingProduct = this.findExistingProduct(product, existingProductsBySku, existingProductsByTitle);
+
+      if (existingProduct) {
+        if (enableUpdates) {
+          // Check if product needs updates
+          const needsUpdate = this.doesProductNeedUpdate(product, existingProduct);
+          if (needsUpdate.hasChanges) {
+            productsToUpdate.push({
+              product,
+              existingProduct,
+              changes: needsUpdate.changes
+            });
+            logger.debug(`Product needs update: ${product.sku} - Changes: ${needsUpdate.changes.join(', ')}`);
+          } else {
+            logger.debug(`Product up to date: ${product.sku}`);
+            this.recordUnchangedProduct(product, existingProduct);
+          }
+        } else {
+          logger.debug(`Product exists, updates disabled: ${product.sku}`);
+        }
+      } else {
+        // Product doesn't exist, add to create batch
+        productsToCreate.push({ product });
+        logger.debug(`New product to create: ${product.sku}`);
+      }
+    });
 
-    // Clean up the category path and convert to lowercase
-    const cleanPath = categoryPath.trim().toLowerCase().replace(/\\/g, '');
+    return { productsToCreate, productsToUpdate };
+  }
 
-    // Split by common separators and get individual category terms
-    const categoryTerms = cleanPath.split(/[\\\/\>\|]/).map(term => term.trim()).filter(term => term);
+  /**
+   * Check which field groups of a product need writing (see ChangeDetector): against the
+   * field hashes of the last sync, or the live product when none are stored
+   */
+  doesProductNeedUpdate(product, existingProduct) {
+    let changes;
 
-    logger.debug(`Analyzing category terms: ${categoryTerms.join(', ')}`);
+    try {
+      const record = this.productStore.get(product.sku);
 
-    // Check for specific matches in order of preference (most specific first)
-    for (const term of categoryTerms.reverse()) { // Start from most specific (end of path)
-      // Direct match
-      if (this.categoryMap.has(term)) {
-        return this.categoryMap.get(term);
+      if (record?.fieldHashes) {
+        changes = this.changeDetector.diffHashes(this.changeDetector.fieldHashes(product.shopifyProduct), record.fieldHashes);
+      } else if (existingProduct.fromProductStore) {
+        // Written before field hashes (or cleared when discontinued): nothing to compare with, so write every field once
+        changes = this.changeDetector.groups;
+      } else {
+        changes = this.changeDetector.diffLive(product.shopifyProduct, existingProduct);
       }
 
-      // Check if term contains any of our category keywords
-      for (const [keyword, categoryId] of this.categoryMap.entries()) {
-        if (term.includes(keyword) || keyword.includes(term)) {
-          return categoryId;
-        }
+      // A grouped product gained or lost sizes/lengths since it was written
+      if (!changes.includes('variants') && this.areVariantsChanged(product, existingProduct)) {
+        changes.push('variants');
       }
-    }
-
-    // If no match found, try looking for partial matches in the full path
-    for (const [keyword, categoryId] of this.categoryMap.entries()) {
-      if (cleanPath.includes(keyword)) {
-        return categoryId;
+      if (this.areImagesChanged(product, existingProduct)) {
+        changes.push('images');
       }
+
+    } catch (error) {
+      logger.warn(`Error checking updates for ${product.sku}:`, error.message);
+      // If we can't determine changes, assume no update needed
+      return { hasChanges: false, changes: [] };
     }
 
-    return null;
+    return { hasChanges: changes.length > 0, changes };
   }
 
-  // Generate URL handle from title
-  generateHandle(title) {
-    if (!title) return 'product';
-    return title
-      .toLowerCase()
-      .replace(/[^a-z0-9\s-]/g, '') // Remove special characters
-      .replace(/\s+/g, '-') // Replace spaces with hyphens
-      .replace(/-+/g, '-') // Remove multiple consecutive hyphens
-      .replace(/^-|-$/g, '') // Remove leading/trailing hyphens
-      .substring(0, 100); // Limit length
+  /**
+   * Whether the variant SKUs of a product differ from the existing product's. Only products
+   * sharing a SKU count: a single-variant product matched by title keeps its variants.
+   */
+  areVariantsChanged(product, existingProduct) {
+    const skus = new Set(this.skusOf(product).map(sku => sku.toLowerCase()));
+    const existingSkus = new Set((existingProduct.variants || []).filter(variant => variant.sku).map(variant => variant.sku.toLowerCase()));
+
+    if (!Array.from(skus).some(sku => existingSkus.has(sku))) return false;
+    return skus.size !== existingSkus.size || Array.from(skus).some(sku => !existingSkus.has(sku));
   }
 
-  // Create variant from CSV data
-  createVariant(csvItem) {
-    const variant = {
-      title: 'Default Title',
-      sku: csvItem.Item || '',
-      barcode: csvItem.UPC || '',
-      price: this.parsePrice(csvItem.MSRP || csvItem.ContractPrice),
-      compare_at_price: csvItem.MSRP ? this.parsePrice(csvItem.MSRP) : null,
-      inventory_management: 'shopify',
-      inventory_quantity: parseInt(csvItem.Qty_Avail) || 0,
-      weight: this.parseWeight(csvItem.Weight),
-      weight_unit: 'g'
-    };
+  // Process a single create item
+  async processCreateItem(product, dryRun) {
+    const productData = product.shopifyProduct;
 
-    // Add variant options if available
-    if (csvItem.Size || csvItem.Length || csvItem.Width) {
-      variant.option1 = csvItem.Size || `${csvItem.Length || ''}x${csvItem.Width || ''}`.replace('x', '');
+    if (dryRun) {
+      logger.debug(`[DRY RUN] Would create product: ${productData.title}`);
+      this.dryRunDiff?.addCreate(product, this.plannedRequests(product));
+      return { success: true, type: 'dry-run-create', product: productData };
+    } else {
+      const prepared = await this.prepareImages(product);
+      const storeOptions = this.storeOptionsFor(prepared);
+      const productData = this.withRunStamp(prepared.shopifyProduct);
+      const createdProduct = this.writeMode === 'rest'
+        ? await this.createProduct(productData, storeOptions)
+        : await this.productSet(productData, null, storeOptions);
+      logger.debug(`✓ Created: ${createdProduct.title} (ID: ${createdProduct.id})`);
+      return { success: true, type: 'created', product: createdProduct };
     }
+  }
+
+  // Process a single update item
+  async processUpdateItem(product, existingProduct, changes, dryRun) {
+    if (dryRun) {
+      logger.debug(`[DRY RUN] Would update product: ${existingProduct.title} - Changes: ${changes.join(', ')}`);
+      this.dryRunDiff?.addUpdate(product, existingProduct, changes, this.plannedRequests(product, existingProduct, changes));
+      return { success: true, type: 'dry-run-update', product: existingProduct };
+    } else {
+      try {
+        let updatedProduct;
+        if (this.writeMode === 'rest') {
+          // Images are only checked and sent when they changed
+          const prepared = changes.includes('images') ? await this.prepareImages(product) : product;
+          const storeOptions = changes.includes('images')
+            ? this.storeOptionsFor(prepared)
+            : { source: product.source, contentHash: product.contentHash, fieldHashes: this.changeDetector.fieldHashes(product.shopifyProduct) };
+
+          // Metafields (with the run stamp) and category are not part of the REST product update
+          const metafields = this.withRunStamp({
+            metafields: changes.includes('metafields') ? product.shopifyProduct.metafields : []
+          }).metafields || [];
+          if (metafields.length > 0) {
+            await this.setProductMetafields(existingProduct.id, metafields);
+          }
+          if (changes.includes('category') && product.shopifyProduct.category) {
+            await this.updateProductCategory(existingProduct.id, product.shopifyProduct.category);
+          }
 
-    return variant;
+          const updateData = this.buildUpdateData(prepared, existingProduct, changes);
+          if (Object.keys(updateData).length > 1) {
+            updatedProduct = await this.updateProduct(existingProduct.id, updateData, storeOptions);
+          } else {
+            // Nothing left for the REST update - record the product as it stands
+            updatedProduct = existingProduct;
+            this.recordProductInStore(existingProduct, storeOptions);
+          }
+        } else {
+          // productSet replaces the whole product, so send the full mapping rather than the changed fields
+          const prepared = await this.prepareImages(product);
+          updatedProduct = await this.productSet(this.withRunStamp(prepared.shopifyProduct), existingProduct, {
+            ...this.storeOptionsFor(prepared),
+            imageIds: this.imageIdsFor(product, existingProduct)
+          });
+        }
+        logger.debug(`✓ Updated: ${updatedProduct.title} (ID: ${updatedProduct.id}) - Changes: ${changes.join(', ')}`);
+        return { success: true, type: 'updated', product: updatedProduct };
+      } catch (error) {
+        logger.error(`✗ Failed to update product ${existingProduct.id}:`, error.message);
+        if (error.response?.status === 404) {
+          // Product was deleted in Shopify - forget it so the next run recreates it
+          this.productStore.removeByProductId(existingProduct.id);
+        }
+        throw error;
+      }
+    }
   }
 
-  // Create images array from CSV data
-  createImages(csvItem) {
-    const images = [];
+  /**
+   * Requests a create (no existingProduct) or update would send in the current write mode, as
+   * processCreateItem/processUpdateItem send them: [{ request, body }] for REST calls and
+   * [{ request, variables }] for GraphQL mutations. Image URL checks run at write time, so the
+   * images here are the mapped ones.
+   */
+  plannedRequests(product, existingProduct = null, changes = []) {
+    const productData = this.withRunStamp(product.shopifyProduct);
 
-    // Primary image
-    if (csvItem.ImageLink_1000) {
-      images.push({
-        src: csvItem.ImageLink_1000,
-        alt: csvItem.Description || csvItem.Item
-      });
+    if (this.writeMode !== 'rest') {
+      const imageIds = existingProduct ? this.imageIdsFor(product, existingProduct) : new Map();
+      return [{ request: 'productSet', variables: { input: this.buildProductSetInput(productData, existingProduct, imageIds) } }];
     }
 
-    // Additional images
-    for (let i = 1; i <= 9; i++) {
-      const imageLink = csvItem[`Image${i}Link`];
-      if (imageLink && imageLink.trim()) {
-        images.push({
-          src: imageLink,
-          alt: `${csvItem.Description || csvItem.Item} - View ${i}`
-        });
+    if (!existingProduct) {
+      const requests = [{ request: 'POST /products.json', body: { product: productData } }];
+      if (productData.category) {
+        requests.push({ request: 'productUpdate', variables: { product: { id: 'gid://shopify/Product/<created id>', category: productData.category } } });
       }
+      return requests;
     }
 
-    return images;
+    const requests = [];
+    const metafields = this.withRunStamp({ metafields: changes.includes('metafields') ? productData.metafields : [] }).metafields || [];
+    if (metafields.length > 0) {
+      requests.push({ request: 'metafieldsSet', variables: { metafields: this.metafieldsSetInput(existingProduct.id, metafields) } });
+    }
+    if (changes.includes('category') && productData.category) {
+      requests.push({ request: 'productUpdate', variables: { product: { id: `gid://shopify/Product/${existingProduct.id}`, category: productData.category } } });
+    }
+    const updateData = this.buildUpdateData(product, existingProduct, changes);
+    if (Object.keys(updateData).length > 1) {
+      requests.push({ request: `PUT /products/${existingProduct.id}.json`, body: { product: updateData } });
+    }
+    return requests;
   }
 
-  // Create metafields for additional data
-  createMetafields(csvItem) {
-    const metafields = [];
-
-    // Store original item number
-    if (csvItem.Item) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'item_number',
-        value: csvItem.Item,
-        type: 'single_line_text_field'
-      });
-    }
+  /**
+   * Build a REST update holding only the changed field groups (see ChangeDetector);
+   * metafields and category are written separately by processUpdateItem
+   */
+  buildUpdateData(product, existingProduct, changes) {
+    const updateData = { id: existingProduct.id };
+    const productData = product.shopifyProduct;
 
-    // Store specifications
-    if (csvItem.ListOfSpecs) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'specifications',
-        value: csvItem.ListOfSpecs,
-        type: 'multi_line_text_field'
-      });
+    if (changes.includes('title')) {
+      updateData.title = product.title;
     }
 
-    // Store metal description
-    if (csvItem.Metal_Desc) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'metal_description',
-        value: csvItem.Metal_Desc,
-        type: 'single_line_text_field'
-      });
+    if (changes.includes('status')) {
+      updateData.status = product.status;
     }
 
-    // Store country of origin
-    if (csvItem.Country_Of_Origin) {
-      metafields.push({
-        namespace: 'custom',
-        key: 'country_of_origin',
-        value: csvItem.Country_Of_Origin,
-        type: 'single_line_text_field'
-      });
+    if (changes.includes('description')) {
+      updateData.body_html = productData.body_html;
     }
 
-    return metafields;
-  }
-
-  // Generate product description from CSV data
-  generateProductDescription(csvItem) {
-    let description = '';
+    if (changes.includes('vendor')) {
+      updateData.vendor = productData.vendor;
+    }
 
-    if (csvItem.Description) {
-      description += `<h3>${csvItem.Description}</h3>`;
+    if (changes.includes('product_type')) {
+      updateData.product_type = productData.product_type;
     }
 
-    if (csvItem.Metal_Desc) {
-      description += `<p><strong>Material:</strong> ${csvItem.Metal_Desc}</p>`;
+    if (changes.includes('tags')) {
+      updateData.tags = productData.tags;
     }
 
-    if (csvItem.Weight) {
-      description += `<p><strong>Weight:</strong> ${csvItem.Weight}g</p>`;
+    if (changes.includes('seo')) {
+      updateData.metafields_global_title_tag = productData.seo_title || '';
+      updateData.metafields_global_description_tag = productData.seo_description || '';
     }
 
-    if (csvItem.Length && csvItem.Width) {
-      description += `<p><strong>Dimensions:</strong> ${csvItem.Length}" x ${csvItem.Width}"</p>`;
-    } else if (csvItem.Length) {
-      description += `<p><strong>Length:</strong> ${csvItem.Length}"</p>`;
+    // Images in feed order: ones already on the product by ID, new ones by URL, the rest are removed
+    if (changes.includes('images')) {
+      const imageIds = this.imageIdsFor(product, existingProduct);
+      updateData.images = (product.shopifyProduct.images || []).map((image, index) => {
+        const imageId = imageIds.get(this.imagePipeline.normalizeUrl(image.src));
+        return /^\d+$/.test(String(imageId))
+          ? { id: Number(imageId), position: index + 1 }
+          : { src: image.src, alt: image.alt, position: index + 1 };
+      });
     }
 
-    if (csvItem.ListOfSpecs) {
-      description += `<div><strong>Specifications:</strong><br>`;
-      const specs = csvItem.ListOfSpecs.split('|');
-      specs.forEach(spec => {
-        if (spec.trim()) {
-          description += `• ${spec.trim()}<br>`;
+    // Price updates go through the variants (inventory is reconciled separately by InventorySync)
+    if (changes.includes('variants')) {
+      // The REST variants list replaces the product's variants: keep matching ones by ID, add new
+      // sizes/lengths and drop the ones that left the group
+      updateData.variants = (product.shopifyProduct.variants || []).map(variant => {
+        const existingVariant = this.findVariantBySku(existingProduct, variant.sku);
+        return existingVariant
+          ? {
+            id: existingVariant.id,
+            option1: variant.option1,
+            price: variant.price,
+            compare_at_price: variant.compare_at_price || null,
+            barcode: variant.barcode,
+            weight: variant.weight,
+            weight_unit: variant.weight_unit
+          }
+          : { ...variant };
+      });
+      if (product.shopifyProduct.options) {
+        updateData.options = product.shopifyProduct.options;
+      }
+    } else if ((changes.includes('price') || changes.includes('variant_details')) && existingProduct.variants?.length) {
+      // Only the changed variant fields, matched by SKU
+      const existingVariants = existingProduct.variants;
+      const variants = productData.variants || [];
+      updateData.variants = existingVariants.map(existingVariant => {
+        const variant = this.findVariantBySku(productData, existingVariant.sku) ||
+          (existingVariants.length === 1 && variants.length === 1 ? variants[0] : null);
+        if (!variant) {
+          return { id: existingVariant.id };
         }
+        return {
+          id: existingVariant.id,
+          ...(changes.includes('price') && { price: variant.price, compare_at_price: variant.compare_at_price || null }),
+          ...(changes.includes('variant_details') && { barcode: variant.barcode, weight: variant.weight, weight_unit: variant.weight_unit })
+        };
       });
-      description += '</div>';
     }
 
-    return description || '<p>Quality jewelry piece</p>';
-  }
-
-  // Generate SEO description
-  generateSEODescription(csvItem) {
-    const desc = csvItem.Description || '';
-    const metal = csvItem.Metal_Desc || '';
-    return `${desc} ${metal}`.trim().substring(0, 160);
-  }
-
-  // Extract product type from categories
-  extractProductType(csvItem) {
-    if (csvItem.Categories) {
-      const categories = csvItem.Categories.split(';')[0]; // Take first category
-      const cleanCategories = categories.toLowerCase();
-
-      // More comprehensive product type detection (order matters - check more specific terms first)
-      if (cleanCategories.includes('necklaces') || cleanCategories.includes('chains')) return 'Necklaces';
-      if (cleanCategories.includes('earrings')) return 'Earrings';
-      if (cleanCategories.includes('bracelets')) return 'Bracelets';
-      if (cleanCategories.includes('anklets')) return 'Anklets';
-      if (cleanCategories.includes('rings')) return 'Rings';
-      if (cleanCategories.includes('pendants') || cleanCategories.includes('charms')) return 'Pendants & Charms';
-      if (cleanCategories.includes('watch accessories') || cleanCategories.includes('watch bands')) return 'Watch Accessories';
-      if (cleanCategories.includes('watches')) return 'Watches';
-      if (cleanCategories.includes('brooches') || cleanCategories.includes('lapel pins')) return 'Brooches & Pins';
-      if (cleanCategories.includes('jewelry sets') || cleanCategories.includes('sets')) return 'Jewelry Sets';
-      if (cleanCategories.includes('body jewelry')) return 'Body Jewelry';
-    }
-    return 'Jewelry';
+    return updateData;
   }
 
-  // Generate tags from CSV data
-  generateTags(csvItem) {
-    const tags = [];
-
-    if (csvItem.Metal_Desc) {
-      tags.push(csvItem.Metal_Desc);
-    }
-
-    if (csvItem.Attributes) {
-      const attributes = csvItem.Attributes.split(';');
-      tags.push(...attributes.filter(attr => attr.trim()));
-    }
-
-    if (csvItem.ProductLine) {
-      tags.push(csvItem.ProductLine);
+  /**
+   * Update an existing product in Shopify
+   * @param {number} productId - The product ID from Shopify
+   * @param {object} updateData - Partial product payload
+   * @param {object} options - { source, contentHash, fieldHashes, images, droppedImages } for the product store record
+   */
+  async updateProduct(productId, updateData, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
     }
 
-    return tags.join(', ');
-  }
+    try {
+      const response = await this.api.put(`/products/${productId}.json`, {
+        product: updateData
+      });
 
-  // Parse price from string
-  parsePrice(priceStr) {
-    if (!priceStr) return '0.00';
-    const price = parseFloat(priceStr.toString().replace(/[^\d.-]/g, ''));
-    return isNaN(price) ? '0.00' : price.toFixed(2);
-  }
+      const product = response.data.product;
+      logger.debug(`Updated product: ${product.title} (ID: ${product.id})`);
+      this.recordProductInStore(product, options);
+      return product;
 
-  // Parse weight from string
-  parseWeight(weightStr) {
-    if (!weightStr) return 0;
-    const weight = parseFloat(weightStr.toString().replace(/[^\d.-]/g, ''));
-    return isNaN(weight) ? 0 : Math.round(weight * 28.35); // Convert oz to grams
+    } catch (error) {
+      logger.error('Error updating product in Shopify:', error.message);
+      if (error.response && error.response.data) {
+        logger.error('Shopify API Error Details:', JSON.stringify(error.response.data, null, 2));
+      }
+      throw error;
+    }
   }
 
-  // Fast duplicate detection using lookup sets
-  productExistsFast(csvItem, existingSkuSet, existingTitleSet) {
-    const sku = csvItem.Item;
-    const title = csvItem.Description;
-
-    // Check by SKU (fastest lookup)
-    if (sku && existingSkuSet.has(sku.toLowerCase())) {
-      return true;
+  /**
+   * Add tags to a product, keeping the tags it already has
+   * @param {number} productId - The product ID from Shopify
+   * @param {Array<string>} tags - Tags to add
+   * @param {object} options - { source, contentHash } for the product store record
+   */
+  async addProductTags(productId, tags, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
     }
 
-    // Check by title
-    if (title && existingTitleSet.has(title.toLowerCase())) {
-      return true;
+    const response = await this.api.get(`/products/${productId}.json`, { params: { fields: 'id,tags' } });
+    const existingTags = (response.data.product.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag);
+    const missingTags = tags.filter(tag => !existingTags.includes(tag));
+
+    if (missingTags.length === 0) {
+      return response.data.product;
     }
 
-    return false;
+    return await this.updateProduct(productId, { id: productId, tags: [...existingTags, ...missingTags].join(', ') }, options);
   }
 
-  // Original method kept for backward compatibility
-  productExists(csvItem, existingProducts) {
-    const sku = csvItem.Item;
-    const title = csvItem.Description;
-
-    return existingProducts.some(product => {
-      // Check by SKU in variants
-      const skuMatch = product.variants && product.variants.some(variant =>
-        variant.sku && variant.sku.toLowerCase() === sku?.toLowerCase()
-      );
-      // Check by title similarity
-      const titleMatch = product.title.toLowerCase() === title?.toLowerCase();
+  // Map CSV data to Shopify product format using the supplier mapping
+  mapCSVToShopifyProduct(csvItem) {
+    return this.productMapper.map(csvItem);
+  }
 
-      return skuMatch || titleMatch;
-    });
+  // Map CSV categories to Shopify category IDs
+  getCategoryId(csvItem) {
+    return this.productMapper.mapCategory(csvItem);
   }
 
   // Log product summary for debugging
@@ -1338,4 +1840,6 @@ class ShopifyClient {
   }
 }
 
+ShopifyClient.RUN_ID_METAFIELD = RUN_ID_METAFIELD;
+
 module.exports = ShopifyClient;
@@ -0,0 +1,284 @@
+const axios = require('axios');
+const logger = require('./logger');
+
+// Methods that can be sent twice without a second effect (a retried POST may create a duplicate)
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete'];
+
+// Failures after which the request may or may not have reached Shopify
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE'];
+
+// Failures raised before anything was sent (connection refused, DNS lookup failed)
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+/**
+ * Leaky/token bucket used to pace requests before Shopify starts returning 429s.
+ * Takers are queued so concurrent batches share the budget fairly.
+ */
+class TokenBucket {
+  constructor({ capacity, refillRate }) {
+    this.capacity = capacity;
+    this.refillRate = refillRate; // tokens per second
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillRate);
+    this.lastRefill = now;
+  }
+
+  take(cost = 1) {
+    const turn = this.queue.then(() => this.waitFor(cost));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitFor(cost) {
+    const needed = Math.min(cost, this.capacity);
+
+    for (;;) {
+      this.refill();
+      if (this.tokens >= needed) {
+        this.tokens -= needed;
+        return;
+      }
+      const waitMs = Math.ceil(((needed - this.tokens) / this.refillRate) * 1000);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Align the bucket with what Shopify reports as currently available
+   */
+  sync(available, capacity = this.capacity, refillRate = this.refillRate) {
+    this.capacity = capacity;
+    this.refillRate = refillRate;
+    this.tokens = Math.max(0, Math.min(capacity, available));
+    this.lastRefill = Date.now();
+  }
+
+  drain() {
+    this.sync(0);
+  }
+}
+
+/**
+ * Shared Shopify request layer: paces REST and GraphQL calls with token buckets,
+ * reads the rate limit state Shopify returns, and retries 429s and throttled
+ * GraphQL calls with jittered exponential backoff. 5xx responses and timeouts are
+ * only retried for idempotent calls (GET/PUT/DELETE and GraphQL queries): Shopify
+ * may already have applied a POST or mutation that failed that way.
+ */
+class ShopifyRequest {
+  constructor(options = {}) {
+    const {
+      baseURL,
+      headers,
+      maxRetries = 5,
+      baseDelayMs = 500,
+      maxDelayMs = 30000,
+      timeout = 60000,
+      restBucket = { capacity: 40, refillRate: 2 },
+      graphqlBucket = { capacity: 1000, refillRate: 50 }
+    } = options;
+
+    this.baseURL = baseURL;
+    this.headers = headers;
+    this.maxRetries = maxRetries;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.timeout = timeout;
+
+    this.restBucket = new TokenBucket(restBucket);
+    this.graphqlBucket = new TokenBucket(graphqlBucket);
+  }
+
+  get(url, config = {}) {
+    return this.request({ ...config, method: 'get', url });
+  }
+
+  post(url, data, config = {}) {
+    return this.request({ ...config, method: 'post', url, data });
+  }
+
+  put(url, data, config = {}) {
+    return this.request({ ...config, method: 'put', url, data });
+  }
+
+  delete(url, config = {}) {
+    return this.request({ ...config, method: 'delete', url });
+  }
+
+  /**
+   * Perform a REST request. Relative URLs are resolved against the Admin API base URL.
+   */
+  async request(config) {
+    const url = config.url.startsWith('http') ? config.url : `${this.baseURL}${config.url}`;
+
+    const idempotent = IDEMPOTENT_METHODS.includes(config.method.toLowerCase());
+
+    return this.withRetries(`${config.method.toUpperCase()} ${url}`, idempotent, async () => {
+      await this.restBucket.take(1);
+
+      const response = await axios.request({
+        timeout: this.timeout,
+        ...config,
+        url,
+        headers: { ...this.headers, ...config.headers }
+      });
+
+      this.syncRestLimit(response.headers);
+      return response;
+    });
+  }
+
+  /**
+   * Perform a GraphQL request and return the axios response.
+   * @param {string} query - GraphQL query or mutation
+   * @param {object} variables - Query variables
+   * @param {object} options - { estimatedCost } points reserved before sending
+   */
+  async graphql(query, variables = {}, options = {}) {
+    const { estimatedCost = 10 } = options;
+    let cost = estimatedCost;
+
+    return this.withRetries('GraphQL request', !this.isMutation(query), async () => {
+      await this.graphqlBucket.take(cost);
+
+      const response = await axios.post(`${this.baseURL}/graphql.json`, {
+        query,
+        variables
+      }, {
+        timeout: this.timeout,
+        headers: this.headers
+      });
+
+      const costInfo = response.data?.extensions?.cost;
+      this.syncGraphQLLimit(costInfo);
+
+      if (this.isThrottled(response.data)) {
+        // Reserve the real cost next time so we wait long enough for it to restore
+        cost = costInfo?.requestedQueryCost || cost;
+        const error = new Error('GraphQL request throttled');
+        error.throttled = true;
+        error.retryAfterMs = this.graphqlRestoreWaitMs(costInfo, cost);
+        throw error;
+      }
+
+      return response;
+    });
+  }
+
+  /**
+   * Run fn, retrying the failures isRetryable allows
+   * @param {string} label - Request named in the retry warnings
+   * @param {boolean} idempotent - Whether sending the request twice has no second effect
+   */
+  async withRetries(label, idempotent, fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (!this.isRetryable(error, idempotent) || attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const waitMs = this.retryDelayMs(error, attempt);
+        const reason = error.response ? `HTTP ${error.response.status}` : (error.throttled ? 'throttled' : error.code || error.message);
+        logger.warn(`${label} failed (${reason}), retrying in ${waitMs}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+
+        if (error.response?.status === 429) {
+          this.restBucket.drain();
+        }
+
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+    }
+  }
+
+  /**
+   * Rate limited calls were refused before doing anything and are always retried;
+   * 5xx responses and network failures only when the call is idempotent
+   */
+  isRetryable(error, idempotent = true) {
+    if (error.throttled) return true;
+
+    const status = error.response?.status;
+    if (status) {
+      return status === 429 || (idempotent && status >= 500);
+    }
+
+    if (NOT_SENT_ERROR_CODES.includes(error.code)) {
+      return true;
+    }
+    return idempotent && NETWORK_ERROR_CODES.includes(error.code);
+  }
+
+  // Operations are queries unless they start with "mutation" (after any comment lines)
+  isMutation(query) {
+    return /^\s*(#[^\n]*\n\s*)*mutation\b/.test(query);
+  }
+
+  retryDelayMs(error, attempt) {
+    if (error.retryAfterMs) {
+      return error.retryAfterMs;
+    }
+
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+      const seconds = parseFloat(retryAfter);
+      if (!isNaN(seconds)) {
+        return Math.ceil(seconds * 1000);
+      }
+    }
+
+    // Full jitter between half and all of the exponential delay
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  // X-Shopify-Shop-Api-Call-Limit: "32/40" (used/capacity)
+  syncRestLimit(headers = {}) {
+    const callLimit = headers['x-shopify-shop-api-call-limit'];
+    if (!callLimit) return;
+
+    const [used, capacity] = callLimit.split('/').map(value => parseInt(value, 10));
+    if (!isNaN(used) && !isNaN(capacity)) {
+      this.restBucket.sync(capacity - used, capacity);
+      if (capacity - used <= 2) {
+        logger.debug(`REST call limit nearly exhausted: ${callLimit}`);
+      }
+    }
+  }
+
+  syncGraphQLLimit(costInfo) {
+    const throttleStatus = costInfo?.throttleStatus;
+    if (!throttleStatus) return;
+
+    this.graphqlBucket.sync(
+      throttleStatus.currentlyAvailable,
+      throttleStatus.maximumAvailable,
+      throttleStatus.restoreRate
+    );
+  }
+
+  isThrottled(data) {
+    return Array.isArray(data?.errors) && data.errors.some(error => error.extensions?.code === 'THROTTLED');
+  }
+
+  graphqlRestoreWaitMs(costInfo, cost) {
+    const throttleStatus = costInfo?.throttleStatus;
+    if (!throttleStatus || !throttleStatus.restoreRate) {
+      return null;
+    }
+    const missing = Math.max(0, cost - throttleStatus.currentlyAvailable);
+    return Math.ceil((missing / throttleStatus.restoreRate) * 1000);
+  }
+}
+
+ShopifyRequest.TokenBucket = TokenBucket;
+
+module.exports = ShopifyRequest;
@@ -0,0 +1,691 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RunCheckpoint = require('./runCheckpoint');
+const RunReport = require('./runReport');
+const ProductSnapshot = require('./productSnapshot');
+const DryRunDiff = require('./dryRunDiff');
+const DiscontinuedHandler = require('./discontinuedHandler');
+const JsonLinesFile = require('./jsonLinesFile');
+const logger = require('./logger');
+
+// Variants reconciled per InventorySync.reconcile call at the end of a run
+const INVENTORY_CHUNK_SIZE = 1000;
+
+/**
+ * Supplier-independent sync: pulls pages of records from a SupplierAdapter,
+ * filters them, drops duplicate SKUs, groups size/length rows into multi-variant
+ * products (a page's last group waits for the next page in case it continues
+ * there), resolves existing products once, and upserts through ShopifyClient
+ * in concurrent batches (or a single bulk operation per page in 'bulk' write
+ * mode). SKUs that dropped out of the feed are handed to DiscontinuedHandler at
+ * the end of the run, and every run writes a report bundle (see RunReport).
+ * Products are snapshotted before they are overwritten or actioned as
+ * discontinued (see ProductSnapshot).
+ */
+class SyncEngine {
+  constructor(shopifyClient, options = {}) {
+    const {
+      batchSize = 10,
+      maxConcurrentBatches = 3,
+      delayBetweenBatches = 0 // Optional extra pause; Shopify pacing is handled by the request layer
+    } = options;
+
+    this.shopifyClient = shopifyClient;
+    this.discontinuedHandler = new DiscontinuedHandler(shopifyClient);
+    this.batchSize = batchSize;
+    this.maxConcurrentBatches = maxConcurrentBatches;
+    this.delayBetweenBatches = delayBetweenBatches;
+  }
+
+  /**
+   * Sync every record the adapter yields
+   * @param {SupplierAdapter} adapter - Source of records
+   * @param {object} options - { dryRun, enableFiltering, fetchOptions, resumeRunId, inventoryOnly, limit } (fetchOptions go to
+   *   adapter.fetchPages; inventoryOnly reconciles inventory without writing products or acting on discontinued SKUs;
+   *   limit stops the run after that many products)
+   */
+  async run(adapter, options = {}) {
+    const { dryRun = false, resumeRunId = null, inventoryOnly = false, limit = null } = options;
+    let { enableFiltering = true, fetchOptions = {} } = options;
+
+    const results = {
+      supplier: adapter.name,
+      runId: null,
+      pagesProcessed: 0,
+      totalFetched: 0,
+      totalFiltered: 0,
+      duplicates: 0,
+      alreadyCompleted: 0,
+      totalProcessed: 0,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      errors: 0,
+      errorDetails: []
+    };
+
+    if (resumeRunId && inventoryOnly) {
+      throw new Error('Inventory-only runs cannot be resumed - start a new run instead');
+    }
+
+    if (!this.shopifyClient.initialized) {
+      await this.shopifyClient.initialize();
+    }
+
+    // Dry runs write nothing, so they get no checkpoint (a dry resume only reads one); inventory-only
+    // runs write no products and are simply run again
+    let checkpoint = null;
+    if (resumeRunId) {
+      checkpoint = await this.resumeCheckpoint(adapter, resumeRunId, dryRun);
+      ({ fetchOptions, enableFiltering } = checkpoint.data);
+    } else if (!dryRun && !inventoryOnly) {
+      checkpoint = RunCheckpoint.create({
+        supplier: adapter.name,
+        inputHash: await adapter.inputHash(fetchOptions),
+        fetchOptions,
+        enableFiltering
+      });
+      logger.info(`Run ID: ${checkpoint.runId} (checkpoint: ${checkpoint.filePath})`);
+    }
+    results.runId = checkpoint ? checkpoint.runId : null;
+    const recorder = dryRun ? null : checkpoint;
+
+    // Products written by the run carry its ID, so rollbackRun.js can tell they are still as the run left them
+    this.shopifyClient.runId = recorder ? recorder.runId : null;
+
+    // Dry and inventory-only runs (a dry resume too) write no checkpoint, so their report gets its own ID; a resumed
+    // run adds to the report items of its earlier attempts (failed ones are retried and replaced)
+    const report = new RunReport(recorder ? recorder.runId : RunReport.newRunId(`${adapter.name}-${inventoryOnly ? 'inventory' : 'dry-run'}`), {
+      title: `${adapter.name} ${inventoryOnly ? 'inventory sync' : 'sync'}${dryRun ? ' (dry run)' : ''}`,
+      dryRun
+    });
+
+    adapter.filterEngine.resetStats();
+    // Lowercased SKUs accepted so far, to drop duplicates: the one per-SKU collection a run keeps in memory
+    const seenSkus = new Set();
+    const failedPages = new Set();
+    // Per-SKU data needed after the last page goes to files, so memory does not grow with the feed
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `sync-${adapter.name}-`));
+    const state = {
+      results,
+      dryRun,
+      checkpoint,
+      recorder,
+      report,
+      // Products are captured before every overwrite; only runs with a checkpoint write products
+      snapshot: recorder ? new ProductSnapshot(this.shopifyClient, recorder.runId) : null,
+      inventoryOnly,
+      resuming: Boolean(checkpoint && resumeRunId),
+      productIndex: null,
+      feedLog: new JsonLinesFile(path.join(workDir, 'feed.jsonl')), // { sku, state } of every record, for discontinued handling
+      inventoryLog: new JsonLinesFile(path.join(workDir, 'inventory.jsonl')), // Variants of the accepted products
+      productCount: 0, // Products handed to syncProducts, for the limit
+      // Dry runs write the requests they would send, with a diff against the live products, for review
+      dryRunDiff: dryRun && !inventoryOnly ? new DryRunDiff(this.shopifyClient) : null,
+      limit,
+      limitReached: false
+    };
+    this.shopifyClient.dryRunDiff = state.dryRunDiff;
+    let carried = null; // Last group of the previous page: { rows, pages }
+    let skippedPages = false;
+
+    try {
+      const skipPages = checkpoint ? checkpoint.data.completedPages : [];
+      skippedPages = skipPages.length > 0;
+      const pages = adapter.fetchPages({ ...fetchOptions, skipPages });
+
+      for await (const page of pages) {
+        if (page.error) {
+          logger.error(`Error fetching ${page.label}:`, page.error.message);
+          results.errors++;
+          results.errorDetails.push({ type: 'page_error', page: page.label, error: page.error.message });
+          continue;
+        }
+
+        results.pagesProcessed++;
+        results.totalFetched += page.records.length;
+        logger.info(`✓ Fetched ${page.records.length} records from ${page.label}`);
+
+        const records = enableFiltering ? adapter.filter(page.records) : page.records;
+        results.totalFiltered += records.length;
+        if (enableFiltering) {
+          logger.info(`✓ ${records.length} records passed filtering criteria`);
+        }
+        this.trackFeedSkus(adapter, page.records, records, state.feedLog);
+
+        const groups = this.groupRecords(adapter, records, carried ? carried.rows : [], seenSkus, results);
+
+        // The group of a page's last row may continue on the next page (more sizes of the same
+        // style), so it is held back and written with that page
+        const lastRow = groups.length > 0 ? (records[records.length - 1] || carried?.rows[0]) : null;
+        const heldIndex = adapter.productMapper.hasGrouping ? groups.findIndex(rows => rows.includes(lastRow)) : -1;
+        const held = heldIndex !== -1 ? groups.splice(heldIndex, 1)[0] : null;
+        const heldPages = !held ? [] : (carried && held.includes(carried.rows[0]) ? [...carried.pages, page.page] : [page.page]);
+        const writtenPages = carried ? [...carried.pages, page.page] : [page.page];
+
+        const products = this.applyLimit(this.normalizeGroups(adapter, groups, state), state);
+        const errors = await this.syncProducts(products, page.page, page.label, state);
+        if (errors > 0) {
+          writtenPages.forEach(number => failedPages.add(number));
+        }
+
+        if (state.limitReached) {
+          // The page may have products beyond the limit, so it stays open for a resume
+          logger.info(`Limit of ${limit} products reached - not fetching further pages`);
+          carried = null;
+          break;
+        }
+
+        // A page with failed items stays open so a resume fetches it again
+        if (recorder) {
+          writtenPages
+            .filter(number => !heldPages.includes(number) && !failedPages.has(number))
+            .forEach(number => recorder.completePage(number));
+        }
+        carried = held ? { rows: held, pages: heldPages } : null;
+      }
+
+      if (carried) {
+        const lastPage = carried.pages[carried.pages.length - 1];
+        const products = this.applyLimit(this.normalizeGroups(adapter, [carried.rows], state), state);
+        const errors = await this.syncProducts(products, lastPage, `last group of page ${lastPage}`, state);
+        if (recorder && errors === 0 && !state.limitReached) {
+          carried.pages.filter(number => !failedPages.has(number)).forEach(number => recorder.completePage(number));
+        }
+      }
+    } catch (error) {
+      fs.rmSync(workDir, { recursive: true, force: true });
+      this.shopifyClient.imagePipeline.save();
+      this.shopifyClient.dryRunDiff = null;
+      if (recorder) {
+        recorder.finish('failed', results);
+        logger.error(`Run ${recorder.runId} failed - resume with --resume ${recorder.runId}`);
+      }
+      this.addFeedStats(adapter, results);
+      report.write('failed', { ...results, error: error.message });
+      throw error;
+    }
+
+    this.shopifyClient.imagePipeline.save();
+
+    // Inventory-only pass: quantities and unit costs through inventory items at the supplier's location
+    try {
+      results.inventory = await this.reconcileInventory(adapter, state);
+      results.errors += results.inventory.errors;
+      results.errorDetails.push(...results.inventory.errorDetails);
+    } catch (error) {
+      logger.error('✗ Inventory reconciliation failed:', error.message);
+      results.errors++;
+      results.errorDetails.push({ type: 'inventory_error', item: 'inventory', error: error.message });
+    }
+
+    // SKUs missing from a partial feed may just be on pages this run did not see (inventory-only
+    // runs leave discontinued handling to the full syncs, so they do not add to the miss counts)
+    if (!inventoryOnly) {
+      const pageErrors = results.errorDetails.some(detail => detail.type === 'page_error');
+      results.discontinued = await this.discontinuedHandler.apply(adapter, this.readFeedStates(adapter, state.feedLog), {
+        dryRun,
+        detectVanished: adapter.isFullFeed(fetchOptions) && !pageErrors && !skippedPages && !state.limitReached,
+        snapshot: state.snapshot
+      });
+      results.errors += results.discontinued.errors;
+      results.errorDetails.push(...results.discontinued.errorDetails);
+    }
+
+    fs.rmSync(workDir, { recursive: true, force: true });
+    results.limitReached = state.limitReached;
+    this.addFeedStats(adapter, results);
+    results.filterSummary = adapter.filterEngine.getSummary();
+    results.snapshotPath = state.snapshot?.captured ? state.snapshot.filePath : null;
+    if (state.dryRunDiff) {
+      this.shopifyClient.dryRunDiff = null;
+      results.dryRunDiffPath = await state.dryRunDiff.write(report.dir, { title: report.title, writeMode: this.shopifyClient.writeMode });
+    }
+    const status = results.errors > 0 ? 'completed_with_errors' : 'completed';
+    if (recorder) {
+      recorder.finish(status, results);
+    }
+    results.reportDir = report.write(status, results);
+
+    this.logResults(adapter, results);
+    return results;
+  }
+
+  /**
+   * Add the adapter's row counts (rows read from its file, rows kept, rows that could not be read) to the results
+   */
+  addFeedStats(adapter, results) {
+    const feedStats = adapter.feedStats();
+    if (feedStats) {
+      results.rowsRead = feedStats.totalRows;
+      results.rowsProcessed = feedStats.processedRows;
+      results.rowErrors = feedStats.errors;
+    }
+  }
+
+  /**
+   * Load a checkpoint to resume, checking it belongs to this adapter and its input is unchanged
+   */
+  async resumeCheckpoint(adapter, runId, dryRun = false) {
+    const checkpoint = RunCheckpoint.load(runId);
+    const { supplier, fetchOptions, inputHash } = checkpoint.data;
+
+    if (supplier !== adapter.name) {
+      throw new Error(`Run ${runId} belongs to ${supplier}, not ${adapter.name}`);
+    }
+
+    if (checkpoint.data.status === 'rolled_back') {
+      throw new Error(`Run ${runId} was rolled back by ${checkpoint.data.rolledBackBy} - start a new run instead of resuming`);
+    }
+
+    if (await adapter.inputHash(fetchOptions) !== inputHash) {
+      throw new Error(`Input for run ${runId} has changed since it started - start a new run instead of resuming`);
+    }
+
+    checkpoint.loadOpenItems();
+    logger.info(`Resuming run ${runId}: ${checkpoint.completedCount} SKUs completed, ${checkpoint.failedCount} failed, ${checkpoint.data.completedPages.length} pages completed`);
+    if (!dryRun) {
+      checkpoint.markResumed();
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Record the state of every SKU in a page: active when accepted, otherwise
+   * discontinued (not active per the supplier mapping) or filtered
+   * @param {JsonLinesFile} feedLog - Feed states of the run (see readFeedStates)
+   */
+  trackFeedSkus(adapter, allRecords, acceptedRecords, feedLog) {
+    const accepted = new Set(acceptedRecords);
+    const entries = [];
+
+    allRecords.forEach(record => {
+      const sku = adapter.skuOf(record);
+      if (!sku) return;
+
+      const state = accepted.has(record) ? 'active' : (adapter.productMapper.isActive(record) ? 'filtered' : 'discontinued');
+      entries.push({ sku: sku.trim().toLowerCase(), state });
+    });
+
+    feedLog.append(entries);
+  }
+
+  /**
+   * State in this run's feed of the SKUs the product store holds for the adapter's source (a SKU
+   * accepted anywhere in the feed is active); the only SKUs discontinued handling looks at
+   */
+  readFeedStates(adapter, feedLog) {
+    const store = this.shopifyClient.productStore;
+    const states = new Map();
+
+    for (const { sku, state } of feedLog.entries()) {
+      if (store.get(sku)?.source !== adapter.source) continue;
+      if (state === 'active' || states.get(sku) !== 'active') {
+        states.set(sku, state);
+      }
+    }
+
+    return states;
+  }
+
+  /**
+   * Reconcile the inventory of the accepted products in chunks, leaving out SKUs that failed to sync
+   * @returns {Promise<object>} Summed InventorySync.reconcile results
+   */
+  async reconcileInventory(adapter, state) {
+    const { results, dryRun } = state;
+    const failedSkus = new Set(results.errorDetails.map(detail => String(detail.item || '').toLowerCase()));
+    const options = { location: adapter.productMapper.inventoryLocation, dryRun };
+    const totals = { checked: 0, quantityUpdates: 0, activated: 0, costUpdates: 0, missingItems: 0, errors: 0, errorDetails: [] };
+
+    const reconcile = async variants => {
+      const chunkResults = await this.shopifyClient.inventorySync.reconcile(variants, options);
+      Object.keys(totals).forEach(key => {
+        if (key === 'errorDetails') {
+          totals.errorDetails.push(...chunkResults.errorDetails);
+        } else {
+          totals[key] += chunkResults[key];
+        }
+      });
+    };
+
+    let variants = [];
+    for (const product of state.inventoryLog.entries()) {
+      if (failedSkus.has(String(product.sku).toLowerCase())) continue;
+      variants.push(...product.variants);
+      if (variants.length >= INVENTORY_CHUNK_SIZE) {
+        await reconcile(variants);
+        variants = [];
+      }
+    }
+    if (variants.length > 0) {
+      await reconcile(variants);
+    }
+
+    return totals;
+  }
+
+  /**
+   * Group records into products, dropping SKUs already seen earlier in the run
+   * @param {Array} carriedRows - Group held back from the previous page, grouped again with this page
+   */
+  groupRecords(adapter, records, carriedRows, seenSkus, results) {
+    const unique = records.filter(record => {
+      const sku = adapter.skuOf(record);
+      if (!sku) return true;
+
+      const key = sku.trim().toLowerCase();
+      if (seenSkus.has(key)) {
+        logger.debug(`Duplicate SKU skipped: ${sku}`);
+        results.duplicates++;
+        return false;
+      }
+      seenSkus.add(key);
+      return true;
+    });
+
+    return adapter.group([...carriedRows, ...unique]);
+  }
+
+  /**
+   * Normalize groups of records into products
+   * @param {object} state - Run state (mapping failures are added to its results and report)
+   */
+  normalizeGroups(adapter, groups, state) {
+    const { results, report } = state;
+    const products = [];
+
+    groups.forEach(rows => {
+      try {
+        products.push(adapter.normalizeGroup(rows));
+      } catch (error) {
+        logger.error(`✗ Failed to map record from ${adapter.name}:`, error.message);
+        results.errors++;
+        results.errorDetails.push({ item: 'Unknown', error: `Mapping failed: ${error.message}` });
+        report.addItems(rows.map(row => ({ sku: adapter.skuOf(row), action: 'error', error: `Mapping failed: ${error.message}` })));
+      }
+    });
+
+    return products;
+  }
+
+  /**
+   * Keep the products that fit under the run's limit (counting every product handed to syncProducts so far)
+   */
+  applyLimit(products, state) {
+    if (!state.limit) {
+      return products;
+    }
+
+    const remaining = Math.max(state.limit - state.productCount, 0);
+    if (products.length >= remaining) {
+      state.limitReached = true;
+      return products.slice(0, remaining);
+    }
+    return products;
+  }
+
+  /**
+   * Write the products of one page and add their counts to the run results
+   * @param {number} page - Page number the products came from
+   * @param {object} state - Run state: results, dryRun, checkpoint, recorder, report, snapshot, inventoryOnly, resuming, productIndex,
+   *   feedLog, inventoryLog, productCount, limit, limitReached
+   * @returns {number} Errors while writing
+   */
+  async syncProducts(products, page, label, state) {
+    const { results, dryRun, checkpoint, recorder } = state;
+    // Only what the inventory pass reads is kept (see InventorySync.reconcile)
+    state.productCount += products.length;
+    state.inventoryLog.append(products.map(product => ({
+      sku: product.sku,
+      variants: product.variants.map(({ sku, inventoryQuantity, unitCost }) => ({ sku, inventoryQuantity, unitCost }))
+    })));
+
+    if (state.inventoryOnly) {
+      return 0;
+    }
+
+    // Resumed runs only write SKUs that failed or were never reached (rows of a product written before the
+    // interruption can come back on their own when the product spanned pages)
+    if (state.resuming) {
+      const remaining = products.filter(product => !(product.skus?.length ? product.skus : [product.sku])
+        .every(sku => checkpoint.isCompleted(sku)));
+      results.alreadyCompleted += products.length - remaining.length;
+      if (remaining.length < products.length) {
+        logger.info(`${products.length - remaining.length} products already completed in run ${checkpoint.runId}`);
+      }
+      products = remaining;
+    }
+
+    if (products.length === 0) {
+      logger.info(`No products to process from ${label}`);
+      return 0;
+    }
+
+    // Resolve existing products once (local product store, live catalog as fallback)
+    state.productIndex = await this.shopifyClient.getProductIndex(products, state.productIndex);
+
+    // Capture the products this page is about to overwrite (a failed capture fails the run before any write)
+    if (state.snapshot) {
+      await state.snapshot.capture(this.shopifyClient.plannedUpdateIds(products, state.productIndex), 'update');
+    }
+
+    const pageResults = this.shopifyClient.writeMode === 'bulk'
+      ? await this.processBulk(products, state.productIndex, dryRun, recorder, page)
+      : await this.processBatches(products, state.productIndex, dryRun, recorder, page);
+
+    results.totalProcessed += pageResults.totalProcessed;
+    results.created += pageResults.created;
+    results.updated += pageResults.updated;
+    results.skipped += pageResults.skipped;
+    results.errors += pageResults.errors;
+    results.errorDetails.push(...pageResults.errorDetails);
+    state.report.addOutcomes(pageResults.outcomes, products);
+
+    logger.info(`✓ ${label} processed: ${pageResults.created} created, ${pageResults.updated} updated, ${pageResults.skipped} skipped, ${pageResults.errors} errors`);
+    return pageResults.errors;
+  }
+
+  /**
+   * Upsert products in batches with limited concurrency
+   * @param {Array} products - Normalized products
+   * @param {object} productIndex - Existing product index from ShopifyClient.getProductIndex()
+   * @param {RunCheckpoint} checkpoint - Records per-SKU outcomes (null for dry runs)
+   * @param {number} page - Page number the products came from
+   */
+  async processBatches(products, productIndex, dryRun, checkpoint = null, page = 1) {
+    const results = {
+      totalProcessed: 0,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      errors: 0,
+      errorDetails: [],
+      outcomes: []
+    };
+
+    const batches = [];
+    for (let i = 0; i < products.length; i += this.batchSize) {
+      batches.push(products.slice(i, i + this.batchSize));
+    }
+
+    logger.info(`Created ${batches.length} batches of ${this.batchSize} products each (write mode: ${this.shopifyClient.writeMode})`);
+
+    // Process batches with limited concurrency
+    for (let i = 0; i < batches.length; i += this.maxConcurrentBatches) {
+      const concurrentBatches = batches.slice(i, i + this.maxConcurrentBatches);
+
+      if (concurrentBatches.length > 1) {
+        logger.info(`Processing ${concurrentBatches.length} batches concurrently (batches ${i + 1}-${i + concurrentBatches.length})`);
+      }
+
+      const batchResults = await Promise.all(concurrentBatches.map((batch, batchIndex) =>
+        this.processSingleBatch(batch, i + batchIndex + 1, batches.length, productIndex, dryRun)
+      ));
+
+      if (checkpoint) {
+        batchResults.forEach(batchResult => checkpoint.recordOutcomes(batchResult.outcomes, page, products));
+        checkpoint.completeBatch(page, i + concurrentBatches.length);
+      }
+
+      batchResults.forEach(batchResult => {
+        results.totalProcessed += batchResult.processed;
+        results.created += batchResult.created;
+        results.updated += batchResult.updated;
+        results.skipped += batchResult.skipped;
+        results.errors += batchResult.errors;
+        results.errorDetails.push(...batchResult.errorDetails);
+        results.outcomes.push(...batchResult.outcomes);
+      });
+
+      // Optional delay between batch groups (except for the last group)
+      if (this.delayBetweenBatches > 0 && i + this.maxConcurrentBatches < batches.length) {
+        logger.info(`Waiting ${this.delayBetweenBatches}ms before next batch group...`);
+        await new Promise(resolve => setTimeout(resolve, this.delayBetweenBatches));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Upsert a single batch of products
+   */
+  async processSingleBatch(batch, batchIndex, totalBatches, productIndex, dryRun) {
+    const batchResult = {
+      processed: 0,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      errors: 0,
+      errorDetails: [],
+      outcomes: []
+    };
+
+    logger.info(`Processing batch ${batchIndex}/${totalBatches} (${batch.length} products)`);
+
+    try {
+      const shopifyResult = await this.shopifyClient.processBatchDirect(batch, { dryRun, productIndex });
+
+      batchResult.processed = batch.length;
+      batchResult.created = shopifyResult.created;
+      batchResult.updated = shopifyResult.updated;
+      batchResult.skipped = shopifyResult.skipped;
+      batchResult.errors = shopifyResult.errors;
+      batchResult.errorDetails = shopifyResult.errorDetails || [];
+      batchResult.outcomes = shopifyResult.outcomes || [];
+
+      logger.info(`✓ Batch ${batchIndex} completed: ${shopifyResult.created} created, ${shopifyResult.updated} updated, ${shopifyResult.skipped} skipped, ${shopifyResult.errors} errors`);
+
+    } catch (error) {
+      logger.error(`✗ Batch ${batchIndex} failed:`, error.message);
+      batchResult.errors = batch.length;
+      batchResult.errorDetails = [{
+        batch: batchIndex,
+        error: error.message,
+        items: batch.map(product => product.sku).join(', ')
+      }];
+      batchResult.outcomes = batch.map(product => ({ item: product.sku, type: 'error', error: error.message }));
+    }
+
+    return batchResult;
+  }
+
+  /**
+   * Plan creates/updates against the product index and write them with a single
+   * bulkOperationRunMutation (for runs of thousands of products)
+   */
+  async processBulk(products, productIndex, dryRun, checkpoint = null, page = 1) {
+    const { productsToCreate, productsToUpdate } = this.shopifyClient.categorizeProducts(
+      products,
+      productIndex.bySku,
+      productIndex.byTitle,
+      true
+    );
+
+    const items = [...productsToCreate, ...productsToUpdate];
+    logger.info(`Bulk plan: ${productsToCreate.length} to create, ${productsToUpdate.length} to update`);
+
+    const bulkResult = await this.shopifyClient.processBulkProductSet(items, { dryRun });
+
+    const planned = new Set(items.map(item => item.product));
+    const outcomes = [
+      ...bulkResult.outcomes,
+      ...products.filter(product => !planned.has(product)).map(product => ({ item: product.sku, type: 'skipped' }))
+    ];
+
+    if (checkpoint) {
+      checkpoint.recordOutcomes(outcomes, page, products);
+      checkpoint.completeBatch(page, 1);
+    }
+
+    return {
+      totalProcessed: products.length,
+      created: bulkResult.created,
+      updated: bulkResult.updated,
+      skipped: products.length - items.length,
+      errors: bulkResult.errors,
+      errorDetails: bulkResult.errorDetails,
+      outcomes
+    };
+  }
+
+  logResults(adapter, results) {
+    logger.info('\n' + '='.repeat(50));
+    logger.info(`=== SYNC COMPLETE (${adapter.name}) ===`);
+    logger.info(`Pages processed: ${results.pagesProcessed}`);
+    if (results.rowsRead !== undefined) {
+      logger.info(`Rows read: ${results.rowsRead} (${results.rowsProcessed} with data, ${results.rowErrors} could not be read)`);
+    }
+    logger.info(`Records fetched: ${results.totalFetched}`);
+    logger.info(`Records after filtering: ${results.totalFiltered}`);
+    logger.info(`Duplicate SKUs skipped: ${results.duplicates}`);
+    if (results.alreadyCompleted > 0) {
+      logger.info(`Already completed (resumed run): ${results.alreadyCompleted}`);
+    }
+    logger.info(`Products processed: ${results.totalProcessed}${results.limitReached ? ' (stopped at --limit)' : ''}`);
+    logger.info(`Successfully created: ${results.created}`);
+    logger.info(`Successfully updated: ${results.updated}`);
+    logger.info(`Skipped (no changes): ${results.skipped}`);
+    logger.info(`Errors: ${results.errors}`);
+
+    if (results.inventory) {
+      const { quantityUpdates, activated, costUpdates } = results.inventory;
+      logger.info(`Inventory: ${quantityUpdates} quantities set, ${activated} activated at location, ${costUpdates} unit costs set`);
+    }
+
+    if (results.filterSummary.evaluated > 0) {
+      adapter.filterEngine.logSummary();
+    }
+
+    if (results.discontinued) {
+      this.discontinuedHandler.logResults(results.discontinued);
+    }
+
+    if (results.errors > 0) {
+      logger.info('\nRecent errors:');
+      results.errorDetails.slice(-5).forEach((detail, index) => {
+        logger.error(`${index + 1}. ${detail.item || detail.page || `batch ${detail.batch}`}: ${detail.error}`);
+      });
+    }
+
+    if (results.runId) {
+      logger.info(`Run ID: ${results.runId}${results.errors > 0 ? ` (retry failed items with --resume ${results.runId})` : ''}`);
+      logger.info(`Undo this run with: treasures rollback ${results.runId} --dry-run`);
+    }
+    if (results.reportDir) {
+      logger.info(`Report: ${results.reportDir}/report.html (all ${results.errorDetails.length} error details in summary.json)`);
+    }
+    if (results.snapshotPath) {
+      logger.info(`Snapshot of overwritten products: ${results.snapshotPath} (restore with: treasures restore ${results.runId})`);
+    }
+    if (results.dryRunDiffPath) {
+      logger.info(`Dry-run diff (payloads and before/after of every change): ${results.dryRunDiffPath}`);
+    }
+
+    logger.info('='.repeat(50));
+  }
+}
+
+module.exports = SyncEngine;
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of the field-group change detection (no Shopify credentials needed)
+ */
+
+const assert = require('assert');
+const ChangeDetector = require('./src/changeDetector');
+const logger = require('./src/logger');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    logger.info(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    logger.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+// Mapped payload of a two-variant ring
+const mapped = (overrides = {}) => ({
+  title: '14K Gold Band Ring',
+  body_html: '<h3>Band</h3>\n<p>Polished</p>',
+  vendor: 'QGold',
+  product_type: 'Rings',
+  status: 'active',
+  tags: 'Premier, Gold',
+  seo_title: 'Gold Band',
+  seo_description: 'A polished band',
+  metafields: [{ namespace: 'supplier', key: 'style', type: 'single_line_text_field', value: 'R100' }],
+  options: [{ name: 'Ring Size' }],
+  variants: [
+    { sku: 'R100-6', option1: '6', price: '400.00', compare_at_price: null, barcode: '111', weight: 3.2 },
+    { sku: 'R100-7', option1: '7', price: '400.00', compare_at_price: null, barcode: '112', weight: 3.4 }
+  ],
+  ...overrides
+});
+
+// The same product as a REST listing returns it (no SEO fields or metafields, weight in ounces)
+const live = (overrides = {}) => ({
+  title: '14K Gold Band Ring',
+  body_html: '<h3>Band</h3> <p>Polished</p>',
+  vendor: 'QGold',
+  product_type: 'Rings',
+  status: 'active',
+  tags: 'Gold, Premier',
+  options: [{ name: 'Ring Size' }],
+  variants: [
+    { sku: 'r100-7', option1: '7', price: '400.0', compare_at_price: null, barcode: '112', weight: 0.12, weight_unit: 'oz' },
+    { sku: 'R100-6', option1: '6', price: '400', compare_at_price: '', barcode: '111', weight: 3, weight_unit: 'g' }
+  ],
+  ...overrides
+});
+
+function testChangeDetector() {
+  logger.info('=== Testing Change Detector ===');
+  const detector = new ChangeDetector();
+
+  check('every field group is hashed', () => {
+    assert.deepStrictEqual(Object.keys(detector.fieldHashes(mapped())), detector.groups);
+  });
+
+  check('hashes ignore tag order, price formatting and SKU case', () => {
+    const before = detector.fieldHashes(mapped());
+    const after = detector.fieldHashes(mapped({
+      tags: ' Gold,Premier ',
+      variants: mapped().variants.map(variant => ({ ...variant, sku: variant.sku.toLowerCase(), price: '400' }))
+    }));
+    assert.deepStrictEqual(detector.diffHashes(after, before), []);
+  });
+
+  check('a change only touches its own field group', () => {
+    const before = detector.fieldHashes(mapped());
+    assert.deepStrictEqual(detector.diffHashes(detector.fieldHashes(mapped({ title: 'New' })), before), ['title']);
+    assert.deepStrictEqual(detector.diffHashes(detector.fieldHashes(mapped({ seo_description: 'New' })), before), ['seo']);
+
+    const repriced = mapped({ variants: mapped().variants.map(variant => ({ ...variant, compare_at_price: '500.00' })) });
+    assert.deepStrictEqual(detector.diffHashes(detector.fieldHashes(repriced), before), ['price']);
+
+    const added = mapped({ variants: [...mapped().variants, { sku: 'R100-8', option1: '8', price: '400.00', weight: 3.6 }] });
+    assert.deepStrictEqual(detector.diffHashes(detector.fieldHashes(added), before), ['variants', 'price', 'variant_details']);
+  });
+
+  check('groups missing from the synced hashes count as changed', () => {
+    const hashes = detector.fieldHashes(mapped());
+    const { category, ...older } = hashes;
+    assert.deepStrictEqual(detector.diffHashes(hashes, older), ['category']);
+    assert.deepStrictEqual(detector.diffHashes(hashes, null), detector.groups);
+  });
+
+  check('a live product matching the payload only needs SEO and metafields written once', () => {
+    assert.deepStrictEqual(detector.diffLive(mapped(), live()), ['seo', 'metafields']);
+    const withExtras = live({ seo_title: 'Gold Band', seo_description: 'A polished band', metafields: [{ namespace: 'supplier', key: 'style', value: 'R100' }] });
+    assert.deepStrictEqual(detector.diffLive(mapped(), withExtras), []);
+  });
+
+  check('live differences are reported per group, variants matched by SKU', () => {
+    const changed = live({
+      status: 'draft',
+      variants: [
+        { sku: 'R100-6', option1: '6', price: '380.00', barcode: '111', weight: 3, weight_unit: 'g' },
+        { sku: 'R100-7', option1: '7', price: '400.00', barcode: '999', weight: 3.4, weight_unit: 'g' }
+      ]
+    });
+    assert.deepStrictEqual(detector.diffLive(mapped({ seo_title: null, seo_description: null, metafields: [] }), changed), ['status', 'price', 'variant_details']);
+  });
+
+  check('a single-variant product found by title is compared through its first variant', () => {
+    const single = mapped({ variants: [{ sku: 'S1', price: '180.00', barcode: '1', weight: 2 }], seo_title: null, seo_description: null, metafields: [] });
+    const untagged = live({ variants: [{ sku: '', price: '150.00', barcode: '1', weight: 2, weight_unit: 'g' }] });
+    assert.deepStrictEqual(detector.diffLive(single, untagged), ['price']);
+  });
+
+  check('fieldDiff lists before and after values, with added and removed variants', () => {
+    const payload = mapped({
+      title: 'New Title',
+      variants: [mapped().variants[0], { sku: 'R100-8', option1: '8', price: '400.00', weight: 3.6 }]
+    });
+    const differences = detector.fieldDiff(payload, live());
+    const byField = Object.fromEntries(differences.map(difference => [difference.field, difference]));
+
+    assert.deepStrictEqual(byField.title, { group: 'title', field: 'title', before: '14K Gold Band Ring', after: 'New Title' });
+    assert.deepStrictEqual(byField['variants[R100-8]'], { group: 'variants', field: 'variants[R100-8]', before: null, after: 'added' });
+    assert.deepStrictEqual(byField['variants[r100-7]'], { group: 'variants', field: 'variants[r100-7]', before: 'present', after: 'removed' });
+    assert.strictEqual(byField['variants[R100-6].price'], undefined, 'same price in another format');
+    assert.strictEqual(byField.body_html, undefined, 'same HTML with other whitespace');
+  });
+
+  if (failures === 0) {
+    logger.info('✅ Change detector tests PASSED');
+  } else {
+    logger.error(`❌ Change detector tests FAILED (${failures} failed)`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  testChangeDetector();
+}
+
+module.exports = testChangeDetector;
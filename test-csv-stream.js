@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of the bounded-memory CSV pipeline (no Shopify credentials needed): streamRows
+ * only reads ahead of the consumer by a buffer, stops reading when the consumer stops,
+ * and the run files it spills to are read back intact
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-csv-stream-'));
+process.env.RUNS_DIR = path.join(tmpDir, 'runs');
+
+const CSVProcessor = require('./src/csvProcessor');
+const JsonLinesFile = require('./src/jsonLinesFile');
+const RunCheckpoint = require('./src/runCheckpoint');
+const logger = require('./src/logger');
+
+// Large enough that the parser's read-ahead (16 chunks of 64KB) is a small part of the file
+const ROWS = 300000;
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    logger.info(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    logger.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * CSVProcessor whose read streams are kept, to see how far into the file they got
+ */
+function watchedProcessor() {
+  const processor = new CSVProcessor();
+  const streams = [];
+  const createReadStream = fs.createReadStream;
+  fs.createReadStream = (...args) => {
+    const stream = createReadStream(...args);
+    streams.push(stream);
+    return stream;
+  };
+  processor.restore = () => {
+    fs.createReadStream = createReadStream;
+  };
+  processor.streams = streams;
+  return processor;
+}
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function testCsvStream() {
+  logger.info('=== Testing CSV Streaming ===');
+
+  const feedPath = path.join(tmpDir, 'feed.csv');
+  const lines = ['Item,Description,MSRP'];
+  for (let i = 0; i < ROWS; i++) {
+    lines.push(`SKU${i},"Ring, size ${i % 12}",${100 + (i % 900)}`);
+  }
+  fs.writeFileSync(feedPath, lines.join('\n') + '\n');
+  const fileSize = fs.statSync(feedPath).size;
+
+  await check('a paused consumer holds back the file read (backpressure)', async () => {
+    const processor = watchedProcessor();
+    try {
+      const rows = processor.streamRows(feedPath);
+      for (let i = 0; i < 10; i++) {
+        await rows.next();
+      }
+      // Give the file stream time to run ahead if nothing held it back
+      await pause(200);
+      const [stream] = processor.streams;
+      const bytesRead = stream.bytesRead;
+      await pause(200);
+
+      assert.strictEqual(stream.bytesRead, bytesRead, 'reading stopped while the consumer waits');
+      assert.ok(bytesRead < fileSize / 4, `read ${bytesRead} of ${fileSize} bytes for 10 rows`);
+      assert.strictEqual(processor.getStats().totalRows, 10);
+      await rows.return();
+    } finally {
+      processor.restore();
+    }
+  });
+
+  await check('stopping early closes the file', async () => {
+    const processor = watchedProcessor();
+    try {
+      let taken = 0;
+      for await (const row of processor.streamRows(feedPath)) {
+        assert.strictEqual(row.Item, `SKU${taken}`);
+        if (++taken === 5) break;
+      }
+      await pause(50);
+      assert.ok(processor.streams[0].destroyed, 'read stream destroyed');
+    } finally {
+      processor.restore();
+    }
+  });
+
+  await check('every row is read in order, with row, kept and error counts', async () => {
+    const processor = new CSVProcessor();
+    let count = 0;
+    let last = null;
+    for await (const batch of processor.streamBatches(feedPath, { batchSize: 7000 })) {
+      assert.ok(batch.length <= 7000);
+      count += batch.length;
+      last = batch[batch.length - 1];
+    }
+    assert.strictEqual(count, ROWS);
+    assert.deepStrictEqual(last, { Item: `SKU${ROWS - 1}`, Description: `Ring, size ${(ROWS - 1) % 12}`, MSRP: String(100 + ((ROWS - 1) % 900)) });
+    const { totalRows, processedRows, errors } = processor.getStats();
+    assert.deepStrictEqual({ totalRows, processedRows, errors }, { totalRows: ROWS, processedRows: ROWS, errors: 0 });
+  });
+
+  await check('empty rows are dropped and row errors counted without stopping the file', async () => {
+    const smallPath = path.join(tmpDir, 'small.csv');
+    fs.writeFileSync(smallPath, 'Item,MSRP\nA, 10 \n , \nBAD,1\nC,\n');
+    const processor = new CSVProcessor();
+    const processRow = processor.processRow.bind(processor);
+    processor.processRow = row => {
+      if (row.Item === 'BAD') throw new Error('unreadable row');
+      return processRow(row);
+    };
+
+    const rows = [];
+    for await (const row of processor.streamRows(smallPath)) rows.push(row);
+    assert.deepStrictEqual(rows, [{ Item: 'A', MSRP: '10' }, { Item: 'C' }]);
+    const { totalRows, processedRows, errors } = processor.getStats();
+    assert.deepStrictEqual({ totalRows, processedRows, errors }, { totalRows: 4, processedRows: 2, errors: 1 });
+  });
+
+  await check('rows written from a generator or an async stream are escaped and counted', async () => {
+    const processor = new CSVProcessor();
+    const outputPath = path.join(tmpDir, 'out', 'rows.csv');
+    const rows = function* () {
+      yield { sku: 'A', title: 'Ring, "Gold"' };
+      yield { sku: 'B', title: 'Two\nlines' };
+    };
+    assert.strictEqual(processor.writeFile(outputPath, rows(), ['sku', 'title']), 2);
+    const written = fs.readFileSync(outputPath, 'utf8');
+    assert.strictEqual(written, 'sku,title\nA,"Ring, ""Gold"""\nB,"Two\nlines"\n');
+
+    const copyPath = path.join(tmpDir, 'out', 'copy.csv');
+    assert.strictEqual(await processor.writeStream(copyPath, processor.streamRows(outputPath), ['sku', 'title']), 2);
+    assert.strictEqual(fs.readFileSync(copyPath, 'utf8'), written);
+  });
+
+  await check('JSON-lines files read back across chunk boundaries and skip a torn line', () => {
+    const log = new JsonLinesFile(path.join(tmpDir, 'log', 'items.jsonl'));
+    const entries = [];
+    for (let i = 0; i < 5000; i++) {
+      entries.push({ sku: `SKU${i}`, title: `Bague ${i} – or 18 carats ✓` });
+    }
+    log.append(entries.slice(0, 2500));
+    log.append(entries.slice(2500));
+    fs.appendFileSync(log.filePath, '{"sku":"TORN","ti');
+
+    const read = Array.from(log.entries());
+    assert.deepStrictEqual(read, entries);
+    log.remove();
+    assert.deepStrictEqual(Array.from(log.entries()), []);
+  });
+
+  await check('checkpoints keep counters in the header and outcomes in the item log', () => {
+    const checkpoint = RunCheckpoint.create({ supplier: 'qgold-csv', inputHash: 'hash' });
+    checkpoint.recordOutcomes([{ item: 'A', type: 'created', productId: 1 }, { item: 'B', type: 'error', error: 'boom' }], 1);
+    checkpoint.recordOutcomes([{ item: 'B', type: 'created', productId: 2 }], 1);
+    checkpoint.completePage(1);
+    checkpoint.recordOutcomes([{ item: 'C', type: 'updated', productId: 3, changes: ['price'] }], 2);
+    checkpoint.completeBatch(2, 1);
+
+    const header = JSON.parse(fs.readFileSync(path.join(process.env.RUNS_DIR, `${checkpoint.data.runId}.json`), 'utf8'));
+    assert.strictEqual(header.items, undefined);
+    assert.deepStrictEqual(header.counts, { created: 2, updated: 1, error: 0 });
+
+    const resumed = RunCheckpoint.load(checkpoint.data.runId);
+    resumed.loadOpenItems();
+    assert.ok(resumed.isCompleted('c'), 'outcomes of open pages are loaded');
+    assert.ok(!resumed.isCompleted('A'), 'outcomes of completed pages stay on disk');
+    assert.deepStrictEqual(Array.from(resumed.readItems().values()).map(item => `${item.sku}:${item.outcome}`), ['A:created', 'B:created', 'C:updated']);
+  });
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  if (failures === 0) {
+    logger.info('✅ CSV streaming tests PASSED');
+  } else {
+    logger.error(`❌ CSV streaming tests FAILED (${failures} failed)`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  testCsvStream();
+}
+
+module.exports = testCsvStream;
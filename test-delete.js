@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of the delete tool without Shopify credentials: query validation and matching,
+ * and the delete/archive paths against a stubbed client
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-delete-'));
+process.env.REPORTS_DIR = path.join(tmpDir, 'reports');
+process.env.SNAPSHOTS_DIR = path.join(tmpDir, 'snapshots');
+
+const ProductDeleter = require('./deleteProducts');
+const ProductStore = require('./src/productStore');
+const logger = require('./src/logger');
+
+const PRODUCTS = [
+  { id: 1, title: 'Gold Ring', vendor: 'QGold', status: 'active', product_type: 'Jewelry', tags: 'Rings, Sale', created_at: '2025-10-14T21:04:49-04:00', variants: [{ sku: 'R1' }] },
+  { id: 2, title: 'Silver Chain', vendor: 'QGold', status: 'draft', product_type: 'Jewelry', tags: 'Chains', created_at: '2025-10-15T01:30:00Z', variants: [{ sku: 'C1' }, { sku: 'C2' }] },
+  { id: 3, title: 'Mounting', vendor: 'Overnight Mountings', status: 'active', product_type: 'Mounting', tags: '', created_at: '2025-09-01T12:00:00Z', variants: [{ sku: 'M1' }] }
+];
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    logger.info(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    logger.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Deleter whose client answers from PRODUCTS; updateProduct and api.delete can be replaced per check
+ */
+function stubbedDeleter() {
+  const deleter = new ProductDeleter();
+  const client = deleter.shopifyClient;
+
+  client.initialized = true;
+  client.initialize = async () => {};
+  client.productStore = new ProductStore(path.join(tmpDir, `store-${Date.now()}-${Math.random()}.jsonl`));
+  client.getAllProducts = async () => PRODUCTS;
+  client.updateProduct = async (productId, updateData) => ({ ...PRODUCTS.find(product => product.id === productId), ...updateData });
+  client.api = {
+    delete: async () => ({ status: 200 }),
+    // Snapshot reads (ProductSnapshot.fetchProducts)
+    graphql: async (query, variables) => ({
+      data: {
+        data: {
+          nodes: variables.ids.map(gid => {
+            const product = PRODUCTS.find(candidate => `gid://shopify/Product/${candidate.id}` === gid);
+            return { id: gid, legacyResourceId: String(product.id), title: product.title, status: product.status.toUpperCase(), tags: [] };
+          })
+        }
+      }
+    })
+  };
+
+  return deleter;
+}
+
+async function testDelete() {
+  logger.info('=== Testing Delete Tool ===');
+  const deleter = new ProductDeleter();
+
+  await check('a query without criteria is refused', () => {
+    assert.throws(() => deleter.normalizeQuery({}), /No selection criteria/);
+  });
+
+  await check('invalid dates and time zones are refused', () => {
+    assert.throws(() => deleter.normalizeQuery({ createdFrom: '14/10/2025' }), /Invalid createdFrom/);
+    assert.throws(() => deleter.normalizeQuery({ vendors: 'qgold', timeZone: 'Mars/Base' }), /Invalid time zone/);
+  });
+
+  await check('created dates compare in the query time zone', () => {
+    const newYork = deleter.normalizeQuery({ createdFrom: '2025-10-14', createdTo: '2025-10-14', timeZone: 'America/New_York' });
+    assert.deepStrictEqual(deleter.filterProducts(PRODUCTS, newYork).map(product => product.id), [1, 2]);
+
+    const utc = deleter.normalizeQuery({ createdFrom: '2025-10-14', createdTo: '2025-10-14' });
+    assert.deepStrictEqual(deleter.filterProducts(PRODUCTS, utc).map(product => product.id), []);
+  });
+
+  await check('every criterion must match, lists match any entry case-insensitively', () => {
+    const criteria = deleter.normalizeQuery({ vendors: 'qgold', tags: 'SALE,chains', statuses: 'active' });
+    assert.deepStrictEqual(deleter.filterProducts(PRODUCTS, criteria).map(product => product.id), [1]);
+  });
+
+  await check('SKU lists match any variant SKU', () => {
+    const criteria = deleter.normalizeQuery({ skus: ['c2', 'nope'] });
+    assert.deepStrictEqual(deleter.filterProducts(PRODUCTS, criteria).map(product => product.id), [2]);
+  });
+
+  await check('not-in-feed only selects the supplier products whose SKUs all left the feed', () => {
+    const criteria = deleter.normalizeQuery({ notInFeed: 'qgold' });
+    criteria.feedSkus = { vendor: 'qgold', skus: new Set(['c1']) };
+    assert.deepStrictEqual(deleter.filterProducts(PRODUCTS, criteria).map(product => product.id), [1]);
+  });
+
+  await check('archive counts archived products as done', async () => {
+    const results = await stubbedDeleter().deleteProducts({ vendors: 'qgold' }, { archive: true, yes: true, delayBetweenBatches: 0 });
+    assert.strictEqual(results.archived, 2);
+    assert.strictEqual(results.errors, 0);
+    assert.ok(fs.existsSync(results.snapshotPath), 'snapshot written before archiving');
+  });
+
+  await check('archive reports the error updateProduct throws', async () => {
+    const archiver = stubbedDeleter();
+    archiver.shopifyClient.updateProduct = async () => {
+      throw new Error('Request failed with status code 422');
+    };
+    const results = await archiver.deleteProducts({ skus: 'R1' }, { archive: true, yes: true, delayBetweenBatches: 0 });
+    assert.strictEqual(results.archived, 0);
+    assert.strictEqual(results.errors, 1);
+    assert.strictEqual(results.errorDetails[0].error, 'Request failed with status code 422');
+  });
+
+  await check('delete removes the products and reports a missing one', async () => {
+    const remover = stubbedDeleter();
+    remover.shopifyClient.api.delete = async url => {
+      if (url === '/products/2.json') {
+        const error = new Error('Not Found');
+        error.response = { status: 404, data: {} };
+        throw error;
+      }
+      return { status: 200 };
+    };
+    const results = await remover.deleteProducts({ vendors: 'qgold' }, { yes: true, delayBetweenBatches: 0 });
+    assert.strictEqual(results.deleted, 1);
+    assert.strictEqual(results.errors, 1);
+    assert.match(results.errorDetails[0].error, /not found/);
+  });
+
+  await check('dry runs change nothing', async () => {
+    const dry = stubbedDeleter();
+    dry.shopifyClient.updateProduct = async () => assert.fail('updateProduct called in a dry run');
+    dry.shopifyClient.api.delete = async () => assert.fail('delete called in a dry run');
+    const results = await dry.deleteProducts({ vendors: 'qgold' }, { archive: true, dryRun: true, delayBetweenBatches: 0 });
+    assert.strictEqual(results.errors, 0);
+    assert.strictEqual(results.snapshotPath, null);
+    assert.deepStrictEqual([results.wouldArchive, results.archived, results.deleted], [2, 0, 0], 'dry-run hits are not counted as done');
+
+    const summary = JSON.parse(fs.readFileSync(path.join(results.reportDir, 'summary.json'), 'utf8'));
+    assert.deepStrictEqual([summary.results.wouldArchive, summary.results.archived], [2, 0]);
+  });
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  if (failures === 0) {
+    logger.info('✅ Delete tests PASSED');
+  } else {
+    logger.error(`❌ Delete tests FAILED (${failures} failed)`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  testDelete();
+}
+
+module.exports = testDelete;
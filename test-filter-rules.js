@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of the filter rule engine and the rulesets in config/filter-rules.json (no Shopify credentials needed)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FilterEngine = require('./src/filterEngine');
+const logger = require('./src/logger');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    logger.info(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    logger.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+// Engine with a single rule
+const oneRule = rule => new FilterEngine({ rules: [{ id: 'rule', ...rule }] });
+const passes = (engine, row) => engine.evaluate(row).accepted;
+
+function testFilterRules() {
+  logger.info('=== Testing Filter Rule Engine ===');
+
+  check('range parses prices and rejects missing values', () => {
+    const engine = oneRule({ include: { field: 'MSRP', range: { min: 100, max: 1000 } } });
+    assert.ok(passes(engine, { MSRP: '$1,000.00' }));
+    assert.ok(passes(engine, { MSRP: 100 }));
+    assert.ok(!passes(engine, { MSRP: '1000.01' }));
+    assert.ok(!passes(engine, { MSRP: '' }));
+    assert.ok(!passes(engine, {}));
+  });
+
+  check('contains and equals ignore case and surrounding spaces unless caseSensitive', () => {
+    assert.ok(passes(oneRule({ include: { field: 'Line', contains: ['Gold', 'Pearls'] } }), { Line: ' italian GOLD ' }));
+    assert.ok(passes(oneRule({ include: { field: 'Line', equals: 'premier' } }), { Line: 'Premier ' }));
+    assert.ok(!passes(oneRule({ include: { field: 'Line', equals: 'premier' } }), { Line: 'Premier Gold' }));
+    assert.ok(!passes(oneRule({ include: { field: 'Line', anyOf: ['RING'], caseSensitive: true } }), { Line: 'ring' }));
+  });
+
+  check('regex and present', () => {
+    const regex = oneRule({ include: { field: 'Item', regex: '^r\\d+' } });
+    assert.ok(passes(regex, { Item: 'R100-7' }));
+    assert.ok(!passes(regex, { Item: 'CH1' }));
+    assert.ok(!passes(oneRule({ include: { field: 'Item', present: true } }), { Item: '  ' }));
+    assert.ok(passes(oneRule({ include: { field: 'Item', present: false } }), {}));
+  });
+
+  check('multi-field rules match any field by default, or all of them', () => {
+    const any = oneRule({ exclude: { fields: ['Categories', 'Item_Type'], contains: 'mounting' } });
+    assert.ok(!passes(any, { Categories: 'Rings', Item_Type: 'Semi-Mounting' }));
+    assert.ok(passes(any, { Categories: 'Rings' }));
+
+    const all = oneRule({ include: { fields: ['Item', 'Description'], match: 'all', present: true } });
+    assert.ok(passes(all, { Item: 'A', Description: 'Ring' }));
+    assert.ok(!passes(all, { Item: 'A' }));
+  });
+
+  check('evaluate runs every rule and lists each failing one', () => {
+    const engine = FilterEngine.load('qgold-batch');
+    const result = engine.evaluate({ Item: 'X1', Status: 'Discontinued', ContractPrice: '50', ProductLine: 'Premier' });
+    assert.strictEqual(result.accepted, false);
+    assert.deepStrictEqual(result.failedRules, ['status-not-discontinued', 'contract-price-range', 'required-fields']);
+    assert.strictEqual(result.checks.length, engine.rules.length);
+    assert.strictEqual(engine.getSummary().evaluated, 0, 'evaluate keeps no stats');
+  });
+
+  check('matches stops at the first failing rule and counts it', () => {
+    const engine = FilterEngine.load('qgold-batch');
+    const rows = [
+      { Item: 'A', Description: 'Ring', Status: 'Active', ContractPrice: '250', ProductLine: 'Premier' },
+      { Item: 'B', Description: 'Ring', Status: 'Discontinued', ContractPrice: '50', ProductLine: 'Premier' },
+      { Item: 'C', Description: 'Engraveable Locket', Status: 'Active', ContractPrice: '250', ProductLine: 'Lockets' },
+      { Item: 'D', Description: 'Setting', Status: 'Active', ContractPrice: '250', ProductLine: 'Premier', Categories: 'Mountings' }
+    ];
+    assert.deepStrictEqual(engine.filter(rows).map(row => row.Item), ['A']);
+
+    const summary = engine.getSummary();
+    assert.deepStrictEqual([summary.evaluated, summary.accepted, summary.rejected], [4, 1, 3]);
+    assert.strictEqual(summary.rejectionsByRule['status-not-discontinued'], 1);
+    assert.strictEqual(summary.rejectionsByRule['contract-price-range'], 0);
+    assert.strictEqual(summary.rejectionsByRule['not-engraveable'], 1);
+    assert.strictEqual(summary.rejectionsByRule['no-findings-or-mountings'], 1);
+  });
+
+  check('setRange overrides the bounds of a range rule only', () => {
+    const engine = FilterEngine.load('qgold-count');
+    engine.setRange('msrp-range', { max: 5000 });
+    assert.deepStrictEqual(engine.getRule('msrp-range').expected, { min: 1000, max: 5000 });
+    assert.match(engine.getRule('msrp-range').description, /overridden/);
+    assert.throws(() => engine.setRange('product-line', { min: 1 }), /not a range rule/);
+  });
+
+  check('formatCheck renders expected values for explain output', () => {
+    const engine = FilterEngine.load('qgold-batch');
+    const [status, price] = engine.evaluate({ Status: 'Active', ContractPrice: '' }).checks;
+    assert.deepStrictEqual(engine.formatCheck(status), { expected: 'not equals discontinued', value: 'Active' });
+    assert.deepStrictEqual(engine.formatCheck(price), { expected: '100 to 1000', value: '(empty)' });
+  });
+
+  check('invalid rules are refused', () => {
+    assert.throws(() => oneRule({ field: 'Item' }), /include or exclude/);
+    assert.throws(() => oneRule({ include: { field: 'Item', startsWith: 'A' } }), /no supported predicate/);
+    assert.throws(() => oneRule({ include: { present: true } }), /has no field/);
+  });
+
+  check('rules files are version checked and rulesets looked up by name', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-filter-rules-'));
+    const rulesPath = path.join(dir, 'filter-rules.json');
+    try {
+      fs.writeFileSync(rulesPath, JSON.stringify({ version: 2, rulesets: {} }));
+      assert.throws(() => FilterEngine.load('qgold-batch', rulesPath), /Unsupported filter rules version 2/);
+
+      fs.writeFileSync(rulesPath, JSON.stringify({ version: 1, rulesets: { only: { rules: [] } } }));
+      assert.throws(() => FilterEngine.load('qgold-batch', rulesPath), /not found/);
+      assert.strictEqual(FilterEngine.load('only', rulesPath).name, 'only');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  check('every configured ruleset compiles', () => {
+    const { rulesets } = JSON.parse(fs.readFileSync(path.join(__dirname, 'config', 'filter-rules.json'), 'utf8'));
+    Object.keys(rulesets).forEach(name => assert.ok(FilterEngine.load(name).rules.length > 0, name));
+  });
+
+  if (failures === 0) {
+    logger.info('✅ Filter rule tests PASSED');
+  } else {
+    logger.error(`❌ Filter rule tests FAILED (${failures} failed)`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  testFilterRules();
+}
+
+module.exports = testFilterRules;
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of the pricing rules engine (no Shopify credentials needed)
+ */
+
+const assert = require('assert');
+const PricingEngine = require('./src/pricingEngine');
+const logger = require('./src/logger');
+
+let failures = 0;
+
+function check(name, fn) {
+  try {
+    fn();
+    logger.info(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    logger.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+// Margin of a price string over a cost
+const margin = (price, cost) => 1 - cost / parseFloat(price);
+
+function testPricing() {
+  logger.info('=== Testing Pricing Engine ===');
+  const qgold = PricingEngine.load('qgold');
+
+  check('MSRP products are priced at MSRP with no compare-at', () => {
+    assert.deepStrictEqual(qgold.price({ cost: '200', msrp: '400', productLine: 'Premier' }), {
+      price: '400.00',
+      compareAtPrice: null,
+      ruleId: 'defaults'
+    });
+  });
+
+  check('products without MSRP get the cost markup, charm rounded', () => {
+    assert.deepStrictEqual(qgold.price({ cost: '10', msrp: '', productLine: 'Premier' }), {
+      price: '25.99',
+      compareAtPrice: null,
+      ruleId: 'no-msrp'
+    });
+  });
+
+  check('the first matching rule wins, capped at MSRP with MSRP as compare-at', () => {
+    const result = qgold.price({ cost: 100, msrp: 500, productLine: 'Lab Grown Diamond Jewelry' });
+    assert.strictEqual(result.ruleId, 'lab-grown-diamonds');
+    assert.strictEqual(result.price, '220.00');
+    assert.strictEqual(result.compareAtPrice, '500.00');
+  });
+
+  check('rounding to the nearest step never falls under the minimum margin', () => {
+    // 2.2x of 100 capped at MSRP 150 -> margin floor 166.67 -> nearest $5 would be 165.00 (39.4%)
+    const result = qgold.price({ cost: 100, msrp: 150, productLine: 'Lab Grown Diamond Jewelry' });
+    assert.strictEqual(result.price, '170.00');
+    assert.ok(margin(result.price, 100) >= 0.4, `margin ${margin(result.price, 100)}`);
+  });
+
+  check('a margin floor on a step is kept as-is', () => {
+    // 60 / (1 - 0.4) is 100 up to float error
+    assert.strictEqual(qgold.price({ cost: 60, msrp: 90, productLine: 'Lab Grown Diamond Jewelry' }).price, '100.00');
+  });
+
+  check('minimum margin holds for every rounding mode', () => {
+    ['charm', 'nearest', 'down', 'up'].forEach(mode => {
+      const engine = new PricingEngine({
+        defaults: { base: 'cost', markup: 1, minMargin: 0.35, rounding: { mode, step: 10, ending: 9.99 } }
+      });
+      for (let cost = 1; cost <= 500; cost += 7.31) {
+        const { price } = engine.price({ cost });
+        assert.ok(margin(price, cost) >= 0.35 - 1e-9, `${mode}: cost ${cost} priced ${price}`);
+      }
+    });
+  });
+
+  check('rounding modes', () => {
+    const engine = rounding => new PricingEngine({ defaults: { base: 'cost', rounding } });
+    assert.strictEqual(engine({ mode: 'charm' }).price({ cost: 12.3 }).price, '12.99');
+    assert.strictEqual(engine({ mode: 'charm', step: 10, ending: 9.99 }).price({ cost: 123 }).price, '129.99');
+    assert.strictEqual(engine({ mode: 'nearest', step: 5 }).price({ cost: 122 }).price, '120.00');
+    assert.strictEqual(engine({ mode: 'up', step: 5 }).price({ cost: 121 }).price, '125.00');
+    assert.strictEqual(engine({ mode: 'down', step: 5 }).price({ cost: 124 }).price, '120.00');
+  });
+
+  check('MSRP floor and compare-at from the price', () => {
+    const engine = new PricingEngine({
+      defaults: { base: 'cost', markup: 1.5, msrp: { floor: true }, compareAt: { from: 'price', multiplier: 1.25 } }
+    });
+    assert.deepStrictEqual(engine.price({ cost: 100, msrp: 200 }), { price: '200.00', compareAtPrice: '250.00', ruleId: 'defaults' });
+  });
+
+  check('no inputs give no price', () => {
+    assert.strictEqual(qgold.price({ cost: '', msrp: null }).price, null);
+  });
+
+  check('invalid rules are refused', () => {
+    assert.throws(() => new PricingEngine({ rules: [{ id: 'x', base: 'list' }] }), /unknown base/);
+    assert.throws(() => new PricingEngine({ rules: [{ id: 'x', rounding: { mode: 'ceil' } }] }), /unknown rounding mode/);
+    assert.throws(() => new PricingEngine({ rules: [{ id: 'x', minMargin: 1 }] }), /minMargin/);
+  });
+
+  check('samePrice compares to the cent', () => {
+    assert.ok(PricingEngine.samePrice('10.0', 10));
+    assert.ok(PricingEngine.samePrice(null, ''));
+    assert.ok(!PricingEngine.samePrice('10.01', '10.00'));
+  });
+
+  if (failures === 0) {
+    logger.info('✅ Pricing tests PASSED');
+  } else {
+    logger.error(`❌ Pricing tests FAILED (${failures} failed)`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  testPricing();
+}
+
+module.exports = testPricing;
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of the Shopify request layer without Shopify credentials: token bucket pacing
+ * and the retry/backoff of REST and GraphQL calls against a stubbed axios
+ */
+
+const assert = require('assert');
+const axios = require('axios');
+const ShopifyRequest = require('./src/shopifyRequest');
+const logger = require('./src/logger');
+
+const { TokenBucket } = ShopifyRequest;
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    logger.info(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    logger.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+// Axios error with an HTTP response
+const httpError = (status, headers = {}) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+};
+
+/**
+ * Replace axios.request/axios.post with answers given in order (an Error is thrown), counting the calls
+ */
+function stubAxios(method, answers) {
+  const calls = [];
+  axios[method] = async (...args) => {
+    calls.push(args);
+    const answer = answers[Math.min(calls.length, answers.length) - 1];
+    if (answer instanceof Error) throw answer;
+    return answer;
+  };
+  return calls;
+}
+
+const newRequest = () => new ShopifyRequest({ baseURL: 'https://shop.test/admin/api/2024-01', headers: {}, maxRetries: 3, baseDelayMs: 1, maxDelayMs: 4 });
+
+async function testRequest() {
+  logger.info('=== Testing Shopify Request Layer ===');
+  const { request: originalRequest, post: originalPost } = axios;
+
+  await check('the token bucket waits for refill once its capacity is spent', async () => {
+    const bucket = new TokenBucket({ capacity: 2, refillRate: 20 });
+    const started = Date.now();
+    await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+    assert.ok(Date.now() - started >= 40, `third token after ${Date.now() - started}ms`);
+  });
+
+  await check('queued takers are served in order', async () => {
+    const bucket = new TokenBucket({ capacity: 1, refillRate: 100 });
+    const order = [];
+    await Promise.all([1, 2, 3].map(n => bucket.take().then(() => order.push(n))));
+    assert.deepStrictEqual(order, [1, 2, 3]);
+  });
+
+  await check('a cost above capacity only waits for a full bucket', async () => {
+    const bucket = new TokenBucket({ capacity: 5, refillRate: 1000 });
+    await bucket.take(50);
+    assert.ok(bucket.tokens < 1);
+  });
+
+  await check('sync clamps the available tokens to the capacity', () => {
+    const bucket = new TokenBucket({ capacity: 40, refillRate: 2 });
+    bucket.sync(80);
+    assert.strictEqual(bucket.tokens, 40);
+    bucket.sync(-3, 80, 4);
+    assert.deepStrictEqual([bucket.tokens, bucket.capacity, bucket.refillRate], [0, 80, 4]);
+  });
+
+  await check('429 and 5xx responses are retried, then succeed', async () => {
+    const calls = stubAxios('request', [httpError(429, { 'retry-after': '0.01' }), httpError(503), { status: 200, headers: {}, data: { ok: true } }]);
+    const response = await newRequest().get('/products.json');
+    assert.strictEqual(calls.length, 3);
+    assert.deepStrictEqual(response.data, { ok: true });
+    assert.strictEqual(calls[0][0].url, 'https://shop.test/admin/api/2024-01/products.json');
+  });
+
+  await check('client errors are not retried', async () => {
+    const calls = stubAxios('request', [httpError(422)]);
+    await assert.rejects(newRequest().put('/products/1.json', {}), /status code 422/);
+    assert.strictEqual(calls.length, 1);
+  });
+
+  await check('retries stop after maxRetries', async () => {
+    const calls = stubAxios('request', [httpError(500)]);
+    await assert.rejects(newRequest().get('/products.json'), /status code 500/);
+    assert.strictEqual(calls.length, 4);
+  });
+
+  await check('network errors are retried, other errors are not', async () => {
+    const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    const retried = stubAxios('request', [reset, { status: 200, headers: {} }]);
+    await newRequest().get('/shop.json');
+    assert.strictEqual(retried.length, 2);
+
+    const failed = stubAxios('request', [new TypeError('bad config')]);
+    await assert.rejects(newRequest().get('/shop.json'), /bad config/);
+    assert.strictEqual(failed.length, 1);
+  });
+
+  await check('POSTs are retried on 429 and unsent connections only, never on 5xx or timeouts', async () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const retried = stubAxios('request', [httpError(429), refused, { status: 201, headers: {} }]);
+    await newRequest().post('/products.json', {});
+    assert.strictEqual(retried.length, 3);
+
+    const gateway = stubAxios('request', [httpError(502)]);
+    await assert.rejects(newRequest().post('/products.json', {}), /status code 502/);
+    assert.strictEqual(gateway.length, 1);
+
+    const timeout = Object.assign(new Error('timeout of 60000ms exceeded'), { code: 'ECONNABORTED' });
+    const timedOut = stubAxios('request', [timeout]);
+    await assert.rejects(newRequest().post('/products.json', {}), /timeout/);
+    assert.strictEqual(timedOut.length, 1);
+  });
+
+  await check('GraphQL mutations are not retried on 5xx, queries are', async () => {
+    const request = newRequest();
+    assert.ok(request.isMutation('# Create or update\n  mutation productSet($input: ProductSetInput!) { x }'));
+    assert.ok(!request.isMutation('query { shop { name } }'));
+
+    const mutation = stubAxios('post', [httpError(504)]);
+    await assert.rejects(request.graphql('mutation productSet { x }'), /status code 504/);
+    assert.strictEqual(mutation.length, 1);
+
+    const query = stubAxios('post', [httpError(504), { data: { data: {} } }]);
+    await request.graphql('{ shop { name } }');
+    assert.strictEqual(query.length, 2);
+  });
+
+  await check('Retry-After is honoured, otherwise the backoff is jittered and capped', () => {
+    const request = newRequest();
+    assert.strictEqual(request.retryDelayMs(httpError(429, { 'retry-after': '2.5' }), 0), 2500);
+    for (let attempt = 0; attempt < 6; attempt++) {
+      const exponential = Math.min(4, Math.pow(2, attempt));
+      const delay = request.retryDelayMs(httpError(503), attempt);
+      assert.ok(delay >= exponential / 2 - 0.5 && delay <= exponential + 0.5, `attempt ${attempt}: ${delay}ms`);
+    }
+  });
+
+  await check('the REST call limit header syncs the bucket', async () => {
+    stubAxios('request', [{ status: 200, headers: { 'x-shopify-shop-api-call-limit': '38/40' } }]);
+    const request = newRequest();
+    await request.get('/products.json');
+    assert.strictEqual(request.restBucket.tokens, 2);
+    assert.strictEqual(request.restBucket.capacity, 40);
+  });
+
+  await check('throttled GraphQL queries are retried reserving their real cost', async () => {
+    const throttled = {
+      data: {
+        errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }],
+        extensions: { cost: { requestedQueryCost: 120, throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 119, restoreRate: 1000 } } }
+      }
+    };
+    const ok = { data: { data: { shop: { name: 'Test' } }, extensions: { cost: { throttleStatus: { maximumAvailable: 1000, currentlyAvailable: 880, restoreRate: 50 } } } } };
+    const calls = stubAxios('post', [throttled, ok]);
+
+    const request = newRequest();
+    assert.strictEqual(request.graphqlRestoreWaitMs(throttled.data.extensions.cost, 120), 1);
+    const response = await request.graphql('{ shop { name } }');
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(response.data.data.shop.name, 'Test');
+    assert.strictEqual(request.graphqlBucket.tokens, 880);
+    assert.strictEqual(request.graphqlBucket.refillRate, 50);
+  });
+
+  axios.request = originalRequest;
+  axios.post = originalPost;
+
+  if (failures === 0) {
+    logger.info('✅ Request layer tests PASSED');
+  } else {
+    logger.error(`❌ Request layer tests FAILED (${failures} failed)`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  testRequest();
+}
+
+module.exports = testRequest;
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of run rollback without Shopify credentials: planning from a checkpoint and
+ * snapshot, and the rollback itself against a stubbed client
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-rollback-'));
+process.env.REPORTS_DIR = path.join(tmpDir, 'reports');
+process.env.SNAPSHOTS_DIR = path.join(tmpDir, 'snapshots');
+process.env.RUNS_DIR = path.join(tmpDir, 'runs');
+
+const RunCheckpoint = require('./src/runCheckpoint');
+const ProductSnapshot = require('./src/productSnapshot');
+const ProductStore = require('./src/productStore');
+const RunRollback = require('./rollbackRun');
+const logger = require('./src/logger');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    logger.info(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    logger.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+// Snapshot query node of a product (REST fields through ProductSnapshot.toRestProduct)
+const productNode = (id, { title = `T${id}`, status = 'ACTIVE', tags = [], price = '10.00', skus = [`X${id}`], quantity = 4, stamp = null } = {}) => ({
+  id: `gid://shopify/Product/${id}`,
+  legacyResourceId: String(id),
+  title,
+  descriptionHtml: '',
+  vendor: 'QGold',
+  productType: 'Rings',
+  status,
+  tags,
+  options: [{ name: 'Title' }],
+  variants: {
+    nodes: skus.map((sku, index) => ({
+      id: `gid://shopify/ProductVariant/${id}${index}`,
+      legacyResourceId: `${id}${index}`,
+      sku,
+      price,
+      compareAtPrice: null,
+      selectedOptions: [],
+      inventoryItem: {
+        legacyResourceId: `7${id}${index}`,
+        tracked: true,
+        inventoryLevels: { nodes: [{ location: { legacyResourceId: '5' }, quantities: [{ name: 'available', quantity }] }] }
+      }
+    }))
+  },
+  media: { nodes: [] },
+  metafields: { nodes: stamp ? [{ namespace: 'treasures_sync', key: 'run_id', type: 'single_line_text_field', value: stamp }] : [] }
+});
+
+/**
+ * A finished sync run: created product 10, updated products 20 (two SKUs) and 30, and zeroed the inventory
+ * of discontinued product 40. Its snapshot holds the state of 20, 30 and 40 before the run.
+ */
+function recordRun() {
+  const checkpoint = RunCheckpoint.create({ supplier: 'qgold-csv', inputHash: 'hash' });
+  const { runId } = checkpoint.data;
+  checkpoint.recordOutcomes([
+    { item: 'S1', type: 'created', productId: 10 },
+    { item: 'S2', type: 'updated', productId: 20, changes: ['tags', 'price'] },
+    { item: 'S2b', type: 'updated', productId: 20, changes: ['tags'] },
+    { item: 'S3', type: 'updated', productId: 30, changes: ['title'] },
+    { item: 'S9', type: 'skipped', productId: 90 }
+  ]);
+  checkpoint.finish('completed', {});
+
+  const toRest = node => new ProductSnapshot({}, runId).toRestProduct(node);
+  const entries = [
+    ['update', productNode(20, { tags: ['old'], price: '5.00', skus: ['S2', 'S2b'], stamp: 'PREVIOUS' })],
+    ['update', productNode(30, { title: 'Old', skus: ['S3'] })],
+    ['discontinued:zero_inventory', productNode(40, { skus: ['S4'], quantity: 6 })],
+    ['update', productNode(40, { skus: ['S4'], quantity: 0 })]
+  ];
+  fs.mkdirSync(process.env.SNAPSHOTS_DIR, { recursive: true });
+  fs.writeFileSync(path.join(process.env.SNAPSHOTS_DIR, `${runId}.jsonl`), entries
+    .map(([reason, node]) => JSON.stringify({ runId, reason, capturedAt: '2026-01-01T00:00:00Z', product: toRest(node) }) + '\n')
+    .join(''));
+
+  return runId;
+}
+
+/**
+ * Rollback whose client reads the live products from live and records every write in calls
+ */
+function stubbedRollback(live, calls) {
+  const rollback = new RunRollback();
+  const client = rollback.shopifyClient;
+
+  client.initialized = true;
+  client.initialize = async () => {};
+  client.productStore = new ProductStore(path.join(tmpDir, `store-${Date.now()}-${Math.random()}.jsonl`));
+  client.updateProduct = async (productId, updateData) => {
+    calls.push(['update', updateData]);
+    return { id: productId, variants: [] };
+  };
+  client.api = {
+    delete: async url => {
+      calls.push(['delete', url]);
+      return { status: 200 };
+    },
+    graphql: async (query, variables) => {
+      if (query.includes('productSnapshots')) {
+        return { data: { data: { nodes: variables.ids.map(gid => live[gid.split('/').pop()] || null) } } };
+      }
+      const mutation = query.match(/mutation (\w+)/)[1];
+      calls.push([mutation, variables]);
+      return { data: { data: { [mutation]: { userErrors: [], metafields: [], deletedMetafields: [] } } } };
+    }
+  };
+
+  return rollback;
+}
+
+async function testRollback() {
+  logger.info('=== Testing Run Rollback ===');
+
+  await check('plans delete created products and revert updated or actioned ones', () => {
+    const runId = recordRun();
+    const rollback = new RunRollback();
+    const history = rollback.readSnapshot(runId);
+
+    assert.strictEqual(history.previousById.get(40).variants[0].inventory_levels[0].available, 6, 'first capture wins');
+    assert.deepStrictEqual(Array.from(history.discontinuedById), [[40, 'zero_inventory']]);
+
+    const plans = rollback.planRollback(RunCheckpoint.load(runId), history);
+    assert.deepStrictEqual(plans.map(({ productId, action, skus, changes, inventory, stamped }) => ({ productId, action, skus, changes, inventory, stamped })), [
+      { productId: 10, action: 'delete', skus: ['S1'], changes: [], inventory: false, stamped: true },
+      { productId: 20, action: 'revert', skus: ['S2', 'S2b'], changes: ['tags', 'price'], inventory: false, stamped: true },
+      { productId: 30, action: 'revert', skus: ['S3'], changes: ['title'], inventory: false, stamped: true },
+      { productId: 40, action: 'revert', skus: ['S4'], changes: [], inventory: true, stamped: false }
+    ]);
+  });
+
+  await check('a product written again after the run is skipped, the rest undone', async () => {
+    const runId = recordRun();
+    const live = {
+      10: productNode(10, { skus: ['S1'], stamp: runId }),
+      20: productNode(20, { tags: ['new'], price: '9.00', skus: ['S2', 'S2b'], stamp: runId }),
+      30: productNode(30, { title: 'New', skus: ['S3'], stamp: 'LATER' }),
+      40: productNode(40, { skus: ['S4'], quantity: 0 })
+    };
+
+    const dryCalls = [];
+    const dry = await stubbedRollback(live, dryCalls).rollback(runId, { dryRun: true });
+    assert.deepStrictEqual([dry.deleted, dry.reverted, dry.skipped, dry.errors, dryCalls.length], [1, 2, 1, 0, 0]);
+
+    const calls = [];
+    const results = await stubbedRollback(live, calls).rollback(runId, { yes: true });
+    assert.deepStrictEqual([results.deleted, results.reverted, results.skipped, results.errors], [1, 2, 1, 0]);
+    assert.deepStrictEqual(calls.map(([name]) => name), ['delete', 'update', 'metafieldsSet', 'inventorySetQuantities']);
+
+    const [, update] = calls[1];
+    assert.strictEqual(update.tags, 'old');
+    assert.deepStrictEqual(update.variants.map(variant => variant.price), ['5.00', '5.00']);
+    assert.strictEqual(update.title, undefined, 'only the changed field groups are sent');
+    assert.strictEqual(calls[2][1].metafields[0].value, 'PREVIOUS', 'the earlier run stamp is put back');
+    assert.deepStrictEqual(calls[3][1].input.quantities, [{ inventoryItemId: 'gid://shopify/InventoryItem/7400', locationId: 'gid://shopify/Location/5', quantity: 6 }]);
+
+    assert.strictEqual(RunCheckpoint.load(runId).data.status, 'rolled_back');
+    await assert.rejects(stubbedRollback(live, []).rollback(runId, { yes: true }), /already rolled back/);
+  });
+
+  await check('runs still running and unknown runs are refused', async () => {
+    const checkpoint = RunCheckpoint.create({ supplier: 'qgold-csv', inputHash: 'hash' });
+    await assert.rejects(new RunRollback().rollback(checkpoint.data.runId), /still running/);
+    await assert.rejects(new RunRollback().rollback('qgold-csv-unknown'), /No checkpoint found/);
+  });
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  if (failures === 0) {
+    logger.info('✅ Rollback tests PASSED');
+  } else {
+    logger.error(`❌ Rollback tests FAILED (${failures} failed)`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  testRollback();
+}
+
+module.exports = testRollback;
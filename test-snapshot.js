@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+
+/**
+ * Checks of product snapshots and the restore command without Shopify credentials:
+ * capture into the archive, the REST mapping, restore planning and the restore
+ * itself against a stubbed client
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-snapshot-'));
+process.env.REPORTS_DIR = path.join(tmpDir, 'reports');
+process.env.SNAPSHOTS_DIR = path.join(tmpDir, 'snapshots');
+
+const ProductSnapshot = require('./src/productSnapshot');
+const ProductStore = require('./src/productStore');
+const ProductRestorer = require('./restoreProducts');
+const logger = require('./src/logger');
+
+let failures = 0;
+
+async function check(name, fn) {
+  try {
+    await fn();
+    logger.info(`✓ ${name}`);
+  } catch (error) {
+    failures++;
+    logger.error(`✗ ${name}: ${error.message}`);
+  }
+}
+
+// Snapshot query node of a product with one variant per SKU
+const productNode = (id, skus, overrides = {}) => ({
+  id: `gid://shopify/Product/${id}`,
+  legacyResourceId: String(id),
+  title: `Product ${id}`,
+  descriptionHtml: '<p>Gold</p>',
+  vendor: 'QGold',
+  productType: 'Rings',
+  status: 'ACTIVE',
+  tags: ['Premier', 'Gold'],
+  seo: { title: null, description: null },
+  category: null,
+  options: [{ name: 'Size' }],
+  variants: {
+    nodes: skus.map((sku, index) => ({
+      id: `gid://shopify/ProductVariant/${id}${index}`,
+      legacyResourceId: `${id}${index}`,
+      sku,
+      barcode: null,
+      price: '100.00',
+      compareAtPrice: null,
+      inventoryQuantity: 2,
+      selectedOptions: [{ name: 'Size', value: String(6 + index) }],
+      inventoryItem: {
+        legacyResourceId: `${id}${index}9`,
+        tracked: true,
+        unitCost: { amount: '40.0' },
+        measurement: { weight: { value: 3.5, unit: 'GRAMS' } },
+        inventoryLevels: { nodes: [{ location: { legacyResourceId: '77' }, quantities: [{ name: 'available', quantity: 2 }] }] }
+      }
+    }))
+  },
+  media: { nodes: [{ id: `gid://shopify/MediaImage/${id}`, image: { url: `https://cdn.test/${id}.jpg`, altText: 'Front' } }, {}] },
+  metafields: { nodes: [{ namespace: 'supplier', key: 'style', type: 'single_line_text_field', value: 'R100' }] },
+  ...overrides
+});
+
+// The same product as a snapshot file holds it
+const restProduct = (id, skus) => new ProductSnapshot({}, 'fixture').toRestProduct(productNode(id, skus));
+
+/**
+ * Client whose graphql answers snapshot queries from nodes (by product ID), counting the queries
+ */
+function stubbedClient(client, nodes) {
+  client.initialized = true;
+  client.initialize = async () => {};
+  client.productStore = new ProductStore(path.join(tmpDir, `store-${Date.now()}-${Math.random()}.jsonl`));
+  client.queries = [];
+  client.api = {
+    graphql: async (query, variables) => {
+      client.queries.push(variables.ids);
+      return { data: { data: { nodes: variables.ids.map(gid => nodes[gid.split('/').pop()] || null) } } };
+    }
+  };
+  return client;
+}
+
+async function testSnapshot() {
+  logger.info('=== Testing Product Snapshots ===');
+
+  await check('capture appends each product once per call and reports missing IDs', async () => {
+    const nodes = {};
+    for (let id = 1; id <= 25; id++) nodes[id] = productNode(id, [`S${id}`]);
+    const client = stubbedClient({}, nodes);
+    const snapshot = new ProductSnapshot(client, 'run-capture');
+
+    const ids = [...Object.keys(nodes).map(Number), 1, 99, null];
+    const result = await snapshot.capture(ids, 'update');
+    assert.strictEqual(result.captured, 25);
+    assert.deepStrictEqual(result.missing, [99]);
+    assert.deepStrictEqual(client.queries.map(chunk => chunk.length), [20, 6], 'queried in chunks of 20');
+
+    const entries = ProductSnapshot.read('run-capture');
+    assert.strictEqual(entries.length, 25);
+    assert.deepStrictEqual(Object.keys(entries[0]).sort(), ['capturedAt', 'product', 'reason', 'runId']);
+    assert.deepStrictEqual(ProductSnapshot.list().map(({ runId, products, reasons }) => ({ runId, products, reasons })), [
+      { runId: 'run-capture', products: 25, reasons: ['update'] }
+    ]);
+  });
+
+  await check('capture throws on GraphQL errors and writes nothing', async () => {
+    const client = stubbedClient({}, {});
+    client.api.graphql = async () => ({ data: { errors: [{ message: 'Access denied' }] } });
+    const snapshot = new ProductSnapshot(client, 'run-error');
+    await assert.rejects(snapshot.capture([1], 'delete'), /Access denied/);
+    assert.ok(!fs.existsSync(snapshot.filePath));
+    assert.throws(() => ProductSnapshot.read('run-error'), /No snapshot found/);
+  });
+
+  await check('snapshot nodes map to the REST product shape', () => {
+    const product = new ProductSnapshot({}, 'run-map').toRestProduct(productNode(5, ['R5-6']));
+    assert.strictEqual(product.id, 5);
+    assert.strictEqual(product.status, 'active');
+    assert.strictEqual(product.tags, 'Premier, Gold');
+    assert.deepStrictEqual(product.images, [{ admin_graphql_api_id: 'gid://shopify/MediaImage/5', src: 'https://cdn.test/5.jpg', alt: 'Front' }]);
+    assert.deepStrictEqual(product.variants[0], {
+      id: 50,
+      admin_graphql_api_id: 'gid://shopify/ProductVariant/50',
+      product_id: 5,
+      sku: 'R5-6',
+      barcode: null,
+      price: '100.00',
+      compare_at_price: null,
+      option1: '6',
+      inventory_quantity: 2,
+      inventory_management: 'shopify',
+      inventory_item_id: 509,
+      unit_cost: '40.0',
+      weight: 3.5,
+      weight_unit: 'g',
+      inventory_levels: [{ location_id: 77, available: 2 }]
+    });
+  });
+
+  const restorer = new ProductRestorer();
+
+  await check('restore plans match products to the live catalog by SKU', () => {
+    const live = [
+      { id: 10, variants: [{ sku: 'A-1' }, { sku: 'a-2' }] },
+      { id: 11, variants: [{ sku: 'B-1' }] },
+      { id: 12, variants: [{ sku: 'B-2' }] }
+    ];
+    const plans = restorer.planRestore([
+      restProduct(1, ['A-1', 'A-2']),
+      restProduct(2, ['C-1']),
+      restProduct(3, ['B-1', 'B-2']),
+      restProduct(4, [null])
+    ], live);
+    assert.deepStrictEqual(plans.map(({ action, liveId }) => [action, liveId]), [['revert', 10], ['recreate', null], ['unmatched', undefined], ['unmatched', undefined]]);
+    assert.match(plans[2].error, /several products \(11, 12\)/);
+    assert.match(plans[3].error, /no SKUs/);
+  });
+
+  await check('restore recreates deleted products and reverts live ones from their first capture', async () => {
+    // Products 1 and 2 as they were before the run; product 1 was captured again later in the run
+    const before = [restProduct(1, ['A-1']), restProduct(2, ['B-1'])];
+    const later = { ...before[0], title: 'Changed during the run' };
+    fs.writeFileSync(path.join(process.env.SNAPSHOTS_DIR, 'run-restore.jsonl'), [
+      { runId: 'run-restore', reason: 'update', capturedAt: '2026-01-01T00:00:00Z', product: before[0] },
+      { runId: 'run-restore', reason: 'delete', capturedAt: '2026-01-01T00:00:01Z', product: before[1] },
+      { runId: 'run-restore', reason: 'update', capturedAt: '2026-01-01T00:00:02Z', product: later }
+    ].map(entry => JSON.stringify(entry) + '\n').join(''));
+
+    // Product 1 lives on (renamed), product 2 was deleted
+    const live = productNode(1, ['A-1'], { title: 'Renamed', media: { nodes: [] } });
+    const client = stubbedClient(new ProductRestorer().shopifyClient, { 1: live });
+    const sets = [];
+    const quantities = [];
+    client.getAllProducts = async () => [{ id: 1, title: 'Renamed', variants: [{ sku: 'a-1' }] }];
+    client.productSet = async (payload, existing) => {
+      sets.push({ payload, existing });
+      return { id: existing ? existing.id : 200, variants: payload.variants.map(variant => ({ sku: variant.sku, inventory_item_id: 900 })) };
+    };
+    client.inventorySync.setQuantities = async list => quantities.push(...list);
+
+    const restoring = new ProductRestorer();
+    restoring.shopifyClient = client;
+    const results = await restoring.restoreProducts('run-restore');
+
+    assert.deepStrictEqual([results.reverted, results.recreated, results.errors], [1, 1, 0]);
+    assert.strictEqual(sets[0].payload.title, 'Product 1', 'first capture wins');
+    assert.strictEqual(sets[0].existing.id, 1);
+    assert.strictEqual(sets[1].existing, null);
+    assert.deepStrictEqual(quantities, [{ inventoryItemId: 'gid://shopify/InventoryItem/900', locationId: 'gid://shopify/Location/77', quantity: 2 }]);
+    assert.strictEqual(ProductSnapshot.read(results.snapshotPath)[0].product.title, 'Renamed', 'live product snapshotted before the revert');
+  });
+
+  await check('dry-run restores write nothing', async () => {
+    const client = stubbedClient(new ProductRestorer().shopifyClient, {});
+    client.getAllProducts = async () => [];
+    client.productSet = async () => assert.fail('productSet called in a dry run');
+
+    const dry = new ProductRestorer();
+    dry.shopifyClient = client;
+    const results = await dry.restoreProducts('run-restore', { dryRun: true, skus: ['B-1'] });
+    assert.deepStrictEqual([results.total, results.recreated, results.snapshotPath], [1, 1, undefined]);
+  });
+
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+
+  if (failures === 0) {
+    logger.info('✅ Snapshot tests PASSED');
+  } else {
+    logger.error(`❌ Snapshot tests FAILED (${failures} failed)`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  testSnapshot();
+}
+
+module.exports = testSnapshot;